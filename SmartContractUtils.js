@@ -3,147 +3,1336 @@
  * Provides comprehensive contract interaction and management tools
  */
 
+const path = require('path');
 const { ethers } = require('ethers');
 const { Contract, Interface } = ethers;
+const { Multicall, MULTICALL3_ADDRESS } = require('./src/contracts/multicall');
+const NonceManager = require('./src/contracts/nonce-manager');
+const { TrackedTransaction } = require('./src/contracts/transaction-tracker');
+const { L1FeeEstimator } = require('./src/base/l1-fee-estimator');
+const { getNetwork, verifyChainId } = require('./src/base/networks');
+const ProviderPool = require('./src/contracts/provider-pool');
+const EventIndexer = require('./src/contracts/event-indexer');
+const EventSubscription = require('./src/contracts/event-subscription');
+const BlockSnapshot = require('./src/contracts/block-snapshot');
+const { MemoryCheckpointStore, FileCheckpointStore } = require('./src/contracts/checkpoint-store');
+const { CallCache, MemoryCacheStore, FileCacheStore } = require('./src/contracts/call-cache');
+const { ProxyResolver, mergeAbis, PROXY_ABI } = require('./src/contracts/proxy-resolver');
+const { decodeRevertData, extractRevertData } = require('./src/contracts/revert-decoder');
+const { toPlainObject } = require('./src/contracts/abi-utils');
+const { TransactionDecoder } = require('./src/contracts/transaction-decoder');
+const { SignerFactory } = require('./src/contracts/signers');
+const { SafeTransactionBuilder, MULTI_SEND_CALL_ONLY_ADDRESS } = require('./src/contracts/safe');
+const { TokenToolkit } = require('./src/tokens/erc20');
+const { TokenRegistry } = require('./src/tokens/token-registry');
+const { ApprovalAuditor } = require('./src/tokens/approval-audit');
+const {
+  DeploymentManifest,
+  buildInitCode,
+  computeCreate2Address,
+  toSalt,
+  DETERMINISTIC_DEPLOYER_ADDRESS
+} = require('./src/contracts/deployer');
+const ArtifactLoader = require('./src/contracts/artifact-loader');
+const { writeBindings } = require('./src/contracts/typegen');
+const { PermitBuilder, toPermitArgs, PERMIT2_ADDRESS } = require('./src/contracts/permits');
+const {
+  UserOperationBuilder,
+  BundlerClient,
+  ENTRY_POINT_V07_ADDRESS
+} = require('./src/contracts/user-operations');
+const {
+  formatStateOverrides,
+  buildTokenOverrides,
+  detectTokenLayout,
+  TOKEN_LAYOUTS
+} = require('./src/contracts/state-overrides');
 
 class SmartContractUtils {
   constructor(config = {}) {
+    // network is a profile name ('base', 'base-sepolia', 'anvil', 'hardhat'), chain id or custom profile
+    this.network = getNetwork(config.network || config.chainId || 'base');
+    if (config.chainId && Number(config.chainId) !== this.network.chainId) {
+      throw new Error(`chainId ${config.chainId} does not match network ${this.network.name} (${this.network.chainId})`);
+    }
+    const { addresses, fees } = this.network;
+
     this.config = {
-      rpcUrl: config.rpcUrl || 'https://mainnet.base.org',
-      chainId: 8453, // Base mainnet
+      rpcUrl: config.rpcUrl || this.network.rpcUrls[0],
+      rpcUrls: config.rpcUrls || (config.rpcUrl ? undefined : this.network.rpcUrls),
       gasLimit: config.gasLimit || 500000,
-      maxFeePerGas: config.maxFeePerGas || ethers.parseUnits('2', 'gwei'),
-      maxPriorityFeePerGas: config.maxPriorityFeePerGas || ethers.parseUnits('1', 'gwei'),
-      ...config
+      maxFeePerGas: config.maxFeePerGas || fees.maxFeePerGas || ethers.parseUnits('2', 'gwei'),
+      maxPriorityFeePerGas: config.maxPriorityFeePerGas || fees.maxPriorityFeePerGas || ethers.parseUnits('1', 'gwei'),
+      multicallAddress: config.multicallAddress || addresses.multicall3 || MULTICALL3_ADDRESS,
+      permit2Address: config.permit2Address || addresses.permit2 || PERMIT2_ADDRESS,
+      entryPointAddress: config.entryPointAddress || addresses.entryPoint || ENTRY_POINT_V07_ADDRESS,
+      deterministicDeployer: config.deterministicDeployer || addresses.deterministicDeployer || DETERMINISTIC_DEPLOYER_ADDRESS,
+      multiSendAddress: config.multiSendAddress || addresses.multiSend || MULTI_SEND_CALL_ONLY_ADDRESS,
+      multicallChunkSize: config.multicallChunkSize || 100,
+      manageNonces: config.manageNonces !== false,
+      pollInterval: config.pollInterval || this.network.blockTime,
+      ...config,
+      // The profile is authoritative for the chain; other modules receive it as network
+      chainId: this.network.chainId,
+      network: this.network.name
     };
     
-    this.provider = new ethers.JsonRpcProvider(this.config.rpcUrl);
+    // rpcUrls accepts strings or { url, priority, weight } for failover across endpoints
+    const poolConfig = { network: this.network };
+    // Without a configured quorum the pool keeps its own default of 2
+    if (this.config.quorum !== undefined) poolConfig.quorum = this.config.quorum;
+    this.providerPool = new ProviderPool(this.config.rpcUrls || [this.config.rpcUrl], {
+      ...poolConfig,
+      ...this.config.providerPool
+    });
+    this.provider = this.providerPool.provider;
     this.contracts = new Map();
     this.abis = new Map();
+    this.interfaces = new Map();
+    this.proxies = new Map();
+    this.tokenLayouts = new Map();
+    this.artifacts = new Map();
+    this.artifactCollisions = [];
+    this.deployQueue = Promise.resolve();
+    this.safes = new Map();
+    this.signers = new Map();
+    this.multicall = new Multicall(this.provider, this.config.multicallAddress);
+    this.nonceManager = new NonceManager(this.provider);
+    this.eventIndexer = new EventIndexer(this.provider, {
+      store: this.config.checkpointStore || (this.config.checkpointFile
+        ? new FileCheckpointStore(this.config.checkpointFile)
+        : new MemoryCheckpointStore()),
+      maxBlockRange: this.config.maxBlockRange || 2000,
+      reorgDepth: this.config.reorgDepth || 12
+    });
+    // Call caching is enabled by cache: true, a cacheStore or a cacheFile
+    this.callCache = this.config.cache || this.config.cacheStore || this.config.cacheFile
+      ? new CallCache(this.provider, {
+        network: this.network,
+        headMaxAge: this.config.pollInterval,
+        policies: this.config.cachePolicies,
+        store: this.config.cacheStore || (this.config.cacheFile
+          ? new FileCacheStore(this.config.cacheFile)
+          : new MemoryCacheStore())
+      })
+      : null;
+    this.proxyResolver = new ProxyResolver(this.provider);
+    this.feeEstimator = new L1FeeEstimator(this.provider, {
+      network: this.network,
+      ethPriceUsd: this.config.ethPriceUsd
+    });
+    this.signerFactory = new SignerFactory(this.provider, { network: this.network });
+    // Token metadata starts from the bundled Base token list; unknown tokens are read on demand
+    this.tokens = new TokenToolkit(this, TokenRegistry.forChain(this.network.chainId));
+    this.approvalAuditor = new ApprovalAuditor(this, {
+      verifiedSpenders: this.config.verifiedSpenders,
+      verify: this.config.verifySpender
+    });
+    this.permits = new PermitBuilder(this.provider, {
+      network: this.network,
+      permit2Address: this.config.permit2Address
+    });
+    this.userOperations = new UserOperationBuilder(
+      this.provider,
+      this.config.bundlerUrl ? new BundlerClient(this.config.bundlerUrl, this.config.chainId) : null,
+      {
+        entryPointAddress: this.config.entryPointAddress,
+        network: this.network,
+        pollInterval: this.config.pollInterval
+      }
+    );
+  }
+
+  /**
+   * Create an instance and check that its RPC endpoint serves the configured network
+   * @param {Object} config - Constructor configuration
+   * @returns {Promise<SmartContractUtils>} Verified instance
+   */
+  static async connect(config = {}) {
+    const utils = new SmartContractUtils(config);
+    try {
+      await utils.verifyNetwork();
+    } catch (error) {
+      utils.providerPool.destroy();
+      throw error;
+    }
+    return utils;
+  }
+
+  /**
+   * Check that the provider's chain id (every endpoint's, for a pool) matches the network profile
+   * @returns {Promise<Object>} Network profile
+   */
+  async verifyNetwork() {
+    // A pool's provider reports the configured network, so every endpoint is asked instead
+    if (this.providerPool.endpoints.length > 1) {
+      return this.providerPool.verifyChainId(this.network);
+    }
+    return verifyChainId(this.provider, this.network);
+  }
+
+  /**
+   * Register a contract ABI for future use
+   * @param {string} name - Contract identifier
+   * @param {Array} abi - Contract ABI
+   * @param {string} address - Contract address
+   * @param {Object} options - Pass implementationAbi to merge a proxy's implementation ABI
+   */
+  registerContract(name, abi, address, options = {}) {
+    if (options.implementationAbi) {
+      abi = mergeAbis(abi, options.implementationAbi);
+    }
+    this.abis.set(name, abi);
+    this.interfaces.delete(name);
+    const contract = new Contract(address, abi, this.provider);
+    this.contracts.set(name, contract);
+    return contract;
+  }
+
+  /**
+   * Register a proxy contract with its implementation ABI merged in
+   * The implementation ABI comes from options.implementationAbi, a contract already
+   * registered at the implementation address, or config.abiResolver(implementation)
+   * @param {string} name - Contract identifier
+   * @param {Array} abi - Proxy ABI
+   * @param {string} address - Proxy address
+   * @param {Object} options - Registration options (implementationAbi)
+   * @returns {Promise<Contract>} Contract instance
+   */
+  async registerProxyContract(name, abi, address, options = {}) {
+    const proxy = await this.resolveProxy(address);
+    let implementationAbi = options.implementationAbi;
+
+    if (!implementationAbi && proxy.implementation) {
+      implementationAbi = this.findAbiByAddress(proxy.implementation);
+      if (!implementationAbi && this.config.abiResolver) {
+        implementationAbi = await this.config.abiResolver(proxy.implementation);
+      }
+    }
+
+    const contract = this.registerContract(name, abi, address, { implementationAbi });
+    this.proxies.set(name, proxy);
+    return contract;
+  }
+
+  /**
+   * Find the ABI of a registered contract by its address
+   * @param {string} address - Contract address
+   * @returns {Array|null} ABI or null
+   */
+  findAbiByAddress(address) {
+    for (const [name, contract] of this.contracts) {
+      if (contract.target.toLowerCase() === address.toLowerCase()) {
+        return this.abis.get(name);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Detect EIP-1967, UUPS, beacon, EIP-1167 and Safe proxies
+   * @param {string} address - Contract address
+   * @param {string|number} blockTag - Block number or tag
+   * @returns {Promise<Object>} { address, isProxy, type, implementation, beacon, admin }
+   */
+  async resolveProxy(address, blockTag = 'latest') {
+    try {
+      return await this.proxyResolver.resolve(address, blockTag);
+    } catch (error) {
+      throw new Error(`Proxy resolution failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Compare a registered proxy's implementation and admin with the chain
+   * @param {string} name - Contract identifier
+   * @returns {Promise<Object>} { upgraded, adminChanged, previous, current }
+   */
+  async checkProxyUpgrade(name) {
+    const contract = this.getContract(name);
+    const previous = this.proxies.get(name) || null;
+    const current = await this.resolveProxy(contract.target);
+    this.proxies.set(name, current);
+
+    return {
+      upgraded: Boolean(previous) && previous.implementation !== current.implementation,
+      adminChanged: Boolean(previous) && previous.admin !== current.admin,
+      previous,
+      current
+    };
+  }
+
+  /**
+   * Get Upgraded, BeaconUpgraded and AdminChanged events emitted by a proxy
+   * @param {string} name - Contract identifier
+   * @param {Object} options - Query options (fromBlock, toBlock)
+   * @returns {Promise<Array>} Upgrade events ordered by block
+   */
+  async getProxyUpgrades(name, options = {}) {
+    try {
+      const proxy = new Contract(this.getContract(name).target, PROXY_ABI, this.provider);
+      const events = [];
+
+      for (const eventName of ['Upgraded', 'BeaconUpgraded', 'AdminChanged']) {
+        const result = await this.eventIndexer.index(proxy, eventName, {
+          fromBlock: options.fromBlock ?? -10000,
+          toBlock: options.toBlock || 'latest',
+          plainArgs: true
+        });
+        events.push(...result.events);
+      }
+
+      return events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    } catch (error) {
+      throw new Error(`Upgrade event query failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a registered contract instance
+   * @param {string} name - Contract identifier
+   * @returns {Contract} Contract instance
+   */
+  getContract(name) {
+    const contract = this.contracts.get(name);
+    if (!contract) {
+      throw new Error(`Contract '${name}' not registered`);
+    }
+    return contract;
+  }
+
+  /**
+   * Get the Interface for a registered ABI
+   * @param {string} name - Contract identifier
+   * @returns {Interface} Parsed contract interface
+   */
+  getInterface(name) {
+    if (!this.interfaces.has(name)) {
+      const abi = this.abis.get(name);
+      if (!abi) {
+        throw new Error(`ABI for contract '${name}' not found`);
+      }
+      this.interfaces.set(name, new Interface(abi));
+    }
+    return this.interfaces.get(name);
+  }
+
+  /**
+   * Load ABIs from Hardhat/Foundry artifacts and hardhat-deploy deployments
+   * Deployed contracts are registered; artifacts without an address only add their ABI
+   * @param {Object} options - root, hardhat, foundry, deployments, network, strict
+   * @returns {Promise<Object>} { loaded, removed, collisions }
+   */
+  async loadArtifacts(options = {}) {
+    const loader = new ArtifactLoader({ network: this.config.network, ...this.config.artifacts, ...options });
+    let result;
+    try {
+      result = await loader.load();
+    } catch (error) {
+      throw new Error(`Artifact loading failed: ${error.message}`);
+    }
+
+    if (options.strict && result.collisions.length > 0) {
+      const names = result.collisions.map(collision => collision.qualifiedNames.join(' / '));
+      throw new Error(`Artifact name collisions: ${names.join(', ')}`);
+    }
+
+    // Forget artifacts that disappeared since the previous load
+    const loadedNames = new Set(result.entries.map(entry => this.getArtifactKey(entry, result.collisions)));
+    const removed = [];
+    for (const name of this.artifacts.keys()) {
+      if (!loadedNames.has(name)) {
+        this.artifacts.delete(name);
+        this.contracts.delete(name);
+        this.abis.delete(name);
+        this.interfaces.delete(name);
+        removed.push(name);
+      }
+    }
+
+    result.entries.forEach(entry => {
+      const name = this.getArtifactKey(entry, result.collisions);
+      this.artifacts.set(name, entry);
+      if (entry.address) {
+        this.registerContract(name, entry.abi, entry.address);
+      } else {
+        this.abis.set(name, entry.abi);
+        this.interfaces.delete(name);
+      }
+    });
+
+    this.artifactCollisions = result.collisions;
+    return { loaded: result.entries.length, removed, collisions: result.collisions };
+  }
+
+  /**
+   * Registry key for a loaded artifact: colliding names use the fully qualified name
+   * @param {Object} entry - Artifact entry
+   * @param {Array} collisions - Detected collisions
+   * @returns {string} Registry key
+   */
+  getArtifactKey(entry, collisions) {
+    const collides = collisions.some(collision => collision.qualifiedNames.includes(entry.qualifiedName));
+    return collides ? entry.qualifiedName : entry.name;
+  }
+
+  /**
+   * Reload artifacts whenever the artifact directories change
+   * @param {Object} options - Same options as loadArtifacts, plus debounce
+   * @param {Function} onReload - Called with the reload result or an error
+   * @returns {Function} Stop watching
+   */
+  watchArtifacts(options = {}, onReload = () => {}) {
+    const loader = new ArtifactLoader({ network: this.config.network, ...this.config.artifacts, ...options });
+    return loader.watch(async () => {
+      try {
+        onReload(null, await this.loadArtifacts(options));
+      } catch (error) {
+        onReload(error);
+      }
+    }, options.debounce);
+  }
+
+  /**
+   * List everything in the contract registry
+   * @returns {Array<Object>} { name, address, source, path, hasBytecode, isProxy }
+   */
+  listContracts() {
+    const names = new Set([...this.abis.keys(), ...this.contracts.keys()]);
+    return Array.from(names).sort().map(name => {
+      const artifact = this.artifacts.get(name);
+      const contract = this.contracts.get(name);
+      return {
+        name,
+        address: contract ? contract.target : null,
+        source: artifact ? artifact.source : 'manual',
+        path: artifact ? artifact.path : null,
+        hasBytecode: Boolean(artifact && artifact.bytecode),
+        isProxy: this.proxies.has(name) && this.proxies.get(name).isProxy
+      };
+    });
+  }
+
+  /**
+   * Generate TypeScript declarations and JS wrappers for registered ABIs
+   * @param {string} outDir - Output directory
+   * @param {Object} options - names to limit generation to some contracts
+   * @returns {Promise<Array<string>>} Written file paths
+   */
+  async generateBindings(outDir, options = {}) {
+    const names = options.names || Array.from(this.abis.keys()).sort();
+    try {
+      return await writeBindings(outDir, names.map(name => {
+        const abi = this.abis.get(name);
+        if (!abi) {
+          throw new Error(`ABI for contract '${name}' not found`);
+        }
+        return { name, abi };
+      }));
+    } catch (error) {
+      throw new Error(`Binding generation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a signer from a keystore, mnemonic, environment variable or remote signing service
+   * allowedContracts in the policy may name registered contracts as well as addresses
+   * @param {Object} spec - Signer spec for SignerFactory.create, with an optional policy
+   * @returns {Promise<ManagedSigner>} Signer connected to the provider
+   */
+  async createSigner(spec) {
+    const policy = spec.policy && spec.policy.allowedContracts
+      ? {
+        ...spec.policy,
+        allowedContracts: spec.policy.allowedContracts.map(entry =>
+          (this.contracts.has(entry) ? this.getContract(entry).target : entry))
+      }
+      : spec.policy;
+    return this.signerFactory.create({ ...spec, policy });
+  }
+
+  /**
+   * Get a signer configured under config.signers, loading it on first use
+   * @param {string} name - Signer name
+   * @returns {Promise<ManagedSigner>} Signer
+   */
+  async getSigner(name) {
+    if (!this.signers.has(name)) {
+      const spec = (this.config.signers || {})[name];
+      if (!spec) {
+        throw new Error(`Signer '${name}' not configured`);
+      }
+      const loading = this.createSigner(spec);
+      this.signers.set(name, loading);
+      loading.catch(() => this.signers.delete(name));
+    }
+    return this.signers.get(name);
+  }
+
+  /**
+   * Connect a signer to a contract for transactions
+   * @param {string} contractName - Contract identifier
+   * @param {Signer} signer - Ethereum signer
+   * @returns {Contract} Contract with signer
+   */
+  connectSigner(contractName, signer) {
+    const contract = this.getContract(contractName);
+    return contract.connect(signer);
+  }
+
+  /**
+   * Estimate gas for a contract transaction
+   * @param {string} contractName - Contract identifier
+   * @param {string} methodName - Method to call
+   * @param {Array} params - Method parameters
+   * @param {Object} overrides - Transaction overrides
+   * @returns {Promise<bigint>} Estimated gas
+   */
+  async estimateGas(contractName, methodName, params = [], overrides = {}) {
+    try {
+      const contract = this.getContract(contractName);
+      const gasEstimate = await contract[methodName].estimateGas(...params, overrides);
+      
+      // Add 20% buffer for safety
+      return gasEstimate * 120n / 100n;
+    } catch (error) {
+      throw this.createRevertError('Gas estimation failed', error);
+    }
+  }
+
+  /**
+   * Estimate the total cost of a contract transaction on Base
+   * Includes the L1 data fee charged for posting the transaction to Ethereum
+   * @param {string} contractName - Contract identifier
+   * @param {string} methodName - Method to call
+   * @param {Array} params - Method parameters
+   * @param {Object} options - Transaction overrides plus ethPriceUsd for USD values
+   * @returns {Promise<Object>} { gasLimit, gasUsed, l2ExecutionFee, l1DataFee, totalFee, usd }
+   *   where fees are priced at the unpadded gasUsed and gasLimit carries the 20% buffer
+   */
+  async estimateTransactionFee(contractName, methodName, params = [], options = {}) {
+    try {
+      const { ethPriceUsd, ...overrides } = options;
+      const contract = this.getContract(contractName);
+      const gasUsed = await contract[methodName].estimateGas(...params, overrides)
+        .catch((error) => { throw this.createRevertError('Gas estimation failed', error); });
+      const gasLimit = overrides.gasLimit || gasUsed * 120n / 100n;
+      const tx = await contract[methodName].populateTransaction(...params, { ...overrides, gasLimit });
+
+      return await this.feeEstimator.estimate(tx, { ethPriceUsd, gasUsed });
+    } catch (error) {
+      throw new Error(`Fee estimation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Execute a read-only contract call
+   * @param {string} contractName - Contract identifier
+   * @param {string} methodName - Method to call
+   * @param {Array} params - Method parameters
+   * @param {Object} options - Call options (blockTag)
+   * @returns {Promise<any>} Call result
+   */
+  async call(contractName, methodName, params = [], options = {}) {
+    try {
+      if (this.callCache) {
+        return await this.cachedCall(contractName, methodName, params, options.blockTag);
+      }
+      const contract = this.getContract(contractName);
+      const overrides = options.blockTag !== undefined ? [{ blockTag: options.blockTag }] : [];
+      return await contract[methodName](...params, ...overrides);
+    } catch (error) {
+      throw new Error(`Contract call failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Execute a read-only call through the call cache
+   * @param {string} contractName - Contract identifier
+   * @param {string} methodName - Method to call
+   * @param {Array} params - Method parameters
+   * @param {string|number} blockTag - Block number or tag
+   * @returns {Promise<any>} Decoded call result
+   */
+  async cachedCall(contractName, methodName, params, blockTag) {
+    const contract = this.getContract(contractName);
+    const iface = this.getInterface(contractName);
+    const fragment = iface.getFunction(methodName, params);
+    const data = iface.encodeFunctionData(fragment, params);
+
+    const returnData = await this.callCache.read(
+      { contractName, methodName, to: contract.target, data, blockTag },
+      (readTag) => this.provider.call({ to: contract.target, data, blockTag: readTag })
+    );
+    const decoded = iface.decodeFunctionResult(fragment, returnData);
+    return decoded.length === 1 ? decoded[0] : decoded;
+  }
+
+  /**
+   * Get call cache hit/miss statistics
+   * @returns {Object|null} Stats, or null when caching is disabled
+   */
+  getCacheStats() {
+    return this.callCache ? this.callCache.getStats() : null;
+  }
+
+  /**
+   * Get a read-only view pinned to one block
+   * call, batchCalls, getStorageAt and getEvents on the view all read the same block
+   * and return { result, blockNumber, blockHash, timestamp }
+   * @param {string|number} blockTag - Block number or tag, resolved once to a number
+   * @returns {Promise<BlockSnapshot>} Pinned view
+   */
+  async snapshot(blockTag = 'latest') {
+    const block = await this.provider.getBlock(blockTag);
+    if (!block) {
+      throw new Error(`Snapshot failed: block ${blockTag} not found`);
+    }
+    return new BlockSnapshot(this, block);
+  }
+
+  /**
+   * Execute a read-only contract call that several RPC endpoints must agree on
+   * Use for critical reads such as balances checked before large trades
+   * @param {string} contractName - Contract identifier
+   * @param {string} methodName - Method to call
+   * @param {Array} params - Method parameters
+   * @param {Object} options - Quorum options ({ quorum })
+   * @returns {Promise<any>} Call result
+   */
+  async quorumCall(contractName, methodName, params = [], options = {}) {
+    try {
+      const contract = this.getContract(contractName);
+      return await this.providerPool.quorumRead(
+        (provider) => contract.connect(provider)[methodName](...params),
+        options
+      );
+    } catch (error) {
+      throw new Error(`Quorum call failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get an account balance that several RPC endpoints must agree on
+   * @param {string} address - Account address
+   * @param {Object} options - Quorum options ({ quorum })
+   * @returns {Promise<bigint>} Balance in wei
+   */
+  async quorumGetBalance(address, options = {}) {
+    return this.providerPool.quorumRead((provider) => provider.getBalance(address), options);
+  }
+
+  /**
+   * Get health and latency of every configured RPC endpoint
+   * @param {Object} options - Pass { refresh: true } to ping endpoints first
+   * @returns {Promise<Array>} Endpoint health records
+   */
+  async getProviderHealth(options = {}) {
+    if (options.refresh) {
+      return this.providerPool.checkHealth();
+    }
+    return this.providerPool.getHealth();
+  }
+
+  /**
+   * Execute a contract transaction
+   * @param {string} contractName - Contract identifier
+   * @param {string} methodName - Method to call
+   * @param {Array|Function} params - Method parameters, or (signedPermit) => parameters when permit is set
+   * @param {Signer} signer - Transaction signer
+   * @param {Object} options - Transaction options; autoBump enables scheduled fee bumps (with a timeout),
+   *   permit signs a permit and appends it to params instead of a separate approval tx
+   * @returns {Promise<Object>} Transaction result
+   */
+  async executeTransaction(contractName, methodName, params = [], signer, options = {}) {
+    try {
+      const { autoBump, permit, ...txOverrides } = options;
+      let signedPermit = null;
+      if (permit) {
+        ({ params, signedPermit } = await this.attachPermit(contractName, params, signer, permit));
+      }
+
+      if (autoBump) {
+        const tracked = await this.sendTransaction(contractName, methodName, params, signer, txOverrides);
+        const result = await tracked.autoBump(autoBump === true ? {} : autoBump);
+        // Fail like tx.wait() does: a reverted or cancelled call did not happen
+        if (result.cancelled) {
+          throw new Error(`nonce ${result.nonce} was cancelled by ${result.hash}`);
+        }
+        if (result.status !== 1) {
+          throw Object.assign(new Error(`transaction ${result.hash} reverted`), { receipt: result.receipt });
+        }
+        return signedPermit ? { ...result, permit: signedPermit } : result;
+      }
+
+      const contract = this.connectSigner(contractName, signer);
+      const txOptions = await this.buildTransactionOptions(contractName, methodName, params, txOverrides);
+      
+      const tx = await this.sendWithNonce(signer, txOptions, (sendOptions) =>
+        contract[methodName](...params, sendOptions)
+      );
+      const receipt = await this.waitForReceipt(tx);
+      
+      return {
+        hash: tx.hash,
+        receipt,
+        gasUsed: receipt.gasUsed,
+        effectiveGasPrice: receipt.effectiveGasPrice,
+        status: receipt.status,
+        ...(signedPermit ? { permit: signedPermit } : {})
+      };
+    } catch (error) {
+      throw this.createRevertError('Transaction failed', error);
+    }
+  }
+
+  /**
+   * Sign a permit and add it to a call's arguments
+   * @param {string} contractName - Contract being called, the default spender
+   * @param {Array|Function} params - Call arguments, or (signedPermit) => arguments
+   * @param {Signer} signer - Token owner
+   * @param {Object} permit - Permit request for signPermit, or an already signed permit
+   * @returns {Promise<Object>} { params, signedPermit }
+   */
+  async attachPermit(contractName, params, signer, permit) {
+    const signedPermit = permit.signature
+      ? permit
+      : await this.signPermit(signer, { spender: this.getContract(contractName).target, ...permit });
+
+    if (typeof params === 'function') {
+      return { params: await params(signedPermit), signedPermit };
+    }
+    return { params: [...params, ...toPermitArgs(signedPermit)], signedPermit };
+  }
+
+  /**
+   * Build and sign an EIP-2612 or Permit2 permit
+   * @param {Signer} signer - Token owner
+   * @param {Object} request - { type, token, spender, value/amount, deadline, ... }; owner defaults to the signer
+   * @returns {Promise<Object>} Signed permit with domain, types, message, signature, v, r, s
+   */
+  async signPermit(signer, request) {
+    try {
+      const owner = request.owner || await signer.getAddress();
+      const payload = await this.permits.build({ ...request, owner });
+      return await this.permits.sign(signer, payload);
+    } catch (error) {
+      throw new Error(`Permit signing failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Verify an EIP-712 signature, including ERC-1271 contract wallets
+   * @param {Object} payload - { domain, types, message }
+   * @param {string} signature - Signature
+   * @param {string} expectedSigner - Expected signer address
+   * @returns {Promise<Object>} { valid, signer, method }
+   */
+  async verifyTypedSignature(payload, signature, expectedSigner) {
+    return this.permits.verify(payload, signature, expectedSigner);
+  }
+
+  /**
+   * Deploy a contract from artifact bytecode and register it
+   * Deployments are recorded in a per-network manifest; rerunning with the same
+   * init code, method and salt returns the recorded deployment instead of deploying again
+   * @param {Object|string} contractData - { name, abi, bytecode, args } or the name of a loaded artifact
+   * @param {Signer} signer - Deployer
+   * @param {Object} options - args, create2, salt, force, manifestPath, register, gasLimit
+   * @returns {Promise<Object>} { name, address, hash, receipt, gasUsed, status, method, salt, reused }
+   */
+  async deployContract(contractData, signer, options = {}) {
+    // Serialize deployments so manifest updates and nonces do not interleave
+    const deployment = this.deployQueue.then(() => this.runDeployment(contractData, signer, options));
+    this.deployQueue = deployment.catch(() => {});
+    return deployment;
+  }
+
+  async runDeployment(contractData, signer, options) {
+    const { name, abi, bytecode, args } = this.resolveDeployment(contractData, options);
+    const method = options.create2 || options.salt !== undefined ? 'create2' : 'create';
+    const initCode = buildInitCode(abi, bytecode, args);
+    const initCodeHash = ethers.keccak256(initCode);
+    const salt = method === 'create2' ? toSalt(options.salt) : null;
+
+    let manifest;
+    try {
+      manifest = await DeploymentManifest.load(this.getManifestPath(options), {
+        network: this.config.network,
+        chainId: this.config.chainId
+      });
+    } catch (error) {
+      throw new Error(`Deployment failed: ${error.message}`);
+    }
+
+    const finish = async (record) => {
+      if (!await this.isContract(record.address)) {
+        throw new Error(`Deployment failed: no code at ${record.address}`);
+      }
+      if (options.register !== false) {
+        this.registerContract(name, abi, record.address);
+      }
+      if (!record.reused) {
+        manifest.set(name, {
+          address: record.address,
+          transactionHash: record.hash,
+          blockNumber: record.receipt ? record.receipt.blockNumber : null,
+          method,
+          salt,
+          deployer: method === 'create2' ? this.config.deterministicDeployer : record.from,
+          initCodeHash,
+          args,
+          deployedAt: new Date().toISOString()
+        });
+        await manifest.save();
+      }
+      return { name, ...record, method, salt };
+    };
+
+    const deployer = this.config.deterministicDeployer;
+    const create2Address = method === 'create2' ? computeCreate2Address(initCode, salt, deployer) : null;
+
+    // Reuse only a deployment made the same way: same init code, method and salt (and so address)
+    const recorded = manifest.get(name);
+    const sameDeployment = recorded && recorded.initCodeHash === initCodeHash &&
+      recorded.method === method && (recorded.salt ?? null) === salt &&
+      (method === 'create' || recorded.address === create2Address);
+    if (sameDeployment && !options.force && await this.isContract(recorded.address)) {
+      return finish({ address: recorded.address, hash: recorded.transactionHash, receipt: null, reused: true });
+    }
+
+    if (method === 'create2') {
+      const address = create2Address;
+      if (await this.isContract(address)) {
+        // Deployed earlier, possibly by someone else; record it without a transaction
+        return finish({ address, hash: null, receipt: null, reused: false });
+      }
+      if (!await this.isContract(deployer)) {
+        throw new Error(`Deployment failed: deterministic deployer ${deployer} is not deployed on this chain`);
+      }
+      const sent = await this.sendDeployment(signer, { to: deployer, data: ethers.concat([salt, initCode]) }, options);
+      return finish({ address, ...sent, reused: false });
+    }
+
+    const sent = await this.sendDeployment(signer, { data: initCode }, options);
+    return finish({ address: sent.receipt.contractAddress, ...sent, reused: false });
+  }
+
+  /**
+   * Resolve deployment inputs from explicit data or a loaded artifact
+   * @param {Object|string} contractData - Deployment data or artifact name
+   * @param {Object} options - args override
+   * @returns {Object} { name, abi, bytecode, args }
+   */
+  resolveDeployment(contractData, options) {
+    const data = typeof contractData === 'string' ? { name: contractData } : { ...contractData };
+    const artifact = this.artifacts.get(data.name);
+    const abi = data.abi || (artifact && artifact.abi);
+    const bytecode = data.bytecode || (artifact && artifact.bytecode);
+
+    if (!data.name || !abi || !bytecode) {
+      throw new Error(`Deployment failed: '${data.name}' needs a name, ABI and bytecode or a loaded artifact`);
+    }
+    return { name: data.name, abi, bytecode, args: options.args || data.args || [] };
+  }
+
+  getManifestPath(options = {}) {
+    return options.manifestPath || this.config.deploymentManifest ||
+      path.join('deployments', this.config.network, '.manifest.json');
+  }
+
+  /**
+   * Send a deployment transaction and wait for it
+   * @returns {Promise<Object>} { hash, from, receipt, gasUsed, status }
+   */
+  async sendDeployment(signer, transaction, options) {
+    try {
+      const request = {
+        ...transaction,
+        maxFeePerGas: options.maxFeePerGas || this.config.maxFeePerGas,
+        maxPriorityFeePerGas: options.maxPriorityFeePerGas || this.config.maxPriorityFeePerGas,
+        ...(options.gasLimit ? { gasLimit: options.gasLimit } : {})
+      };
+      const tx = await this.sendWithNonce(signer, request, (sendRequest) => signer.sendTransaction(sendRequest));
+      const receipt = await this.waitForReceipt(tx);
+
+      if (receipt.status !== 1) {
+        throw new Error(`transaction ${tx.hash} reverted`);
+      }
+      return { hash: tx.hash, from: tx.from, receipt, gasUsed: receipt.gasUsed, status: receipt.status };
+    } catch (error) {
+      throw this.createRevertError('Deployment failed', error);
+    }
+  }
+
+  /**
+   * Precompute the address a CREATE2 deployment will get
+   * @param {Object|string} contractData - Deployment data or artifact name
+   * @param {Object} options - args, salt
+   * @returns {string} Contract address
+   */
+  predictDeploymentAddress(contractData, options = {}) {
+    const { abi, bytecode, args } = this.resolveDeployment(contractData, options);
+    return computeCreate2Address(buildInitCode(abi, bytecode, args), options.salt, this.config.deterministicDeployer);
+  }
+
+  /**
+   * Get the transaction builder for a Safe
+   * @param {string} safeAddress - Safe address
+   * @returns {SafeTransactionBuilder} Builder
+   */
+  getSafe(safeAddress) {
+    const key = safeAddress.toLowerCase();
+    if (!this.safes.has(key)) {
+      this.safes.set(key, new SafeTransactionBuilder(this.provider, safeAddress, {
+        network: this.network,
+        multiSendAddress: this.config.multiSendAddress
+      }));
+    }
+    return this.safes.get(key);
+  }
+
+  /**
+   * Turn calls into a Safe transaction; several calls are batched with MultiSend
+   * @param {string} safeAddress - Safe address
+   * @param {Array<Object>} calls - Calls for encodeCall
+   * @param {Object} options - nonce, safeTxGas, baseGas, gasPrice, gasToken, refundReceiver
+   * @returns {Promise<Object>} Safe transaction with safeTxHash and an empty signatures map
+   */
+  async createSafeTransaction(safeAddress, calls, options = {}) {
+    try {
+      const safe = this.getSafe(safeAddress);
+      const info = await safe.getInfo();
+      const safeTx = await safe.buildTransaction(calls.map(call => this.encodeCall(call)), {
+        nonce: info.nonce,
+        ...options
+      });
+      return { ...safeTx, safeTxHash: safe.getTransactionHash(safeTx) };
+    } catch (error) {
+      throw new Error(`Safe transaction failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Sign a Safe transaction as one of its owners and add the signature
+   * @param {string} safeAddress - Safe address
+   * @param {Object} safeTx - Safe transaction
+   * @param {Signer} signer - Owner
+   * @returns {Promise<Object>} Safe transaction including the new signature
+   */
+  async signSafeTransaction(safeAddress, safeTx, signer) {
+    const { owner, signature } = await this.getSafe(safeAddress).sign(safeTx, signer);
+    return this.addSafeSignature(safeAddress, safeTx, signature, owner);
+  }
+
+  /**
+   * Add a signature collected from another owner after checking who signed it
+   * @param {string} safeAddress - Safe address
+   * @param {Object} safeTx - Safe transaction
+   * @param {string} signature - EIP-712 or eth_sign signature
+   * @param {string} expectedOwner - Optional owner the signature should come from
+   * @returns {Object} Safe transaction including the signature
+   */
+  addSafeSignature(safeAddress, safeTx, signature, expectedOwner = null) {
+    const owner = this.getSafe(safeAddress).recoverSigner(safeTx, signature);
+    if (expectedOwner && owner !== ethers.getAddress(expectedOwner)) {
+      throw new Error(`Safe transaction failed: signature is from ${owner}, not ${expectedOwner}`);
+    }
+    return { ...safeTx, signatures: { ...safeTx.signatures, [owner]: signature } };
+  }
+
+  /**
+   * Execute a Safe transaction once enough owners have signed
+   * An executing owner without a signature is counted through a pre-validated signature
+   * @param {string} safeAddress - Safe address
+   * @param {Object} safeTx - Signed Safe transaction
+   * @param {Signer} signer - Account submitting execTransaction
+   * @param {Object} options - Transaction overrides
+   * @returns {Promise<Object>} executeTransaction result plus safeTxHash and success
+   */
+  async executeSafeTransaction(safeAddress, safeTx, signer, options = {}) {
+    const safe = this.getSafe(safeAddress);
+    try {
+      const info = await safe.getInfo();
+      if (BigInt(info.nonce) !== BigInt(safeTx.nonce)) {
+        throw new Error(`Safe nonce is ${info.nonce}, transaction nonce is ${safeTx.nonce}`);
+      }
+
+      const owners = new Set(info.owners.map(owner => owner.toLowerCase()));
+      const signatures = {};
+      Object.entries(safeTx.signatures || {}).forEach(([owner, signature]) => {
+        if (owners.has(owner.toLowerCase())) signatures[owner] = signature;
+      });
+      const executor = await signer.getAddress();
+      if (owners.has(executor.toLowerCase()) && !signatures[executor]) {
+        signatures[executor] = SafeTransactionBuilder.approvedHashSignature(executor);
+      }
+
+      const count = Object.keys(signatures).length;
+      if (count < info.threshold) {
+        throw new Error(`${count} of ${info.threshold} required owner signatures`);
+      }
+
+      const contract = safe.contract.connect(signer);
+      const args = [
+        safeTx.to, safeTx.value, safeTx.data, safeTx.operation, safeTx.safeTxGas,
+        safeTx.baseGas, safeTx.gasPrice, safeTx.gasToken, safeTx.refundReceiver,
+        SafeTransactionBuilder.combineSignatures(signatures)
+      ];
+      const txOptions = {
+        maxFeePerGas: this.config.maxFeePerGas,
+        maxPriorityFeePerGas: this.config.maxPriorityFeePerGas,
+        ...options
+      };
+
+      const tx = await this.sendWithNonce(signer, txOptions, (sendOptions) =>
+        contract.execTransaction(...args, sendOptions)
+      );
+      const receipt = await this.waitForReceipt(tx);
+
+      const events = receipt.logs
+        .filter(log => log.address.toLowerCase() === safe.address.toLowerCase())
+        .map(log => safe.contract.interface.parseLog(log))
+        .filter(Boolean);
+
+      return {
+        hash: tx.hash,
+        receipt,
+        gasUsed: receipt.gasUsed,
+        effectiveGasPrice: receipt.effectiveGasPrice,
+        status: receipt.status,
+        safeTxHash: safe.getTransactionHash(safeTx),
+        // With safeTxGas set, a reverted inner call still mines and emits ExecutionFailure
+        success: events.some(event => event.name === 'ExecutionSuccess')
+      };
+    } catch (error) {
+      throw this.createRevertError('Safe transaction failed', error);
+    }
   }
 
   /**
-   * Register a contract ABI for future use
-   * @param {string} name - Contract identifier
-   * @param {Array} abi - Contract ABI
-   * @param {string} address - Contract address
+   * Export calls as a Safe Transaction Builder batch file
+   * @param {string} safeAddress - Safe address
+   * @param {Array<Object>} calls - Calls for encodeCall
+   * @param {Object} meta - name, description, createdFromOwnerAddress
+   * @returns {Object} Batch file
    */
-  registerContract(name, abi, address) {
-    this.abis.set(name, abi);
-    const contract = new Contract(address, abi, this.provider);
-    this.contracts.set(name, contract);
-    return contract;
+  exportSafeBatch(safeAddress, calls, meta = {}) {
+    return this.getSafe(safeAddress).exportBatch(calls.map(call => {
+      const encoded = this.encodeCall(call);
+      if (!call.contractName) {
+        return encoded;
+      }
+      const fragment = this.getInterface(call.contractName).getFunction(call.methodName);
+      return { ...encoded, fragment, args: call.params || [] };
+    }), meta);
   }
 
   /**
-   * Get a registered contract instance
-   * @param {string} name - Contract identifier
-   * @returns {Contract} Contract instance
+   * Read calls from a Safe Transaction Builder batch file
+   * @param {string} safeAddress - Safe address
+   * @param {Object|string} batch - Batch file or its JSON
+   * @returns {Array<Object>} { to, value, data } calls for createSafeTransaction
    */
-  getContract(name) {
-    const contract = this.contracts.get(name);
-    if (!contract) {
-      throw new Error(`Contract '${name}' not registered`);
+  importSafeBatch(safeAddress, batch) {
+    try {
+      return this.getSafe(safeAddress).importBatch(batch);
+    } catch (error) {
+      throw new Error(`Safe batch import failed: ${error.message}`);
     }
-    return contract;
   }
 
   /**
-   * Connect a signer to a contract for transactions
-   * @param {string} contractName - Contract identifier
-   * @param {Signer} signer - Ethereum signer
-   * @returns {Contract} Contract with signer
+   * Encode a registered contract call as { to, value, data }
+   * @param {Object} call - { contractName, methodName, params, value } or raw { to, data, value }
+   * @returns {Object} Encoded call
    */
-  connectSigner(contractName, signer) {
-    const contract = this.getContract(contractName);
-    return contract.connect(signer);
+  encodeCall(call) {
+    if (!call.contractName) {
+      return { to: call.to, value: BigInt(call.value || 0), data: call.data || '0x' };
+    }
+    return {
+      to: this.getContract(call.contractName).target,
+      value: BigInt(call.value || 0),
+      data: this.getInterface(call.contractName).encodeFunctionData(call.methodName, call.params || [])
+    };
   }
 
   /**
-   * Estimate gas for a contract transaction
-   * @param {string} contractName - Contract identifier
-   * @param {string} methodName - Method to call
-   * @param {Array} params - Method parameters
-   * @param {Object} overrides - Transaction overrides
-   * @returns {Promise<bigint>} Estimated gas
+   * Build an ERC-4337 v0.7 user operation with gas fields estimated by the bundler
+   * @param {Array<Object>} calls - Calls for encodeCall; several calls use executeBatch
+   * @param {Object} options - sender (smart account), nonceKey, factory, paymaster and gas overrides
+   * @returns {Promise<Object>} Unsigned user operation
    */
-  async estimateGas(contractName, methodName, params = [], overrides = {}) {
+  async buildUserOperation(calls, options = {}) {
+    if (!options.sender) {
+      throw new Error('User operation failed: sender smart account address is required');
+    }
     try {
-      const contract = this.getContract(contractName);
-      const gasEstimate = await contract[methodName].estimateGas(...params, overrides);
-      
-      // Add 20% buffer for safety
-      return gasEstimate * 120n / 100n;
+      const userOp = await this.userOperations.build({ ...options, calls: calls.map(call => this.encodeCall(call)) });
+      return await this.userOperations.estimateGas(userOp);
     } catch (error) {
-      throw new Error(`Gas estimation failed: ${error.message}`);
+      throw this.createRevertError('User operation failed', error);
     }
   }
 
   /**
-   * Execute a read-only contract call
+   * Build, sign and submit a user operation, then wait for it to be included
+   * @param {Array<Object>} calls - Calls for encodeCall
+   * @param {Signer} signer - Smart account owner
+   * @param {Object} options - buildUserOperation options plus timeout
+   * @returns {Promise<Object>} Same shape as executeTransaction, plus userOpHash, success and actualGasCost
+   */
+  async executeUserOperation(calls, signer, options = {}) {
+    const { timeout, ...buildOptions } = options;
+    const unsigned = await this.buildUserOperation(calls, buildOptions);
+
+    try {
+      const { userOp } = await this.userOperations.sign(unsigned, signer);
+      const userOpHash = await this.userOperations.send(userOp);
+      return await this.waitForUserOperation(userOpHash, { timeout });
+    } catch (error) {
+      throw this.createRevertError('User operation failed', error);
+    }
+  }
+
+  /**
+   * Poll the bundler for a user operation receipt
+   * @param {string} userOpHash - userOpHash
+   * @param {Object} options - timeout, pollInterval
+   * @returns {Promise<Object>} { hash, receipt, gasUsed, effectiveGasPrice, status, userOpHash, success, actualGasCost }
+   */
+  async waitForUserOperation(userOpHash, options = {}) {
+    const opReceipt = await this.userOperations.waitForReceipt(userOpHash, options);
+    const transactionHash = opReceipt.receipt.transactionHash;
+    const receipt = await this.provider.getTransactionReceipt(transactionHash);
+    const gasUsed = BigInt(opReceipt.actualGasUsed);
+    const actualGasCost = BigInt(opReceipt.actualGasCost);
+
+    return {
+      hash: transactionHash,
+      receipt,
+      gasUsed,
+      effectiveGasPrice: gasUsed > 0n ? actualGasCost / gasUsed : 0n,
+      // The bundle transaction succeeds even when the operation's execution reverts
+      status: opReceipt.success ? 1 : 0,
+      userOpHash,
+      success: opReceipt.success,
+      actualGasCost,
+      reason: opReceipt.reason || null
+    };
+  }
+
+  /**
+   * Broadcast a contract transaction without waiting for it to mine
+   * The returned TrackedTransaction supports speedUp, cancel, wait and autoBump
    * @param {string} contractName - Contract identifier
    * @param {string} methodName - Method to call
    * @param {Array} params - Method parameters
-   * @returns {Promise<any>} Call result
+   * @param {Signer} signer - Transaction signer
+   * @param {Object} options - Transaction options
+   * @returns {Promise<TrackedTransaction>} Tracked transaction
    */
-  async call(contractName, methodName, params = []) {
+  async sendTransaction(contractName, methodName, params = [], signer, options = {}) {
     try {
-      const contract = this.getContract(contractName);
-      return await contract[methodName](...params);
+      const contract = this.connectSigner(contractName, signer);
+      const txOptions = await this.buildTransactionOptions(contractName, methodName, params, options);
+      const request = await contract[methodName].populateTransaction(...params, txOptions);
+      request.chainId = request.chainId || BigInt(this.config.chainId);
+      request.type = 2;
+
+      const tx = await this.sendWithNonce(signer, request, (sendRequest) =>
+        signer.sendTransaction(sendRequest)
+      );
+
+      return new TrackedTransaction(signer, { ...request, nonce: tx.nonce }, tx, {
+        pollInterval: this.config.pollInterval,
+        onSettled: () => this.nonceManager.confirm(tx.from, tx.nonce),
+        // Another transaction took the nonce, so it is no longer in flight for us
+        onConsumed: () => this.nonceManager.confirm(tx.from, tx.nonce)
+      });
     } catch (error) {
-      throw new Error(`Contract call failed: ${error.message}`);
+      throw this.createRevertError('Transaction failed', error);
     }
   }
 
   /**
-   * Execute a contract transaction
+   * Fill in gas limit and Base fee defaults for a transaction
    * @param {string} contractName - Contract identifier
    * @param {string} methodName - Method to call
    * @param {Array} params - Method parameters
-   * @param {Signer} signer - Transaction signer
    * @param {Object} options - Transaction options
-   * @returns {Promise<Object>} Transaction result
+   * @returns {Promise<Object>} Transaction options
    */
-  async executeTransaction(contractName, methodName, params = [], signer, options = {}) {
+  async buildTransactionOptions(contractName, methodName, params, options) {
+    // Estimate gas if not provided
+    const gasLimit = options.gasLimit || await this.estimateGas(contractName, methodName, params, options);
+
+    // Set default gas prices for Base
+    return {
+      maxFeePerGas: this.config.maxFeePerGas,
+      maxPriorityFeePerGas: this.config.maxPriorityFeePerGas,
+      ...options,
+      gasLimit
+    };
+  }
+
+  /**
+   * Broadcast through the per-signer nonce queue
+   * Explicit nonces in the options bypass the queue
+   * @param {Signer} signer - Transaction signer
+   * @param {Object} txOptions - Transaction options
+   * @param {Function} send - async (options) => TransactionResponse
+   * @returns {Promise<Object>} Transaction response
+   */
+  async sendWithNonce(signer, txOptions, send) {
+    if (!this.config.manageNonces || txOptions.nonce !== undefined) {
+      return send(txOptions);
+    }
+
+    const address = await signer.getAddress();
+    return this.nonceManager.enqueue(address, (nonce) => send({ ...txOptions, nonce }));
+  }
+
+  /**
+   * Wait for a transaction and release its nonce once it has a receipt
+   * A reverted transaction still consumes its nonce, so it is confirmed before the error propagates
+   * @param {Object} tx - Transaction response
+   * @returns {Promise<Object>} Receipt
+   */
+  async waitForReceipt(tx) {
+    let receipt = null;
     try {
-      const contract = this.connectSigner(contractName, signer);
-      
-      // Estimate gas if not provided
-      if (!options.gasLimit) {
-        options.gasLimit = await this.estimateGas(contractName, methodName, params, options);
+      receipt = await tx.wait();
+      return receipt;
+    } catch (error) {
+      receipt = error.receipt || null;
+      throw error;
+    } finally {
+      if (receipt) {
+        this.nonceManager.confirm(tx.from, tx.nonce);
       }
-      
-      // Set default gas prices for Base
-      const txOptions = {
-        maxFeePerGas: this.config.maxFeePerGas,
-        maxPriorityFeePerGas: this.config.maxPriorityFeePerGas,
-        ...options
-      };
-      
-      const tx = await contract[methodName](...params, txOptions);
-      const receipt = await tx.wait();
-      
-      return {
-        hash: tx.hash,
-        receipt,
-        gasUsed: receipt.gasUsed,
-        effectiveGasPrice: receipt.effectiveGasPrice,
-        status: receipt.status
-      };
+    }
+  }
+
+  /**
+   * Get nonce queue state
+   * @param {string} address - Optional signer address
+   * @returns {Object|Array} Queue state for one or all signers
+   */
+  getNonceQueueState(address) {
+    return this.nonceManager.getQueueState(address);
+  }
+
+  /**
+   * Batch multiple contract calls through Multicall3
+   * Falls back to one eth_call per entry when Multicall3 is not deployed
+   * @param {Array} calls - Array of { contract, method, params, allowFailure } objects
+   * @param {Object} options - Batch options (chunkSize, blockTag)
+   * @returns {Promise<Array>} Array of results
+   */
+  async batchCalls(calls, options = {}) {
+    if (calls.length === 0) {
+      return [];
+    }
+
+    if (!(await this.multicall.isAvailable())) {
+      return this.batchCallsIndividually(calls, options.blockTag);
+    }
+
+    const chunkSize = options.chunkSize || this.config.multicallChunkSize;
+    let blockTag = options.blockTag || 'latest';
+
+    // Pin every chunk to the same block so results are consistent
+    if (calls.length > chunkSize && blockTag === 'latest') {
+      blockTag = await this.provider.getBlockNumber();
+    }
+
+    const results = [];
+    for (let i = 0; i < calls.length; i += chunkSize) {
+      const chunk = calls.slice(i, i + chunkSize);
+      results.push(...await this.executeMulticallChunk(chunk, blockTag));
+    }
+
+    return results;
+  }
+
+  /**
+   * Execute one chunk of calls as a single aggregate3 request
+   * @param {Array} calls - Array of call objects
+   * @param {string|number} blockTag - Block number or tag
+   * @returns {Promise<Array>} Array of results
+   */
+  async executeMulticallChunk(calls, blockTag) {
+    const results = new Array(calls.length);
+    const encoded = [];
+
+    calls.forEach((call, index) => {
+      try {
+        const contract = this.getContract(call.contract);
+        const iface = this.getInterface(call.contract);
+        encoded.push({
+          index,
+          target: contract.target,
+          allowFailure: call.allowFailure !== false,
+          callData: iface.encodeFunctionData(call.method, call.params || [])
+        });
+      } catch (error) {
+        results[index] = { success: false, error: error.message, call };
+      }
+    });
+
+    if (encoded.length > 0) {
+      let responses;
+      try {
+        responses = await this.multicall.aggregate3(encoded, blockTag);
+      } catch (error) {
+        // A call with allowFailure: false reverted the whole aggregate
+        encoded.forEach(({ index }) => {
+          results[index] = { success: false, error: `Multicall failed: ${error.message}`, call: calls[index] };
+        });
+        return results;
+      }
+
+      encoded.forEach(({ index }, i) => {
+        results[index] = this.decodeMulticallResult(calls[index], responses[i]);
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Decode a single aggregate3 return entry
+   * @param {Object} call - Original call object
+   * @param {Object} response - { success, returnData } from Multicall3
+   * @returns {Object} Batch call result
+   */
+  decodeMulticallResult(call, response) {
+    if (!response.success) {
+      return { success: false, error: 'Call reverted', returnData: response.returnData, call };
+    }
+
+    try {
+      const decoded = this.getInterface(call.contract).decodeFunctionResult(call.method, response.returnData);
+      const result = decoded.length === 1 ? decoded[0] : decoded;
+      return { success: true, result, call };
     } catch (error) {
-      throw new Error(`Transaction failed: ${error.message}`);
+      return { success: false, error: `Result decode failed: ${error.message}`, call };
     }
   }
 
   /**
-   * Batch multiple contract calls
+   * Batch calls with one eth_call per entry
    * @param {Array} calls - Array of call objects
+   * @param {string|number} blockTag - Block number or tag
    * @returns {Promise<Array>} Array of results
    */
-  async batchCalls(calls) {
+  async batchCallsIndividually(calls, blockTag) {
+    const options = blockTag !== undefined ? [{ blockTag }] : [];
     const promises = calls.map(async (call) => {
       try {
-        const result = await this.call(call.contract, call.method, call.params);
+        const result = await this.call(call.contract, call.method, call.params, ...options);
         return { success: true, result, call };
       } catch (error) {
         return { success: false, error: error.message, call };
@@ -155,52 +1344,141 @@ class SmartContractUtils {
 
   /**
    * Monitor contract events
+   * Logs are delivered once they have `confirmations` blocks on top, as plain objects
+   * with named args. Logs later dropped by a reorg are delivered again with removed: true.
+   * With resume (or a checkpointKey) progress is persisted and a restart backfills missed logs.
    * @param {string} contractName - Contract identifier
    * @param {string} eventName - Event name
    * @param {Function} callback - Event callback
    * @param {Object} filter - Event filter
+   * @param {Object} options - confirmations, resume, checkpointKey, fromBlock, pollInterval, onError
    * @returns {Function} Cleanup function
    */
-  monitorEvents(contractName, eventName, callback, filter = {}) {
+  monitorEvents(contractName, eventName, callback, filter = {}, options = {}) {
     const contract = this.getContract(contractName);
-    const eventFilter = contract.filters[eventName](...Object.values(filter));
-    
-    contract.on(eventFilter, callback);
+    const persistent = Boolean(options.resume || options.checkpointKey);
+
+    // Without persistence, track progress in memory only for this subscription
+    const indexer = persistent
+      ? this.eventIndexer
+      : new EventIndexer(this.provider, { ...this.eventIndexer.config, store: new MemoryCheckpointStore() });
+
+    const filterArgs = Object.values(filter);
+    const subscription = new EventSubscription(indexer, contract, eventName, callback, {
+      ...options,
+      filterArgs,
+      // Monitors with different filters see different logs, so each keeps its own checkpoint
+      checkpointKey: options.checkpointKey || `${this.getCheckpointKey(contractName, eventName, filterArgs)}:monitor`,
+      pollInterval: options.pollInterval || this.config.pollInterval
+    });
+    subscription.start();
     
     // Return cleanup function
-    return () => contract.off(eventFilter, callback);
+    return () => subscription.stop();
   }
 
   /**
    * Get historical events
+   * Queries in pages that shrink when the RPC rejects a range; with resume: true
+   * progress is checkpointed per contract, event and filter and the next call continues from it
    * @param {string} contractName - Contract identifier
    * @param {string} eventName - Event name
-   * @param {Object} options - Query options
+   * @param {Object} options - Query options (fromBlock, toBlock, filterArgs, resume, checkpointKey, onBatch)
    * @returns {Promise<Array>} Event logs
    */
   async getEvents(contractName, eventName, options = {}) {
     try {
       const contract = this.getContract(contractName);
-      const filter = contract.filters[eventName]();
-      
-      const events = await contract.queryFilter(
-        filter,
-        options.fromBlock || -10000, // Last ~10k blocks
-        options.toBlock || 'latest'
-      );
+      const checkpointKey = options.checkpointKey ||
+        (options.resume ? this.getCheckpointKey(contractName, eventName, options.filterArgs) : null);
+
+      const { events } = await this.eventIndexer.index(contract, eventName, {
+        fromBlock: options.fromBlock ?? -10000, // Last ~10k blocks
+        toBlock: options.toBlock || 'latest',
+        filterArgs: options.filterArgs,
+        checkpointKey,
+        onBatch: options.onBatch
+      });
       
-      return events.map(event => ({
-        blockNumber: event.blockNumber,
-        transactionHash: event.transactionHash,
-        args: event.args,
-        event: event.event,
-        address: event.address
-      }));
+      return events;
     } catch (error) {
       throw new Error(`Event query failed: ${error.message}`);
     }
   }
 
+  /**
+   * Audit the ERC-20 allowances an owner has granted
+   * @param {string} owner - Wallet address
+   * @param {Object} options - fromBlock (required, 0 for the full history), toBlock, tokens, spenders (see ApprovalAuditor.audit)
+   * @returns {Promise<Object>} Report with live approvals flagged as unlimited, not-contract or unverified
+   */
+  async auditApprovals(owner, options = {}) {
+    try {
+      return await this.approvalAuditor.audit(owner, options);
+    } catch (error) {
+      throw new Error(`Approval audit failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build calls that set audited allowances to zero
+   * @param {Object|Array} report - Audit report or its approvals
+   * @param {Object} options - risk (minimum level) or filter(approval)
+   * @returns {Array<Object>} Calls for executeTransaction, createSafeTransaction or buildUserOperation
+   */
+  buildRevokeCalls(report, options = {}) {
+    return this.approvalAuditor.buildRevokeCalls(report, options);
+  }
+
+  /**
+   * Revoke audited allowances, one transaction per approval
+   * @param {Object|Array} report - Audit report or its approvals
+   * @param {Signer} signer - The owner
+   * @param {Object} options - risk or filter, plus transaction options
+   * @returns {Promise<Array>} Transaction results
+   */
+  async revokeApprovals(report, signer, options = {}) {
+    const { risk, filter, ...txOptions } = options;
+    const results = [];
+    for (const call of this.buildRevokeCalls(report, { risk, filter })) {
+      results.push(await this.executeTransaction(call.contractName, call.methodName, call.params, signer, txOptions));
+    }
+    return results;
+  }
+
+  /**
+   * Serialize an approval audit report
+   * @param {Object} report - Audit report
+   * @param {Object} options - format ('json' or 'csv') and an optional path to write to
+   * @returns {Promise<string>} Serialized report
+   */
+  async exportApprovalReport(report, options = {}) {
+    const format = options.format || 'json';
+    if (options.path) {
+      return this.approvalAuditor.writeReport(report, options.path, format);
+    }
+    return this.approvalAuditor.exportReport(report, format);
+  }
+
+  /**
+   * Get the checkpoint key used when resuming a contract event query
+   * @param {string} contractName - Contract identifier
+   * @param {string} eventName - Event name
+   * @param {Array} filterArgs - Indexed argument filter; its encoded topics are part of the key
+   * @returns {string} Checkpoint key
+   */
+  getCheckpointKey(contractName, eventName, filterArgs = []) {
+    const contract = this.getContract(contractName);
+    const key = `${this.config.chainId}:${contract.target.toLowerCase()}:${eventName}`;
+    // Filtered scans cover different logs, so each filter keeps its own progress
+    const topics = contract.interface.encodeFilterTopics(eventName, filterArgs).slice(1);
+    if (topics.every(topic => topic === null)) {
+      return key;
+    }
+    const encoded = topics.map(topic => (topic === null ? '*' : [].concat(topic).join('|'))).join(',');
+    return `${key}:${encoded}`;
+  }
+
   /**
    * Decode transaction data
    * @param {string} contractName - Contract identifier
@@ -221,6 +1499,90 @@ class SmartContractUtils {
     }
   }
 
+  /**
+   * Decoder over every registered ABI, matching by contract address first
+   * @returns {TransactionDecoder} Decoder
+   */
+  getTransactionDecoder() {
+    const entries = Array.from(this.abis.keys()).map(name => ({
+      name,
+      address: this.contracts.has(name) ? this.contracts.get(name).target : null,
+      interface: this.getInterface(name)
+    }));
+    return new TransactionDecoder(entries);
+  }
+
+  /**
+   * Decode every log of a receipt using all registered ABIs
+   * Logs from a registered address use that contract's ABI; others are matched by topic
+   * @param {Object} receipt - Transaction receipt
+   * @returns {Object} { transactionHash, blockNumber, status, logs }
+   */
+  decodeReceipt(receipt) {
+    try {
+      return {
+        transactionHash: receipt.hash || receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        status: receipt.status,
+        logs: this.getTransactionDecoder().decodeLogs(receipt.logs || [])
+      };
+    } catch (error) {
+      throw new Error(`Receipt decode failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Decode calldata into a call tree, unwrapping Multicall3, periphery multicall,
+   * Universal Router execute, smart-account execute/executeBatch and Safe multiSend
+   * @param {string} data - Calldata
+   * @param {string} to - Called address, used to pick the ABI first
+   * @param {Object} options - value, maxDepth
+   * @returns {Object} { to, value, selector, contract, name, args, calls }
+   */
+  decodeCalldata(data, to = null, options = {}) {
+    try {
+      return this.getTransactionDecoder().decodeCall(data, to, options);
+    } catch (error) {
+      throw new Error(`Transaction decode failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Decode revert data against every registered ABI
+   * Handles Error(string) reasons, Panic(uint256) codes and custom errors
+   * @param {string} data - Hex revert data
+   * @returns {Object} { kind, name, args, contract, selector, message }
+   */
+  decodeRevert(data) {
+    const interfaces = Array.from(this.abis.keys()).map(name => [name, this.getInterface(name)]);
+    return decodeRevertData(data, interfaces);
+  }
+
+  /**
+   * Wrap a failed call in an Error carrying the decoded revert
+   * @param {string} prefix - Message prefix
+   * @param {Error} error - Original error
+   * @returns {Error} Error with a revert property when revert data was found
+   */
+  createRevertError(prefix, error) {
+    // Already decoded further down the call chain
+    if (error.revert && error.revert.kind) {
+      const wrapped = new Error(`${prefix}: ${error.message}`);
+      wrapped.revert = error.revert;
+      return wrapped;
+    }
+
+    const data = extractRevertData(error);
+    if (data === null) {
+      return new Error(`${prefix}: ${error.message}`);
+    }
+
+    const revert = this.decodeRevert(data);
+    const wrapped = new Error(`${prefix}: ${revert.message}`);
+    wrapped.revert = revert;
+    return wrapped;
+  }
+
   /**
    * Get contract storage at specific slot
    * @param {string} address - Contract address
@@ -251,16 +1613,24 @@ class SmartContractUtils {
   }
 
   /**
-   * Get current gas prices for Base network
+   * Get current gas prices for Base network, including L1 data pricing
    * @returns {Promise<Object>} Gas price information
    */
   async getGasPrices() {
     try {
       const feeData = await this.provider.getFeeData();
+
+      // The oracle predeploy only exists on OP-stack chains
+      const l1Params = await this.feeEstimator.getOracleParams().catch(() => ({}));
+
       return {
         gasPrice: feeData.gasPrice,
         maxFeePerGas: feeData.maxFeePerGas,
-        maxPriorityFeePerGas: feeData.maxPriorityFeePerGas
+        maxPriorityFeePerGas: feeData.maxPriorityFeePerGas,
+        l1BaseFee: l1Params.l1BaseFee ?? null,
+        blobBaseFee: l1Params.blobBaseFee ?? null,
+        baseFeeScalar: l1Params.baseFeeScalar ?? null,
+        blobBaseFeeScalar: l1Params.blobBaseFeeScalar ?? null
       };
     } catch (error) {
       throw new Error(`Gas price fetch failed: ${error.message}`);
@@ -269,25 +1639,135 @@ class SmartContractUtils {
 
   /**
    * Simulate a transaction without executing it
+   * State overrides (balance, nonce, code, state, stateDiff per address) let the
+   * simulation run from wallets that do not hold the tokens or approvals yet
    * @param {Object} transaction - Transaction object
+   * @param {Object} options - Simulation options (stateOverrides, blockTag)
    * @returns {Promise<Object>} Simulation result
    */
-  async simulateTransaction(transaction) {
+  async simulateTransaction(transaction, options = {}) {
     try {
-      const result = await this.provider.call(transaction);
+      const blockTag = options.blockTag || 'latest';
+      // Raw RPC requests take block numbers as hex quantities
+      const rpcBlockTag = typeof blockTag === 'number' ? ethers.toQuantity(blockTag) : blockTag;
+      let result;
+      let gasUsed;
+
+      if (options.stateOverrides) {
+        result = await this.callWithOverrides(transaction, options.stateOverrides, blockTag);
+        // Not every node accepts overrides on eth_estimateGas
+        gasUsed = await this.providerPool
+          .send('eth_estimateGas', [
+            this.providerPool.getRpcTransaction(transaction),
+            rpcBlockTag,
+            formatStateOverrides(options.stateOverrides)
+          ])
+          .then(BigInt)
+          .catch(() => null);
+      } else {
+        result = await this.provider.call({ ...transaction, blockTag });
+        // provider.estimateGas() always estimates at latest, so pinned blocks go over raw RPC
+        gasUsed = blockTag === 'latest'
+          ? await this.provider.estimateGas(transaction)
+          : BigInt(await this.providerPool.send('eth_estimateGas', [
+            this.providerPool.getRpcTransaction(transaction),
+            rpcBlockTag
+          ]));
+      }
+
       return {
         success: true,
         returnData: result,
-        gasUsed: await this.provider.estimateGas(transaction)
+        decoded: this.decodeCallResult(transaction, result),
+        gasUsed
       };
     } catch (error) {
+      const data = extractRevertData(error);
+      const revert = data === null ? null : this.decodeRevert(data);
       return {
         success: false,
         error: error.message,
-        reason: error.reason || 'Unknown error'
+        reason: revert ? revert.message : error.reason || 'Unknown error',
+        revert
       };
     }
   }
+
+  /**
+   * Run eth_call with a state override set
+   * @param {Object} transaction - Transaction object
+   * @param {Object} stateOverrides - { [address]: { balance, nonce, code, state, stateDiff } }
+   * @param {string|number} blockTag - Block number or tag
+   * @returns {Promise<string>} Return data
+   */
+  async callWithOverrides(transaction, stateOverrides, blockTag = 'latest') {
+    const tag = typeof blockTag === 'number' ? ethers.toQuantity(blockTag) : blockTag;
+    return this.providerPool.send('eth_call', [
+      this.providerPool.getRpcTransaction(transaction),
+      tag,
+      formatStateOverrides(stateOverrides)
+    ]);
+  }
+
+  /**
+   * Decode call return data with the ABI registered for the target address
+   * @param {Object} transaction - Transaction object with to and data
+   * @param {string} returnData - Return data
+   * @returns {Object|null} { contract, method, result } or null when no ABI matches
+   */
+  decodeCallResult(transaction, returnData) {
+    if (!transaction.to || !transaction.data) return null;
+
+    for (const [name, contract] of this.contracts) {
+      if (contract.target.toLowerCase() !== transaction.to.toLowerCase()) continue;
+
+      // Calldata this ABI cannot parse (e.g. malformed arguments) is not a failed simulation
+      const iface = this.getInterface(name);
+      let parsed;
+      try {
+        parsed = iface.parseTransaction({ data: transaction.data, value: transaction.value });
+      } catch (error) {
+        parsed = null;
+      }
+      if (!parsed) continue;
+
+      try {
+        const values = iface.decodeFunctionResult(parsed.fragment, returnData);
+        return {
+          contract: name,
+          method: parsed.name,
+          result: toPlainObject(parsed.fragment.outputs, values)
+        };
+      } catch (error) {
+        return null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Build state overrides that fund a wallet with an ERC-20 and/or approve a spender
+   * The token's storage layout is detected on first use unless given
+   * @param {string} token - Token address
+   * @param {Object} params - { holder, balance, spender, allowance, layout }
+   * @returns {Promise<Object>} State override set
+   */
+  async buildTokenOverrides(token, params) {
+    let layout = params.layout || this.tokenLayouts.get(token.toLowerCase());
+
+    if (!layout) {
+      layout = await detectTokenLayout(
+        (tx, overrides) => this.callWithOverrides(tx, overrides),
+        token
+      );
+      if (!layout) {
+        throw new Error(`Could not detect storage layout of token ${token}; pass one of ${Object.keys(TOKEN_LAYOUTS).join(', ')}`);
+      }
+      this.tokenLayouts.set(token.toLowerCase(), layout);
+    }
+
+    return buildTokenOverrides(token, { ...params, layout });
+  }
 }
 
 module.exports = SmartContractUtils;      
@@ -0,0 +1,147 @@
+/**
+ * Base L1 Data Fee Estimator
+ * Reads the OP-stack GasPriceOracle predeploy to price the L1 data component
+ * of a Base transaction alongside its L2 execution cost
+ */
+
+const { ethers } = require('ethers');
+const { networkConfig } = require('./networks');
+const { Interface, Transaction } = ethers;
+
+const GAS_PRICE_ORACLE_ADDRESS = '0x420000000000000000000000000000000000000F';
+
+const GAS_PRICE_ORACLE_ABI = [
+    'function getL1Fee(bytes _data) view returns (uint256)',
+    'function getL1GasUsed(bytes _data) view returns (uint256)',
+    'function l1BaseFee() view returns (uint256)',
+    'function blobBaseFee() view returns (uint256)',
+    'function baseFeeScalar() view returns (uint32)',
+    'function blobBaseFeeScalar() view returns (uint32)',
+    'function decimals() pure returns (uint256)'
+];
+
+class L1FeeEstimator {
+    constructor(provider, config = {}) {
+        this.provider = provider;
+        this.config = {
+            oracleAddress: GAS_PRICE_ORACLE_ADDRESS,
+            chainId: 8453,
+            ethPriceUsd: null,
+            ...networkConfig(config.network, { oracleAddress: 'gasPriceOracle' }),
+            ...config
+        };
+        this.interface = new Interface(GAS_PRICE_ORACLE_ABI);
+    }
+
+    async callOracle(method, args = []) {
+        const data = this.interface.encodeFunctionData(method, args);
+        const result = await this.provider.call({ to: this.config.oracleAddress, data });
+        return this.interface.decodeFunctionResult(method, result)[0];
+    }
+
+    /**
+     * Read the current L1 pricing parameters from the oracle
+     * @returns {Promise<Object>} { l1BaseFee, blobBaseFee, baseFeeScalar, blobBaseFeeScalar }
+     */
+    async getOracleParams() {
+        const [l1BaseFee, blobBaseFee, baseFeeScalar, blobBaseFeeScalar] = await Promise.all([
+            this.callOracle('l1BaseFee'),
+            this.callOracle('blobBaseFee'),
+            this.callOracle('baseFeeScalar'),
+            this.callOracle('blobBaseFeeScalar')
+        ]);
+
+        return { l1BaseFee, blobBaseFee, baseFeeScalar, blobBaseFeeScalar };
+    }
+
+    /**
+     * Serialize a transaction the way the sequencer posts it to L1
+     * Missing fields are filled with placeholders of realistic size
+     * @param {Object} tx - Transaction request
+     * @returns {string} Unsigned serialized transaction
+     */
+    serializeTransaction(tx) {
+        return Transaction.from({
+            type: 2,
+            chainId: tx.chainId || this.config.chainId,
+            nonce: tx.nonce || 0,
+            to: tx.to || null,
+            value: tx.value || 0n,
+            data: tx.data || '0x',
+            gasLimit: tx.gasLimit || 0n,
+            maxFeePerGas: tx.maxFeePerGas || 0n,
+            maxPriorityFeePerGas: tx.maxPriorityFeePerGas || 0n
+        }).unsignedSerialized;
+    }
+
+    /**
+     * Get the L1 data fee for a transaction
+     * @param {Object|string} tx - Transaction request or serialized transaction
+     * @returns {Promise<bigint>} L1 data fee in wei
+     */
+    async getL1Fee(tx) {
+        const serialized = typeof tx === 'string' ? tx : this.serializeTransaction(tx);
+        return this.callOracle('getL1Fee', [serialized]);
+    }
+
+    /**
+     * Estimate the full cost of a Base transaction
+     * The L2 execution fee is priced at gasUsed; gasLimit, which may carry a safety
+     * margin, only shapes the serialized transaction the L1 fee is charged on
+     * @param {Object} tx - Transaction request (to, data, value, gasLimit, fees)
+     * @param {Object} options - Estimate options (ethPriceUsd, gasUsed when tx.gasLimit is padded)
+     * @returns {Promise<Object>} Fee breakdown in wei and USD
+     */
+    async estimate(tx, options = {}) {
+        const [gasLimit, feeData] = await Promise.all([
+            tx.gasLimit ? BigInt(tx.gasLimit) : this.provider.estimateGas(tx),
+            this.provider.getFeeData()
+        ]);
+        const gasUsed = options.gasUsed !== undefined ? BigInt(options.gasUsed) : gasLimit;
+
+        const gasPrice = feeData.gasPrice || feeData.maxFeePerGas || 0n;
+        const l1DataFee = await this.getL1Fee({
+            ...tx,
+            gasLimit,
+            maxFeePerGas: tx.maxFeePerGas || feeData.maxFeePerGas,
+            maxPriorityFeePerGas: tx.maxPriorityFeePerGas || feeData.maxPriorityFeePerGas
+        });
+        const l2ExecutionFee = gasUsed * gasPrice;
+
+        return this.formatEstimate({
+            gasLimit,
+            gasUsed,
+            gasPrice,
+            l2ExecutionFee,
+            l1DataFee
+        }, options.ethPriceUsd || this.config.ethPriceUsd);
+    }
+
+    /**
+     * Attach totals and USD values to a fee breakdown
+     * @param {Object} fees - { gasLimit, gasUsed, gasPrice, l2ExecutionFee, l1DataFee }
+     * @param {number} ethPriceUsd - ETH price in USD
+     * @returns {Object} Fee estimate
+     */
+    formatEstimate(fees, ethPriceUsd) {
+        const totalFee = fees.l2ExecutionFee + fees.l1DataFee;
+        const toUsd = (wei) => (ethPriceUsd ? Number(ethers.formatEther(wei)) * ethPriceUsd : null);
+
+        return {
+            ...fees,
+            totalFee,
+            usd: {
+                l2ExecutionFee: toUsd(fees.l2ExecutionFee),
+                l1DataFee: toUsd(fees.l1DataFee),
+                totalFee: toUsd(totalFee)
+            },
+            ethPriceUsd: ethPriceUsd || null
+        };
+    }
+}
+
+module.exports = {
+    L1FeeEstimator,
+    GAS_PRICE_ORACLE_ADDRESS,
+    GAS_PRICE_ORACLE_ABI
+};
@@ -0,0 +1,216 @@
+/**
+ * Network Profiles
+ * Named Base networks with their chain id, RPC endpoints, known contract addresses
+ * and fee defaults, shared by every module that takes a network option
+ */
+
+const { ethers } = require('ethers');
+const { getAddress, parseUnits } = ethers;
+const { NetworkError, ValidationError } = require('../error-handler');
+
+// Predeploys and deterministic deployments present on both Base networks
+const SHARED_ADDRESSES = {
+    multicall3: '0xcA11bde05977b3631167028862bE2a173976CA11',
+    permit2: '0x000000000022D473030F116dDEE9F6B43aC78BA3',
+    entryPoint: '0x0000000071727De22E5E9d8BAf0edAc6f37da032',
+    multiSend: '0x40A2aCCbd92BCA938b02010E17A5b8929b49130D',
+    deterministicDeployer: '0x4e59b44847b379578588920cA78FbF26c0B4956C',
+    gasPriceOracle: '0x420000000000000000000000000000000000000F',
+    weth: '0x4200000000000000000000000000000000000006'
+};
+
+const NETWORKS = {
+    base: {
+        name: 'base',
+        chainId: 8453,
+        rpcUrls: ['https://mainnet.base.org'],
+        explorerUrl: 'https://basescan.org',
+        blockTime: 2000,
+        addresses: {
+            ...SHARED_ADDRESSES,
+            usdc: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913'
+        },
+        fees: {
+            maxFeePerGas: parseUnits('2', 'gwei'),
+            maxPriorityFeePerGas: parseUnits('1', 'gwei')
+        }
+    },
+    'base-sepolia': {
+        name: 'base-sepolia',
+        chainId: 84532,
+        rpcUrls: ['https://sepolia.base.org'],
+        explorerUrl: 'https://sepolia.basescan.org',
+        blockTime: 2000,
+        addresses: {
+            ...SHARED_ADDRESSES,
+            usdc: '0x036CbD53842c5426634e7929541eC2318f3dCF7e'
+        },
+        fees: {
+            maxFeePerGas: parseUnits('2', 'gwei'),
+            maxPriorityFeePerGas: parseUnits('1', 'gwei')
+        }
+    },
+    // anvil and hardhat both default to chain 31337; only the CREATE2 deployer is preinstalled
+    anvil: {
+        name: 'anvil',
+        chainId: 31337,
+        rpcUrls: ['http://127.0.0.1:8545'],
+        explorerUrl: null,
+        blockTime: 1000,
+        addresses: {
+            deterministicDeployer: SHARED_ADDRESSES.deterministicDeployer
+        },
+        fees: {
+            maxFeePerGas: parseUnits('2', 'gwei'),
+            maxPriorityFeePerGas: parseUnits('1', 'gwei')
+        }
+    },
+    hardhat: {
+        name: 'hardhat',
+        chainId: 31337,
+        rpcUrls: ['http://127.0.0.1:8545'],
+        explorerUrl: null,
+        blockTime: 1000,
+        addresses: {},
+        fees: {
+            maxFeePerGas: parseUnits('2', 'gwei'),
+            maxPriorityFeePerGas: parseUnits('1', 'gwei')
+        }
+    }
+};
+
+const ALIASES = {
+    mainnet: 'base',
+    'base-mainnet': 'base',
+    sepolia: 'base-sepolia',
+    local: 'anvil',
+    localhost: 'anvil'
+};
+
+/**
+ * Add or replace a named network profile
+ * @param {Object} profile - name, chainId, rpcUrls, addresses, fees, explorerUrl, blockTime
+ * @returns {Object} Registered profile
+ */
+function registerNetwork(profile) {
+    const network = normalizeProfile(profile);
+    NETWORKS[network.name] = network;
+    return network;
+}
+
+/**
+ * Validate a profile and fill in optional fields
+ * @param {Object} profile - Network profile
+ * @returns {Object} Profile with checksummed addresses and bigint fees
+ */
+function normalizeProfile(profile) {
+    if (!profile.name) {
+        throw new ValidationError('Network profile needs a name', 'name', profile.name);
+    }
+    if (!Number.isInteger(Number(profile.chainId)) || Number(profile.chainId) <= 0) {
+        throw new ValidationError(`Invalid chainId for network ${profile.name}`, 'chainId', profile.chainId);
+    }
+    if (!Array.isArray(profile.rpcUrls) || profile.rpcUrls.length === 0) {
+        throw new ValidationError(`Network ${profile.name} needs at least one RPC URL`, 'rpcUrls', profile.rpcUrls);
+    }
+
+    const addresses = {};
+    Object.entries(profile.addresses || {}).forEach(([key, address]) => {
+        addresses[key] = getAddress(address);
+    });
+    const fees = {};
+    Object.entries(profile.fees || {}).forEach(([key, value]) => {
+        fees[key] = BigInt(value);
+    });
+
+    return {
+        explorerUrl: null,
+        blockTime: 2000,
+        ...profile,
+        chainId: Number(profile.chainId),
+        addresses,
+        fees
+    };
+}
+
+/**
+ * Resolve a network profile
+ * A custom profile may name a known network to inherit its addresses and fees
+ * @param {string|number|Object} network - Name, alias, chain id or profile
+ * @returns {Object} Network profile
+ */
+function getNetwork(network = 'base') {
+    if (typeof network === 'object' && network !== null) {
+        const known = NETWORKS[ALIASES[network.name] || network.name];
+        if (!known) {
+            return normalizeProfile(network);
+        }
+        return normalizeProfile({
+            ...known,
+            ...network,
+            addresses: { ...known.addresses, ...network.addresses },
+            fees: { ...known.fees, ...network.fees }
+        });
+    }
+
+    if (typeof network === 'number' || typeof network === 'bigint') {
+        const match = Object.values(NETWORKS).find(profile => profile.chainId === Number(network));
+        if (!match) {
+            throw new NetworkError(`No network profile for chain ${network}`, String(network));
+        }
+        return match;
+    }
+
+    const profile = NETWORKS[ALIASES[network] || network];
+    if (!profile) {
+        throw new NetworkError(`Unknown network: ${network}`, network, { known: Object.keys(NETWORKS) });
+    }
+    return profile;
+}
+
+/**
+ * Config entries a module derives from a network option
+ * @param {string|number|Object|undefined} network - Network option
+ * @param {Object} addressKeys - { configKey: addressName } to copy from the profile's addresses
+ * @returns {Object} chainId plus the mapped addresses; empty without a network
+ */
+function networkConfig(network, addressKeys = {}) {
+    if (network === undefined || network === null) {
+        return {};
+    }
+    const profile = getNetwork(network);
+    const config = { chainId: profile.chainId };
+    Object.entries(addressKeys).forEach(([key, name]) => {
+        if (profile.addresses[name]) {
+            config[key] = profile.addresses[name];
+        }
+    });
+    return config;
+}
+
+/**
+ * Check that a provider is connected to the profile's chain
+ * @param {Provider} provider - ethers provider
+ * @param {string|number|Object} network - Expected network
+ * @returns {Promise<Object>} Network profile
+ */
+async function verifyChainId(provider, network) {
+    const profile = getNetwork(network);
+    const { chainId } = await provider.getNetwork();
+    if (Number(chainId) !== profile.chainId) {
+        throw new NetworkError(
+            `Provider is on chain ${chainId}, but network ${profile.name} expects ${profile.chainId}`,
+            profile.name,
+            { expected: profile.chainId, actual: Number(chainId) }
+        );
+    }
+    return profile;
+}
+
+module.exports = {
+    NETWORKS,
+    getNetwork,
+    registerNetwork,
+    networkConfig,
+    verifyChainId
+};
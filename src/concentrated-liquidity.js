@@ -0,0 +1,131 @@
+/**
+ * Concentrated Liquidity Math
+ * Tick, sqrt price and liquidity conversions for Uniswap V3 and Aerodrome Slipstream pools,
+ * in decimal.js so results match the on-chain fixed point math to the configured precision
+ * Prices are raw token1 per raw token0 unless noted
+ */
+
+const MIN_TICK = -887272;
+const MAX_TICK = 887272;
+const Q96 = 2n ** 96n;
+
+// Default tick spacing per fee tier (fee in hundredths of a bip)
+const FEE_TICK_SPACING = {
+    100: 1,
+    500: 10,
+    3000: 60,
+    10000: 200
+};
+
+/**
+ * sqrt(price) at a tick: 1.0001^(tick / 2)
+ * @param {Function} Decimal - decimal.js constructor
+ * @param {number} tick - Tick
+ * @returns {Decimal} Square root of the raw price
+ */
+function tickToSqrtPrice(Decimal, tick) {
+    return new Decimal('1.0001').pow(new Decimal(tick).div(2));
+}
+
+/**
+ * Convert a Q64.96 sqrtPriceX96 to a sqrt price
+ * @param {Function} Decimal - decimal.js constructor
+ * @param {bigint|string} sqrtPriceX96 - slot0 sqrtPriceX96
+ * @returns {Decimal} Square root of the raw price
+ */
+function sqrtPriceX96ToSqrtPrice(Decimal, sqrtPriceX96) {
+    return new Decimal(sqrtPriceX96.toString()).div(Q96.toString());
+}
+
+/**
+ * Tick containing a sqrt price (the tick slot0 would report)
+ * @param {Function} Decimal - decimal.js constructor
+ * @param {Decimal} sqrtPrice - Square root of the raw price
+ * @returns {number} Tick
+ */
+function sqrtPriceToTick(Decimal, sqrtPrice) {
+    const tick = sqrtPrice.pow(2).ln().div(new Decimal('1.0001').ln()).floor().toNumber();
+    // Guard against the log landing just above an exact tick boundary
+    return tickToSqrtPrice(Decimal, tick).gt(sqrtPrice) ? tick - 1 : tick;
+}
+
+/**
+ * Token amounts held by one unit of liquidity between two sqrt prices
+ * @param {Decimal} sqrtPrice - Current sqrt price
+ * @param {Decimal} sqrtLower - sqrt price at the lower tick
+ * @param {Decimal} sqrtUpper - sqrt price at the upper tick
+ * @returns {Object} { amount0, amount1 } raw amounts per unit of liquidity
+ */
+function amountsPerLiquidity(sqrtPrice, sqrtLower, sqrtUpper) {
+    const zero = sqrtPrice.minus(sqrtPrice);
+    if (sqrtPrice.lte(sqrtLower)) {
+        return { amount0: sqrtUpper.minus(sqrtLower).div(sqrtLower.times(sqrtUpper)), amount1: zero };
+    }
+    if (sqrtPrice.gte(sqrtUpper)) {
+        return { amount0: zero, amount1: sqrtUpper.minus(sqrtLower) };
+    }
+    return {
+        amount0: sqrtUpper.minus(sqrtPrice).div(sqrtPrice.times(sqrtUpper)),
+        amount1: sqrtPrice.minus(sqrtLower)
+    };
+}
+
+/**
+ * Liquidity minted by depositing up to amount0 and amount1 (LiquidityAmounts.getLiquidityForAmounts)
+ * @param {Decimal} sqrtPrice - Current sqrt price
+ * @param {Decimal} sqrtLower - sqrt price at the lower tick
+ * @param {Decimal} sqrtUpper - sqrt price at the upper tick
+ * @param {Decimal} amount0 - Raw token0 amount
+ * @param {Decimal} amount1 - Raw token1 amount
+ * @returns {Decimal} Liquidity
+ */
+function liquidityForAmounts(sqrtPrice, sqrtLower, sqrtUpper, amount0, amount1) {
+    const perLiquidity = amountsPerLiquidity(sqrtPrice, sqrtLower, sqrtUpper);
+    const from0 = perLiquidity.amount0.isZero() ? null : amount0.div(perLiquidity.amount0);
+    const from1 = perLiquidity.amount1.isZero() ? null : amount1.div(perLiquidity.amount1);
+    if (from0 === null) return from1;
+    if (from1 === null) return from0;
+    return from0.lt(from1) ? from0 : from1;
+}
+
+/**
+ * Liquidity bought with a value denominated in raw token1 at the current price
+ * @param {Decimal} sqrtPrice - Current sqrt price
+ * @param {Decimal} sqrtLower - sqrt price at the lower tick
+ * @param {Decimal} sqrtUpper - sqrt price at the upper tick
+ * @param {Decimal} value - Value in raw token1
+ * @returns {Decimal} Liquidity
+ */
+function liquidityForValue(sqrtPrice, sqrtLower, sqrtUpper, value) {
+    const { amount0, amount1 } = amountsPerLiquidity(sqrtPrice, sqrtLower, sqrtUpper);
+    return value.div(amount0.times(sqrtPrice.pow(2)).plus(amount1));
+}
+
+/**
+ * Standard normal CDF (Abramowitz and Stegun 7.1.26, absolute error below 1.5e-7)
+ * @param {Function} Decimal - decimal.js constructor
+ * @param {Decimal} x - Value
+ * @returns {Decimal} P(Z <= x)
+ */
+function normalCdf(Decimal, x) {
+    const z = x.abs().div(new Decimal(2).sqrt());
+    const t = new Decimal(1).div(z.times('0.3275911').plus(1));
+    const polynomial = ['1.061405429', '-1.453152027', '1.421413741', '-0.284496736', '0.254829592']
+        .reduce((sum, coefficient) => sum.times(t).plus(coefficient), new Decimal(0))
+        .times(t);
+    const erf = new Decimal(1).minus(polynomial.times(z.pow(2).neg().exp()));
+    return x.isNegative() ? new Decimal(1).minus(erf).div(2) : erf.plus(1).div(2);
+}
+
+module.exports = {
+    MIN_TICK,
+    MAX_TICK,
+    FEE_TICK_SPACING,
+    tickToSqrtPrice,
+    sqrtPriceX96ToSqrtPrice,
+    sqrtPriceToTick,
+    amountsPerLiquidity,
+    liquidityForAmounts,
+    liquidityForValue,
+    normalCdf
+};
@@ -0,0 +1,40 @@
+/**
+ * ABI Helpers
+ * Conversions between ethers Result objects and plain JavaScript values
+ */
+
+/**
+ * Convert a decoded value to plain objects and arrays using its ABI type
+ * @param {ParamType} param - ABI parameter type
+ * @param {any} value - Decoded value
+ * @returns {any} Plain value
+ */
+function toPlainValue(param, value) {
+    if (param.baseType === 'tuple') {
+        return toPlainObject(param.components, value);
+    }
+    if (param.baseType === 'array') {
+        return Array.from(value, item => toPlainValue(param.arrayChildren, item));
+    }
+    return value;
+}
+
+/**
+ * Convert a decoded Result to an object keyed by parameter name
+ * Unnamed parameters are keyed by their position
+ * @param {Array<ParamType>} params - ABI parameter types
+ * @param {Result|Array} values - Decoded values
+ * @returns {Object} Plain object
+ */
+function toPlainObject(params, values) {
+    const result = {};
+    params.forEach((param, index) => {
+        result[param.name || String(index)] = toPlainValue(param, values[index]);
+    });
+    return result;
+}
+
+module.exports = {
+    toPlainValue,
+    toPlainObject
+};
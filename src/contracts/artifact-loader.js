@@ -0,0 +1,311 @@
+/**
+ * Artifact Loader
+ * Reads ABIs and bytecode from Hardhat artifacts/ and Foundry out/ directories
+ * and deployed addresses from hardhat-deploy deployments/<network>/ files
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+async function exists(target) {
+    try {
+        await fs.promises.access(target);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * List JSON files below a directory
+ * @param {string} dir - Directory to walk
+ * @param {Array<string>} skipDirs - Directory names to skip
+ * @returns {Promise<Array<string>>} File paths
+ */
+async function listJsonFiles(dir, skipDirs = []) {
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (!skipDirs.includes(entry.name)) {
+                files.push(...await listJsonFiles(fullPath, skipDirs));
+            }
+        } else if (entry.name.endsWith('.json') && !entry.name.endsWith('.dbg.json')) {
+            files.push(fullPath);
+        }
+    }
+    return files;
+}
+
+async function readJson(file) {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+}
+
+class ArtifactLoader {
+    /**
+     * @param {Object} config - root, hardhat, foundry, deployments, network
+     */
+    constructor(config = {}) {
+        this.config = {
+            root: process.cwd(),
+            hardhat: 'artifacts',
+            foundry: 'out',
+            deployments: 'deployments',
+            network: 'base',
+            ...config
+        };
+    }
+
+    resolve(dir) {
+        return path.resolve(this.config.root, dir);
+    }
+
+    /**
+     * Load every artifact and deployment
+     * @returns {Promise<Object>} { entries, collisions }
+     */
+    async load() {
+        const artifacts = [
+            ...await this.loadHardhatArtifacts(),
+            ...await this.loadFoundryArtifacts()
+        ];
+        const deployments = await this.loadDeployments();
+
+        const entries = new Map();
+        const collisions = [];
+        const byName = new Map();
+
+        artifacts.forEach(artifact => {
+            const existing = byName.get(artifact.name) || [];
+            const duplicate = existing.find(other => JSON.stringify(other.abi) === JSON.stringify(artifact.abi));
+            if (!duplicate) {
+                byName.set(artifact.name, [...existing, artifact]);
+            }
+        });
+
+        byName.forEach((candidates, name) => {
+            if (candidates.length === 1) {
+                entries.set(name, candidates[0]);
+                return;
+            }
+            // Different contracts share a name: keep each under its fully qualified name
+            collisions.push({
+                name,
+                paths: candidates.map(candidate => candidate.path),
+                qualifiedNames: candidates.map(candidate => candidate.qualifiedName)
+            });
+            candidates.forEach(candidate => entries.set(candidate.qualifiedName, candidate));
+        });
+
+        deployments.forEach(deployment => {
+            const artifact = entries.get(deployment.name);
+            entries.set(deployment.name, {
+                ...artifact,
+                ...deployment,
+                bytecode: artifact ? artifact.bytecode : deployment.bytecode,
+                artifactPath: artifact ? artifact.path : null
+            });
+        });
+
+        return { entries: Array.from(entries.values()), collisions };
+    }
+
+    /**
+     * Read Hardhat artifacts (hh-sol-artifact-1 format)
+     * @returns {Promise<Array>} Artifact entries
+     */
+    async loadHardhatArtifacts() {
+        const dir = this.resolve(this.config.hardhat);
+        if (!this.config.hardhat || !await exists(dir)) return [];
+
+        const files = await listJsonFiles(dir, ['build-info']);
+        const artifacts = [];
+        for (const file of files) {
+            const json = await readJson(file);
+            if (!json.contractName || !Array.isArray(json.abi)) continue;
+            artifacts.push({
+                name: json.contractName,
+                qualifiedName: `${json.sourceName}:${json.contractName}`,
+                abi: json.abi,
+                bytecode: json.bytecode && json.bytecode !== '0x' ? json.bytecode : null,
+                address: null,
+                source: 'hardhat',
+                path: file
+            });
+        }
+        return artifacts;
+    }
+
+    /**
+     * Read Foundry build output (out/<File>.sol/<Contract>.json)
+     * @returns {Promise<Array>} Artifact entries
+     */
+    async loadFoundryArtifacts() {
+        const dir = this.resolve(this.config.foundry);
+        if (!this.config.foundry || !await exists(dir)) return [];
+
+        const files = await listJsonFiles(dir, ['build-info']);
+        const artifacts = [];
+        for (const file of files) {
+            const json = await readJson(file);
+            if (!Array.isArray(json.abi)) continue;
+            const name = path.basename(file, '.json');
+            const sourceFile = path.basename(path.dirname(file));
+            const bytecode = json.bytecode && json.bytecode.object;
+            artifacts.push({
+                name,
+                qualifiedName: `${sourceFile}:${name}`,
+                abi: json.abi,
+                bytecode: bytecode && bytecode !== '0x' ? bytecode : null,
+                address: null,
+                source: 'foundry',
+                path: file
+            });
+        }
+        return artifacts;
+    }
+
+    /**
+     * Read hardhat-deploy deployment files for the configured network
+     * @returns {Promise<Array>} Deployment entries
+     */
+    async loadDeployments() {
+        const dir = path.join(this.resolve(this.config.deployments), this.config.network);
+        if (!this.config.deployments || !await exists(dir)) return [];
+
+        const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        const deployments = [];
+        for (const entry of entries) {
+            if (!entry.isFile() || !entry.name.endsWith('.json') || entry.name.startsWith('.')) continue;
+            const file = path.join(dir, entry.name);
+            const json = await readJson(file);
+            if (!json.address || !Array.isArray(json.abi)) continue;
+            deployments.push({
+                name: path.basename(entry.name, '.json'),
+                qualifiedName: path.basename(entry.name, '.json'),
+                abi: json.abi,
+                bytecode: json.bytecode || null,
+                address: json.address,
+                transactionHash: json.transactionHash || null,
+                source: 'hardhat-deploy',
+                path: file
+            });
+        }
+        return deployments;
+    }
+
+    /**
+     * Watch artifact directories and call back after changes settle
+     * Each directory gets its own non-recursive watcher (recursive fs.watch needs Node 20 on Linux);
+     * directories created by a build are picked up when the debounce fires. The nearest existing
+     * parent of each root is watched too, so roots missing at start or removed by a clean come back
+     * @param {Function} onChange - Called with no arguments after a debounce
+     * @param {number} debounce - Milliseconds to wait for writes to settle
+     * @returns {Function} Stop function
+     */
+    watch(onChange, debounce = 250) {
+        const watchers = new Map();
+        const guards = new Map();
+        let timer = null;
+
+        const roots = [
+            this.config.hardhat,
+            this.config.foundry,
+            this.config.deployments && path.join(this.config.deployments, this.config.network)
+        ].filter(Boolean).map(dir => this.resolve(dir));
+
+        const watchTree = (dir) => {
+            if (!watchers.has(dir)) {
+                try {
+                    const watcher = fs.watch(dir, trigger);
+                    watcher.on('error', () => unwatch(dir));
+                    watchers.set(dir, watcher);
+                } catch (error) {
+                    return;
+                }
+            }
+
+            let entries = [];
+            try {
+                entries = fs.readdirSync(dir, { withFileTypes: true });
+            } catch (error) {
+                unwatch(dir);
+            }
+            entries
+                .filter(entry => entry.isDirectory())
+                .forEach(entry => watchTree(path.join(dir, entry.name)));
+        };
+
+        const unwatch = (dir) => {
+            const watcher = watchers.get(dir);
+            if (watcher) {
+                watcher.close();
+                watchers.delete(dir);
+            }
+        };
+
+        // Watch the nearest existing parent of every root for entries leading to that root
+        const guardRoots = () => {
+            const wanted = new Map();
+            roots.forEach(root => {
+                let dir = path.dirname(root);
+                while (!fs.existsSync(dir) && path.dirname(dir) !== dir) dir = path.dirname(dir);
+                if (!wanted.has(dir)) wanted.set(dir, new Set());
+                wanted.get(dir).add(path.relative(dir, root).split(path.sep)[0]);
+            });
+
+            Array.from(guards.keys()).filter(dir => !wanted.has(dir)).forEach(unguard);
+            wanted.forEach((names, dir) => {
+                if (guards.has(dir)) {
+                    guards.get(dir).names = names;
+                    return;
+                }
+                const guard = { names };
+                try {
+                    guard.watcher = fs.watch(dir, (eventType, filename) => {
+                        if (!filename || guard.names.has(filename.toString())) trigger();
+                    });
+                } catch (error) {
+                    return;
+                }
+                guard.watcher.on('error', () => {
+                    unguard(dir);
+                    trigger();
+                });
+                guards.set(dir, guard);
+            });
+        };
+
+        const unguard = (dir) => {
+            const guard = guards.get(dir);
+            if (guard) {
+                guard.watcher.close();
+                guards.delete(dir);
+            }
+        };
+
+        function trigger() {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                // Drop watchers of removed directories and cover newly created ones
+                Array.from(watchers.keys()).filter(dir => !fs.existsSync(dir)).forEach(unwatch);
+                roots.forEach(watchTree);
+                guardRoots();
+                onChange();
+            }, debounce);
+        }
+
+        roots.forEach(watchTree);
+        guardRoots();
+
+        return () => {
+            clearTimeout(timer);
+            Array.from(watchers.keys()).forEach(unwatch);
+            Array.from(guards.keys()).forEach(unguard);
+        };
+    }
+}
+
+module.exports = ArtifactLoader;
@@ -0,0 +1,85 @@
+/**
+ * Block Snapshot
+ * A read-only view of SmartContractUtils pinned to one block, so reads made
+ * in separate requests describe the same chain state
+ */
+
+class BlockSnapshot {
+    /**
+     * @param {SmartContractUtils} utils - Utilities the reads go through
+     * @param {Object} block - Block the view is pinned to ({ number, hash, timestamp })
+     */
+    constructor(utils, block) {
+        this.utils = utils;
+        this.blockNumber = block.number;
+        this.blockHash = block.hash;
+        this.timestamp = block.timestamp;
+    }
+
+    /**
+     * Attach the pinned block to a result
+     * @param {any} result - Read result
+     * @returns {Object} { result, blockNumber, blockHash, timestamp }
+     */
+    wrap(result) {
+        return {
+            result,
+            blockNumber: this.blockNumber,
+            blockHash: this.blockHash,
+            timestamp: this.timestamp
+        };
+    }
+
+    /**
+     * Read-only contract call at the pinned block
+     * @param {string} contractName - Contract identifier
+     * @param {string} methodName - Method to call
+     * @param {Array} params - Method parameters
+     * @returns {Promise<Object>} Wrapped call result
+     */
+    async call(contractName, methodName, params = []) {
+        return this.wrap(await this.utils.call(contractName, methodName, params, { blockTag: this.blockNumber }));
+    }
+
+    /**
+     * Multicall batch at the pinned block
+     * @param {Array} calls - Array of { contract, method, params, allowFailure } objects
+     * @param {Object} options - Batch options (chunkSize)
+     * @returns {Promise<Object>} Wrapped array of batch results
+     */
+    async batchCalls(calls, options = {}) {
+        return this.wrap(await this.utils.batchCalls(calls, { ...options, blockTag: this.blockNumber }));
+    }
+
+    /**
+     * Storage slot at the pinned block
+     * @param {string} address - Contract address
+     * @param {string} slot - Storage slot
+     * @returns {Promise<Object>} Wrapped storage value
+     */
+    async getStorageAt(address, slot) {
+        return this.wrap(await this.utils.getStorageAt(address, slot, this.blockNumber));
+    }
+
+    /**
+     * Events up to and including the pinned block
+     * A negative fromBlock counts back from the pinned block rather than the chain head
+     * @param {string} contractName - Contract identifier
+     * @param {string} eventName - Event name
+     * @param {Object} options - Query options (fromBlock, filterArgs, resume, checkpointKey, onBatch)
+     * @returns {Promise<Object>} Wrapped event logs
+     */
+    async getEvents(contractName, eventName, options = {}) {
+        const fromBlock = options.fromBlock ?? -10000;
+        const events = await this.utils.getEvents(contractName, eventName, {
+            ...options,
+            fromBlock: typeof fromBlock === 'number' && fromBlock < 0
+                ? Math.max(this.blockNumber + fromBlock, 0)
+                : fromBlock,
+            toBlock: this.blockNumber
+        });
+        return this.wrap(events);
+    }
+}
+
+module.exports = BlockSnapshot;
@@ -0,0 +1,290 @@
+/**
+ * Call Cache
+ * Caches raw eth_call return data under SmartContractUtils.call with per-method policies:
+ * immutable getters are kept forever, state reads are valid for one block and go stale
+ * when a new head arrives, and other methods can use a time-based TTL
+ * Any object with async get(key) / set(key, value) / delete(key) can be used as a store
+ */
+
+const JsonFileStore = require('./json-file-store');
+const { networkConfig } = require('../base/networks');
+
+// Getters fixed at deployment on tokens, pools, routers and vaults
+// fee() is left out: Slipstream pools with a fee module return a dynamic fee
+const IMMUTABLE_METHODS = [
+    'decimals',
+    'symbol',
+    'name',
+    'token0',
+    'token1',
+    'tickSpacing',
+    'factory',
+    'WETH9',
+    'asset',
+    'stable',
+    'DOMAIN_SEPARATOR'
+];
+
+const POLICIES = ['immutable', 'block', 'none'];
+
+class MemoryCacheStore {
+    /**
+     * @param {Object} options - maxEntries, after which least recently used entries are evicted
+     */
+    constructor(options = {}) {
+        this.entries = new Map();
+        this.maxEntries = options.maxEntries || 10000;
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return null;
+        }
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    async set(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        if (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async clear() {
+        this.entries.clear();
+    }
+}
+
+/**
+ * Cache entries in one compact JSON file: new FileCacheStore(filePath, { maxEntries })
+ * Pinned-block reads add a key per block, so least recently used entries are evicted
+ */
+class FileCacheStore extends JsonFileStore {
+    /**
+     * @param {string} filePath - JSON file holding all entries
+     * @param {Object} options - maxEntries, after which least recently used entries are evicted
+     */
+    constructor(filePath, options = {}) {
+        super(filePath);
+        this.maxEntries = options.maxEntries || 10000;
+    }
+
+    async get(key) {
+        const values = await this.load();
+        const entry = values[key];
+        if (!entry) {
+            return null;
+        }
+        // Key order is recency order; it is saved with the next write
+        delete values[key];
+        values[key] = entry;
+        return entry;
+    }
+
+    async set(key, entry) {
+        const values = await this.load();
+        delete values[key];
+        values[key] = entry;
+        const keys = Object.keys(values);
+        keys.slice(0, Math.max(keys.length - this.maxEntries, 0)).forEach(oldest => delete values[oldest]);
+        return this.persist();
+    }
+}
+
+class CallCache {
+    /**
+     * @param {Provider} provider - Provider used to follow the chain head
+     * @param {Object} config - store, policies, defaultPolicy, network, chainId, headMaxAge
+     */
+    constructor(provider, config = {}) {
+        this.provider = provider;
+        this.config = {
+            chainId: 8453,
+            defaultPolicy: 'block',
+            headMaxAge: 2000, // Base produces a block every 2s
+            ...networkConfig(config.network),
+            ...config
+        };
+        this.store = config.store || new MemoryCacheStore();
+        this.policies = { ...config.policies };
+        Object.values(this.policies).forEach(policy => this.validatePolicy(policy));
+        this.head = null;
+        this.headAt = 0;
+        this.headRequest = null;
+        this.resetStats();
+    }
+
+    validatePolicy(policy) {
+        if (!POLICIES.includes(policy) && !(typeof policy === 'number' && policy > 0)) {
+            throw new Error(`Invalid cache policy: ${policy}`);
+        }
+    }
+
+    /**
+     * Set the policy for a method, or for one contract's method with 'contract.method'
+     * @param {string} method - Method name or 'contract.method'
+     * @param {string|number} policy - 'immutable', 'block', 'none' or a TTL in ms
+     */
+    setPolicy(method, policy) {
+        this.validatePolicy(policy);
+        this.policies[method] = policy;
+    }
+
+    getPolicy(contractName, methodName) {
+        const policy = this.policies[`${contractName}.${methodName}`] ?? this.policies[methodName];
+        if (policy !== undefined) {
+            return policy;
+        }
+        return IMMUTABLE_METHODS.includes(methodName) ? 'immutable' : this.config.defaultPolicy;
+    }
+
+    /**
+     * Current head block number, fetched at most once per headMaxAge
+     * @returns {Promise<number>} Block number
+     */
+    async getHead() {
+        if (this.head !== null && Date.now() - this.headAt < this.config.headMaxAge) {
+            return this.head;
+        }
+        if (!this.headRequest) {
+            this.headRequest = this.provider.getBlockNumber()
+                .then(blockNumber => {
+                    this.setHead(blockNumber);
+                    return this.head;
+                })
+                .finally(() => {
+                    this.headRequest = null;
+                });
+        }
+        return this.headRequest;
+    }
+
+    /**
+     * Record a new head; per-block entries from older blocks stop matching
+     * @param {number} blockNumber - Head block number
+     */
+    setHead(blockNumber) {
+        const head = Number(blockNumber);
+        if (this.head === null || head >= this.head) {
+            if (this.head !== null && head > this.head) {
+                this.stats.invalidations++;
+            }
+            this.head = head;
+            this.headAt = Date.now();
+        }
+    }
+
+    /**
+     * Follow new heads from provider block events instead of polling getBlockNumber
+     * @returns {Function} Stop function
+     */
+    watchHeads() {
+        const listener = (blockNumber) => this.setHead(blockNumber);
+        this.provider.on('block', listener);
+        return () => this.provider.off('block', listener);
+    }
+
+    /**
+     * Read through the cache
+     * Reads at 'latest' under the block policy are pinned to the head they are cached for
+     * @param {Object} request - { contractName, methodName, to, data, blockTag }
+     * @param {Function} fetch - (blockTag) => Promise<string> raw return data
+     * @returns {Promise<string>} Raw return data
+     */
+    async read(request, fetch) {
+        const { contractName, methodName, to, data } = request;
+        const blockTag = request.blockTag ?? 'latest';
+        const policy = this.getPolicy(contractName, methodName);
+        const label = `${contractName}.${methodName}`;
+        const pinned = typeof blockTag === 'number' || typeof blockTag === 'bigint';
+
+        if (policy === 'none' || (!pinned && blockTag !== 'latest')) {
+            this.record(label, 'bypasses');
+            return fetch(request.blockTag);
+        }
+
+        const baseKey = `${this.config.chainId}:${to.toLowerCase()}:${data}`;
+        let key = baseKey;
+        let isValid = () => true;
+        let readTag = request.blockTag;
+        let entryBlock = null;
+
+        if (policy !== 'immutable') {
+            if (pinned) {
+                // State at a fixed block does not change
+                key = `${baseKey}@${blockTag}`;
+            } else if (typeof policy === 'number') {
+                isValid = (entry) => entry.expiresAt > Date.now();
+            } else {
+                entryBlock = await this.getHead();
+                readTag = entryBlock;
+                isValid = (entry) => entry.block === entryBlock;
+            }
+        }
+
+        const entry = await this.store.get(key);
+        if (entry && isValid(entry)) {
+            this.record(label, 'hits');
+            return entry.data;
+        }
+
+        this.record(label, 'misses');
+        const result = await fetch(readTag);
+        await this.store.set(key, {
+            data: result,
+            block: entryBlock,
+            expiresAt: typeof policy === 'number' ? Date.now() + policy : null
+        });
+        return result;
+    }
+
+    record(label, outcome) {
+        this.stats[outcome]++;
+        if (!this.stats.methods[label]) {
+            this.stats.methods[label] = { hits: 0, misses: 0, bypasses: 0 };
+        }
+        this.stats.methods[label][outcome]++;
+    }
+
+    /**
+     * Hit/miss statistics, overall and per contract method
+     * @returns {Object} { hits, misses, bypasses, invalidations, hitRate, methods }
+     */
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            ...this.stats,
+            methods: Object.fromEntries(Object.entries(this.stats.methods).map(([label, counts]) => [label, { ...counts }])),
+            hitRate: lookups > 0 ? this.stats.hits / lookups : 0
+        };
+    }
+
+    resetStats() {
+        this.stats = { hits: 0, misses: 0, bypasses: 0, invalidations: 0, methods: {} };
+    }
+
+    /**
+     * Drop every cached entry
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        if (typeof this.store.clear === 'function') {
+            await this.store.clear();
+        }
+    }
+}
+
+module.exports = {
+    CallCache,
+    MemoryCacheStore,
+    FileCacheStore,
+    IMMUTABLE_METHODS
+};
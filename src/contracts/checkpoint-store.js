@@ -0,0 +1,39 @@
+/**
+ * Checkpoint Stores
+ * Persist indexer progress per contract/event so long-running jobs can resume
+ * Any object with async get(key) / set(key, value) / delete(key) can be used instead
+ */
+
+const JsonFileStore = require('./json-file-store');
+
+class MemoryCheckpointStore {
+    constructor() {
+        this.checkpoints = new Map();
+    }
+
+    async get(key) {
+        return this.checkpoints.get(key) || null;
+    }
+
+    async set(key, checkpoint) {
+        this.checkpoints.set(key, checkpoint);
+    }
+
+    async delete(key) {
+        this.checkpoints.delete(key);
+    }
+}
+
+class FileCheckpointStore extends JsonFileStore {
+    /**
+     * @param {string} filePath - JSON file holding all checkpoints
+     */
+    constructor(filePath) {
+        super(filePath, { indent: 2 });
+    }
+}
+
+module.exports = {
+    MemoryCheckpointStore,
+    FileCheckpointStore
+};
@@ -0,0 +1,120 @@
+/**
+ * Contract Deployment Helpers
+ * Init code construction, CREATE2 address precomputation through the canonical
+ * deterministic deployer, and a per-network manifest that makes reruns idempotent
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { Interface, concat, getAddress, getCreate2Address, id, isHexString, keccak256, toBeHex } = ethers;
+
+// Arachnid deterministic deployment proxy: calldata is salt (32 bytes) followed by init code
+const DETERMINISTIC_DEPLOYER_ADDRESS = '0x4e59b44847b379578588920cA78FbF26c0B4956C';
+
+/**
+ * Normalize a salt: 32-byte hex is used as is, numbers are padded, other strings are hashed
+ * @param {string|number|bigint} salt - Salt
+ * @returns {string} 32-byte salt
+ */
+function toSalt(salt = 0) {
+    if (typeof salt === 'string' && isHexString(salt, 32)) {
+        return salt;
+    }
+    if (typeof salt === 'number' || typeof salt === 'bigint') {
+        return toBeHex(salt, 32);
+    }
+    return id(String(salt));
+}
+
+/**
+ * Concatenate creation bytecode and ABI-encoded constructor arguments
+ * @param {Array} abi - Contract ABI
+ * @param {string} bytecode - Creation bytecode
+ * @param {Array} args - Constructor arguments
+ * @returns {string} Init code
+ */
+function buildInitCode(abi, bytecode, args = []) {
+    if (!bytecode || bytecode === '0x') {
+        throw new Error('Missing creation bytecode');
+    }
+    if (/__\$[0-9a-fA-F]{34}\$__/.test(bytecode)) {
+        throw new Error('Bytecode has unlinked library references');
+    }
+    const prefixed = bytecode.startsWith('0x') ? bytecode : `0x${bytecode}`;
+    return concat([prefixed, new Interface(abi).encodeDeploy(args)]);
+}
+
+/**
+ * Precompute the address of a CREATE2 deployment
+ * @param {string} initCode - Init code
+ * @param {string|number|bigint} salt - Salt
+ * @param {string} deployer - Factory address
+ * @returns {string} Contract address
+ */
+function computeCreate2Address(initCode, salt, deployer = DETERMINISTIC_DEPLOYER_ADDRESS) {
+    return getCreate2Address(deployer, toSalt(salt), keccak256(initCode));
+}
+
+const stringifyBigInt = (_key, value) => (typeof value === 'bigint' ? value.toString() : value);
+
+class DeploymentManifest {
+    /**
+     * @param {string} filePath - Manifest path
+     * @param {Object} data - { network, chainId, contracts }
+     */
+    constructor(filePath, data = {}) {
+        this.filePath = filePath;
+        this.data = { network: null, chainId: null, contracts: {}, ...data };
+    }
+
+    /**
+     * Read a manifest, starting empty when the file does not exist
+     * @param {string} filePath - Manifest path
+     * @param {Object} defaults - network and chainId for a new manifest
+     * @returns {Promise<DeploymentManifest>} Manifest
+     */
+    static async load(filePath, defaults = {}) {
+        try {
+            const data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+            if (defaults.chainId && data.chainId && Number(data.chainId) !== Number(defaults.chainId)) {
+                throw new Error(`Manifest ${filePath} belongs to chain ${data.chainId}, not ${defaults.chainId}`);
+            }
+            return new DeploymentManifest(filePath, data);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return new DeploymentManifest(filePath, defaults);
+        }
+    }
+
+    get(name) {
+        return this.data.contracts[name] || null;
+    }
+
+    set(name, record) {
+        this.data.contracts[name] = { ...record, address: getAddress(record.address) };
+    }
+
+    list() {
+        return Object.entries(this.data.contracts).map(([name, record]) => ({ name, ...record }));
+    }
+
+    /**
+     * Write the manifest atomically
+     * @returns {Promise<void>}
+     */
+    async save() {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmpPath, JSON.stringify(this.data, stringifyBigInt, 2));
+        await fs.promises.rename(tmpPath, this.filePath);
+    }
+}
+
+module.exports = {
+    DeploymentManifest,
+    buildInitCode,
+    computeCreate2Address,
+    toSalt,
+    DETERMINISTIC_DEPLOYER_ADDRESS
+};
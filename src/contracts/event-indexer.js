@@ -0,0 +1,226 @@
+/**
+ * Event Indexer
+ * Pages through historical logs in block ranges that public RPCs accept,
+ * shrinking the range when a node rejects it, checkpointing progress and
+ * rewinding past chain reorganisations on resume
+ */
+
+const { MemoryCheckpointStore } = require('./checkpoint-store');
+const { toPlainObject } = require('./abi-utils');
+
+// Messages nodes use when a getLogs range or result set is too large
+const RANGE_ERROR_PATTERN = /block range|range (is )?too (large|wide)|too many (results|logs)|limit exceeded|exceed(s|ed)? .*(limit|range|max)|query returned more than|response size|10000 results|timeout/i;
+
+class EventIndexer {
+    constructor(provider, config = {}) {
+        this.provider = provider;
+        this.config = {
+            store: new MemoryCheckpointStore(),
+            maxBlockRange: 2000,
+            minBlockRange: 1,
+            reorgDepth: 12,
+            includeTimestamps: true,
+            ...config
+        };
+        this.store = this.config.store;
+    }
+
+    /**
+     * Index an event from a contract
+     * @param {Contract} contract - ethers Contract instance
+     * @param {string} eventName - Event name
+     * @param {Object} options - fromBlock, toBlock, filterArgs, checkpointKey, plainArgs, onBatch, onReorg
+     * @returns {Promise<Object>} { events, fromBlock, toBlock, reorg }
+     */
+    async index(contract, eventName, options = {}) {
+        const filter = contract.filters[eventName](...(options.filterArgs || []));
+        const key = options.checkpointKey || null;
+        const latest = await this.provider.getBlockNumber();
+        const toBlock = this.resolveBlock(options.toBlock ?? 'latest', latest);
+
+        let fromBlock = this.resolveBlock(options.fromBlock ?? -10000, latest);
+        let checkpoint = null;
+        let reorg = null;
+
+        if (key) {
+            checkpoint = await this.store.get(key);
+            if (checkpoint) {
+                reorg = await this.detectReorg(checkpoint);
+                fromBlock = reorg ? reorg.fromBlock : checkpoint.lastBlock + 1;
+                if (reorg && options.onReorg) {
+                    await options.onReorg(reorg);
+                }
+            }
+        }
+
+        const events = [];
+        let recentBlocks = checkpoint ? this.pruneBlocks(checkpoint.blocks || [], reorg ? reorg.fromBlock : Infinity) : [];
+        let range = this.config.maxBlockRange;
+        let cursor = fromBlock;
+
+        while (cursor <= toBlock) {
+            const end = Math.min(cursor + range - 1, toBlock);
+            const blockCache = new Map();
+            let logs;
+
+            try {
+                logs = await contract.queryFilter(filter, cursor, end);
+            } catch (error) {
+                if (this.isRangeError(error) && range > this.config.minBlockRange) {
+                    range = Math.max(Math.floor(range / 2), this.config.minBlockRange);
+                    continue;
+                }
+                throw error;
+            }
+
+            const batch = await this.formatLogs(logs, blockCache, options);
+            events.push(...batch);
+
+            if (options.onBatch) {
+                await options.onBatch(batch, { fromBlock: cursor, toBlock: end });
+            }
+
+            if (key) {
+                const endBlock = await this.getBlock(end, blockCache);
+                recentBlocks = this.trackBlocks(recentBlocks, batch, endBlock, end);
+                await this.store.set(key, {
+                    lastBlock: end,
+                    blocks: recentBlocks,
+                    updatedAt: new Date().toISOString()
+                });
+            }
+
+            cursor = end + 1;
+            // Grow back towards the maximum after a successful page
+            range = Math.min(range * 2, this.config.maxBlockRange);
+        }
+
+        return { events, fromBlock, toBlock, reorg };
+    }
+
+    /**
+     * Resolve relative (negative) block numbers and tags against the head
+     * @param {number|string} block - Block number, negative offset or 'latest'
+     * @param {number} latest - Current head block number
+     * @returns {number} Absolute block number
+     */
+    resolveBlock(block, latest) {
+        if (block === 'latest') return latest;
+        if (block === 'earliest') return 0;
+        const number = Number(block);
+        return number < 0 ? Math.max(latest + number, 0) : number;
+    }
+
+    /**
+     * Check whether a node rejected a getLogs request for its size
+     * @param {Error} error - Provider error
+     * @returns {boolean} True if a smaller range may succeed
+     */
+    isRangeError(error) {
+        const messages = [
+            error.shortMessage,
+            error.message,
+            error.error && error.error.message,
+            error.info && error.info.error && error.info.error.message
+        ];
+        return messages.some(message => message && RANGE_ERROR_PATTERN.test(message));
+    }
+
+    /**
+     * Compare stored block hashes with the chain
+     * @param {Object} checkpoint - Stored checkpoint
+     * @returns {Promise<Object|null>} { fromBlock, checkedBlocks } when a reorg is found
+     */
+    async detectReorg(checkpoint) {
+        const blocks = (checkpoint.blocks || []).slice().sort((a, b) => a.number - b.number);
+        if (blocks.length === 0) return null;
+
+        for (let i = 0; i < blocks.length; i++) {
+            const stored = blocks[i];
+            const block = await this.provider.getBlock(stored.number);
+            if (!block || block.hash !== stored.hash) {
+                // Everything from the first mismatching block onwards must be re-indexed;
+                // if even the oldest hash changed the fork point is unknown, so rewind a full window
+                const fromBlock = i === 0
+                    ? Math.max(stored.number - this.config.reorgDepth, 0)
+                    : stored.number;
+                return { fromBlock, checkedBlocks: blocks.length };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Keep hashes for blocks with logs plus the page end, within the reorg window
+     * @param {Array} blocks - Previously tracked { number, hash } entries
+     * @param {Array} batch - Formatted events of the page
+     * @param {Object} endBlock - Block at the end of the page
+     * @param {number} end - Page end block number
+     * @returns {Array} Tracked blocks
+     */
+    trackBlocks(blocks, batch, endBlock, end) {
+        const seen = new Map(blocks.map(block => [block.number, block]));
+        batch.forEach(event => seen.set(event.blockNumber, { number: event.blockNumber, hash: event.blockHash }));
+        if (endBlock) seen.set(end, { number: end, hash: endBlock.hash });
+
+        return Array.from(seen.values())
+            .filter(block => block.number > end - this.config.reorgDepth)
+            .sort((a, b) => a.number - b.number);
+    }
+
+    /**
+     * Drop tracked blocks at or above a rewind point
+     * @param {Array} blocks - Tracked { number, hash } entries
+     * @param {number} fromBlock - Rewind point
+     * @returns {Array} Remaining blocks
+     */
+    pruneBlocks(blocks, fromBlock) {
+        return blocks.filter(block => block.number < fromBlock);
+    }
+
+    /**
+     * Fetch a block once per page
+     * @param {number} number - Block number
+     * @param {Map} cache - Page block cache
+     * @returns {Promise<Object>} Block
+     */
+    async getBlock(number, cache) {
+        if (!cache.has(number)) {
+            cache.set(number, this.provider.getBlock(number));
+        }
+        return cache.get(number);
+    }
+
+    /**
+     * Convert ethers logs to the indexer output shape
+     * @param {Array} logs - EventLog objects
+     * @param {Map} blockCache - Block lookups for the current page
+     * @param {Object} options - Pass plainArgs to get args as objects keyed by name
+     * @returns {Promise<Array>} Formatted events
+     */
+    async formatLogs(logs, blockCache, options = {}) {
+        return Promise.all(logs.map(async (log) => {
+            const block = this.config.includeTimestamps ? await this.getBlock(log.blockNumber, blockCache) : null;
+            return {
+                blockNumber: log.blockNumber,
+                blockHash: log.blockHash,
+                transactionHash: log.transactionHash,
+                logIndex: log.index,
+                args: options.plainArgs && log.fragment ? toPlainObject(log.fragment.inputs, log.args) : log.args,
+                event: log.eventName,
+                address: log.address,
+                timestamp: block ? block.timestamp : null
+            };
+        }));
+    }
+
+    /**
+     * Forget progress for a checkpoint key
+     * @param {string} key - Checkpoint key
+     */
+    async resetCheckpoint(key) {
+        await this.store.delete(key);
+    }
+}
+
+module.exports = EventIndexer;
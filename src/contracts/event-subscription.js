@@ -0,0 +1,158 @@
+/**
+ * Event Subscription
+ * Polls a contract event through the EventIndexer, delivering logs once they have
+ * the requested number of confirmations and reporting logs that a reorg removed.
+ * Progress is checkpointed, so a restarted subscription backfills what it missed.
+ */
+
+class EventSubscription {
+    /**
+     * @param {EventIndexer} indexer - Indexer holding the checkpoint store
+     * @param {Contract} contract - ethers Contract instance
+     * @param {string} eventName - Event name
+     * @param {Function} callback - Receives each event; removed logs have removed: true
+     * @param {Object} options - confirmations, checkpointKey, fromBlock, filterArgs, pollInterval, onError
+     */
+    constructor(indexer, contract, eventName, callback, options = {}) {
+        this.indexer = indexer;
+        this.contract = contract;
+        this.eventName = eventName;
+        this.callback = callback;
+        this.options = {
+            confirmations: 0,
+            pollInterval: 2000,
+            filterArgs: [],
+            fromBlock: null,
+            onError: null,
+            ...options
+        };
+        this.checkpointKey = this.options.checkpointKey;
+        this.delivered = new Map();
+        this.suspect = new Map();
+        this.startBlock = null;
+        this.running = false;
+        this.timer = null;
+        this.lastError = null;
+    }
+
+    static eventId(event) {
+        return `${event.blockHash}:${event.logIndex}`;
+    }
+
+    /**
+     * Start polling; the first poll backfills from the stored checkpoint
+     */
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this.schedule(0);
+    }
+
+    /**
+     * Stop polling
+     */
+    stop() {
+        this.running = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    schedule(delay) {
+        if (!this.running) return;
+        this.timer = setTimeout(async () => {
+            await this.poll();
+            this.schedule(this.options.pollInterval);
+        }, delay);
+    }
+
+    /**
+     * Index up to the confirmed head and deliver new or removed logs
+     * @returns {Promise<void>}
+     */
+    async poll() {
+        try {
+            const head = await this.indexer.provider.getBlockNumber();
+            const confirmedBlock = head - this.options.confirmations;
+            if (confirmedBlock < 0) return;
+            // Pin the start so a failed first page is retried from the same block
+            if (this.startBlock === null) {
+                this.startBlock = this.options.fromBlock ?? confirmedBlock;
+            }
+            const fromBlock = this.startBlock;
+
+            await this.indexer.index(this.contract, this.eventName, {
+                fromBlock,
+                toBlock: confirmedBlock,
+                filterArgs: this.options.filterArgs,
+                checkpointKey: this.checkpointKey,
+                plainArgs: true,
+                onReorg: (reorg) => this.handleReorg(reorg),
+                onBatch: (batch) => this.deliver(batch)
+            });
+
+            await this.flushRemoved();
+            this.prune(confirmedBlock);
+            this.lastError = null;
+        } catch (error) {
+            this.lastError = error;
+            if (this.options.onError) {
+                this.options.onError(error);
+            }
+        }
+    }
+
+    /**
+     * Park logs at or above the fork point until re-indexing shows which survived
+     * @param {Object} reorg - { fromBlock }
+     */
+    handleReorg(reorg) {
+        for (const [id, event] of this.delivered) {
+            if (event.blockNumber >= reorg.fromBlock) {
+                this.suspect.set(id, event);
+                this.delivered.delete(id);
+            }
+        }
+    }
+
+    async deliver(batch) {
+        for (const event of batch) {
+            const id = EventSubscription.eventId(event);
+            if (this.suspect.has(id)) {
+                // Same block hash and log index: the log survived the reorg
+                this.suspect.delete(id);
+                this.delivered.set(id, event);
+                continue;
+            }
+            if (this.delivered.has(id)) continue;
+
+            // Only a handled log counts as delivered; a throwing callback rejects the batch,
+            // so the indexer keeps its checkpoint and the next poll retries from this page
+            await this.callback({ ...event, removed: false });
+            this.delivered.set(id, event);
+        }
+    }
+
+    async flushRemoved() {
+        for (const [id, event] of Array.from(this.suspect)) {
+            await this.callback({ ...event, removed: true });
+            this.suspect.delete(id);
+        }
+    }
+
+    /**
+     * Forget delivered logs that are too deep to be reorged
+     * @param {number} confirmedBlock - Latest confirmed block
+     */
+    prune(confirmedBlock) {
+        const horizon = confirmedBlock - this.indexer.config.reorgDepth;
+        for (const [id, event] of this.delivered) {
+            if (event.blockNumber <= horizon) {
+                this.delivered.delete(id);
+            }
+        }
+    }
+}
+
+module.exports = EventSubscription;
@@ -0,0 +1,84 @@
+/**
+ * JSON File Store
+ * Keeps a key/value map in one JSON file, loaded on first use and rewritten
+ * through a temp file on every change; shared by the checkpoint and call cache stores
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class JsonFileStore {
+    /**
+     * @param {string} filePath - JSON file holding all values
+     * @param {Object} options - indent (JSON.stringify spacing)
+     */
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.indent = options.indent || 0;
+        this.values = null;
+        this.loading = null;
+        this.writing = Promise.resolve();
+    }
+
+    /**
+     * Read the file once; concurrent first callers share the same read
+     * @returns {Promise<Object>} All values
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = fs.promises.readFile(this.filePath, 'utf8')
+                .then(JSON.parse, (error) => {
+                    if (error.code !== 'ENOENT') throw error;
+                    return {};
+                })
+                .then((values) => {
+                    this.values = values;
+                    return values;
+                }, (error) => {
+                    // Let the next call try again
+                    this.loading = null;
+                    throw error;
+                });
+        }
+        return this.loading;
+    }
+
+    async get(key) {
+        const values = await this.load();
+        return values[key] || null;
+    }
+
+    async set(key, value) {
+        const values = await this.load();
+        values[key] = value;
+        return this.persist();
+    }
+
+    async delete(key) {
+        const values = await this.load();
+        delete values[key];
+        return this.persist();
+    }
+
+    async clear() {
+        this.values = {};
+        this.loading = Promise.resolve(this.values);
+        return this.persist();
+    }
+
+    /**
+     * Write through a temp file so a crash never leaves a truncated file
+     * @returns {Promise<void>}
+     */
+    persist() {
+        this.writing = this.writing.catch(() => {}).then(async () => {
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(tempPath, JSON.stringify(this.values, null, this.indent));
+            await fs.promises.rename(tempPath, this.filePath);
+        });
+        return this.writing;
+    }
+}
+
+module.exports = JsonFileStore;
@@ -0,0 +1,69 @@
+/**
+ * Multicall3 Client
+ * Aggregates read-only contract calls into single eth_call requests
+ * Multicall3 is deployed at the same address on Base and most EVM chains
+ */
+
+const { ethers } = require('ethers');
+const { Interface } = ethers;
+
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const MULTICALL3_ABI = [
+    'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+    'function getBlockNumber() view returns (uint256 blockNumber)',
+    'function getCurrentBlockTimestamp() view returns (uint256 timestamp)',
+    'function getEthBalance(address addr) view returns (uint256 balance)'
+];
+
+class Multicall {
+    constructor(provider, address = MULTICALL3_ADDRESS) {
+        this.provider = provider;
+        this.address = address;
+        this.interface = new Interface(MULTICALL3_ABI);
+        this.available = null;
+    }
+
+    /**
+     * Check whether Multicall3 is deployed on the connected chain
+     * The result is cached after the first successful lookup
+     * @returns {Promise<boolean>} True if the contract has code
+     */
+    async isAvailable() {
+        if (this.available === null) {
+            try {
+                const code = await this.provider.getCode(this.address);
+                this.available = code !== '0x';
+            } catch (error) {
+                return false;
+            }
+        }
+        return this.available;
+    }
+
+    /**
+     * Execute an aggregate3 call
+     * @param {Array} calls - Array of { target, allowFailure, callData }
+     * @param {string|number} blockTag - Block number or tag
+     * @returns {Promise<Array>} Array of { success, returnData }
+     */
+    async aggregate3(calls, blockTag = 'latest') {
+        const data = this.interface.encodeFunctionData('aggregate3', [
+            calls.map(call => [call.target, call.allowFailure, call.callData])
+        ]);
+
+        const response = await this.provider.call({ to: this.address, data, blockTag });
+        const [results] = this.interface.decodeFunctionResult('aggregate3', response);
+
+        return results.map(result => ({
+            success: result.success,
+            returnData: result.returnData
+        }));
+    }
+}
+
+module.exports = {
+    Multicall,
+    MULTICALL3_ADDRESS,
+    MULTICALL3_ABI
+};
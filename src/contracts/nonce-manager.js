@@ -0,0 +1,129 @@
+/**
+ * Nonce Manager
+ * Reserves nonces locally and serializes transaction broadcasts per signer
+ * so concurrent callers sharing a signer never collide on a nonce
+ */
+
+class NonceManager {
+    constructor(provider) {
+        this.provider = provider;
+        this.accounts = new Map();
+    }
+
+    /**
+     * Get or create the local state for an address
+     * @param {string} address - Signer address
+     * @returns {Object} Account state
+     */
+    getAccount(address) {
+        const key = address.toLowerCase();
+        if (!this.accounts.has(key)) {
+            this.accounts.set(key, {
+                address,
+                nextNonce: null,
+                queue: Promise.resolve(),
+                queued: 0,
+                inFlight: new Map(),
+                lastSyncedAt: null,
+                resyncCount: 0
+            });
+        }
+        return this.accounts.get(key);
+    }
+
+    /**
+     * Reload the next nonce from the pending transaction count
+     * @param {string} address - Signer address
+     * @returns {Promise<number>} Next nonce
+     */
+    async resync(address) {
+        const account = this.getAccount(address);
+        account.nextNonce = await this.provider.getTransactionCount(address, 'pending');
+        account.lastSyncedAt = new Date().toISOString();
+        account.resyncCount++;
+        return account.nextNonce;
+    }
+
+    /**
+     * Queue a broadcast for a signer
+     * The send function receives the reserved nonce and must resolve once the
+     * transaction has been broadcast; the queue moves on as soon as it does,
+     * so callers can wait for receipts concurrently.
+     * @param {string} address - Signer address
+     * @param {Function} send - async (nonce) => TransactionResponse
+     * @returns {Promise<Object>} Transaction response
+     */
+    enqueue(address, send) {
+        const account = this.getAccount(address);
+        account.queued++;
+
+        const run = async () => {
+            account.queued--;
+            if (account.nextNonce === null) {
+                await this.resync(address);
+            }
+
+            const nonce = account.nextNonce;
+            try {
+                const tx = await send(nonce);
+                account.nextNonce = nonce + 1;
+                account.inFlight.set(nonce, tx.hash);
+                return tx;
+            } catch (error) {
+                // The chain may have moved on without us (external sends, dropped txs)
+                await this.resync(address).catch(() => {
+                    account.nextNonce = null;
+                });
+                throw error;
+            }
+        };
+
+        const result = account.queue.then(run);
+        account.queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Mark a broadcast nonce as mined
+     * @param {string} address - Signer address
+     * @param {number} nonce - Mined nonce
+     */
+    confirm(address, nonce) {
+        this.getAccount(address).inFlight.delete(nonce);
+    }
+
+    /**
+     * Drop the local nonce so the next transaction resyncs from the chain
+     * @param {string} address - Signer address
+     */
+    reset(address) {
+        const account = this.getAccount(address);
+        account.nextNonce = null;
+        account.inFlight.clear();
+    }
+
+    /**
+     * Get queue state for one signer or all known signers
+     * @param {string} address - Optional signer address
+     * @returns {Object|Array} Queue state
+     */
+    getQueueState(address) {
+        if (address) {
+            return this.describeAccount(this.getAccount(address));
+        }
+        return Array.from(this.accounts.values()).map(account => this.describeAccount(account));
+    }
+
+    describeAccount(account) {
+        return {
+            address: account.address,
+            nextNonce: account.nextNonce,
+            queued: account.queued,
+            inFlight: Array.from(account.inFlight.entries()).map(([nonce, hash]) => ({ nonce, hash })),
+            lastSyncedAt: account.lastSyncedAt,
+            resyncCount: account.resyncCount
+        };
+    }
+}
+
+module.exports = NonceManager;
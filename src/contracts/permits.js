@@ -0,0 +1,382 @@
+/**
+ * EIP-712 Permit Builder
+ * Builds, signs and verifies EIP-2612 permits and Uniswap Permit2
+ * allowance and signature-transfer permits
+ */
+
+const { ethers } = require('ethers');
+const { networkConfig } = require('../base/networks');
+const { Contract, Signature, TypedDataEncoder, verifyTypedData, getAddress } = ethers;
+
+// Permit2 is deployed at the same address on Base and most EVM chains
+const PERMIT2_ADDRESS = '0x000000000022D473030F116dDEE9F6B43aC78BA3';
+
+const ERC1271_MAGIC_VALUE = '0x1626ba7e';
+
+const PERMIT_TOKEN_ABI = [
+    'function name() view returns (string)',
+    'function version() view returns (string)',
+    'function nonces(address owner) view returns (uint256)',
+    'function DOMAIN_SEPARATOR() view returns (bytes32)',
+    'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)',
+    'function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)'
+];
+
+const PERMIT2_ABI = [
+    'function allowance(address owner, address token, address spender) view returns (uint160 amount, uint48 expiration, uint48 nonce)',
+    'function nonceBitmap(address owner, uint256 wordPos) view returns (uint256)',
+    'function DOMAIN_SEPARATOR() view returns (bytes32)'
+];
+
+const ERC1271_ABI = [
+    'function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)'
+];
+
+const EIP2612_TYPES = {
+    Permit: [
+        { name: 'owner', type: 'address' },
+        { name: 'spender', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
+const PERMIT_DETAILS = [
+    { name: 'token', type: 'address' },
+    { name: 'amount', type: 'uint160' },
+    { name: 'expiration', type: 'uint48' },
+    { name: 'nonce', type: 'uint48' }
+];
+
+const TOKEN_PERMISSIONS = [
+    { name: 'token', type: 'address' },
+    { name: 'amount', type: 'uint256' }
+];
+
+const PERMIT2_TYPES = {
+    single: {
+        PermitSingle: [
+            { name: 'details', type: 'PermitDetails' },
+            { name: 'spender', type: 'address' },
+            { name: 'sigDeadline', type: 'uint256' }
+        ],
+        PermitDetails: PERMIT_DETAILS
+    },
+    batch: {
+        PermitBatch: [
+            { name: 'details', type: 'PermitDetails[]' },
+            { name: 'spender', type: 'address' },
+            { name: 'sigDeadline', type: 'uint256' }
+        ],
+        PermitDetails: PERMIT_DETAILS
+    },
+    transfer: {
+        PermitTransferFrom: [
+            { name: 'permitted', type: 'TokenPermissions' },
+            { name: 'spender', type: 'address' },
+            { name: 'nonce', type: 'uint256' },
+            { name: 'deadline', type: 'uint256' }
+        ],
+        TokenPermissions: TOKEN_PERMISSIONS
+    },
+    batchTransfer: {
+        PermitBatchTransferFrom: [
+            { name: 'permitted', type: 'TokenPermissions[]' },
+            { name: 'spender', type: 'address' },
+            { name: 'nonce', type: 'uint256' },
+            { name: 'deadline', type: 'uint256' }
+        ],
+        TokenPermissions: TOKEN_PERMISSIONS
+    }
+};
+
+const MAX_UINT160 = (1n << 160n) - 1n;
+
+const secondsFromNow = (seconds) => BigInt(Math.floor(Date.now() / 1000) + seconds);
+
+class PermitBuilder {
+    /**
+     * @param {Provider} provider - ethers provider
+     * @param {Object} config - network, chainId, permit2Address, deadline (seconds), expiration (seconds)
+     */
+    constructor(provider, config = {}) {
+        this.provider = provider;
+        this.config = {
+            chainId: 8453,
+            permit2Address: PERMIT2_ADDRESS,
+            deadline: 30 * 60,
+            expiration: 30 * 24 * 60 * 60,
+            ...networkConfig(config.network, { permit2Address: 'permit2' }),
+            ...config
+        };
+        this.permit2 = new Contract(this.config.permit2Address, PERMIT2_ABI, provider);
+        this.domains = new Map();
+    }
+
+    /**
+     * Resolve a token's EIP-712 domain and check it against DOMAIN_SEPARATOR
+     * Uses EIP-5267 eip712Domain() when available, otherwise name() with version() or '1'/'2'
+     * @param {string} token - Token address
+     * @returns {Promise<Object>} EIP-712 domain
+     */
+    async getTokenDomain(token) {
+        const key = token.toLowerCase();
+        if (this.domains.has(key)) {
+            return this.domains.get(key);
+        }
+
+        const contract = new Contract(token, PERMIT_TOKEN_ABI, this.provider);
+        const optional = (promise) => promise.catch(() => null);
+        const [eip5267, name, version, separator] = await Promise.all([
+            optional(contract.eip712Domain()),
+            optional(contract.name()),
+            optional(contract.version()),
+            optional(contract.DOMAIN_SEPARATOR())
+        ]);
+
+        const base = { chainId: this.config.chainId, verifyingContract: getAddress(token) };
+        const candidates = [];
+        if (eip5267) {
+            candidates.push({ ...base, name: eip5267.name, version: eip5267.version, chainId: eip5267.chainId });
+        }
+        if (name !== null) {
+            [version, '1', '2'].filter(value => value !== null).forEach(value => {
+                candidates.push({ ...base, name, version: value });
+            });
+        }
+        if (candidates.length === 0) {
+            throw new Error(`Token ${token} does not expose an EIP-712 domain`);
+        }
+
+        const domain = separator
+            ? candidates.find(candidate => TypedDataEncoder.hashDomain(candidate) === separator)
+            : candidates[0];
+        if (!domain) {
+            throw new Error(`Could not reproduce DOMAIN_SEPARATOR of token ${token}`);
+        }
+
+        this.domains.set(key, domain);
+        return domain;
+    }
+
+    getPermit2Domain() {
+        return { name: 'Permit2', chainId: this.config.chainId, verifyingContract: this.config.permit2Address };
+    }
+
+    /**
+     * Build an EIP-2612 permit, reading the owner's nonce from the token
+     * @param {Object} params - { token, owner, spender, value, deadline, nonce }
+     * @returns {Promise<Object>} { type, domain, types, primaryType, message }
+     */
+    async buildPermit({ token, owner, spender, value, deadline, nonce }) {
+        const contract = new Contract(token, PERMIT_TOKEN_ABI, this.provider);
+        const [domain, currentNonce] = await Promise.all([
+            this.getTokenDomain(token),
+            nonce !== undefined ? nonce : contract.nonces(owner)
+        ]);
+
+        return {
+            type: 'eip2612',
+            domain,
+            types: EIP2612_TYPES,
+            primaryType: 'Permit',
+            message: {
+                owner: getAddress(owner),
+                spender: getAddress(spender),
+                value: BigInt(value),
+                nonce: BigInt(currentNonce),
+                deadline: BigInt(deadline ?? secondsFromNow(this.config.deadline))
+            }
+        };
+    }
+
+    /**
+     * Build Permit2 allowance details, reading the current nonce per token
+     * @param {string} owner - Token owner
+     * @param {string} spender - Spender
+     * @param {Object} detail - { token, amount, expiration, nonce }
+     * @returns {Promise<Object>} PermitDetails
+     */
+    async buildPermitDetails(owner, spender, { token, amount = MAX_UINT160, expiration, nonce }) {
+        const current = nonce !== undefined ? nonce : (await this.permit2.allowance(owner, token, spender)).nonce;
+        return {
+            token: getAddress(token),
+            amount: BigInt(amount),
+            expiration: BigInt(expiration ?? secondsFromNow(this.config.expiration)),
+            nonce: BigInt(current)
+        };
+    }
+
+    /**
+     * Build a Permit2 PermitSingle
+     * @param {Object} params - { token, owner, spender, amount, expiration, nonce, sigDeadline }
+     * @returns {Promise<Object>} Typed data payload
+     */
+    async buildPermit2Single({ owner, spender, sigDeadline, ...detail }) {
+        return {
+            type: 'permit2-single',
+            domain: this.getPermit2Domain(),
+            types: PERMIT2_TYPES.single,
+            primaryType: 'PermitSingle',
+            message: {
+                details: await this.buildPermitDetails(owner, spender, detail),
+                spender: getAddress(spender),
+                sigDeadline: BigInt(sigDeadline ?? secondsFromNow(this.config.deadline))
+            }
+        };
+    }
+
+    /**
+     * Build a Permit2 PermitBatch
+     * @param {Object} params - { tokens: [{ token, amount, expiration, nonce }], owner, spender, sigDeadline }
+     * @returns {Promise<Object>} Typed data payload
+     */
+    async buildPermit2Batch({ tokens, owner, spender, sigDeadline }) {
+        return {
+            type: 'permit2-batch',
+            domain: this.getPermit2Domain(),
+            types: PERMIT2_TYPES.batch,
+            primaryType: 'PermitBatch',
+            message: {
+                details: await Promise.all(tokens.map(detail => this.buildPermitDetails(owner, spender, detail))),
+                spender: getAddress(spender),
+                sigDeadline: BigInt(sigDeadline ?? secondsFromNow(this.config.deadline))
+            }
+        };
+    }
+
+    /**
+     * Find the lowest unused Permit2 signature-transfer nonce of an owner
+     * @param {string} owner - Token owner
+     * @param {number} maxWords - Bitmap words to scan
+     * @returns {Promise<bigint>} Unused nonce
+     */
+    async findUnusedNonce(owner, maxWords = 16) {
+        for (let wordPos = 0n; wordPos < BigInt(maxWords); wordPos++) {
+            const bitmap = await this.permit2.nonceBitmap(owner, wordPos);
+            for (let bit = 0n; bit < 256n; bit++) {
+                if ((bitmap & (1n << bit)) === 0n) {
+                    return (wordPos << 8n) | bit;
+                }
+            }
+        }
+        throw new Error(`No unused Permit2 nonce in the first ${maxWords} bitmap words of ${owner}`);
+    }
+
+    /**
+     * Build a Permit2 PermitTransferFrom or PermitBatchTransferFrom
+     * @param {Object} params - { permitted: { token, amount } or an array, owner, spender, nonce, deadline }
+     * @returns {Promise<Object>} Typed data payload
+     */
+    async buildPermit2Transfer({ permitted, owner, spender, nonce, deadline }) {
+        const batch = Array.isArray(permitted);
+        const toPermission = ({ token, amount }) => ({ token: getAddress(token), amount: BigInt(amount) });
+
+        return {
+            type: batch ? 'permit2-batch-transfer' : 'permit2-transfer',
+            domain: this.getPermit2Domain(),
+            types: batch ? PERMIT2_TYPES.batchTransfer : PERMIT2_TYPES.transfer,
+            primaryType: batch ? 'PermitBatchTransferFrom' : 'PermitTransferFrom',
+            message: {
+                permitted: batch ? permitted.map(toPermission) : toPermission(permitted),
+                spender: getAddress(spender),
+                nonce: BigInt(nonce ?? await this.findUnusedNonce(owner)),
+                deadline: BigInt(deadline ?? secondsFromNow(this.config.deadline))
+            }
+        };
+    }
+
+    /**
+     * Build any supported permit
+     * @param {Object} request - { type: 'eip2612' | 'permit2-single' | 'permit2-batch' | 'permit2-transfer', ... }
+     * @returns {Promise<Object>} Typed data payload
+     */
+    async build(request) {
+        switch (request.type || 'eip2612') {
+            case 'eip2612':
+                return this.buildPermit(request);
+            case 'permit2-single':
+                return this.buildPermit2Single(request);
+            case 'permit2-batch':
+                return this.buildPermit2Batch(request);
+            case 'permit2-transfer':
+            case 'permit2-batch-transfer':
+                return this.buildPermit2Transfer(request);
+            default:
+                throw new Error(`Unknown permit type '${request.type}'`);
+        }
+    }
+
+    /**
+     * Sign a typed data payload
+     * @param {Signer} signer - Signer owning the tokens
+     * @param {Object} payload - Typed data payload
+     * @returns {Promise<Object>} Payload with signature, v, r, s and hash
+     */
+    async sign(signer, payload) {
+        const signature = await signer.signTypedData(payload.domain, payload.types, payload.message);
+        const { v, r, s } = Signature.from(signature);
+        return {
+            ...payload,
+            signature,
+            v,
+            r,
+            s,
+            hash: TypedDataEncoder.hash(payload.domain, payload.types, payload.message)
+        };
+    }
+
+    /**
+     * Verify a typed data signature, falling back to ERC-1271 for contract signers
+     * @param {Object} payload - Typed data payload
+     * @param {string} signature - Signature
+     * @param {string} expectedSigner - Address expected to have signed
+     * @returns {Promise<Object>} { valid, signer, method }
+     */
+    async verify(payload, signature, expectedSigner) {
+        let recovered = null;
+        try {
+            recovered = verifyTypedData(payload.domain, payload.types, payload.message, signature);
+        } catch (error) {
+            // Not a 65-byte ECDSA signature, may still be a contract signature
+        }
+
+        if (!expectedSigner || (recovered && recovered === getAddress(expectedSigner))) {
+            return { valid: Boolean(recovered), signer: recovered, method: 'ecdsa' };
+        }
+
+        const code = await this.provider.getCode(expectedSigner);
+        if (code !== '0x') {
+            const wallet = new Contract(expectedSigner, ERC1271_ABI, this.provider);
+            const hash = TypedDataEncoder.hash(payload.domain, payload.types, payload.message);
+            const result = await wallet.isValidSignature(hash, signature).catch(() => null);
+            return { valid: result === ERC1271_MAGIC_VALUE, signer: getAddress(expectedSigner), method: 'erc1271' };
+        }
+
+        return { valid: false, signer: recovered, method: 'ecdsa' };
+    }
+}
+
+/**
+ * Default arguments a signed permit adds to a contract call
+ * EIP-2612: (value, deadline, v, r, s); Permit2: (permit, signature)
+ * @param {Object} signed - Signed permit
+ * @returns {Array} Extra call arguments
+ */
+function toPermitArgs(signed) {
+    if (signed.type === 'eip2612') {
+        return [signed.message.value, signed.message.deadline, signed.v, signed.r, signed.s];
+    }
+    return [signed.message, signed.signature];
+}
+
+module.exports = {
+    PermitBuilder,
+    toPermitArgs,
+    PERMIT2_ADDRESS,
+    PERMIT2_ABI,
+    PERMIT2_TYPES,
+    EIP2612_TYPES,
+    PERMIT_TOKEN_ABI
+};
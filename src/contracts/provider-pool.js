@@ -0,0 +1,337 @@
+/**
+ * RPC Provider Pool
+ * Spreads requests over several RPC endpoints with priority-based failover,
+ * tracks endpoint health and latency, and offers quorum reads for critical data
+ */
+
+const { ethers } = require('ethers');
+const { AbstractProvider, JsonRpcProvider, FallbackProvider, Network } = ethers;
+const { NetworkError, ValidationError } = require('../error-handler');
+const { getNetwork, networkConfig } = require('../base/networks');
+
+/**
+ * Stable provider handed out by the pool; requests go to whichever
+ * FallbackProvider currently reflects endpoint health, so contracts and
+ * listeners bound to it survive re-routing
+ */
+class PoolProvider extends AbstractProvider {
+    /**
+     * @param {ProviderPool} pool - Owning pool
+     * @param {Network} network - Network every endpoint serves
+     */
+    constructor(pool, network) {
+        super(network);
+        this.pool = pool;
+    }
+
+    async _detectNetwork() {
+        return this.pool.network;
+    }
+
+    async _perform(req) {
+        return this.pool.router._perform(req);
+    }
+}
+
+class ProviderPool {
+    /**
+     * @param {Array<string|Object>} endpoints - RPC URLs or { url, provider, priority, weight, stallTimeout }
+     * @param {Object} config - Pool configuration; healthCheckInterval 0 disables automatic checks
+     */
+    constructor(endpoints, config = {}) {
+        if (!Array.isArray(endpoints) || endpoints.length === 0) {
+            throw new ValidationError('At least one RPC endpoint is required', 'rpcUrls', endpoints);
+        }
+
+        this.config = {
+            chainId: 8453,
+            quorum: 2,
+            stallTimeout: 1500,
+            healthCheckInterval: 30000,
+            healthCheckTimeout: 5000,
+            maxBlockLag: 5,
+            ...networkConfig(config.network),
+            ...config
+        };
+
+        // A single endpoint keeps network auto-detection; a pool must agree on one chain
+        const network = Network.from(this.config.chainId);
+        const createProvider = (url) => (endpoints.length === 1
+            ? new JsonRpcProvider(url)
+            : new JsonRpcProvider(url, network, { staticNetwork: network }));
+
+        this.endpoints = endpoints.map((endpoint, index) => {
+            const entry = typeof endpoint === 'string' ? { url: endpoint } : endpoint;
+            return {
+                url: entry.url,
+                priority: entry.priority ?? index + 1,
+                weight: entry.weight ?? 1,
+                stallTimeout: entry.stallTimeout ?? this.config.stallTimeout,
+                provider: entry.provider || createProvider(entry.url),
+                health: {
+                    healthy: true,
+                    latencyMs: null,
+                    averageLatencyMs: null,
+                    blockNumber: null,
+                    blockLag: null,
+                    consecutiveFailures: 0,
+                    lastError: null,
+                    lastCheckedAt: null
+                }
+            };
+        });
+
+        this.network = network;
+        this.quorumProviders = new Map();
+        this.healthTimer = null;
+        this.router = null;
+        this.routingKey = null;
+
+        if (this.endpoints.length === 1) {
+            this.provider = this.endpoints[0].provider;
+        } else {
+            this.updateRouting();
+            this.provider = new PoolProvider(this, network);
+            if (this.config.healthCheckInterval > 0) this.startHealthChecks();
+        }
+    }
+
+    /**
+     * Build FallbackProvider entries from the endpoint list
+     * Unhealthy endpoints rank behind every healthy one, keeping their relative order
+     * @returns {Array} Fallback provider configs
+     */
+    getFallbackConfigs() {
+        const demotion = Math.max(...this.endpoints.map(endpoint => endpoint.priority));
+        return this.endpoints.map(endpoint => ({
+            provider: endpoint.provider,
+            priority: endpoint.health.healthy ? endpoint.priority : endpoint.priority + demotion,
+            weight: endpoint.weight,
+            stallTimeout: endpoint.stallTimeout
+        }));
+    }
+
+    /**
+     * Rebuild the failover router when the set of healthy endpoints changes
+     * FallbackProvider fixes priorities at construction, so demotion needs a new instance;
+     * request statistics in getHealth() restart with it
+     * @returns {boolean} Whether routing changed
+     */
+    updateRouting() {
+        const key = this.endpoints.map(endpoint => (endpoint.health.healthy ? '1' : '0')).join('');
+        if (key === this.routingKey) return false;
+
+        this.routingKey = key;
+        this.router = new FallbackProvider(this.getFallbackConfigs(), this.network, { quorum: 1 });
+        this.quorumProviders.clear();
+        return true;
+    }
+
+    /**
+     * Get a provider that only resolves once enough endpoints agree
+     * @param {number} quorum - Total weight that must agree
+     * @returns {FallbackProvider} Quorum provider
+     */
+    getQuorumProvider(quorum = this.config.quorum) {
+        const totalWeight = this.endpoints.reduce((sum, endpoint) => sum + endpoint.weight, 0);
+        if (quorum > totalWeight) {
+            throw new ValidationError(
+                `Quorum of ${quorum} exceeds total provider weight of ${totalWeight}`, 'quorum', quorum
+            );
+        }
+
+        if (!this.quorumProviders.has(quorum)) {
+            this.quorumProviders.set(quorum, new FallbackProvider(
+                this.getFallbackConfigs(), this.network, { quorum }
+            ));
+        }
+        return this.quorumProviders.get(quorum);
+    }
+
+    /**
+     * Run a read against the quorum provider
+     * @param {Function} read - async (provider) => value
+     * @param {Object} options - { quorum }
+     * @returns {Promise<any>} Agreed value
+     */
+    async quorumRead(read, options = {}) {
+        const quorum = options.quorum || this.config.quorum;
+        try {
+            return await read(this.getQuorumProvider(quorum));
+        } catch (error) {
+            if (error instanceof ValidationError) throw error;
+            throw new NetworkError(`Quorum of ${quorum} not reached: ${error.message}`, this.config.chainId, {
+                quorum,
+                health: this.getHealth()
+            });
+        }
+    }
+
+    /**
+     * Send a raw JSON-RPC request, failing over through endpoints by priority
+     * Used for methods ethers does not wrap, such as eth_call with state overrides
+     * @param {string} method - RPC method
+     * @param {Array} params - RPC params
+     * @returns {Promise<any>} RPC result
+     */
+    async send(method, params) {
+        const endpoints = this.endpoints
+            .slice()
+            .sort((a, b) => Number(b.health.healthy) - Number(a.health.healthy) || a.priority - b.priority);
+
+        let lastError;
+        for (const endpoint of endpoints) {
+            try {
+                return await endpoint.provider.send(method, params);
+            } catch (error) {
+                lastError = error;
+                // Execution reverts are answers, not endpoint failures
+                if (error.code === 'CALL_EXCEPTION' || (error.error && error.error.code === 3)) throw error;
+            }
+        }
+        throw lastError;
+    }
+
+    /**
+     * Ask every endpoint for its chain id and fail if any serves another chain
+     * Pooled endpoints use a static network, so getNetwork() would only echo the configured chain
+     * @param {string|number|Object} network - Expected network (defaults to the pool's chain)
+     * @returns {Promise<Object>} Network profile
+     */
+    async verifyChainId(network = this.config.network || this.config.chainId) {
+        const profile = getNetwork(network);
+        const chainIds = await Promise.all(this.endpoints.map(async (endpoint) => ({
+            url: endpoint.url,
+            chainId: Number(await endpoint.provider.send('eth_chainId', []))
+        })));
+
+        const mismatched = chainIds.filter(({ chainId }) => chainId !== profile.chainId);
+        if (mismatched.length > 0) {
+            const found = mismatched.map(({ url, chainId }) => `${url} is on chain ${chainId}`).join(', ');
+            throw new NetworkError(`${found}, but network ${profile.name} expects ${profile.chainId}`, profile.name, {
+                expected: profile.chainId,
+                endpoints: chainIds
+            });
+        }
+        return profile;
+    }
+
+    /**
+     * Convert a transaction request to its JSON-RPC representation
+     * @param {Object} tx - Transaction request
+     * @returns {Object} JSON-RPC transaction
+     */
+    getRpcTransaction(tx) {
+        return this.endpoints[0].provider.getRpcTransaction(tx);
+    }
+
+    /**
+     * Ping every endpoint and update its health record
+     * @returns {Promise<Array>} Health of all endpoints
+     */
+    async checkHealth() {
+        await Promise.all(this.endpoints.map(endpoint => this.checkEndpoint(endpoint)));
+
+        const heads = this.endpoints
+            .map(endpoint => endpoint.health.blockNumber)
+            .filter(blockNumber => blockNumber !== null);
+        const highest = heads.length > 0 ? Math.max(...heads) : null;
+
+        this.endpoints.forEach(({ health }) => {
+            if (health.blockNumber === null || highest === null) return;
+            health.blockLag = highest - health.blockNumber;
+            if (health.consecutiveFailures === 0) {
+                health.healthy = health.blockLag <= this.config.maxBlockLag;
+            }
+        });
+
+        if (this.router) this.updateRouting();
+        return this.getHealth();
+    }
+
+    /**
+     * Time a getBlockNumber round trip against one endpoint
+     * @param {Object} endpoint - Endpoint record
+     */
+    async checkEndpoint(endpoint) {
+        const { health } = endpoint;
+        const started = Date.now();
+        let timer;
+
+        try {
+            const timeout = new Promise((_, reject) => {
+                timer = setTimeout(() => reject(new Error('Health check timed out')), this.config.healthCheckTimeout);
+            });
+            health.blockNumber = await Promise.race([endpoint.provider.getBlockNumber(), timeout]);
+            health.latencyMs = Date.now() - started;
+            health.averageLatencyMs = health.averageLatencyMs === null
+                ? health.latencyMs
+                : Math.round(health.averageLatencyMs * 0.8 + health.latencyMs * 0.2);
+            health.consecutiveFailures = 0;
+            health.lastError = null;
+            health.healthy = true;
+        } catch (error) {
+            health.consecutiveFailures++;
+            health.lastError = error.message;
+            health.healthy = false;
+        } finally {
+            clearTimeout(timer);
+            health.lastCheckedAt = new Date().toISOString();
+        }
+    }
+
+    /**
+     * Start periodic health checks
+     * @param {number} interval - Milliseconds between checks
+     */
+    startHealthChecks(interval = this.config.healthCheckInterval) {
+        this.stopHealthChecks();
+        this.healthTimer = setInterval(() => {
+            this.checkHealth().catch(() => {});
+        }, interval);
+        if (this.healthTimer.unref) this.healthTimer.unref();
+    }
+
+    /**
+     * Stop periodic health checks
+     */
+    stopHealthChecks() {
+        if (this.healthTimer) {
+            clearInterval(this.healthTimer);
+            this.healthTimer = null;
+        }
+    }
+
+    /**
+     * Get the health of every endpoint, including failover request statistics
+     * @returns {Array} Endpoint health records
+     */
+    getHealth() {
+        const stats = this.router ? this.router.providerConfigs : [];
+
+        return this.endpoints.map((endpoint, index) => {
+            const stat = stats[index];
+            return {
+                url: endpoint.url,
+                priority: endpoint.priority,
+                weight: endpoint.weight,
+                ...endpoint.health,
+                requests: stat ? stat.requests : null,
+                errorResponses: stat ? stat.errorResponses : null,
+                rollingDurationMs: stat ? Math.round(stat.rollingDuration) : null
+            };
+        });
+    }
+
+    /**
+     * Stop health checks and tear down every provider
+     */
+    destroy() {
+        this.stopHealthChecks();
+        // Routers only wrap the endpoint providers, which are torn down once below
+        if (this.provider instanceof PoolProvider) this.provider.destroy();
+        this.endpoints.forEach(endpoint => endpoint.provider.destroy());
+    }
+}
+
+module.exports = ProviderPool;
@@ -0,0 +1,198 @@
+/**
+ * Proxy Resolver
+ * Detects common proxy patterns from storage and bytecode and resolves
+ * the implementation, beacon and admin addresses behind a proxy
+ */
+
+const { ethers } = require('ethers');
+const { Interface, getAddress, ZeroAddress } = ethers;
+
+const PROXY_SLOTS = {
+    // bytes32(uint256(keccak256('eip1967.proxy.implementation')) - 1)
+    implementation: '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc',
+    // bytes32(uint256(keccak256('eip1967.proxy.beacon')) - 1)
+    beacon: '0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50',
+    // bytes32(uint256(keccak256('eip1967.proxy.admin')) - 1)
+    admin: '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103',
+    // keccak256('PROXIABLE'), used by EIP-1822 UUPS proxies that predate EIP-1967
+    proxiable: '0xc5f16f0fcc639fa48a6947836d9850f504798523bf8c9a3a87d5876cf622bcf7'
+};
+
+const EIP1167_PATTERN = /^0x363d3d373d3d3d363d73([0-9a-f]{40})5af43d82803e903d91602b57fd5bf3/i;
+
+// masterCopy() selector; Safe proxies compare calldata against it as PUSH4 or a left-aligned PUSH32
+const SAFE_MASTER_COPY_SELECTOR = 'a619486e';
+
+/**
+ * Check whether bytecode pushes a selector as an operand, walking opcodes so
+ * PUSH data and unaligned matches are never mistaken for the selector
+ * @param {string} code - Runtime bytecode
+ * @param {string} selector - 4-byte selector without 0x
+ * @returns {boolean} True if a PUSH4 or left-aligned PUSH32 carries the selector
+ */
+function pushesSelector(code, selector) {
+    const hex = code.slice(2).toLowerCase();
+    const padded = selector.padEnd(64, '0');
+
+    for (let i = 0; i < hex.length; i += 2) {
+        const opcode = parseInt(hex.slice(i, i + 2), 16);
+        // PUSH1 (0x60) through PUSH32 (0x7f)
+        if (opcode < 0x60 || opcode > 0x7f) continue;
+
+        const size = opcode - 0x5f;
+        const operand = hex.slice(i + 2, i + 2 + size * 2);
+        if ((size === 4 && operand === selector) || (size === 32 && operand === padded)) {
+            return true;
+        }
+        i += size * 2;
+    }
+    return false;
+}
+
+const PROXY_ABI = [
+    'function implementation() view returns (address)',
+    'function proxiableUUID() view returns (bytes32)',
+    'function masterCopy() view returns (address)',
+    'event Upgraded(address indexed implementation)',
+    'event BeaconUpgraded(address indexed beacon)',
+    'event AdminChanged(address previousAdmin, address newAdmin)'
+];
+
+class ProxyResolver {
+    constructor(provider) {
+        this.provider = provider;
+        this.interface = new Interface(PROXY_ABI);
+    }
+
+    /**
+     * Read an address stored in the low 20 bytes of a storage slot
+     * @returns {Promise<string|null>} Checksummed address, or null when empty
+     */
+    async readAddressSlot(address, slot, blockTag) {
+        const value = await this.provider.getStorage(address, slot, blockTag);
+        const extracted = getAddress(`0x${value.slice(-40)}`);
+        return extracted === ZeroAddress ? null : extracted;
+    }
+
+    /**
+     * Call a no-argument getter, returning null if it reverts or does not exist
+     * @returns {Promise<any>} Decoded value or null
+     */
+    async callAddress(address, method, blockTag) {
+        try {
+            const result = await this.provider.call({
+                to: address,
+                data: this.interface.encodeFunctionData(method),
+                blockTag
+            });
+            return this.interface.decodeFunctionResult(method, result)[0];
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Detect the proxy pattern of an address
+     * @param {string} address - Contract address
+     * @param {string|number} blockTag - Block number or tag
+     * @returns {Promise<Object>} { address, isProxy, type, implementation, beacon, admin }
+     */
+    async resolve(address, blockTag = 'latest') {
+        const result = {
+            address: getAddress(address),
+            isProxy: false,
+            type: null,
+            implementation: null,
+            beacon: null,
+            admin: null
+        };
+
+        const code = await this.provider.getCode(address, blockTag);
+        if (code === '0x') {
+            return result;
+        }
+
+        const clone = code.match(EIP1167_PATTERN);
+        if (clone) {
+            return { ...result, isProxy: true, type: 'eip1167', implementation: getAddress(`0x${clone[1]}`) };
+        }
+
+        const [implementation, beacon, admin, proxiable] = await Promise.all([
+            this.readAddressSlot(address, PROXY_SLOTS.implementation, blockTag),
+            this.readAddressSlot(address, PROXY_SLOTS.beacon, blockTag),
+            this.readAddressSlot(address, PROXY_SLOTS.admin, blockTag),
+            this.readAddressSlot(address, PROXY_SLOTS.proxiable, blockTag)
+        ]);
+
+        if (implementation) {
+            // UUPS implementations carry the upgrade logic and report the EIP-1967 slot
+            const uuid = await this.callAddress(implementation, 'proxiableUUID', blockTag);
+            return {
+                ...result,
+                isProxy: true,
+                type: uuid === PROXY_SLOTS.implementation ? 'uups' : 'eip1967',
+                implementation,
+                admin
+            };
+        }
+
+        if (beacon) {
+            const beaconImplementation = await this.callAddress(beacon, 'implementation', blockTag);
+            return {
+                ...result,
+                isProxy: true,
+                type: 'eip1967-beacon',
+                implementation: beaconImplementation ? getAddress(beaconImplementation) : null,
+                beacon,
+                admin
+            };
+        }
+
+        if (proxiable) {
+            return { ...result, isProxy: true, type: 'eip1822', implementation: proxiable, admin };
+        }
+
+        if (pushesSelector(code, SAFE_MASTER_COPY_SELECTOR)) {
+            // Safe proxies keep the singleton in storage slot 0 and answer masterCopy() with it
+            const [singleton, masterCopy] = await Promise.all([
+                this.readAddressSlot(address, '0x0', blockTag),
+                this.callAddress(address, 'masterCopy', blockTag)
+            ]);
+            if (singleton && masterCopy && getAddress(masterCopy) === singleton) {
+                return { ...result, isProxy: true, type: 'safe', implementation: singleton };
+            }
+        }
+
+        return result;
+    }
+}
+
+/**
+ * Merge a proxy ABI with its implementation ABI
+ * Fragments are de-duplicated by signature; the proxy's own fragments win
+ * @param {Array} proxyAbi - Proxy ABI
+ * @param {Array} implementationAbi - Implementation ABI
+ * @returns {Array} Merged ABI in JSON format
+ */
+function mergeAbis(proxyAbi, implementationAbi) {
+    const fragments = new Map();
+    [proxyAbi, implementationAbi].forEach(abi => {
+        new Interface(abi).fragments.forEach(fragment => {
+            const key = ['constructor', 'fallback', 'receive'].includes(fragment.type)
+                ? fragment.type
+                : `${fragment.type}:${fragment.format('sighash')}`;
+            if (!fragments.has(key)) {
+                fragments.set(key, JSON.parse(fragment.format('json')));
+            }
+        });
+    });
+    return Array.from(fragments.values());
+}
+
+module.exports = {
+    ProxyResolver,
+    mergeAbis,
+    pushesSelector,
+    PROXY_SLOTS,
+    PROXY_ABI
+};
@@ -0,0 +1,129 @@
+/**
+ * Revert Decoder
+ * Turns raw revert data into Error(string) reasons, Panic(uint256) causes
+ * or custom errors decoded against the registered ABIs
+ */
+
+const { ethers } = require('ethers');
+const { AbiCoder, dataLength, dataSlice } = ethers;
+const { toPlainObject } = require('./abi-utils');
+
+const ERROR_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+
+const PANIC_REASONS = {
+    0x00: 'Generic compiler panic',
+    0x01: 'Assertion failed',
+    0x11: 'Arithmetic overflow or underflow',
+    0x12: 'Division or modulo by zero',
+    0x21: 'Invalid enum value',
+    0x22: 'Incorrectly encoded storage byte array',
+    0x31: 'pop() on an empty array',
+    0x32: 'Array index out of bounds',
+    0x41: 'Out of memory or array too large',
+    0x51: 'Call to an uninitialized internal function'
+};
+
+/**
+ * Find revert data on an ethers error, however deeply the provider nested it
+ * @param {Error} error - Error thrown by a call, estimate or send
+ * @returns {string|null} Hex revert data
+ */
+function extractRevertData(error) {
+    const candidates = [
+        error && error.data,
+        error && error.info && error.info.error && error.info.error.data,
+        error && error.error && error.error.data,
+        error && error.error && error.error.error && error.error.error.data
+    ];
+
+    for (const candidate of candidates) {
+        if (typeof candidate === 'string' && /^0x[0-9a-f]*$/i.test(candidate)) {
+            return candidate;
+        }
+        if (candidate && typeof candidate.data === 'string') {
+            return candidate.data;
+        }
+    }
+    return null;
+}
+
+/**
+ * Decode revert data
+ * @param {string} data - Hex revert data
+ * @param {Iterable} interfaces - [contractName, Interface] pairs to match custom errors against
+ * @returns {Object} { kind, name, args, contract, selector, message }
+ */
+function decodeRevertData(data, interfaces = []) {
+    if (!data || data === '0x') {
+        return { kind: 'empty', name: null, args: {}, contract: null, selector: null, message: 'Reverted without data' };
+    }
+
+    // Too short to hold a selector; keep the raw bytes rather than failing inside a catch path
+    if (dataLength(data) < 4) {
+        return { kind: 'unknown', name: null, args: {}, contract: null, selector: null, message: `Unknown error data ${data}` };
+    }
+
+    const selector = dataSlice(data, 0, 4);
+    const coder = AbiCoder.defaultAbiCoder();
+
+    try {
+        if (selector === ERROR_SELECTOR) {
+            const [reason] = coder.decode(['string'], dataSlice(data, 4));
+            return { kind: 'error', name: 'Error', args: { reason }, contract: null, selector, message: reason };
+        }
+
+        if (selector === PANIC_SELECTOR) {
+            const [code] = coder.decode(['uint256'], dataSlice(data, 4));
+            const cause = PANIC_REASONS[Number(code)] || `Unknown panic code 0x${code.toString(16)}`;
+            return { kind: 'panic', name: 'Panic', args: { code }, contract: null, selector, message: cause };
+        }
+    } catch (error) {
+        // Malformed standard revert, fall through to unknown
+    }
+
+    for (const [contract, iface] of interfaces) {
+        let parsed;
+        try {
+            parsed = iface.parseError(data);
+        } catch (error) {
+            continue;
+        }
+        if (parsed) {
+            const args = toPlainObject(parsed.fragment.inputs, parsed.args);
+            return {
+                kind: 'custom',
+                name: parsed.name,
+                args,
+                contract,
+                selector,
+                message: `${parsed.name}(${formatArgs(args)})`
+            };
+        }
+    }
+
+    return { kind: 'unknown', name: null, args: {}, contract: null, selector, message: `Unknown error ${selector}` };
+}
+
+/**
+ * Render decoded error args for a one-line message
+ * @param {Object} args - Plain error args
+ * @returns {string} Formatted args
+ */
+function formatArgs(args) {
+    return Object.entries(args)
+        .map(([name, value]) => `${name}: ${typeof value === 'bigint' ? value.toString() : JSON.stringify(value, stringifyBigInt)}`)
+        .join(', ');
+}
+
+function stringifyBigInt(_key, value) {
+    return typeof value === 'bigint' ? value.toString() : value;
+}
+
+module.exports = {
+    decodeRevertData,
+    extractRevertData,
+    PANIC_REASONS,
+    ERROR_SELECTOR,
+    PANIC_SELECTOR
+};
@@ -0,0 +1,370 @@
+/**
+ * Safe Transaction Builder
+ * Turns calls into Safe transactions (MultiSend for batches), computes the
+ * SafeTx hash, collects owner signatures and reads/writes the Safe
+ * Transaction Builder JSON format
+ */
+
+const { ethers } = require('ethers');
+const {
+    Contract,
+    Interface,
+    TypedDataEncoder,
+    ZeroAddress,
+    concat,
+    dataLength,
+    dataSlice,
+    getAddress,
+    getBytes,
+    hashMessage,
+    keccak256,
+    recoverAddress,
+    solidityPacked,
+    toUtf8Bytes,
+    zeroPadValue
+} = ethers;
+const { decodeMultiSend } = require('./transaction-decoder');
+const { networkConfig } = require('../base/networks');
+
+// MultiSendCallOnly v1.3.0, deployed at the same address on Base and most chains
+const MULTI_SEND_CALL_ONLY_ADDRESS = '0x40A2aCCbd92BCA938b02010E17A5b8929b49130D';
+
+const SAFE_ABI = [
+    'function VERSION() view returns (string)',
+    'function nonce() view returns (uint256)',
+    'function getThreshold() view returns (uint256)',
+    'function getOwners() view returns (address[])',
+    'function approvedHashes(address owner, bytes32 hash) view returns (uint256)',
+    'function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures) payable returns (bool success)',
+    'event ExecutionSuccess(bytes32 txHash, uint256 payment)',
+    'event ExecutionFailure(bytes32 txHash, uint256 payment)'
+];
+
+const MULTI_SEND_ABI = ['function multiSend(bytes transactions) payable'];
+
+const SAFE_TX_TYPES = {
+    SafeTx: [
+        { name: 'to', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'data', type: 'bytes' },
+        { name: 'operation', type: 'uint8' },
+        { name: 'safeTxGas', type: 'uint256' },
+        { name: 'baseGas', type: 'uint256' },
+        { name: 'gasPrice', type: 'uint256' },
+        { name: 'gasToken', type: 'address' },
+        { name: 'refundReceiver', type: 'address' },
+        { name: 'nonce', type: 'uint256' }
+    ]
+};
+
+const OPERATION = { CALL: 0, DELEGATE_CALL: 1 };
+
+const TX_BUILDER_VERSION = '1.16.5';
+
+/**
+ * Pack calls for MultiSend: operation(1) to(20) value(32) dataLength(32) data
+ * @param {Array<Object>} calls - { to, value, data }
+ * @returns {string} Packed transactions
+ */
+function encodeMultiSend(calls) {
+    return concat(calls.map(call => {
+        const data = call.data || '0x';
+        return solidityPacked(
+            ['uint8', 'address', 'uint256', 'uint256', 'bytes'],
+            [call.operation || OPERATION.CALL, call.to, call.value || 0n, dataLength(data), data]
+        );
+    }));
+}
+
+/**
+ * Safe's key-sorted serialization used for Transaction Builder checksums
+ * @param {any} json - JSON value
+ * @returns {string} Serialized value
+ */
+function serializeJSONObject(json) {
+    if (Array.isArray(json)) {
+        return `[${json.map(item => serializeJSONObject(item)).join(',')}]`;
+    }
+    if (typeof json === 'object' && json !== null) {
+        const keys = Object.keys(json).sort();
+        return `{${JSON.stringify(keys)}${keys.map(key => `${serializeJSONObject(json[key])},`).join('')}}`;
+    }
+    return JSON.stringify(json);
+}
+
+/**
+ * Checksum of a Transaction Builder batch file, ignoring its name and checksum
+ * @param {Object} batch - Batch file
+ * @returns {string} keccak256 checksum
+ */
+function calculateChecksum(batch) {
+    const meta = { ...batch.meta, name: null };
+    delete meta.checksum;
+    return keccak256(toUtf8Bytes(serializeJSONObject({ ...batch, meta })));
+}
+
+/**
+ * Render a decoded argument as a Transaction Builder input string
+ * @param {any} value - Decoded value
+ * @returns {string} String value; arrays and tuples as JSON
+ */
+function toInputString(value) {
+    if (typeof value === 'string') return value;
+    if (typeof value === 'bigint' || typeof value === 'number' || typeof value === 'boolean') return String(value);
+    return JSON.stringify(Array.from(value, toInputValue));
+}
+
+function toInputValue(value) {
+    if (typeof value === 'bigint') return value.toString();
+    if (value && typeof value === 'object' && typeof value[Symbol.iterator] === 'function' && typeof value !== 'string') {
+        return Array.from(value, toInputValue);
+    }
+    return value;
+}
+
+/**
+ * Parse a Transaction Builder input string for ABI encoding
+ * @param {ParamType} param - Input type
+ * @param {string} value - Input string
+ * @returns {any} Value for encodeFunctionData
+ */
+function fromInputString(param, value) {
+    if (param.baseType === 'array' || param.baseType === 'tuple') {
+        return typeof value === 'string' ? JSON.parse(value) : value;
+    }
+    if (param.baseType === 'bool') {
+        return value === true || value === 'true';
+    }
+    return value;
+}
+
+class SafeTransactionBuilder {
+    /**
+     * @param {Provider} provider - ethers provider
+     * @param {string} safeAddress - Safe address
+     * @param {Object} config - network, chainId, multiSendAddress
+     */
+    constructor(provider, safeAddress, config = {}) {
+        this.provider = provider;
+        this.address = getAddress(safeAddress);
+        this.config = {
+            chainId: 8453,
+            multiSendAddress: MULTI_SEND_CALL_ONLY_ADDRESS,
+            ...networkConfig(config.network, { multiSendAddress: 'multiSend' }),
+            ...config
+        };
+        this.contract = new Contract(this.address, SAFE_ABI, provider);
+        this.multiSendInterface = new Interface(MULTI_SEND_ABI);
+        this.version = null;
+    }
+
+    /**
+     * Read the Safe's nonce, threshold, owners and version
+     * @returns {Promise<Object>} { address, nonce, threshold, owners, version }
+     */
+    async getInfo() {
+        const [nonce, threshold, owners, version] = await Promise.all([
+            this.contract.nonce(),
+            this.contract.getThreshold(),
+            this.contract.getOwners(),
+            this.contract.VERSION()
+        ]);
+        this.version = version;
+        return { address: this.address, nonce, threshold: Number(threshold), owners: Array.from(owners), version };
+    }
+
+    /**
+     * Build a Safe transaction; several calls are batched through MultiSendCallOnly
+     * @param {Array<Object>} calls - { to, value, data }
+     * @param {Object} options - nonce, safeTxGas, baseGas, gasPrice, gasToken, refundReceiver
+     * @returns {Promise<Object>} Safe transaction with an empty signatures map
+     */
+    async buildTransaction(calls, options = {}) {
+        if (calls.length === 0) {
+            throw new Error('A Safe transaction needs at least one call');
+        }
+
+        const batched = calls.length > 1;
+        const [call] = calls;
+        const nonce = options.nonce !== undefined ? options.nonce : await this.contract.nonce();
+
+        return {
+            to: batched ? getAddress(this.config.multiSendAddress) : getAddress(call.to),
+            value: batched ? 0n : BigInt(call.value || 0),
+            data: batched
+                ? this.multiSendInterface.encodeFunctionData('multiSend', [encodeMultiSend(calls)])
+                : call.data || '0x',
+            operation: batched ? OPERATION.DELEGATE_CALL : (call.operation || OPERATION.CALL),
+            safeTxGas: BigInt(options.safeTxGas || 0),
+            baseGas: BigInt(options.baseGas || 0),
+            gasPrice: BigInt(options.gasPrice || 0),
+            gasToken: options.gasToken || ZeroAddress,
+            refundReceiver: options.refundReceiver || ZeroAddress,
+            nonce: BigInt(nonce),
+            signatures: {}
+        };
+    }
+
+    /**
+     * EIP-712 domain; Safes before v1.3.0 do not include the chain id
+     * @returns {Object} Domain
+     */
+    getDomain() {
+        const legacy = this.version && /^(0\.|1\.[0-2]\.)/.test(this.version);
+        return legacy
+            ? { verifyingContract: this.address }
+            : { chainId: this.config.chainId, verifyingContract: this.address };
+    }
+
+    getMessage(safeTx) {
+        const message = {};
+        SAFE_TX_TYPES.SafeTx.forEach(({ name }) => {
+            message[name] = safeTx[name];
+        });
+        return message;
+    }
+
+    /**
+     * Compute the SafeTx hash owners sign
+     * @param {Object} safeTx - Safe transaction
+     * @returns {string} Safe transaction hash
+     */
+    getTransactionHash(safeTx) {
+        return TypedDataEncoder.hash(this.getDomain(), SAFE_TX_TYPES, this.getMessage(safeTx));
+    }
+
+    /**
+     * Sign a Safe transaction as EIP-712 typed data
+     * @param {Object} safeTx - Safe transaction
+     * @param {Signer} signer - Owner
+     * @returns {Promise<Object>} { owner, signature }
+     */
+    async sign(safeTx, signer) {
+        const signature = await signer.signTypedData(this.getDomain(), SAFE_TX_TYPES, this.getMessage(safeTx));
+        return { owner: await signer.getAddress(), signature };
+    }
+
+    /**
+     * Recover the owner of a signature; eth_sign signatures use v + 4
+     * @param {Object} safeTx - Safe transaction
+     * @param {string} signature - 65-byte signature
+     * @returns {string} Recovered address
+     */
+    recoverSigner(safeTx, signature) {
+        const hash = this.getTransactionHash(safeTx);
+        const r = dataSlice(signature, 0, 32);
+        const s = dataSlice(signature, 32, 64);
+        const v = Number(dataSlice(signature, 64, 65));
+        if (v > 30) {
+            return recoverAddress(hashMessage(getBytes(hash)), { r, s, v: v - 4 });
+        }
+        return recoverAddress(hash, { r, s, v });
+    }
+
+    /**
+     * Build a pre-validated signature for an owner that submits the transaction itself
+     * @param {string} owner - Owner address
+     * @returns {string} Signature with v = 1
+     */
+    static approvedHashSignature(owner) {
+        return concat([zeroPadValue(owner, 32), zeroPadValue('0x', 32), '0x01']);
+    }
+
+    /**
+     * Concatenate owner signatures sorted by owner address, as checkSignatures requires
+     * @param {Object} signatures - { [owner]: signature }
+     * @returns {string} Combined signatures
+     */
+    static combineSignatures(signatures) {
+        const entries = Object.entries(signatures)
+            .sort(([a], [b]) => (BigInt(a) < BigInt(b) ? -1 : BigInt(a) > BigInt(b) ? 1 : 0));
+        return concat(entries.map(([, signature]) => signature));
+    }
+
+    /**
+     * Export calls as a Safe Transaction Builder batch file
+     * @param {Array<Object>} calls - { to, value, data, fragment?, args? }
+     * @param {Object} meta - name, description, createdFromOwnerAddress
+     * @returns {Object} Batch file
+     */
+    exportBatch(calls, meta = {}) {
+        const batch = {
+            version: '1.0',
+            chainId: String(this.config.chainId),
+            createdAt: meta.createdAt || Date.now(),
+            meta: {
+                name: meta.name || 'Transactions Batch',
+                description: meta.description || '',
+                txBuilderVersion: TX_BUILDER_VERSION,
+                createdFromSafeAddress: this.address,
+                createdFromOwnerAddress: meta.createdFromOwnerAddress || ''
+            },
+            transactions: calls.map(call => {
+                const transaction = { to: getAddress(call.to), value: String(call.value || 0), data: call.data || '0x' };
+                if (call.fragment) {
+                    transaction.contractMethod = {
+                        inputs: call.fragment.inputs.map(input => ({ name: input.name, type: input.type, internalType: input.type })),
+                        name: call.fragment.name,
+                        payable: call.fragment.payable
+                    };
+                    transaction.contractInputsValues = {};
+                    call.fragment.inputs.forEach((input, index) => {
+                        transaction.contractInputsValues[input.name] = toInputString(call.args[index]);
+                    });
+                }
+                return transaction;
+            })
+        };
+        batch.meta.checksum = calculateChecksum(batch);
+        return batch;
+    }
+
+    /**
+     * Read calls from a Transaction Builder batch file
+     * Transactions without data are encoded from contractMethod and contractInputsValues
+     * @param {Object|string} batch - Batch file or its JSON
+     * @returns {Array<Object>} { to, value, data }
+     */
+    importBatch(batch) {
+        const file = typeof batch === 'string' ? JSON.parse(batch) : batch;
+        if (file.chainId && Number(file.chainId) !== Number(this.config.chainId)) {
+            throw new Error(`Batch is for chain ${file.chainId}, not ${this.config.chainId}`);
+        }
+        if (file.meta && file.meta.checksum && calculateChecksum(file) !== file.meta.checksum) {
+            throw new Error('Batch checksum does not match its contents');
+        }
+
+        return file.transactions.map(transaction => {
+            let data = transaction.data;
+            if ((!data || data === '0x') && transaction.contractMethod) {
+                const fragment = ethers.FunctionFragment.from({ type: 'function', stateMutability: transaction.contractMethod.payable ? 'payable' : 'nonpayable', ...transaction.contractMethod, outputs: [] });
+                const values = fragment.inputs.map(input => fromInputString(input, transaction.contractInputsValues[input.name]));
+                data = new Interface([fragment]).encodeFunctionData(fragment, values);
+            }
+            return { to: getAddress(transaction.to), value: BigInt(transaction.value || 0), data: data || '0x' };
+        });
+    }
+
+    /**
+     * Expand a Safe transaction into the calls it performs
+     * @param {Object} safeTx - Safe transaction
+     * @returns {Array<Object>} { to, value, data }
+     */
+    getCalls(safeTx) {
+        if (safeTx.to === getAddress(this.config.multiSendAddress) && safeTx.operation === OPERATION.DELEGATE_CALL) {
+            const { args } = this.multiSendInterface.parseTransaction({ data: safeTx.data });
+            return decodeMultiSend(args.transactions);
+        }
+        return [{ to: safeTx.to, value: safeTx.value, data: safeTx.data }];
+    }
+}
+
+module.exports = {
+    SafeTransactionBuilder,
+    encodeMultiSend,
+    calculateChecksum,
+    SAFE_ABI,
+    SAFE_TX_TYPES,
+    OPERATION,
+    MULTI_SEND_CALL_ONLY_ADDRESS
+};
@@ -0,0 +1,353 @@
+/**
+ * Signer Factory
+ * Loads signers from encrypted keystores, BIP-39 mnemonics, environment variables
+ * and remote JSON-RPC signing services, and enforces per-signer spending policies
+ * before any transaction is signed
+ */
+
+const fs = require('fs');
+const util = require('util');
+const { ethers } = require('ethers');
+const {
+    AbstractSigner,
+    HDNodeWallet,
+    JsonRpcProvider,
+    Network,
+    Transaction,
+    TypedDataEncoder,
+    Wallet,
+    getAddress,
+    hexlify,
+    resolveAddress,
+    toQuantity,
+    toUtf8Bytes
+} = ethers;
+const { RiskError, ValidationError } = require('../error-handler');
+const { networkConfig } = require('../base/networks');
+
+const DEFAULT_HD_PATH = "m/44'/60'/0'/0/0";
+const REDACTED = '[REDACTED]';
+
+/**
+ * Normalize a spending policy
+ * @param {Object} policy - maxValue (wei), allowedContracts (addresses), allowDeployments
+ * @returns {Object|null} Policy with bigint maxValue and lowercased addresses
+ */
+function normalizePolicy(policy) {
+    if (!policy) {
+        return null;
+    }
+    const allowedContracts = policy.allowedContracts
+        ? new Set(policy.allowedContracts.map(address => getAddress(address).toLowerCase()))
+        : null;
+    return {
+        maxValue: policy.maxValue !== undefined && policy.maxValue !== null ? BigInt(policy.maxValue) : null,
+        allowedContracts,
+        // With an allow-list, contract creation must be allowed explicitly
+        allowDeployments: policy.allowDeployments ?? !allowedContracts
+    };
+}
+
+class ManagedSigner extends AbstractSigner {
+    /**
+     * @param {Signer} signer - Underlying signer
+     * @param {Object} options - type, source (never key material) and policy
+     */
+    constructor(signer, options = {}) {
+        super(signer.provider);
+        this.signer = signer;
+        this.type = options.type || 'signer';
+        this.source = options.source || null;
+        this.policy = normalizePolicy(options.policy);
+    }
+
+    connect(provider) {
+        return new ManagedSigner(this.signer.connect(provider), {
+            type: this.type,
+            source: this.source,
+            policy: this.policy && {
+                ...this.policy,
+                allowedContracts: this.policy.allowedContracts && [...this.policy.allowedContracts]
+            }
+        });
+    }
+
+    getAddress() {
+        return this.signer.getAddress();
+    }
+
+    /**
+     * Reject transactions the spending policy does not allow
+     * @param {Object} tx - Transaction request
+     * @returns {Promise<void>}
+     */
+    async checkPolicy(tx) {
+        if (!this.policy) {
+            return;
+        }
+        const { maxValue, allowedContracts, allowDeployments } = this.policy;
+        const value = BigInt(tx.value || 0);
+        if (maxValue !== null && value > maxValue) {
+            throw new RiskError(
+                `Signer policy: value ${value} exceeds the maximum of ${maxValue}`,
+                'maxValue', maxValue, value
+            );
+        }
+
+        const to = tx.to ? await resolveAddress(tx.to, this.provider) : null;
+        if (!to) {
+            if (!allowDeployments) {
+                throw new RiskError('Signer policy: contract deployments are not allowed', 'deployment', false, true);
+            }
+            return;
+        }
+        if (allowedContracts && !allowedContracts.has(to.toLowerCase())) {
+            throw new RiskError(`Signer policy: ${getAddress(to)} is not an allowed contract`, 'allowedContracts', null, getAddress(to));
+        }
+    }
+
+    async signTransaction(tx) {
+        await this.checkPolicy(tx);
+        return this.signer.signTransaction(tx);
+    }
+
+    async sendTransaction(tx) {
+        await this.checkPolicy(tx);
+        return this.signer.sendTransaction(tx);
+    }
+
+    signMessage(message) {
+        return this.signer.signMessage(message);
+    }
+
+    signTypedData(domain, types, value) {
+        return this.signer.signTypedData(domain, types, value);
+    }
+
+    /**
+     * Loggable description without key material
+     * @returns {Object} { type, source, address }
+     */
+    toJSON() {
+        return { type: this.type, source: this.source, address: this.signer.address || null };
+    }
+
+    [util.inspect.custom]() {
+        return `ManagedSigner ${util.inspect(this.toJSON())}`;
+    }
+}
+
+class RemoteSigner extends AbstractSigner {
+    /**
+     * Signer backed by a JSON-RPC signing service (eth_accounts, eth_signTransaction,
+     * personal_sign, eth_signTypedData_v4)
+     * @param {string} url - Signing service URL
+     * @param {Object} options - address (defaults to the first eth_accounts entry), network, chainId
+     * @param {Provider} provider - Chain provider for populating and broadcasting
+     */
+    constructor(url, options = {}, provider = null) {
+        super(provider);
+        this.url = url;
+        this.options = { chainId: 8453, ...networkConfig(options.network), ...options };
+        const network = Network.from(this.options.chainId);
+        this.rpc = options.rpc || new JsonRpcProvider(url, network, { staticNetwork: network, batchMaxCount: 1 });
+        this.address = options.address ? getAddress(options.address) : null;
+    }
+
+    connect(provider) {
+        return new RemoteSigner(this.url, { ...this.options, address: this.address, rpc: this.rpc }, provider);
+    }
+
+    async send(method, params) {
+        try {
+            return await this.rpc.send(method, params);
+        } catch (error) {
+            const message = (error.error && error.error.message) || error.message;
+            throw new Error(`Remote signer ${method} failed: ${message}`);
+        }
+    }
+
+    async getAddress() {
+        if (!this.address) {
+            const [account] = await this.send('eth_accounts', []);
+            if (!account) {
+                throw new Error('Remote signer has no accounts');
+            }
+            this.address = getAddress(account);
+        }
+        return this.address;
+    }
+
+    /**
+     * Ask the service to sign a populated transaction
+     * @param {Object} tx - Transaction request
+     * @returns {Promise<string>} Serialized signed transaction
+     */
+    async signTransaction(tx) {
+        const from = await this.getAddress();
+        const populated = Transaction.from({ ...tx, from: undefined });
+        const request = { from };
+        if (populated.to) request.to = populated.to;
+        if (populated.data && populated.data !== '0x') request.data = populated.data;
+        request.value = toQuantity(populated.value);
+        request.nonce = toQuantity(populated.nonce);
+        request.gas = toQuantity(populated.gasLimit);
+        request.chainId = toQuantity(populated.chainId);
+        const type = populated.type ?? populated.inferType();
+        request.type = toQuantity(type);
+        if (type >= 2) {
+            request.maxFeePerGas = toQuantity(populated.maxFeePerGas ?? 0);
+            request.maxPriorityFeePerGas = toQuantity(populated.maxPriorityFeePerGas ?? 0);
+        } else {
+            request.gasPrice = toQuantity(populated.gasPrice ?? 0);
+        }
+        if (populated.accessList && populated.accessList.length > 0) {
+            request.accessList = populated.accessList;
+        }
+
+        const signed = await this.send('eth_signTransaction', [request]);
+        // Services return either the raw transaction or { raw, tx }
+        const raw = typeof signed === 'string' ? signed : signed.raw;
+        if (Transaction.from(raw).from !== from) {
+            throw new Error('Remote signer returned a transaction signed by another account');
+        }
+        return raw;
+    }
+
+    async signMessage(message) {
+        const data = typeof message === 'string' ? toUtf8Bytes(message) : message;
+        return this.send('personal_sign', [hexlify(data), await this.getAddress()]);
+    }
+
+    async signTypedData(domain, types, value) {
+        const payload = TypedDataEncoder.getPayload(domain, types, value);
+        return this.send('eth_signTypedData_v4', [await this.getAddress(), JSON.stringify(payload)]);
+    }
+
+    destroy() {
+        this.rpc.destroy();
+    }
+}
+
+class SignerFactory {
+    /**
+     * @param {Provider} provider - Provider new signers are connected to
+     * @param {Object} config - env (defaults to process.env), network, chainId
+     */
+    constructor(provider, config = {}) {
+        this.provider = provider;
+        this.config = {
+            chainId: 8453,
+            ...networkConfig(config.network),
+            ...config
+        };
+        this.env = config.env || process.env;
+        this.secrets = new Set();
+    }
+
+    /**
+     * Read a secret from the spec or from the environment variable it names
+     * @param {Object} spec - Signer spec
+     * @param {string} field - Field holding the secret
+     * @param {string} envField - Field naming the environment variable
+     * @returns {string|null} Secret
+     */
+    readSecret(spec, field, envField) {
+        let secret = spec[field];
+        if (secret === undefined && spec[envField]) {
+            secret = this.env[spec[envField]];
+            if (secret === undefined || secret === '') {
+                throw new ValidationError(`Environment variable ${spec[envField]} is not set`, envField, spec[envField]);
+            }
+        }
+        if (secret) {
+            this.secrets.add(String(secret).trim());
+        }
+        return secret === undefined ? null : String(secret).trim();
+    }
+
+    /**
+     * Replace every secret this factory has loaded with [REDACTED]
+     * @param {string} text - Log line or error message
+     * @returns {string} Redacted text
+     */
+    redact(text) {
+        let redacted = String(text);
+        this.secrets.forEach(secret => {
+            if (secret.length < 8) return;
+            redacted = redacted.split(secret).join(REDACTED);
+            const bare = secret.startsWith('0x') ? secret.slice(2) : null;
+            if (bare) redacted = redacted.split(bare).join(REDACTED);
+        });
+        return redacted;
+    }
+
+    /**
+     * Create a signer
+     * @param {Object} spec - One of
+     *   { type: 'keystore', path | json, password | passwordEnv }
+     *   { type: 'mnemonic', phrase | phraseEnv, passphrase, path | index }
+     *   { type: 'env', name }
+     *   { type: 'privateKey', key }
+     *   { type: 'remote', url, address }
+     *   each with an optional policy { maxValue, allowedContracts, allowDeployments }
+     * @returns {Promise<ManagedSigner>} Signer connected to the provider
+     */
+    async create(spec) {
+        let signer;
+        let source;
+        try {
+            switch (spec.type) {
+                case 'keystore': {
+                    const json = spec.json || await fs.promises.readFile(spec.path, 'utf8');
+                    const password = this.readSecret(spec, 'password', 'passwordEnv');
+                    if (password === null) {
+                        throw new ValidationError('Keystore signer needs password or passwordEnv', 'password', null);
+                    }
+                    signer = await Wallet.fromEncryptedJson(json, password);
+                    source = spec.path ? `keystore:${spec.path}` : 'keystore';
+                    break;
+                }
+                case 'mnemonic': {
+                    const phrase = this.readSecret(spec, 'phrase', 'phraseEnv');
+                    const passphrase = this.readSecret(spec, 'passphrase', 'passphraseEnv') || '';
+                    const path = spec.path || (spec.index !== undefined ? `m/44'/60'/0'/0/${spec.index}` : DEFAULT_HD_PATH);
+                    signer = HDNodeWallet.fromPhrase(phrase, passphrase, path);
+                    source = `mnemonic:${path}`;
+                    break;
+                }
+                case 'env': {
+                    const key = this.readSecret(spec, 'key', 'name');
+                    signer = new Wallet(key.startsWith('0x') ? key : `0x${key}`);
+                    source = `env:${spec.name}`;
+                    break;
+                }
+                case 'privateKey': {
+                    const key = this.readSecret(spec, 'key', 'keyEnv');
+                    signer = new Wallet(key);
+                    source = 'privateKey';
+                    break;
+                }
+                case 'remote':
+                    signer = new RemoteSigner(spec.url, { chainId: this.config.chainId, address: spec.address });
+                    source = `remote:${spec.url}`;
+                    break;
+                default:
+                    throw new ValidationError(`Unknown signer type: ${spec.type}`, 'type', spec.type);
+            }
+        } catch (error) {
+            throw new Error(this.redact(`Signer creation failed: ${error.message}`));
+        }
+
+        const managed = new ManagedSigner(signer, { type: spec.type, source, policy: spec.policy });
+        return this.provider ? managed.connect(this.provider) : managed;
+    }
+}
+
+module.exports = {
+    SignerFactory,
+    ManagedSigner,
+    RemoteSigner,
+    normalizePolicy,
+    DEFAULT_HD_PATH
+};
@@ -0,0 +1,192 @@
+/**
+ * State Override Helpers
+ * Builds eth_call state override sets and computes ERC-20 storage slots
+ * so simulations can run from wallets that hold no tokens or approvals yet
+ */
+
+const { ethers } = require('ethers');
+const { AbiCoder, Interface, keccak256, toBeHex, toQuantity, getAddress, zeroPadValue } = ethers;
+
+// ERC-7201 namespace of OpenZeppelin Contracts v5 ERC20Storage
+const OZ_V5_ERC20_LOCATION = 0x52c63247e1f47db19d5ce0460030c497f067ca4cebf71ba98eeadabe20bace00n;
+
+/**
+ * Storage layouts of common ERC-20 implementations
+ * vyper mappings hash (slot, key) instead of Solidity's (key, slot)
+ */
+const TOKEN_LAYOUTS = {
+    openzeppelin: { balanceSlot: 0n, allowanceSlot: 1n, language: 'solidity' },
+    'openzeppelin-v5': { balanceSlot: OZ_V5_ERC20_LOCATION, allowanceSlot: OZ_V5_ERC20_LOCATION + 1n, language: 'solidity' },
+    solmate: { balanceSlot: 3n, allowanceSlot: 4n, language: 'solidity' },
+    weth9: { balanceSlot: 3n, allowanceSlot: 4n, language: 'solidity' },
+    // Circle FiatToken v2.2 (USDC on Base)
+    fiattoken: { balanceSlot: 9n, allowanceSlot: 10n, language: 'solidity' },
+    vyper: { balanceSlot: 0n, allowanceSlot: 1n, language: 'vyper' }
+};
+
+const ERC20_READ_ABI = [
+    'function balanceOf(address owner) view returns (uint256)',
+    'function allowance(address owner, address spender) view returns (uint256)'
+];
+
+const coder = AbiCoder.defaultAbiCoder();
+
+/**
+ * Compute the storage slot of mapping[key]
+ * @param {string} key - Address key
+ * @param {bigint|number} slot - Mapping slot
+ * @param {string} language - 'solidity' or 'vyper'
+ * @returns {string} 32-byte slot
+ */
+function getMappingSlot(key, slot, language = 'solidity') {
+    const encoded = language === 'vyper'
+        ? coder.encode(['uint256', 'address'], [slot, key])
+        : coder.encode(['address', 'uint256'], [key, slot]);
+    return keccak256(encoded);
+}
+
+/**
+ * Compute the balance and allowance slots for a token layout
+ * @param {string|Object} layout - Layout name or { balanceSlot, allowanceSlot, language }
+ * @param {Object} params - { holder, spender }
+ * @returns {Object} { balanceSlot, allowanceSlot }
+ */
+function getTokenSlots(layout, { holder, spender } = {}) {
+    const definition = typeof layout === 'string' ? TOKEN_LAYOUTS[layout] : layout;
+    if (!definition) {
+        throw new Error(`Unknown token layout '${layout}'`);
+    }
+
+    const language = definition.language || 'solidity';
+    const slots = { balanceSlot: null, allowanceSlot: null };
+
+    if (holder) {
+        slots.balanceSlot = getMappingSlot(holder, definition.balanceSlot, language);
+    }
+    if (holder && spender) {
+        const ownerSlot = getMappingSlot(holder, definition.allowanceSlot, language);
+        slots.allowanceSlot = getMappingSlot(spender, BigInt(ownerSlot), language);
+    }
+    return slots;
+}
+
+const toWord = (value) => (typeof value === 'string' && value.length === 66 ? value : toBeHex(value, 32));
+
+/**
+ * Convert a state override set to the eth_call JSON-RPC format
+ * @param {Object} overrides - { [address]: { balance, nonce, code, state, stateDiff } }
+ * @returns {Object} RPC state override object
+ */
+function formatStateOverrides(overrides) {
+    const formatted = {};
+
+    Object.entries(overrides).forEach(([address, override]) => {
+        const entry = {};
+        if (override.balance !== undefined) entry.balance = toQuantity(override.balance);
+        if (override.nonce !== undefined) entry.nonce = toQuantity(override.nonce);
+        if (override.code !== undefined) entry.code = override.code;
+        if (override.state && override.stateDiff) {
+            throw new Error(`State override for ${address} cannot set both state and stateDiff`);
+        }
+
+        ['state', 'stateDiff'].forEach(field => {
+            if (!override[field]) return;
+            entry[field] = {};
+            Object.entries(override[field]).forEach(([slot, value]) => {
+                entry[field][zeroPadValue(toWord(slot), 32)] = toWord(value);
+            });
+        });
+
+        formatted[getAddress(address)] = entry;
+    });
+
+    return formatted;
+}
+
+/**
+ * Merge several override sets; later sets win, storage diffs are combined
+ * @param {...Object} sets - State override sets
+ * @returns {Object} Merged override set
+ */
+function mergeStateOverrides(...sets) {
+    const merged = {};
+    sets.filter(Boolean).forEach(set => {
+        Object.entries(set).forEach(([address, override]) => {
+            const key = getAddress(address);
+            const current = merged[key] || {};
+            merged[key] = {
+                ...current,
+                ...override,
+                stateDiff: override.stateDiff || current.stateDiff
+                    ? { ...current.stateDiff, ...override.stateDiff }
+                    : undefined
+            };
+            if (merged[key].stateDiff === undefined) delete merged[key].stateDiff;
+        });
+    });
+    return merged;
+}
+
+/**
+ * Build overrides that fund a holder with tokens and/or set an allowance
+ * @param {string} token - Token address
+ * @param {Object} params - { holder, balance, spender, allowance, layout }
+ * @returns {Object} State override set
+ */
+function buildTokenOverrides(token, { holder, balance, spender, allowance, layout = 'openzeppelin' }) {
+    const slots = getTokenSlots(layout, { holder, spender });
+    const stateDiff = {};
+
+    if (balance !== undefined) stateDiff[slots.balanceSlot] = BigInt(balance);
+    if (allowance !== undefined && slots.allowanceSlot) stateDiff[slots.allowanceSlot] = BigInt(allowance);
+
+    return { [getAddress(token)]: { stateDiff } };
+}
+
+/**
+ * Find which known layout (or plain slot index) a token stores balances in
+ * Probes balanceOf with a sentinel value written to each candidate slot
+ * @param {Function} call - async (tx, overrides) => return data, an eth_call with overrides
+ * @param {string} token - Token address
+ * @param {Object} options - { maxSlot } to also scan slot indexes 0..maxSlot
+ * @returns {Promise<Object|null>} Layout definition or null
+ */
+async function detectTokenLayout(call, token, options = {}) {
+    const iface = new Interface(ERC20_READ_ABI);
+    const probe = '0x00000000000000000000000000000000000b0b00';
+    const sentinel = 0x5e471e1n;
+    const candidates = Object.entries(TOKEN_LAYOUTS).map(([name, layout]) => ({ name, ...layout }));
+    const known = new Set(candidates.map(layout => `${layout.balanceSlot}:${layout.language}`));
+
+    // Unknown layouts: assume the allowance mapping follows the balance mapping
+    for (let slot = 0; slot <= (options.maxSlot ?? 20); slot++) {
+        ['solidity', 'vyper'].forEach(language => {
+            if (known.has(`${slot}:${language}`)) return;
+            candidates.push({ name: `slot-${slot}-${language}`, balanceSlot: BigInt(slot), allowanceSlot: BigInt(slot + 1), language });
+        });
+    }
+
+    const data = iface.encodeFunctionData('balanceOf', [probe]);
+    for (const layout of candidates) {
+        const overrides = buildTokenOverrides(token, { holder: probe, balance: sentinel, layout });
+        try {
+            const result = await call({ to: token, data }, overrides);
+            if (iface.decodeFunctionResult('balanceOf', result)[0] === sentinel) {
+                return layout;
+            }
+        } catch (error) {
+            // Candidate slot broke the call, try the next one
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    TOKEN_LAYOUTS,
+    getMappingSlot,
+    getTokenSlots,
+    formatStateOverrides,
+    mergeStateOverrides,
+    buildTokenOverrides,
+    detectTokenLayout
+};
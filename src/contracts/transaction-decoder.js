@@ -0,0 +1,312 @@
+/**
+ * Transaction Decoder
+ * Decodes receipt logs and calldata against every known ABI, and unwraps
+ * multicall, router and smart-account payloads into nested calls
+ */
+
+const { ethers } = require('ethers');
+const { AbiCoder, Interface, dataLength, dataSlice, getAddress, getBytes, hexlify, toNumber } = ethers;
+const { toPlainObject } = require('./abi-utils');
+
+// Wrapper ABIs decoded even when the contract is not registered
+const WRAPPER_ABI = [
+    'function aggregate((address target, bytes callData)[] calls) payable returns (uint256 blockNumber, bytes[] returnData)',
+    'function tryAggregate(bool requireSuccess, (address target, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+    'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+    'function aggregate3Value((address target, bool allowFailure, uint256 value, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+    'function multicall(bytes[] data) payable returns (bytes[] results)',
+    'function multicall(uint256 deadline, bytes[] data) payable returns (bytes[] results)',
+    'function multicall(bytes32 previousBlockhash, bytes[] data) payable returns (bytes[] results)',
+    'function execute(bytes commands, bytes[] inputs) payable',
+    'function execute(bytes commands, bytes[] inputs, uint256 deadline) payable',
+    'function execute(address dest, uint256 value, bytes func)',
+    'function executeBatch(address[] dest, uint256[] value, bytes[] func)',
+    'function multiSend(bytes transactions) payable'
+];
+
+const PERMIT_DETAILS = '(address token, uint160 amount, uint48 expiration, uint48 nonce)';
+
+// Universal Router commands: the low 5 bits select the command, 0x80 allows it to revert
+const ROUTER_COMMANDS = {
+    0x00: { name: 'V3_SWAP_EXACT_IN', types: ['address recipient', 'uint256 amountIn', 'uint256 amountOutMin', 'bytes path', 'bool payerIsUser'] },
+    0x01: { name: 'V3_SWAP_EXACT_OUT', types: ['address recipient', 'uint256 amountOut', 'uint256 amountInMax', 'bytes path', 'bool payerIsUser'] },
+    0x02: { name: 'PERMIT2_TRANSFER_FROM', types: ['address token', 'address recipient', 'uint160 amount'] },
+    0x03: { name: 'PERMIT2_PERMIT_BATCH', types: [`(${PERMIT_DETAILS}[] details, address spender, uint256 sigDeadline) permitBatch`, 'bytes signature'] },
+    0x04: { name: 'SWEEP', types: ['address token', 'address recipient', 'uint256 amountMin'] },
+    0x05: { name: 'TRANSFER', types: ['address token', 'address recipient', 'uint256 value'] },
+    0x06: { name: 'PAY_PORTION', types: ['address token', 'address recipient', 'uint256 bips'] },
+    0x08: { name: 'V2_SWAP_EXACT_IN', types: ['address recipient', 'uint256 amountIn', 'uint256 amountOutMin', 'address[] path', 'bool payerIsUser'] },
+    0x09: { name: 'V2_SWAP_EXACT_OUT', types: ['address recipient', 'uint256 amountOut', 'uint256 amountInMax', 'address[] path', 'bool payerIsUser'] },
+    0x0a: { name: 'PERMIT2_PERMIT', types: [`(${PERMIT_DETAILS} details, address spender, uint256 sigDeadline) permitSingle`, 'bytes signature'] },
+    0x0b: { name: 'WRAP_ETH', types: ['address recipient', 'uint256 amountMin'] },
+    0x0c: { name: 'UNWRAP_WETH', types: ['address recipient', 'uint256 amountMin'] }
+};
+
+const wrapperInterface = new Interface(WRAPPER_ABI);
+const coder = AbiCoder.defaultAbiCoder();
+
+/**
+ * Decode a packed Uniswap V3 path (token, fee, token, fee, token...)
+ * @param {string} path - Packed path
+ * @returns {Object|null} { tokens, fees } or null if malformed
+ */
+function decodeV3Path(path) {
+    const bytes = getBytes(path);
+    if (bytes.length < 20 || (bytes.length - 20) % 23 !== 0) {
+        return null;
+    }
+
+    const tokens = [];
+    const fees = [];
+    for (let offset = 0; offset + 20 <= bytes.length; offset += 23) {
+        tokens.push(getAddress(hexlify(bytes.slice(offset, offset + 20))));
+        if (offset + 23 <= bytes.length) {
+            fees.push(toNumber(bytes.slice(offset + 20, offset + 23)));
+        }
+    }
+    return { tokens, fees };
+}
+
+/**
+ * Split a Safe MultiSend payload into its packed transactions
+ * @param {string} transactions - operation(1) to(20) value(32) dataLength(32) data
+ * @returns {Array<Object>} { operation, to, value, data }
+ */
+function decodeMultiSend(transactions) {
+    const calls = [];
+    let offset = 0;
+    const length = dataLength(transactions);
+
+    while (offset < length) {
+        const operation = toNumber(dataSlice(transactions, offset, offset + 1));
+        const to = getAddress(dataSlice(transactions, offset + 1, offset + 21));
+        const value = BigInt(dataSlice(transactions, offset + 21, offset + 53));
+        const size = toNumber(dataSlice(transactions, offset + 53, offset + 85));
+        const data = size > 0 ? dataSlice(transactions, offset + 85, offset + 85 + size) : '0x';
+        calls.push({ operation, to, value, data });
+        offset += 85 + size;
+    }
+    return calls;
+}
+
+class TransactionDecoder {
+    /**
+     * @param {Array<Object>} entries - { name, address, interface } for every known ABI
+     */
+    constructor(entries) {
+        this.entries = entries;
+        this.byAddress = new Map();
+        entries.forEach(entry => {
+            if (entry.address) {
+                this.byAddress.set(entry.address.toLowerCase(), entry);
+            }
+        });
+    }
+
+    /**
+     * Candidate interfaces for an address: its own ABI first, then every other ABI
+     * @param {string|null} address - Contract address
+     * @param {string} fallback - matchedBy label for ABIs of other addresses
+     * @returns {Array<Object>} { entry, matchedBy }
+     */
+    candidates(address, fallback = 'topic') {
+        const own = address ? this.byAddress.get(address.toLowerCase()) : null;
+        const others = this.entries.filter(entry => entry !== own);
+        return [
+            ...(own ? [{ entry: own, matchedBy: 'address' }] : []),
+            ...others.map(entry => ({ entry, matchedBy: fallback }))
+        ];
+    }
+
+    /**
+     * Decode one log
+     * @param {Object} log - Log with address, topics, data
+     * @returns {Object} Decoded log; decoded is false when no ABI matched
+     */
+    decodeLog(log) {
+        const base = {
+            address: getAddress(log.address),
+            logIndex: log.index ?? log.logIndex,
+            topic: log.topics[0] || null
+        };
+
+        for (const { entry, matchedBy } of this.candidates(log.address)) {
+            let parsed;
+            try {
+                parsed = entry.interface.parseLog({ topics: log.topics, data: log.data });
+            } catch (error) {
+                // Same topic with a different indexed layout, keep looking
+                continue;
+            }
+            if (parsed) {
+                return {
+                    ...base,
+                    decoded: true,
+                    contract: entry.name,
+                    matchedBy,
+                    event: parsed.name,
+                    signature: parsed.signature,
+                    args: toPlainObject(parsed.fragment.inputs, parsed.args)
+                };
+            }
+        }
+
+        return { ...base, decoded: false, contract: null, matchedBy: null, event: null, signature: null, args: {}, topics: log.topics, data: log.data };
+    }
+
+    /**
+     * Decode every log of a receipt
+     * @param {Array<Object>} logs - Receipt logs
+     * @returns {Array<Object>} Decoded logs
+     */
+    decodeLogs(logs) {
+        return logs.map(log => this.decodeLog(log));
+    }
+
+    /**
+     * Decode calldata, recursing into multicall, router and account payloads
+     * @param {string} data - Calldata
+     * @param {string|null} to - Called address
+     * @param {Object} options - { value, depth, maxDepth }
+     * @returns {Object} { to, value, selector, contract, name, signature, args, calls }
+     */
+    decodeCall(data, to = null, options = {}) {
+        const depth = options.depth || 0;
+        const maxDepth = options.maxDepth ?? 8;
+        const call = {
+            to: to ? getAddress(to) : null,
+            value: options.value !== undefined ? BigInt(options.value) : null,
+            selector: data && dataLength(data) >= 4 ? dataSlice(data, 0, 4) : null,
+            contract: null,
+            matchedBy: null,
+            name: null,
+            signature: null,
+            args: {},
+            calls: []
+        };
+        if (!call.selector) {
+            return { ...call, data };
+        }
+
+        const candidates = [
+            ...this.candidates(to, 'selector'),
+            { entry: { name: null, interface: wrapperInterface }, matchedBy: 'selector' }
+        ];
+
+        let parsed = null;
+        let match = null;
+        for (const candidate of candidates) {
+            try {
+                parsed = candidate.entry.interface.parseTransaction({ data });
+            } catch (error) {
+                parsed = null;
+            }
+            if (parsed) {
+                match = candidate;
+                break;
+            }
+        }
+        if (!parsed) {
+            return { ...call, data };
+        }
+
+        const decoded = {
+            ...call,
+            contract: match.entry.name,
+            matchedBy: match.matchedBy,
+            name: parsed.name,
+            signature: parsed.signature,
+            args: toPlainObject(parsed.fragment.inputs, parsed.args)
+        };
+
+        if (depth < maxDepth) {
+            const nested = { depth: depth + 1, maxDepth };
+            decoded.calls = this.unwrap(parsed, call.to).map(inner => {
+                if (inner.command !== undefined) {
+                    return inner;
+                }
+                return {
+                    ...this.decodeCall(inner.data, inner.to, { ...nested, value: inner.value }),
+                    ...(inner.operation !== undefined ? { operation: inner.operation } : {})
+                };
+            });
+        }
+        return decoded;
+    }
+
+    /**
+     * Inner calls carried by a known wrapper method
+     * @param {TransactionDescription} parsed - Parsed outer call
+     * @param {string|null} to - Outer call target
+     * @returns {Array<Object>} { to, value, data } or decoded router commands
+     */
+    unwrap(parsed, to) {
+        const args = parsed.args;
+        const inputs = parsed.fragment.inputs.map(input => input.name);
+        const has = (...names) => names.every(name => inputs.includes(name));
+
+        switch (parsed.name) {
+            case 'aggregate':
+            case 'tryAggregate':
+            case 'aggregate3':
+            case 'aggregate3Value':
+                if (!has('calls')) return [];
+                return Array.from(args.calls, inner => ({ to: inner.target, value: inner.value, data: inner.callData }));
+            case 'multicall':
+                // Periphery multicall calls back into the same contract
+                return has('data') ? Array.from(args.data, data => ({ to, data })) : [];
+            case 'execute':
+                if (has('commands', 'inputs')) {
+                    return this.decodeRouterCommands(args.commands, args.inputs);
+                }
+                return has('dest', 'value', 'func') ? [{ to: args.dest, value: args.value, data: args.func }] : [];
+            case 'executeBatch':
+                if (!has('dest', 'value', 'func')) return [];
+                return Array.from(args.dest, (dest, index) => ({
+                    to: dest,
+                    value: args.value.length > 0 ? args.value[index] : 0n,
+                    data: args.func[index]
+                }));
+            case 'multiSend':
+                return has('transactions') ? decodeMultiSend(args.transactions) : [];
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Decode Universal Router command inputs
+     * @param {string} commands - One byte per command
+     * @param {Array<string>} inputs - ABI-encoded input per command
+     * @returns {Array<Object>} { command, name, allowRevert, args }
+     */
+    decodeRouterCommands(commands, inputs) {
+        return Array.from(getBytes(commands), (byte, index) => {
+            const command = byte & 0x1f;
+            const definition = ROUTER_COMMANDS[command];
+            const result = { command, name: definition ? definition.name : null, allowRevert: (byte & 0x80) !== 0, args: {} };
+            if (!definition) {
+                return { ...result, input: inputs[index] };
+            }
+
+            try {
+                const params = definition.types.map(type => ethers.ParamType.from(type));
+                result.args = toPlainObject(params, coder.decode(params, inputs[index]));
+                if (typeof result.args.path === 'string') {
+                    result.path = decodeV3Path(result.args.path);
+                }
+            } catch (error) {
+                result.input = inputs[index];
+            }
+            return result;
+        });
+    }
+}
+
+module.exports = {
+    TransactionDecoder,
+    decodeV3Path,
+    decodeMultiSend,
+    ROUTER_COMMANDS,
+    WRAPPER_ABI
+};
@@ -0,0 +1,256 @@
+/**
+ * Transaction Tracker
+ * Follows a broadcast transaction and its same-nonce replacements until one of them mines
+ * Supports speed-up, cancellation and scheduled fee bumps with a fee ceiling
+ */
+
+// Nodes reject same-nonce replacements that do not raise both fees by at least 10%
+const MIN_REPLACEMENT_BUMP_PERCENT = 10;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class TrackedTransaction {
+    /**
+     * @param {Signer} signer - Signer that broadcast the transaction
+     * @param {Object} request - Populated transaction request including nonce and fees
+     * @param {Object} response - Transaction response of the original broadcast
+     * @param {Object} options - Tracking options (pollInterval, onSettled, and onConsumed for
+     *   a nonce taken by a transaction this tracker did not send)
+     */
+    constructor(signer, request, response, options = {}) {
+        this.signer = signer;
+        this.provider = signer.provider;
+        this.request = request;
+        this.nonce = response.nonce;
+        this.from = response.from;
+        this.options = {
+            pollInterval: 2000, // Base produces a block every 2s
+            onSettled: null,
+            onConsumed: null,
+            ...options
+        };
+        this.attempts = [this.createAttempt('original', response, request)];
+        this.settled = null;
+    }
+
+    createAttempt(kind, response, fees) {
+        return {
+            kind,
+            hash: response.hash,
+            maxFeePerGas: BigInt(fees.maxFeePerGas || 0),
+            maxPriorityFeePerGas: BigInt(fees.maxPriorityFeePerGas || 0),
+            sentAt: new Date().toISOString()
+        };
+    }
+
+    get latest() {
+        return this.attempts[this.attempts.length - 1];
+    }
+
+    /**
+     * Compute replacement fees for the next attempt
+     * @param {Object} options - bumpPercent, maxFeePerGas, maxPriorityFeePerGas, feeCeiling
+     * @returns {Object} { maxFeePerGas, maxPriorityFeePerGas }
+     */
+    getReplacementFees(options = {}) {
+        const bumpPercent = Math.max(options.bumpPercent || 12.5, MIN_REPLACEMENT_BUMP_PERCENT);
+        const bump = (value) => value * BigInt(Math.round((100 + bumpPercent) * 100)) / 10000n;
+        const minimum = (value) => value * BigInt(100 + MIN_REPLACEMENT_BUMP_PERCENT) / 100n;
+
+        const { maxFeePerGas, maxPriorityFeePerGas } = this.latest;
+        let nextMaxFee = options.maxFeePerGas !== undefined ? BigInt(options.maxFeePerGas) : bump(maxFeePerGas);
+        let nextPriorityFee = options.maxPriorityFeePerGas !== undefined
+            ? BigInt(options.maxPriorityFeePerGas)
+            : bump(maxPriorityFeePerGas);
+
+        if (nextMaxFee < minimum(maxFeePerGas)) nextMaxFee = minimum(maxFeePerGas);
+        if (nextPriorityFee < minimum(maxPriorityFeePerGas)) nextPriorityFee = minimum(maxPriorityFeePerGas);
+
+        if (options.feeCeiling !== undefined) {
+            const ceiling = BigInt(options.feeCeiling);
+            if (minimum(maxFeePerGas) > ceiling) {
+                throw new Error(`Replacement fee would exceed ceiling of ${ceiling} wei`);
+            }
+            if (nextMaxFee > ceiling) nextMaxFee = ceiling;
+        }
+
+        if (nextPriorityFee > nextMaxFee) nextPriorityFee = nextMaxFee;
+
+        return { maxFeePerGas: nextMaxFee, maxPriorityFeePerGas: nextPriorityFee };
+    }
+
+    /**
+     * Rebroadcast the same transaction with higher fees
+     * @param {Object} options - Fee options (see getReplacementFees)
+     * @returns {Promise<Object>} Replacement transaction response
+     */
+    async speedUp(options = {}) {
+        this.assertPending();
+        const fees = this.getReplacementFees(options);
+        const response = await this.signer.sendTransaction({
+            ...this.request,
+            ...fees,
+            nonce: this.nonce
+        });
+
+        this.attempts.push(this.createAttempt('speedup', response, fees));
+        return response;
+    }
+
+    /**
+     * Replace the transaction with a 0-value self-send at the same nonce
+     * @param {Object} options - Fee options (see getReplacementFees)
+     * @returns {Promise<Object>} Cancellation transaction response
+     */
+    async cancel(options = {}) {
+        this.assertPending();
+        const fees = this.getReplacementFees(options);
+        const response = await this.signer.sendTransaction({
+            to: this.from,
+            value: 0n,
+            data: '0x',
+            gasLimit: 21000n,
+            chainId: this.request.chainId,
+            type: 2,
+            ...fees,
+            nonce: this.nonce
+        });
+
+        this.attempts.push(this.createAttempt('cancel', response, fees));
+        return response;
+    }
+
+    /**
+     * Wait until one of the attempts mines
+     * @param {Object} options - Wait options (timeout in ms)
+     * @returns {Promise<Object|null>} Result, or null if the timeout elapsed first
+     */
+    async wait(options = {}) {
+        if (this.settled) {
+            return this.settled;
+        }
+
+        const deadline = options.timeout ? Date.now() + options.timeout : Infinity;
+
+        while (Date.now() < deadline) {
+            const result = await this.checkMined();
+            if (result) {
+                return result;
+            }
+            await sleep(Math.min(this.options.pollInterval, Math.max(deadline - Date.now(), 0)));
+        }
+
+        return this.checkMined();
+    }
+
+    /**
+     * Wait for the transaction, bumping fees on a schedule until it mines
+     * @param {Object} options - interval (ms between bumps), bumpPercent, feeCeiling, maxBumps,
+     *   timeout (ms overall, default 10 minutes)
+     * @returns {Promise<Object>} Result; rejects with the attempt hashes once the timeout elapses
+     */
+    async autoBump(options = {}) {
+        const { interval = 30000, maxBumps = 5, timeout = 600000 } = options;
+        const deadline = Date.now() + timeout;
+        let bumps = 0;
+
+        for (;;) {
+            const remaining = deadline - Date.now();
+            if (remaining <= 0) {
+                // A dropped transaction never mines; give up instead of polling forever
+                const hashes = this.attempts.map(attempt => attempt.hash);
+                const error = new Error(
+                    `Nonce ${this.nonce} not mined within ${timeout}ms; attempts: ${hashes.join(', ')}`
+                );
+                error.code = 'TIMEOUT';
+                error.hashes = hashes;
+                throw error;
+            }
+
+            const result = await this.wait({ timeout: Math.min(interval, remaining) });
+            if (result) {
+                return result;
+            }
+
+            if (bumps < maxBumps) {
+                try {
+                    await this.speedUp(options);
+                    bumps++;
+                } catch (error) {
+                    // Ceiling reached or replacement rejected: keep waiting on what we have
+                    bumps = maxBumps;
+                }
+            }
+        }
+    }
+
+    /**
+     * Look up receipts for every attempt
+     * @returns {Promise<Object|null>} Result if any attempt mined
+     */
+    async checkMined() {
+        const result = await this.findReceipt();
+        if (result) {
+            return result;
+        }
+
+        const minedNonce = await this.provider.getTransactionCount(this.from, 'latest');
+        if (minedNonce > this.nonce) {
+            // One of ours may have mined between the two lookups
+            const lateResult = await this.findReceipt();
+            if (lateResult) {
+                return lateResult;
+            }
+            const error = new Error(`Nonce ${this.nonce} was consumed by an untracked transaction`);
+            if (this.options.onConsumed) {
+                this.options.onConsumed(error);
+            }
+            throw error;
+        }
+
+        return null;
+    }
+
+    async findReceipt() {
+        for (let index = this.attempts.length - 1; index >= 0; index--) {
+            const attempt = this.attempts[index];
+            const receipt = await this.provider.getTransactionReceipt(attempt.hash);
+            if (receipt) {
+                return this.settle(attempt, index, receipt);
+            }
+        }
+        return null;
+    }
+
+    settle(attempt, index, receipt) {
+        this.settled = {
+            hash: attempt.hash,
+            receipt,
+            gasUsed: receipt.gasUsed,
+            effectiveGasPrice: receipt.gasPrice,
+            status: receipt.status,
+            nonce: this.nonce,
+            minedAttempt: { index, kind: attempt.kind, hash: attempt.hash },
+            replaced: index > 0,
+            cancelled: attempt.kind === 'cancel',
+            attempts: this.attempts.map(item => ({ ...item }))
+        };
+
+        if (this.options.onSettled) {
+            this.options.onSettled(this.settled);
+        }
+
+        return this.settled;
+    }
+
+    assertPending() {
+        if (this.settled) {
+            throw new Error(`Transaction already mined as ${this.settled.hash}`);
+        }
+    }
+}
+
+module.exports = {
+    TrackedTransaction,
+    MIN_REPLACEMENT_BUMP_PERCENT
+};
@@ -0,0 +1,403 @@
+/**
+ * Typed Binding Generator
+ * Emits TypeScript declarations and thin CommonJS wrappers for registered ABIs,
+ * so method, event and custom error names are checked at compile time
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { Interface } = ethers;
+
+const HEADER = '/* Autogenerated by SmartContractUtils.generateBindings. Do not edit. */';
+
+// Members of the generated classes that ABI functions must not shadow
+const RESERVED_MEMBERS = new Set(['constructor', 'utils', 'contractName', 'getEvents', 'monitorEvents', 'decodeError', 'interface']);
+
+const RESERVED_WORDS = new Set([
+    'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do', 'else',
+    'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in', 'instanceof',
+    'new', 'null', 'return', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var', 'void',
+    'while', 'with', 'yield', 'let', 'static', 'implements', 'interface', 'package', 'private', 'protected',
+    'public', 'await', 'arguments', 'eval'
+]);
+
+const COMMON_DECLARATIONS = `${HEADER}
+
+import type { Interface, Signer, TransactionReceipt } from 'ethers';
+
+export type BigNumberish = bigint | number | string;
+
+export interface Indexed {
+    hash: string;
+}
+
+export interface TransactionOptions {
+    value?: BigNumberish;
+    gasLimit?: BigNumberish;
+    maxFeePerGas?: BigNumberish;
+    maxPriorityFeePerGas?: BigNumberish;
+    nonce?: number;
+    autoBump?: boolean | object;
+}
+
+export interface TransactionResult {
+    hash: string;
+    receipt: TransactionReceipt | null;
+    gasUsed: bigint;
+    effectiveGasPrice: bigint;
+    status: number | null;
+}
+
+export interface EventQueryOptions {
+    fromBlock?: number | string;
+    toBlock?: number | string;
+    filterArgs?: unknown[];
+    resume?: boolean;
+    checkpointKey?: string;
+}
+
+export interface DecodedEvent<TArgs> {
+    blockNumber: number;
+    blockHash: string;
+    transactionHash: string;
+    logIndex: number;
+    event: string;
+    address: string;
+    timestamp?: number;
+    removed?: boolean;
+    args: TArgs;
+}
+
+export interface ContractUtilsLike {
+    call(contractName: string, methodName: string, params?: unknown[]): Promise<any>;
+    executeTransaction(contractName: string, methodName: string, params: unknown[], signer: Signer, options?: TransactionOptions): Promise<TransactionResult>;
+    getEvents(contractName: string, eventName: string, options?: EventQueryOptions): Promise<Array<DecodedEvent<any>>>;
+    monitorEvents(contractName: string, eventName: string, callback: (event: DecodedEvent<any>) => void, filter?: object, options?: object): () => void;
+    getInterface(contractName: string): Interface;
+}
+`;
+
+/**
+ * Map an ABI parameter to a TypeScript type
+ * @param {ParamType} param - ethers ParamType
+ * @param {string} direction - 'input' for arguments, 'output' for decoded values
+ * @returns {string} TypeScript type
+ */
+function toTsType(param, direction) {
+    if (param.baseType === 'array') {
+        return `Array<${toTsType(param.arrayChildren, direction)}>`;
+    }
+    if (param.baseType === 'tuple') {
+        return toTsStruct(param.components, direction);
+    }
+    if (/^u?int\d*$/.test(param.baseType)) {
+        return direction === 'input' ? 'BigNumberish' : 'bigint';
+    }
+    if (param.baseType === 'bool') {
+        return 'boolean';
+    }
+    // address, string, bytes and bytesN are all hex or text strings
+    return 'string';
+}
+
+/**
+ * Type a list of components: a tuple, intersected with named fields for decoded values
+ * @param {Array<ParamType>} components - Tuple components
+ * @param {string} direction - 'input' or 'output'
+ * @returns {string} TypeScript type
+ */
+function toTsStruct(components, direction) {
+    const named = components.length > 0 && components.every(component => component.name);
+    const tuple = `[${components.map(component => toTsType(component, direction)).join(', ')}]`;
+    if (!named) {
+        return tuple;
+    }
+
+    const fields = `{ ${components.map(component => `${component.name}: ${toTsType(component, direction)};`).join(' ')} }`;
+    // ethers accepts structs as objects; decoded Results are indexable and named
+    return direction === 'input' ? fields : `${tuple} & ${fields}`;
+}
+
+/**
+ * Type of a decoded event field; indexed dynamic values only carry their hash
+ * @param {ParamType} param - Event input
+ * @returns {string} TypeScript type
+ */
+function toEventFieldType(param) {
+    if (param.indexed && (param.isArray() || param.isTuple() || ['string', 'bytes'].includes(param.type))) {
+        return 'Indexed';
+    }
+    return toTsType(param, 'output');
+}
+
+/**
+ * Turn a registry name like 'contracts/Vault.sol:Vault' into a class name
+ * @param {string} name - Registry name
+ * @returns {string} PascalCase identifier
+ */
+function toClassName(name) {
+    const parts = name.split(/[^A-Za-z0-9]+/).filter(Boolean);
+    const pascal = parts.map(part => part[0].toUpperCase() + part.slice(1)).join('') || 'Unnamed';
+    return `${/^\d/.test(pascal) ? '_' : ''}${pascal}Contract`;
+}
+
+function isIdentifier(name) {
+    return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) && !RESERVED_WORDS.has(name);
+}
+
+/**
+ * Property name for a member; non-identifiers are quoted
+ * @param {string} name - Member name
+ * @returns {string} Identifier or quoted name
+ */
+function toMemberName(name) {
+    return isIdentifier(name) ? name : `'${name}'`;
+}
+
+/**
+ * Unique argument identifiers for a function's inputs
+ * @param {Array<ParamType>} inputs - Function inputs
+ * @param {Array<string>} taken - Names already used by the wrapper signature
+ * @returns {Array<string>} Argument names
+ */
+function toArgNames(inputs, taken = []) {
+    const used = new Set(taken);
+    return inputs.map((input, index) => {
+        let name = isIdentifier(input.name) ? input.name : `arg${index}`;
+        while (used.has(name)) {
+            name = `${name}_${index}`;
+        }
+        used.add(name);
+        return name;
+    });
+}
+
+/**
+ * Name to expose a function under; overloads and clashes use the full signature
+ * @param {FunctionFragment} fragment - Function fragment
+ * @param {Map<string, number>} counts - Number of functions per name
+ * @returns {string} Method name understood by ethers Contract
+ */
+function getMethodKey(fragment, counts) {
+    const overloaded = counts.get(fragment.name) > 1;
+    return overloaded || RESERVED_MEMBERS.has(fragment.name) ? fragment.format('sighash') : fragment.name;
+}
+
+/**
+ * Generate the declaration and wrapper sources for one contract
+ * @param {string} name - Registry name
+ * @param {Array|Interface} abi - Contract ABI
+ * @returns {Object} { name, className, fileName, js, dts }
+ */
+function generateContractBindings(name, abi) {
+    const iface = abi instanceof Interface ? abi : new Interface(abi);
+    const className = toClassName(name);
+    const prefix = className.replace(/Contract$/, '');
+    const functions = iface.fragments.filter(fragment => fragment.type === 'function');
+    const events = iface.fragments.filter(fragment => fragment.type === 'event');
+    const errors = iface.fragments.filter(fragment => fragment.type === 'error');
+
+    const counts = new Map();
+    functions.forEach(fragment => counts.set(fragment.name, (counts.get(fragment.name) || 0) + 1));
+
+    const jsMethods = [];
+    const dtsMethods = [];
+
+    functions.forEach(fragment => {
+        const key = getMethodKey(fragment, counts);
+        const member = toMemberName(key);
+        const readOnly = fragment.constant;
+        const args = toArgNames(fragment.inputs, readOnly ? [] : ['signer', 'options']);
+        const typedArgs = fragment.inputs.map((input, index) => `${args[index]}: ${toTsType(input, 'input')}`);
+        const doc = `    /** ${fragment.format('full')} */`;
+
+        if (readOnly) {
+            let returnType = 'void';
+            if (fragment.outputs.length === 1) {
+                returnType = toTsType(fragment.outputs[0], 'output');
+            } else if (fragment.outputs.length > 1) {
+                returnType = toTsStruct(fragment.outputs, 'output');
+            }
+            dtsMethods.push(doc, `    ${member}(${typedArgs.join(', ')}): Promise<${returnType}>;`);
+            jsMethods.push(
+                doc,
+                `    ${member}(${args.join(', ')}) {`,
+                `        return this.utils.call(this.contractName, '${key}', [${args.join(', ')}]);`,
+                '    }',
+                ''
+            );
+            return;
+        }
+
+        dtsMethods.push(doc, `    ${member}(${[...typedArgs, 'signer: Signer', 'options?: TransactionOptions'].join(', ')}): Promise<TransactionResult>;`);
+        jsMethods.push(
+            doc,
+            `    ${member}(${[...args, 'signer', 'options = {}'].join(', ')}) {`,
+            `        return this.utils.executeTransaction(this.contractName, '${key}', [${args.join(', ')}], signer, options);`,
+            '    }',
+            ''
+        );
+    });
+
+    const eventTypes = events.map(fragment => {
+        const fields = fragment.inputs.map((input, index) => `${isIdentifier(input.name) ? input.name : `arg${index}`}: ${toEventFieldType(input)};`);
+        return `    ${toMemberName(fragment.name)}: { ${fields.join(' ')} };`;
+    });
+
+    const errorTypes = errors.map(fragment => {
+        const fields = fragment.inputs.map((input, index) => `${isIdentifier(input.name) ? input.name : `arg${index}`}: ${toTsType(input, 'output')};`);
+        return `    | { name: '${fragment.name}'; args: {${fields.length > 0 ? ` ${fields.join(' ')} ` : ''}} }`;
+    });
+
+    const body = [
+        `export interface ${prefix}Events {`,
+        ...eventTypes,
+        '}',
+        '',
+        `export type ${prefix}Error =`,
+        ...(errorTypes.length > 0 ? errorTypes : ['    never']),
+        '    ;',
+        '',
+        `export declare class ${className} {`,
+        '    constructor(utils: ContractUtilsLike, contractName?: string);',
+        '    readonly utils: ContractUtilsLike;',
+        '    readonly contractName: string;',
+        ...dtsMethods,
+        `    getEvents<K extends keyof ${prefix}Events>(eventName: K, options?: EventQueryOptions): Promise<Array<DecodedEvent<${prefix}Events[K]>>>;`,
+        `    monitorEvents<K extends keyof ${prefix}Events>(eventName: K, callback: (event: DecodedEvent<${prefix}Events[K]>) => void, filter?: object, options?: object): () => void;`,
+        `    decodeError(data: string): ${prefix}Error | null;`,
+        '}',
+        ''
+    ].join('\n');
+
+    // Import only what the body uses, so strict noUnusedLocals builds stay clean
+    const commonTypes = ['ContractUtilsLike', 'EventQueryOptions', 'DecodedEvent', 'TransactionOptions', 'TransactionResult', 'BigNumberish', 'Indexed']
+        .filter(type => new RegExp(`\\b${type}\\b`).test(body));
+    const dts = [
+        HEADER,
+        '',
+        ...(/\bSigner\b/.test(body) ? ["import type { Signer } from 'ethers';"] : []),
+        `import type { ${commonTypes.join(', ')} } from './common';`,
+        '',
+        body
+    ].join('\n');
+
+    const js = [
+        HEADER,
+        '',
+        `class ${className} {`,
+        `    constructor(utils, contractName = '${name}') {`,
+        '        this.utils = utils;',
+        '        this.contractName = contractName;',
+        '    }',
+        '',
+        ...jsMethods,
+        '    getEvents(eventName, options = {}) {',
+        '        return this.utils.getEvents(this.contractName, eventName, options);',
+        '    }',
+        '',
+        '    monitorEvents(eventName, callback, filter = {}, options = {}) {',
+        '        return this.utils.monitorEvents(this.contractName, eventName, callback, filter, options);',
+        '    }',
+        '',
+        '    decodeError(data) {',
+        '        try {',
+        '            const parsed = this.utils.getInterface(this.contractName).parseError(data);',
+        '            return parsed ? { name: parsed.name, args: parsed.args } : null;',
+        '        } catch (error) {',
+        '            return null;',
+        '        }',
+        '    }',
+        '}',
+        '',
+        `module.exports = { ${className} };`,
+        ''
+    ].join('\n');
+
+    return { name, className, fileName: className.replace(/Contract$/, ''), js, dts };
+}
+
+/**
+ * Generate the index files exporting every binding and a createBindings factory
+ * @param {Array<Object>} bindings - Results of generateContractBindings
+ * @returns {Object} { js, dts }
+ */
+function generateIndex(bindings) {
+    const js = [
+        HEADER,
+        '',
+        ...bindings.map(binding => `const { ${binding.className} } = require('./${binding.fileName}');`),
+        '',
+        'function createBindings(utils) {',
+        '    return {',
+        ...bindings.map(binding => `        '${binding.name}': new ${binding.className}(utils, '${binding.name}'),`),
+        '    };',
+        '}',
+        '',
+        `module.exports = { createBindings, ${bindings.map(binding => binding.className).join(', ')} };`,
+        ''
+    ].join('\n');
+
+    const dts = [
+        HEADER,
+        '',
+        "import type { ContractUtilsLike } from './common';",
+        ...bindings.map(binding => `import { ${binding.className} } from './${binding.fileName}';`),
+        '',
+        "export * from './common';",
+        ...bindings.map(binding => `export * from './${binding.fileName}';`),
+        '',
+        'export declare function createBindings(utils: ContractUtilsLike): {',
+        ...bindings.map(binding => `    '${binding.name}': ${binding.className};`),
+        '};',
+        ''
+    ].join('\n');
+
+    return { js, dts };
+}
+
+/**
+ * Write bindings for a set of contracts
+ * @param {string} outDir - Output directory
+ * @param {Array<Object>} contracts - { name, abi }
+ * @returns {Promise<Array<string>>} Written file paths
+ */
+async function writeBindings(outDir, contracts) {
+    const bindings = contracts.map(({ name, abi }) => generateContractBindings(name, abi));
+    const fileNames = new Set();
+    bindings.forEach(binding => {
+        if (fileNames.has(binding.fileName)) {
+            throw new Error(`Contracts map to the same binding name '${binding.className}'`);
+        }
+        fileNames.add(binding.fileName);
+    });
+
+    const index = generateIndex(bindings);
+    const files = [
+        ['common.d.ts', COMMON_DECLARATIONS],
+        ...bindings.flatMap(binding => [
+            [`${binding.fileName}.js`, binding.js],
+            [`${binding.fileName}.d.ts`, binding.dts]
+        ]),
+        ['index.js', index.js],
+        ['index.d.ts', index.dts]
+    ];
+
+    await fs.promises.mkdir(outDir, { recursive: true });
+    const written = [];
+    for (const [file, source] of files) {
+        const target = path.join(outDir, file);
+        await fs.promises.writeFile(target, source);
+        written.push(target);
+    }
+    return written;
+}
+
+module.exports = {
+    generateContractBindings,
+    generateIndex,
+    writeBindings,
+    toTsType,
+    toClassName
+};
@@ -0,0 +1,337 @@
+/**
+ * ERC-4337 User Operations
+ * Builds, hashes, signs and submits EntryPoint v0.7 user operations
+ * through a bundler JSON-RPC endpoint
+ */
+
+const { ethers } = require('ethers');
+const { networkConfig } = require('../base/networks');
+const {
+    AbiCoder,
+    Contract,
+    Interface,
+    JsonRpcProvider,
+    Network,
+    concat,
+    getAddress,
+    getBytes,
+    keccak256,
+    toBeHex,
+    toQuantity,
+    zeroPadValue
+} = ethers;
+
+const ENTRY_POINT_V07_ADDRESS = '0x0000000071727De22E5E9d8BAf0edAc6f37da032';
+
+const ENTRY_POINT_ABI = [
+    'function getNonce(address sender, uint192 key) view returns (uint256 nonce)'
+];
+
+// SimpleAccount v0.7 execution interface, shared by many account implementations
+const SIMPLE_ACCOUNT_ABI = [
+    'function execute(address dest, uint256 value, bytes func)',
+    'function executeBatch(address[] dest, uint256[] value, bytes[] func)'
+];
+
+// Stand-in ECDSA signature so validation code paths run during estimation
+const DUMMY_SIGNATURE = concat([
+    '0xfffffffffffffffffffffffffffffff000000000000000000000000000000000',
+    '0x7aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa',
+    '0x1c'
+]);
+
+const GAS_FIELDS = [
+    'callGasLimit',
+    'verificationGasLimit',
+    'preVerificationGas',
+    'paymasterVerificationGasLimit',
+    'paymasterPostOpGasLimit'
+];
+
+const QUANTITY_FIELDS = ['nonce', 'maxFeePerGas', 'maxPriorityFeePerGas', ...GAS_FIELDS];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Pack two 128-bit values into one bytes32 word (high, low)
+ * @returns {string} 32-byte hex
+ */
+function packUint128(high, low) {
+    return toBeHex((BigInt(high) << 128n) | BigInt(low), 32);
+}
+
+/**
+ * Convert a user operation to the EntryPoint v0.7 PackedUserOperation layout
+ * @param {Object} userOp - Unpacked user operation
+ * @returns {Object} Packed user operation
+ */
+function packUserOperation(userOp) {
+    const initCode = userOp.factory ? concat([userOp.factory, userOp.factoryData || '0x']) : '0x';
+    const paymasterAndData = userOp.paymaster
+        ? concat([
+            userOp.paymaster,
+            zeroPadValue(toBeHex(userOp.paymasterVerificationGasLimit || 0n), 16),
+            zeroPadValue(toBeHex(userOp.paymasterPostOpGasLimit || 0n), 16),
+            userOp.paymasterData || '0x'
+        ])
+        : '0x';
+
+    return {
+        sender: getAddress(userOp.sender),
+        nonce: BigInt(userOp.nonce),
+        initCode,
+        callData: userOp.callData,
+        accountGasLimits: packUint128(userOp.verificationGasLimit, userOp.callGasLimit),
+        preVerificationGas: BigInt(userOp.preVerificationGas),
+        gasFees: packUint128(userOp.maxPriorityFeePerGas, userOp.maxFeePerGas),
+        paymasterAndData,
+        signature: userOp.signature || '0x'
+    };
+}
+
+/**
+ * Compute the userOpHash the EntryPoint v0.7 assigns to an operation
+ * @param {Object} userOp - Unpacked user operation
+ * @param {string} entryPoint - EntryPoint address
+ * @param {number|bigint} chainId - Chain id
+ * @returns {string} userOpHash
+ */
+function getUserOperationHash(userOp, entryPoint, chainId) {
+    const packed = packUserOperation(userOp);
+    const coder = AbiCoder.defaultAbiCoder();
+    const encoded = coder.encode(
+        ['address', 'uint256', 'bytes32', 'bytes32', 'bytes32', 'uint256', 'bytes32', 'bytes32'],
+        [
+            packed.sender,
+            packed.nonce,
+            keccak256(packed.initCode),
+            keccak256(packed.callData),
+            packed.accountGasLimits,
+            packed.preVerificationGas,
+            packed.gasFees,
+            keccak256(packed.paymasterAndData)
+        ]
+    );
+    return keccak256(coder.encode(['bytes32', 'address', 'uint256'], [keccak256(encoded), entryPoint, chainId]));
+}
+
+/**
+ * Format a user operation for bundler RPC: quantities as hex, unset optionals dropped
+ * @param {Object} userOp - Unpacked user operation
+ * @returns {Object} RPC user operation
+ */
+function toRpcUserOperation(userOp) {
+    const rpc = {};
+    Object.entries(userOp).forEach(([field, value]) => {
+        if (value === undefined || value === null) return;
+        rpc[field] = QUANTITY_FIELDS.includes(field) ? toQuantity(value) : value;
+    });
+    return rpc;
+}
+
+class BundlerClient {
+    /**
+     * @param {string} url - Bundler JSON-RPC URL
+     * @param {number} chainId - Chain id, so no network detection request is made
+     */
+    constructor(url, chainId) {
+        const network = Network.from(chainId);
+        this.url = url;
+        this.rpc = new JsonRpcProvider(url, network, { staticNetwork: network, batchMaxCount: 1 });
+    }
+
+    async send(method, params) {
+        try {
+            return await this.rpc.send(method, params);
+        } catch (error) {
+            const message = (error.error && error.error.message) || error.message;
+            throw new Error(`Bundler ${method} failed: ${message}`);
+        }
+    }
+
+    supportedEntryPoints() {
+        return this.send('eth_supportedEntryPoints', []);
+    }
+
+    estimateUserOperationGas(userOp, entryPoint) {
+        return this.send('eth_estimateUserOperationGas', [toRpcUserOperation(userOp), entryPoint]);
+    }
+
+    sendUserOperation(userOp, entryPoint) {
+        return this.send('eth_sendUserOperation', [toRpcUserOperation(userOp), entryPoint]);
+    }
+
+    getUserOperationReceipt(userOpHash) {
+        return this.send('eth_getUserOperationReceipt', [userOpHash]);
+    }
+
+    destroy() {
+        this.rpc.destroy();
+    }
+}
+
+class UserOperationBuilder {
+    /**
+     * @param {Provider} provider - Chain provider
+     * @param {BundlerClient|null} bundler - Bundler client
+     * @param {Object} config - network, entryPointAddress, chainId, pollInterval, timeout, gasMultiplier (percent)
+     */
+    constructor(provider, bundler, config = {}) {
+        this.provider = provider;
+        this.bundler = bundler;
+        this.config = {
+            entryPointAddress: ENTRY_POINT_V07_ADDRESS,
+            chainId: 8453,
+            pollInterval: 2000,
+            timeout: 120000,
+            gasMultiplier: 100,
+            ...networkConfig(config.network, { entryPointAddress: 'entryPoint' }),
+            ...config
+        };
+        this.entryPoint = new Contract(this.config.entryPointAddress, ENTRY_POINT_ABI, provider);
+        this.accountInterface = new Interface(config.accountAbi || SIMPLE_ACCOUNT_ABI);
+    }
+
+    requireBundler() {
+        if (!this.bundler) {
+            throw new Error('No bundler configured; set bundlerUrl');
+        }
+        return this.bundler;
+    }
+
+    /**
+     * Encode calls as account callData: execute for one call, executeBatch for several
+     * @param {Array<Object>} calls - { to, value, data }
+     * @returns {string} Account callData
+     */
+    encodeCalls(calls) {
+        if (calls.length === 0) {
+            throw new Error('A user operation needs at least one call');
+        }
+        if (calls.length === 1) {
+            const [call] = calls;
+            return this.accountInterface.encodeFunctionData('execute', [call.to, call.value || 0n, call.data || '0x']);
+        }
+        return this.accountInterface.encodeFunctionData('executeBatch', [
+            calls.map(call => call.to),
+            calls.map(call => call.value || 0n),
+            calls.map(call => call.data || '0x')
+        ]);
+    }
+
+    /**
+     * Build an unsigned user operation with nonce and fees filled in
+     * @param {Object} params - sender, calls, nonce, nonceKey, factory, factoryData, paymaster fields, fee and gas overrides
+     * @returns {Promise<Object>} Unpacked user operation
+     */
+    async build(params) {
+        const { sender, calls, nonceKey = 0n, ...overrides } = params;
+        const [nonce, fees] = await Promise.all([
+            overrides.nonce !== undefined ? overrides.nonce : this.entryPoint.getNonce(sender, nonceKey),
+            // Fee data fills whichever fee override is missing
+            overrides.maxFeePerGas !== undefined && overrides.maxPriorityFeePerGas !== undefined
+                ? null
+                : this.provider.getFeeData()
+        ]);
+
+        return {
+            sender: getAddress(sender),
+            nonce: BigInt(nonce),
+            factory: overrides.factory,
+            factoryData: overrides.factoryData,
+            callData: overrides.callData || this.encodeCalls(calls),
+            callGasLimit: overrides.callGasLimit,
+            verificationGasLimit: overrides.verificationGasLimit,
+            preVerificationGas: overrides.preVerificationGas,
+            maxFeePerGas: BigInt(overrides.maxFeePerGas ?? fees.maxFeePerGas),
+            maxPriorityFeePerGas: BigInt(overrides.maxPriorityFeePerGas ?? fees.maxPriorityFeePerGas),
+            paymaster: overrides.paymaster,
+            paymasterVerificationGasLimit: overrides.paymasterVerificationGasLimit,
+            paymasterPostOpGasLimit: overrides.paymasterPostOpGasLimit,
+            paymasterData: overrides.paymasterData,
+            signature: DUMMY_SIGNATURE
+        };
+    }
+
+    /**
+     * Fill unset gas fields from the bundler's estimate
+     * @param {Object} userOp - User operation
+     * @returns {Promise<Object>} User operation with gas fields set
+     */
+    async estimateGas(userOp) {
+        const missing = GAS_FIELDS.filter(field => userOp[field] === undefined || userOp[field] === null)
+            .filter(field => userOp.paymaster || !field.startsWith('paymaster'));
+        if (missing.length === 0) {
+            return userOp;
+        }
+
+        const estimate = await this.requireBundler().estimateUserOperationGas(
+            { ...userOp, signature: DUMMY_SIGNATURE },
+            this.config.entryPointAddress
+        );
+
+        const estimated = { ...userOp };
+        missing.forEach(field => {
+            if (estimate[field] !== undefined && estimate[field] !== null) {
+                estimated[field] = BigInt(estimate[field]) * BigInt(this.config.gasMultiplier) / 100n;
+            }
+        });
+        return estimated;
+    }
+
+    getUserOpHash(userOp) {
+        return getUserOperationHash(userOp, this.config.entryPointAddress, this.config.chainId);
+    }
+
+    /**
+     * Sign the userOpHash as an EIP-191 message, as ECDSA-owned accounts expect
+     * @param {Object} userOp - User operation
+     * @param {Signer} signer - Account owner
+     * @returns {Promise<Object>} { userOp, userOpHash }
+     */
+    async sign(userOp, signer) {
+        const userOpHash = this.getUserOpHash(userOp);
+        const signature = await signer.signMessage(getBytes(userOpHash));
+        return { userOp: { ...userOp, signature }, userOpHash };
+    }
+
+    /**
+     * Submit a signed user operation
+     * @param {Object} userOp - Signed user operation
+     * @returns {Promise<string>} userOpHash reported by the bundler
+     */
+    async send(userOp) {
+        return this.requireBundler().sendUserOperation(userOp, this.config.entryPointAddress);
+    }
+
+    /**
+     * Poll the bundler until the operation is included
+     * @param {string} userOpHash - userOpHash
+     * @param {Object} options - pollInterval, timeout
+     * @returns {Promise<Object>} Bundler user operation receipt
+     */
+    async waitForReceipt(userOpHash, options = {}) {
+        const pollInterval = options.pollInterval || this.config.pollInterval;
+        const deadline = Date.now() + (options.timeout || this.config.timeout);
+
+        while (Date.now() < deadline) {
+            const receipt = await this.requireBundler().getUserOperationReceipt(userOpHash);
+            if (receipt) {
+                return receipt;
+            }
+            await sleep(pollInterval);
+        }
+        throw new Error(`User operation ${userOpHash} not included within ${options.timeout || this.config.timeout}ms`);
+    }
+}
+
+module.exports = {
+    UserOperationBuilder,
+    BundlerClient,
+    packUserOperation,
+    getUserOperationHash,
+    toRpcUserOperation,
+    ENTRY_POINT_V07_ADDRESS,
+    SIMPLE_ACCOUNT_ABI,
+    DUMMY_SIGNATURE
+};
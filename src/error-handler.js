@@ -1,4 +1,3 @@
-src/error-handler.js
 /**
  * Base DeFi Error Handler
  * Comprehensive error handling and logging for DeFi utilities
@@ -4,38 +4,20 @@
  */
 
 // Core utility modules
-const YieldCalculator = require('./utils/yield-calculator');
-const LiquidityAnalyzer = require('./utils/liquidity-analyzer');
-const TradingOptimizer = require('./utils/trading-optimizer');
-const RiskAssessment = require('./utils/risk-assessment');
-const PortfolioTracker = require('./utils/portfolio-tracker');
-
-// Base network specific modules
-const BaseConnector = require('./base/base-connector');
-const GasOptimizer = require('./base/gas-optimizer');
-const DexAggregator = require('./base/dex-aggregator');
+const YieldCalculator = require('./yield-calculator');
+const RiskAssessment = require('./risk-assessment');
 
 // Export all utilities
 module.exports = {
   // Core utilities
   YieldCalculator,
-  LiquidityAnalyzer,
-  TradingOptimizer,
+  BaseYieldCalculator: YieldCalculator,
   RiskAssessment,
-  PortfolioTracker,
-  
-  // Base network utilities
-  BaseConnector,
-  GasOptimizer,
-  DexAggregator,
-  
+
   // Convenience methods
   createYieldCalculator: (config) => new YieldCalculator(config),
-  createLiquidityAnalyzer: (config) => new LiquidityAnalyzer(config),
-  createTradingOptimizer: (config) => new TradingOptimizer(config),
   createRiskAssessment: (config) => new RiskAssessment(config),
-  createPortfolioTracker: (config) => new PortfolioTracker(config),
-  
+
   // Version info
   version: require('../package.json').version
 };
@@ -0,0 +1,328 @@
+/**
+ * Approval Audit
+ * Finds the ERC-20 allowances a wallet has granted from Approval events, reads
+ * which are still live, flags risky ones and builds revoke transactions
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { Interface, MaxUint256, getAddress, id, zeroPadValue } = ethers;
+const { ValidationError } = require('../error-handler');
+
+const APPROVAL_EVENT = 'event Approval(address indexed owner, address indexed spender, uint256 value)';
+const APPROVAL_TOPIC = id('Approval(address,address,uint256)');
+
+// Allowances this large are treated as unlimited; some tokens count down from MaxUint256
+const UNLIMITED_THRESHOLD = MaxUint256 / 2n;
+
+const REPORT_COLUMNS = ['token', 'symbol', 'spender', 'allowance', 'formatted', 'unlimited', 'isContract', 'verified', 'risk', 'flags', 'lastBlock', 'lastTransaction'];
+
+/**
+ * Contract stand-in that lets the event indexer query Approval logs from every token at once
+ * ERC-721 Approval shares the topic but indexes the token id, so those logs are skipped
+ */
+class ApprovalLogSource {
+    constructor(provider) {
+        this.provider = provider;
+        this.interface = new Interface([APPROVAL_EVENT]);
+        this.filters = {
+            Approval: (owner = null, spender = null) => ({
+                topics: [
+                    APPROVAL_TOPIC,
+                    owner ? zeroPadValue(getAddress(owner), 32) : null,
+                    spender ? zeroPadValue(getAddress(spender), 32) : null
+                ]
+            })
+        };
+    }
+
+    async queryFilter(filter, fromBlock, toBlock) {
+        const logs = await this.provider.getLogs({ ...filter, fromBlock, toBlock });
+        return logs.filter(log => log.topics.length === 3).map(log => {
+            const parsed = this.interface.parseLog(log);
+            return {
+                blockNumber: log.blockNumber,
+                blockHash: log.blockHash,
+                transactionHash: log.transactionHash,
+                index: log.index,
+                address: getAddress(log.address),
+                eventName: parsed.name,
+                fragment: parsed.fragment,
+                args: parsed.args
+            };
+        });
+    }
+}
+
+/**
+ * Risk level for a set of flags
+ * @param {Array<string>} flags - unlimited, not-contract, unverified
+ * @returns {string} 'High', 'Medium' or 'Low'
+ */
+function getRiskLevel(flags) {
+    if (flags.includes('not-contract') || (flags.includes('unlimited') && flags.includes('unverified'))) {
+        return 'High';
+    }
+    return flags.length > 0 ? 'Medium' : 'Low';
+}
+
+const toCsvCell = (value) => {
+    const text = Array.isArray(value) ? value.join(';') : String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class ApprovalAuditor {
+    /**
+     * @param {SmartContractUtils} utils - Utilities providing the event indexer, token toolkit and isContract
+     * @param {Object} config - verifiedSpenders (addresses or registered contract names), verify(address) hook
+     */
+    constructor(utils, config = {}) {
+        this.utils = utils;
+        this.config = {
+            verifiedSpenders: [],
+            verify: null,
+            ...config
+        };
+        this.logSource = null;
+    }
+
+    /**
+     * Whether a spender is known: network profile contracts, registered contracts,
+     * configured verified spenders, then the verify hook (e.g. an explorer lookup)
+     * @param {string} spender - Spender address
+     * @returns {Promise<boolean>} True if verified
+     */
+    async isVerified(spender) {
+        const address = spender.toLowerCase();
+        const known = [
+            ...Object.values(this.utils.network.addresses || {}),
+            ...this.config.verifiedSpenders.map(entry => (this.utils.contracts.has(entry)
+                ? this.utils.contracts.get(entry).target
+                : entry))
+        ];
+        if (known.some(entry => entry && entry.toLowerCase() === address) || this.utils.findAbiByAddress(spender)) {
+            return true;
+        }
+        return this.config.verify ? Boolean(await this.config.verify(getAddress(spender))) : false;
+    }
+
+    /**
+     * Scan Approval events granted by an owner
+     * @param {string} owner - Wallet address
+     * @param {Object} options - fromBlock (required; 0 pages the full history), toBlock,
+     *   tokens (limit the scan to these tokens), onBatch
+     * @returns {Promise<Object>} { approvals, fromBlock, toBlock } with the latest event per token and spender
+     */
+    async scan(owner, options = {}) {
+        // The full history is tens of thousands of getLogs pages, so the caller picks the window
+        if (options.fromBlock === undefined || options.fromBlock === null) {
+            throw new ValidationError('fromBlock is required; pass 0 to scan the full history', 'fromBlock', options.fromBlock);
+        }
+
+        const query = {
+            fromBlock: options.fromBlock,
+            toBlock: options.toBlock ?? 'latest',
+            filterArgs: [owner],
+            onBatch: options.onBatch
+        };
+
+        let events = [];
+        let range = { fromBlock: null, toBlock: null };
+        if (options.tokens) {
+            const latest = await this.utils.provider.getBlockNumber();
+            query.toBlock = this.utils.eventIndexer.resolveBlock(query.toBlock, latest);
+            query.fromBlock = this.utils.eventIndexer.resolveBlock(query.fromBlock, latest);
+            for (const token of options.tokens) {
+                events.push(...await this.utils.getEvents(this.utils.tokens.contractName(token), 'Approval', query));
+            }
+            range = { fromBlock: query.fromBlock, toBlock: query.toBlock };
+        } else {
+            this.logSource = this.logSource || new ApprovalLogSource(this.utils.provider);
+            const result = await this.utils.eventIndexer.index(this.logSource, 'Approval', query);
+            events = result.events;
+            range = { fromBlock: result.fromBlock, toBlock: result.toBlock };
+        }
+
+        const latest = new Map();
+        events.forEach(event => {
+            const token = getAddress(event.address);
+            const spender = getAddress(event.args[1]);
+            const key = `${token}:${spender}`.toLowerCase();
+            const previous = latest.get(key);
+            if (!previous || event.blockNumber > previous.blockNumber ||
+                (event.blockNumber === previous.blockNumber && event.logIndex > previous.logIndex)) {
+                latest.set(key, { token, spender, blockNumber: event.blockNumber, logIndex: event.logIndex, transactionHash: event.transactionHash });
+            }
+        });
+
+        return { approvals: [...latest.values()], ...range };
+    }
+
+    /**
+     * Load token metadata in one batch, retrying token by token when the batch fails
+     * @param {Array<string>} tokens - Token addresses
+     * @returns {Promise<Set<string>>} Tokens with metadata
+     */
+    async loadMetadata(tokens) {
+        try {
+            await this.utils.tokens.getMetadataMany(tokens);
+            return new Set(tokens);
+        } catch (error) {
+            const loaded = await Promise.all(tokens.map(token => this.utils.tokens.getMetadata(token).then(() => true, () => false)));
+            return new Set(tokens.filter((token, index) => loaded[index]));
+        }
+    }
+
+    /**
+     * Audit the live allowances of an owner
+     * @param {string} owner - Wallet address
+     * @param {Object} options - scan options, plus spenders to check against tokens
+     *   (or every registry token) without relying on event history
+     * @returns {Promise<Object>} Report { owner, chainId, network, fromBlock, toBlock, generatedAt, approvals, summary };
+     *   summary.partialHistory is set when the scan started after block 0
+     */
+    async audit(owner, options = {}) {
+        const account = getAddress(owner);
+        const scanned = await this.scan(account, options);
+        const entries = new Map(scanned.approvals.map(approval => [`${approval.token}:${approval.spender}`.toLowerCase(), approval]));
+
+        if (options.spenders) {
+            const tokens = options.tokens || this.utils.tokens.registry.list().map(token => token.address);
+            tokens.forEach(token => options.spenders.forEach(spender => {
+                const approval = { token: this.utils.tokens.registry.resolve(token), spender: getAddress(spender) };
+                const key = `${approval.token}:${approval.spender}`.toLowerCase();
+                if (!entries.has(key)) {
+                    entries.set(key, { ...approval, blockNumber: null, transactionHash: null });
+                }
+            }));
+        }
+
+        // Tokens without readable metadata (not ERC-20 or self-destructed) are listed as skipped
+        const readable = await this.loadMetadata([...new Set([...entries.values()].map(entry => entry.token))]);
+        const candidates = [...entries.values()].filter(entry => readable.has(entry.token));
+        const skipped = [...entries.values()].filter(entry => !readable.has(entry.token));
+        const allowances = await this.utils.tokens.getAllowances(
+            candidates.map(({ token, spender }) => ({ token, owner: account, spender })),
+            { blockTag: scanned.toBlock ?? 'latest' }
+        );
+
+        const spenders = new Map();
+        const describeSpender = (spender) => {
+            if (!spenders.has(spender)) {
+                spenders.set(spender, Promise.all([this.utils.isContract(spender), this.isVerified(spender)]));
+            }
+            return spenders.get(spender);
+        };
+
+        const approvals = [];
+        for (const [index, live] of allowances.entries()) {
+            if (!live.allowance) {
+                continue;
+            }
+            const [isContract, verified] = await describeSpender(live.spender);
+            const unlimited = live.allowance >= UNLIMITED_THRESHOLD;
+            const flags = [
+                ...(unlimited ? ['unlimited'] : []),
+                ...(isContract ? [] : ['not-contract']),
+                ...(verified ? [] : ['unverified'])
+            ];
+            approvals.push({
+                token: live.token,
+                symbol: live.symbol,
+                spender: live.spender,
+                allowance: live.allowance,
+                formatted: unlimited ? 'unlimited' : live.formatted,
+                unlimited,
+                isContract,
+                verified,
+                flags,
+                risk: getRiskLevel(flags),
+                lastBlock: candidates[index].blockNumber,
+                lastTransaction: candidates[index].transactionHash
+            });
+        }
+
+        const riskOrder = { High: 3, Medium: 2, Low: 1 };
+        approvals.sort((a, b) => riskOrder[b.risk] - riskOrder[a.risk]);
+
+        return {
+            owner: account,
+            chainId: this.utils.network.chainId,
+            network: this.utils.network.name,
+            fromBlock: scanned.fromBlock,
+            toBlock: scanned.toBlock,
+            generatedAt: new Date().toISOString(),
+            approvals,
+            skipped,
+            summary: {
+                live: approvals.length,
+                unlimited: approvals.filter(approval => approval.unlimited).length,
+                notContract: approvals.filter(approval => !approval.isContract).length,
+                unverified: approvals.filter(approval => !approval.verified).length,
+                high: approvals.filter(approval => approval.risk === 'High').length,
+                // Approvals granted before fromBlock were not scanned
+                partialHistory: scanned.fromBlock > 0
+            }
+        };
+    }
+
+    /**
+     * Revoke calls setting each allowance to zero; usable with executeTransaction,
+     * createSafeTransaction, exportSafeBatch or buildUserOperation
+     * @param {Object|Array} reportOrApprovals - Audit report or its approvals
+     * @param {Object} options - risk (minimum level) or filter(approval)
+     * @returns {Array<Object>} { contractName, methodName, params } calls
+     */
+    buildRevokeCalls(reportOrApprovals, options = {}) {
+        const approvals = Array.isArray(reportOrApprovals) ? reportOrApprovals : reportOrApprovals.approvals;
+        const riskOrder = { High: 3, Medium: 2, Low: 1 };
+        return approvals
+            .filter(approval => !options.risk || riskOrder[approval.risk] >= riskOrder[options.risk])
+            .filter(approval => !options.filter || options.filter(approval))
+            .map(approval => ({
+                contractName: this.utils.tokens.contractName(approval.token),
+                methodName: 'approve',
+                params: [approval.spender, 0n]
+            }));
+    }
+
+    /**
+     * Export a report as JSON or CSV
+     * @param {Object} report - Audit report
+     * @param {string} format - 'json' or 'csv'
+     * @returns {string} Serialized report
+     */
+    exportReport(report, format = 'json') {
+        if (format === 'csv') {
+            const rows = report.approvals.map(approval => REPORT_COLUMNS.map(column => toCsvCell(approval[column])).join(','));
+            return [REPORT_COLUMNS.join(','), ...rows].join('\n') + '\n';
+        }
+        if (format !== 'json') {
+            throw new Error(`Unsupported report format: ${format}`);
+        }
+        return JSON.stringify(report, (key, value) => (typeof value === 'bigint' ? value.toString() : value), 2);
+    }
+
+    /**
+     * Write a report to a file, creating its directory
+     * @param {Object} report - Audit report
+     * @param {string} filePath - Output path
+     * @param {string} format - 'json' or 'csv'
+     * @returns {Promise<string>} Serialized report
+     */
+    async writeReport(report, filePath, format = 'json') {
+        const output = this.exportReport(report, format);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, output);
+        return output;
+    }
+}
+
+module.exports = {
+    ApprovalAuditor,
+    ApprovalLogSource,
+    getRiskLevel,
+    APPROVAL_TOPIC,
+    UNLIMITED_THRESHOLD
+};
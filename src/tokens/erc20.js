@@ -0,0 +1,359 @@
+/**
+ * ERC-20 Toolkit
+ * Token metadata with caching (including bytes32 symbols), amount formatting,
+ * bulk balance and allowance reads, and safe approve/transfer on top of SmartContractUtils
+ */
+
+const { ethers } = require('ethers');
+const { AbiCoder, Interface, ZeroAddress, dataLength, formatUnits, getAddress, getBytes, parseUnits, toUtf8String } = ethers;
+
+// approve/transfer declare no return value so tokens that return nothing can be called;
+// the optional bool is checked separately
+const ERC20_ABI = [
+    'function name() view returns (string)',
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)',
+    'function totalSupply() view returns (uint256)',
+    'function balanceOf(address owner) view returns (uint256)',
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function approve(address spender, uint256 value)',
+    'function transfer(address to, uint256 value)',
+    'function transferFrom(address from, address to, uint256 value)',
+    'event Transfer(address indexed from, address indexed to, uint256 value)',
+    'event Approval(address indexed owner, address indexed spender, uint256 value)'
+];
+
+const NATIVE_TOKEN = 'ETH';
+
+const erc20Interface = new Interface(ERC20_ABI);
+const coder = AbiCoder.defaultAbiCoder();
+
+/**
+ * Decode a string getter that may return string or bytes32 (MKR-style tokens)
+ * @param {string} returnData - Raw return data
+ * @returns {string|null} Text, or null when undecodable
+ */
+function decodeText(returnData) {
+    try {
+        return coder.decode(['string'], returnData)[0];
+    } catch (error) {
+        if (dataLength(returnData) !== 32) {
+            return null;
+        }
+        const bytes = getBytes(returnData);
+        const end = bytes.indexOf(0);
+        try {
+            return toUtf8String(end === -1 ? bytes : bytes.slice(0, end));
+        } catch (decodeError) {
+            return null;
+        }
+    }
+}
+
+/**
+ * Interpret the optional bool returned by approve/transfer
+ * @param {string} returnData - Raw return data
+ * @returns {boolean} False only when the token returned false
+ */
+function decodeOptionalBool(returnData) {
+    if (!returnData || returnData === '0x') {
+        return true;
+    }
+    return coder.decode(['bool'], returnData)[0];
+}
+
+const isNative = (token) => token === NATIVE_TOKEN || token === ZeroAddress;
+
+class TokenToolkit {
+    /**
+     * @param {SmartContractUtils} utils - Utilities used for reads and transactions
+     * @param {TokenRegistry} registry - Metadata registry, seeded from a token list
+     */
+    constructor(utils, registry) {
+        this.utils = utils;
+        this.registry = registry;
+        this.pending = new Map();
+    }
+
+    /**
+     * Register a token with SmartContractUtils so transactions get nonce handling and revert decoding
+     * @param {string} token - Address or symbol
+     * @returns {string} Registered contract name
+     */
+    contractName(token) {
+        const address = this.registry.resolve(token);
+        const name = `erc20:${address.toLowerCase()}`;
+        if (!this.utils.contracts.has(name)) {
+            this.utils.registerContract(name, ERC20_ABI, address);
+        }
+        return name;
+    }
+
+    /**
+     * Run raw read calls through Multicall3, or one eth_call each when it is not deployed
+     * @param {Array<Object>} requests - { target, callData }
+     * @param {string|number} blockTag - Block number or tag
+     * @returns {Promise<Array<Object>>} { success, returnData }
+     */
+    async read(requests, blockTag = 'latest') {
+        if (requests.length === 0) {
+            return [];
+        }
+        if (!(await this.utils.multicall.isAvailable())) {
+            return Promise.all(requests.map(async ({ target, callData }) => {
+                try {
+                    return { success: true, returnData: await this.utils.provider.call({ to: target, data: callData, blockTag }) };
+                } catch (error) {
+                    return { success: false, returnData: '0x' };
+                }
+            }));
+        }
+
+        const chunkSize = this.utils.config.multicallChunkSize;
+        const pinned = requests.length > chunkSize && blockTag === 'latest'
+            ? await this.utils.provider.getBlockNumber()
+            : blockTag;
+        const results = [];
+        for (let i = 0; i < requests.length; i += chunkSize) {
+            const chunk = requests.slice(i, i + chunkSize).map(request => ({ ...request, allowFailure: true }));
+            results.push(...await this.utils.multicall.aggregate3(chunk, pinned));
+        }
+        return results;
+    }
+
+    /**
+     * Token metadata, read once and cached in the registry
+     * @param {string} token - Address or symbol
+     * @returns {Promise<Object>} { chainId, address, symbol, name, decimals }
+     */
+    async getMetadata(token) {
+        const [metadata] = await this.getMetadataMany([token]);
+        return metadata;
+    }
+
+    /**
+     * Metadata for several tokens with one batched read for the unknown ones
+     * @param {Array<string>} tokens - Addresses or symbols
+     * @returns {Promise<Array<Object>>} Metadata in input order
+     */
+    async getMetadataMany(tokens) {
+        const addresses = tokens.map(token => this.registry.resolve(token));
+        const missing = [...new Set(addresses)].filter(address => {
+            const known = this.registry.get(address);
+            return !(known && Number.isInteger(known.decimals)) && !this.pending.has(address);
+        });
+
+        if (missing.length > 0) {
+            const loading = this.fetchMetadata(missing);
+            missing.forEach(address => this.pending.set(address, loading));
+            loading.finally(() => missing.forEach(address => this.pending.delete(address))).catch(() => {});
+        }
+
+        await Promise.all(addresses.map(address => this.pending.get(address)));
+        return addresses.map(address => this.registry.get(address));
+    }
+
+    async fetchMetadata(addresses) {
+        const methods = ['decimals', 'symbol', 'name'];
+        const requests = addresses.flatMap(target => methods.map(method => ({
+            target,
+            callData: erc20Interface.encodeFunctionData(method)
+        })));
+        const results = await this.read(requests);
+
+        addresses.forEach((address, index) => {
+            const [decimals, symbol, name] = results.slice(index * 3, index * 3 + 3);
+            if (!decimals.success || dataLength(decimals.returnData) !== 32) {
+                throw new Error(`Token ${address} has no decimals(); not an ERC-20 contract?`);
+            }
+            this.registry.add({
+                address,
+                decimals: Number(coder.decode(['uint8'], decimals.returnData)[0]),
+                symbol: symbol.success ? decodeText(symbol.returnData) : null,
+                name: name.success ? decodeText(name.returnData) : null
+            });
+        });
+    }
+
+    /**
+     * Format a raw amount with the token's decimals
+     * @param {string} token - Address or symbol
+     * @param {bigint} amount - Raw amount
+     * @returns {Promise<string>} Decimal string
+     */
+    async format(token, amount) {
+        const decimals = isNative(token) ? 18 : (await this.getMetadata(token)).decimals;
+        return formatUnits(amount, decimals);
+    }
+
+    /**
+     * Parse a decimal amount into raw token units
+     * @param {string} token - Address or symbol
+     * @param {string} value - Decimal string, e.g. "1.5"
+     * @returns {Promise<bigint>} Raw amount
+     */
+    async parse(token, value) {
+        const decimals = isNative(token) ? 18 : (await this.getMetadata(token)).decimals;
+        return parseUnits(String(value), decimals);
+    }
+
+    /**
+     * Balances of every owner for every token in one batched read
+     * 'ETH' reads the native balance through Multicall3
+     * @param {Array<string>} owners - Account addresses
+     * @param {Array<string>} tokens - Token addresses, symbols or 'ETH'
+     * @param {Object} options - blockTag
+     * @returns {Promise<Array<Object>>} { owner, token, symbol, balance, formatted }
+     */
+    async getBalances(owners, tokens, options = {}) {
+        const erc20Tokens = tokens.filter(token => !isNative(token));
+        const metadata = await this.getMetadataMany(erc20Tokens);
+        const byToken = new Map(erc20Tokens.map((token, index) => [token, metadata[index]]));
+        const useMulticall = await this.utils.multicall.isAvailable();
+
+        const pairs = owners.flatMap(owner => tokens.map(token => ({ owner: getAddress(owner), token })));
+        const requests = pairs.map(({ owner, token }) => (isNative(token)
+            ? { target: this.utils.multicall.address, callData: this.utils.multicall.interface.encodeFunctionData('getEthBalance', [owner]), owner }
+            : { target: byToken.get(token).address, callData: erc20Interface.encodeFunctionData('balanceOf', [owner]) }));
+
+        // Without Multicall3 native balances come from eth_getBalance
+        const results = useMulticall
+            ? await this.read(requests, options.blockTag)
+            : await Promise.all(requests.map(async (request) => (request.owner
+                ? { success: true, returnData: coder.encode(['uint256'], [await this.utils.provider.getBalance(request.owner, options.blockTag)]) }
+                : (await this.read([request], options.blockTag))[0])));
+
+        return pairs.map(({ owner, token }, index) => {
+            const meta = isNative(token) ? { address: ZeroAddress, symbol: NATIVE_TOKEN, decimals: 18 } : byToken.get(token);
+            const result = results[index];
+            const balance = result.success && dataLength(result.returnData) === 32
+                ? BigInt(result.returnData)
+                : null;
+            return {
+                owner,
+                token: meta.address,
+                symbol: meta.symbol,
+                balance,
+                formatted: balance === null ? null : formatUnits(balance, meta.decimals)
+            };
+        });
+    }
+
+    /**
+     * Allowances for several (token, owner, spender) entries in one batched read
+     * @param {Array<Object>} entries - { token, owner, spender }
+     * @param {Object} options - blockTag
+     * @returns {Promise<Array<Object>>} { token, symbol, owner, spender, allowance, formatted }
+     */
+    async getAllowances(entries, options = {}) {
+        const metadata = await this.getMetadataMany(entries.map(entry => entry.token));
+        const results = await this.read(entries.map((entry, index) => ({
+            target: metadata[index].address,
+            callData: erc20Interface.encodeFunctionData('allowance', [entry.owner, entry.spender])
+        })), options.blockTag);
+
+        return entries.map((entry, index) => {
+            const meta = metadata[index];
+            const allowance = results[index].success && dataLength(results[index].returnData) === 32
+                ? BigInt(results[index].returnData)
+                : null;
+            return {
+                token: meta.address,
+                symbol: meta.symbol,
+                owner: getAddress(entry.owner),
+                spender: getAddress(entry.spender),
+                allowance,
+                formatted: allowance === null ? null : formatUnits(allowance, meta.decimals)
+            };
+        });
+    }
+
+    /**
+     * Simulate a state-changing token call from an account
+     * @returns {Promise<Object>} { success, result } where result is the optional bool
+     */
+    async simulate(token, method, params, from) {
+        const data = erc20Interface.encodeFunctionData(method, params);
+        try {
+            const returnData = await this.utils.provider.call({ to: token, from, data });
+            return { success: true, result: decodeOptionalBool(returnData) };
+        } catch (error) {
+            return { success: false, result: false, error };
+        }
+    }
+
+    /**
+     * Send approve/transfer after checking the call neither reverts nor returns false
+     */
+    async send(token, method, params, signer, options) {
+        const from = await signer.getAddress();
+        const simulation = await this.simulate(token, method, params, from);
+        if (simulation.success && !simulation.result) {
+            throw new Error(`Token ${token} returned false from ${method}`);
+        }
+        const result = await this.utils.executeTransaction(this.contractName(token), method, params, signer, options);
+        if (result.status !== 1) {
+            throw new Error(`Token ${method} transaction ${result.hash} failed`);
+        }
+        return result;
+    }
+
+    /**
+     * Set an allowance, resetting it to zero first when the token requires that
+     * (USDT-style tokens revert when changing one non-zero allowance to another)
+     * @param {string} token - Address or symbol
+     * @param {string} spender - Spender address
+     * @param {bigint} amount - Raw amount
+     * @param {Signer} signer - Token owner
+     * @param {Object} options - zeroFirst (true/false to skip detection) and transaction overrides
+     * @returns {Promise<Object>} { allowance, transactions } with no transactions when already set
+     */
+    async approve(token, spender, amount, signer, options = {}) {
+        const { zeroFirst, ...txOptions } = options;
+        const address = this.registry.resolve(token);
+        const owner = await signer.getAddress();
+        const value = BigInt(amount);
+        const [{ allowance: current }] = await this.getAllowances([{ token: address, owner, spender }]);
+
+        if (current === value) {
+            return { allowance: current, transactions: [] };
+        }
+
+        const transactions = [];
+        if (current > 0n && value > 0n) {
+            const known = this.registry.get(address);
+            let reset = zeroFirst ?? (known && known.approveZeroFirst) ?? null;
+            if (reset === null) {
+                const simulation = await this.simulate(address, 'approve', [spender, value], owner);
+                reset = !simulation.success || !simulation.result;
+            }
+            if (reset) {
+                transactions.push(await this.send(address, 'approve', [spender, 0n], signer, txOptions));
+            }
+        }
+
+        transactions.push(await this.send(address, 'approve', [spender, value], signer, txOptions));
+        return { allowance: value, transactions };
+    }
+
+    /**
+     * Transfer tokens, failing on tokens that return false instead of reverting
+     * @param {string} token - Address or symbol
+     * @param {string} to - Recipient
+     * @param {bigint} amount - Raw amount
+     * @param {Signer} signer - Sender
+     * @param {Object} options - Transaction overrides
+     * @returns {Promise<Object>} executeTransaction result
+     */
+    async transfer(token, to, amount, signer, options = {}) {
+        return this.send(this.registry.resolve(token), 'transfer', [to, BigInt(amount)], signer, options);
+    }
+}
+
+module.exports = {
+    TokenToolkit,
+    ERC20_ABI,
+    NATIVE_TOKEN,
+    decodeText,
+    decodeOptionalBool
+};
@@ -0,0 +1,117 @@
+/**
+ * Token Registry
+ * Token metadata per chain, looked up by address or symbol and seeded from
+ * token lists in the Uniswap token list format
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { getAddress, isAddress } = ethers;
+
+const BASE_TOKEN_LIST_PATH = path.join(__dirname, 'base-tokens.json');
+
+class TokenRegistry {
+    /**
+     * @param {number} chainId - Chain the registry serves
+     */
+    constructor(chainId = 8453) {
+        this.chainId = Number(chainId);
+        this.tokens = new Map();
+        this.symbols = new Map();
+    }
+
+    /**
+     * Registry seeded from the bundled Base token list
+     * @param {number} chainId - Chain id
+     * @returns {TokenRegistry} Registry
+     */
+    static forChain(chainId) {
+        const registry = new TokenRegistry(chainId);
+        registry.addTokenList(JSON.parse(fs.readFileSync(BASE_TOKEN_LIST_PATH, 'utf8')));
+        return registry;
+    }
+
+    /**
+     * Add the tokens of a token list that belong to this chain
+     * @param {Object} list - Token list with a tokens array
+     * @returns {number} Number of tokens added
+     */
+    addTokenList(list) {
+        const tokens = (list.tokens || []).filter(token => Number(token.chainId) === this.chainId);
+        tokens.forEach(token => this.add(token));
+        return tokens.length;
+    }
+
+    /**
+     * Add a token list from a JSON file
+     * @param {string} filePath - Token list path
+     * @returns {Promise<number>} Number of tokens added
+     */
+    async loadTokenList(filePath) {
+        return this.addTokenList(JSON.parse(await fs.promises.readFile(filePath, 'utf8')));
+    }
+
+    /**
+     * Add or update a token
+     * @param {Object} token - { address, symbol, name, decimals, ... }
+     * @returns {Object} Stored token
+     */
+    add(token) {
+        const address = getAddress(token.address);
+        const stored = {
+            ...this.tokens.get(address.toLowerCase()),
+            ...token,
+            chainId: this.chainId,
+            address,
+            decimals: Number(token.decimals)
+        };
+        this.tokens.set(address.toLowerCase(), stored);
+        if (stored.symbol) {
+            const key = stored.symbol.toLowerCase();
+            // The first token listed under a symbol keeps it, so a lookalike cannot take over "USDC"
+            if (!this.symbols.has(key)) {
+                this.symbols.set(key, address.toLowerCase());
+            }
+        }
+        return stored;
+    }
+
+    /**
+     * Find a token by address or symbol
+     * @param {string} token - Address or symbol
+     * @returns {Object|null} Token
+     */
+    get(token) {
+        if (isAddress(token)) {
+            return this.tokens.get(token.toLowerCase()) || null;
+        }
+        const address = this.symbols.get(String(token).toLowerCase());
+        return address ? this.tokens.get(address) : null;
+    }
+
+    /**
+     * Resolve an address or known symbol to a checksummed address
+     * @param {string} token - Address or symbol
+     * @returns {string} Address
+     */
+    resolve(token) {
+        if (isAddress(token)) {
+            return getAddress(token);
+        }
+        const known = this.get(token);
+        if (!known) {
+            throw new Error(`Unknown token: ${token}`);
+        }
+        return known.address;
+    }
+
+    list() {
+        return [...this.tokens.values()];
+    }
+}
+
+module.exports = {
+    TokenRegistry,
+    BASE_TOKEN_LIST_PATH
+};
@@ -0,0 +1,1011 @@
+/**
+ * Base DeFi Yield Calculator
+ * Yield farming, liquidity pool and portfolio calculations for Base protocols
+ * All math runs in decimal.js with configurable precision and rounding; results
+ * are plain numbers rounded to config.precision decimal places
+ */
+
+const Decimal = require('decimal.js');
+const { getNetwork } = require('./base/networks');
+const { ValidationError } = require('./error-handler');
+const {
+    MIN_TICK,
+    MAX_TICK,
+    tickToSqrtPrice,
+    sqrtPriceX96ToSqrtPrice,
+    sqrtPriceToTick,
+    amountsPerLiquidity,
+    liquidityForAmounts,
+    liquidityForValue,
+    normalCdf
+} = require('./concentrated-liquidity');
+
+const ROUNDING_MODES = {
+    up: Decimal.ROUND_UP,
+    down: Decimal.ROUND_DOWN,
+    ceil: Decimal.ROUND_CEIL,
+    floor: Decimal.ROUND_FLOOR,
+    'half-up': Decimal.ROUND_HALF_UP,
+    'half-down': Decimal.ROUND_HALF_DOWN,
+    'half-even': Decimal.ROUND_HALF_EVEN
+};
+
+const COMPOUNDING_STRATEGIES = {
+    1: 'Annual compounding - Low gas, lower yield',
+    4: 'Quarterly compounding - Balanced approach',
+    12: 'Monthly compounding - Good for medium amounts',
+    52: 'Weekly compounding - Higher gas, better yield',
+    365: 'Daily compounding - Highest gas, maximum yield'
+};
+
+/**
+ * Resolve a rounding mode name ('half-up', 'down', ...) or decimal.js constant
+ * @param {string|number} rounding - Rounding mode
+ * @returns {number} decimal.js rounding constant
+ */
+function resolveRounding(rounding) {
+    if (Number.isInteger(rounding) && rounding >= 0 && rounding <= 8) {
+        return rounding;
+    }
+    const mode = ROUNDING_MODES[String(rounding).toLowerCase()];
+    if (mode === undefined) {
+        throw new ValidationError(`Unknown rounding mode: ${rounding}`, 'rounding', rounding);
+    }
+    return mode;
+}
+
+class YieldCalculator {
+    /**
+     * @param {Object} config - precision (decimal places of results), rounding, significantDigits
+     *   (working precision), defaultCompoundFrequency, network, rpcUrl
+     */
+    constructor(config = {}) {
+        this.config = {
+            defaultCompoundFrequency: 365, // Daily compounding
+            precision: 18,
+            rounding: 'half-up',
+            significantDigits: 40,
+            ...config
+        };
+        this.rounding = resolveRounding(this.config.rounding);
+        this.Decimal = Decimal.clone({ precision: this.config.significantDigits, rounding: this.rounding });
+        this.network = getNetwork(config.network || 'base');
+        this.baseRpcUrl = config.rpcUrl || this.network.rpcUrls[0];
+        this.protocols = {
+            uniswap: { fee: 0.003, baseMultiplier: 1.2 },
+            aerodrome: { fee: 0.002, baseMultiplier: 1.5 },
+            baseswap: { fee: 0.0025, baseMultiplier: 1.3 }
+        };
+        this.gasOptimization = true;
+    }
+
+    /**
+     * Convert an input to a Decimal, rejecting missing and non-numeric values
+     * @param {number|string|bigint|Object} value - Number, numeric string, bigint, Decimal or BigNumber
+     * @param {string} field - Parameter name for the error
+     * @returns {Decimal} Value
+     */
+    toDecimal(value, field) {
+        if (value === undefined || value === null || value === '' || typeof value === 'boolean') {
+            throw new ValidationError(`${field} is required`, field, value);
+        }
+        let decimal;
+        try {
+            decimal = new this.Decimal(typeof value === 'bigint' || typeof value === 'object' ? value.toString() : value);
+        } catch (error) {
+            throw new ValidationError(`${field} must be a number`, field, value);
+        }
+        if (!decimal.isFinite()) {
+            throw new ValidationError(`${field} must be a finite number`, field, value);
+        }
+        return decimal;
+    }
+
+    /**
+     * Like toDecimal, but also rejects negative values
+     */
+    toNonNegative(value, field) {
+        const decimal = this.toDecimal(value, field);
+        if (decimal.isNegative() && !decimal.isZero()) {
+            throw new ValidationError(`${field} must not be negative`, field, value);
+        }
+        return decimal;
+    }
+
+    /**
+     * Like toDecimal, but requires a value above zero
+     */
+    toPositive(value, field) {
+        const decimal = this.toDecimal(value, field);
+        if (decimal.lte(0)) {
+            throw new ValidationError(`${field} must be greater than zero`, field, value);
+        }
+        return decimal;
+    }
+
+    /**
+     * Round a Decimal to the configured precision and return it as a number
+     * @param {Decimal} value - Value
+     * @returns {number} Rounded number
+     */
+    toNumber(value) {
+        return value.toDecimalPlaces(this.config.precision, this.rounding).toNumber();
+    }
+
+    /**
+     * Calculate Annual Percentage Yield (APY) with compounding
+     * @param {number} apr - Annual Percentage Rate (%)
+     * @param {number} compoundFrequency - Times compounded per year
+     * @returns {number} APY as percentage
+     */
+    calculateAPY(apr, compoundFrequency = this.config.defaultCompoundFrequency) {
+        return this.toNumber(this.compoundedAPY(this.toNonNegative(apr, 'apr'), compoundFrequency));
+    }
+
+    compoundedAPY(apr, compoundFrequency) {
+        const periods = this.toPositive(compoundFrequency, 'compoundFrequency');
+        return apr.div(100).div(periods).plus(1).pow(periods).minus(1).times(100);
+    }
+
+    /**
+     * Calculate farming yield; accepts both call signatures:
+     * calculateFarmingYield({ principal, apr, duration, ... }) compounds over a duration,
+     * calculateFarmingYield(stakedAmount, rewardRate, baseBonusMultiplier) prices staking rewards
+     * @returns {Object} Farming yield results
+     */
+    calculateFarmingYield(paramsOrStakedAmount, rewardRate, baseBonusMultiplier = 1.1) {
+        if (paramsOrStakedAmount !== null && typeof paramsOrStakedAmount === 'object' && !Decimal.isDecimal(paramsOrStakedAmount)) {
+            return this.calculateCompoundFarmingYield(paramsOrStakedAmount);
+        }
+        return this.calculateStakingYield(paramsOrStakedAmount, rewardRate, baseBonusMultiplier);
+    }
+
+    /**
+     * Calculate yield farming rewards compounded over time
+     * @param {Object} params - principal, apr (%), duration (days), compoundFrequency, fees, impermanentLoss
+     * @returns {Object} Detailed yield calculations
+     */
+    calculateCompoundFarmingYield(params = {}) {
+        const {
+            compoundFrequency = this.config.defaultCompoundFrequency,
+            fees = 0,
+            impermanentLoss = 0
+        } = params;
+
+        const principal = this.toNonNegative(params.principal, 'principal');
+        const apr = this.toNonNegative(params.apr, 'apr');
+        const duration = this.toNonNegative(params.duration, 'duration');
+        const frequency = this.toPositive(compoundFrequency, 'compoundFrequency');
+        const feeAmount = this.toNonNegative(fees, 'fees');
+        const lossAmount = this.toNonNegative(impermanentLoss, 'impermanentLoss');
+
+        // Fractional periods compound for the part of the year the position is held
+        const periods = frequency.times(duration).div(365);
+        const finalAmount = principal.times(apr.div(100).div(frequency).plus(1).pow(periods));
+        const grossYield = finalAmount.minus(principal);
+        const netYield = grossYield.minus(feeAmount).minus(lossAmount);
+
+        return {
+            principal: this.toNumber(principal),
+            grossYield: this.toNumber(grossYield),
+            netYield: this.toNumber(netYield),
+            finalAmount: this.toNumber(finalAmount),
+            effectiveAPY: this.toNumber(this.compoundedAPY(apr, frequency)),
+            fees: this.toNumber(feeAmount),
+            impermanentLoss: this.toNumber(lossAmount),
+            duration: this.toNumber(duration)
+        };
+    }
+
+    /**
+     * Calculate staking rewards with Base ecosystem bonuses
+     * @param {number} stakedAmount - Amount staked in farming pool
+     * @param {number} rewardRate - Annual reward rate (%)
+     * @param {number} baseBonusMultiplier - Base ecosystem bonus multiplier
+     * @returns {Object} Farming yield results
+     */
+    calculateStakingYield(stakedAmount, rewardRate, baseBonusMultiplier = 1.1) {
+        const staked = this.toPositive(stakedAmount, 'stakedAmount');
+        const baseReward = staked.times(this.toNonNegative(rewardRate, 'rewardRate')).div(100);
+        const bonusReward = baseReward.times(this.toNonNegative(baseBonusMultiplier, 'baseBonusMultiplier').minus(1));
+        const totalAnnualReward = baseReward.plus(bonusReward);
+
+        return {
+            stakedAmount: this.toNumber(staked),
+            baseReward: this.toNumber(baseReward),
+            bonusReward: this.toNumber(bonusReward),
+            totalAnnualReward: this.toNumber(totalAnnualReward),
+            effectiveAPY: this.toNumber(totalAnnualReward.div(staked).times(100)),
+            dailyReward: this.toNumber(totalAnnualReward.div(365)),
+            monthlyReward: this.toNumber(totalAnnualReward.div(12))
+        };
+    }
+
+    /**
+     * Calculate APY for liquidity pool positions
+     * Assumes full-range liquidity; use calculateConcentratedLPYield for Uniswap V3 and Slipstream positions
+     * @param {number} principal - Initial investment amount
+     * @param {number} dailyVolume - Daily trading volume
+     * @param {string} protocol - Protocol name (uniswap, aerodrome, baseswap)
+     * @param {number} poolTVL - Total Value Locked in pool
+     * @returns {Object} Yield calculation results
+     */
+    calculateLPYield(principal, dailyVolume, protocol, poolTVL) {
+        const protocolData = this.protocols[protocol];
+        if (!protocolData) {
+            throw new ValidationError(`Unsupported protocol: ${protocol}`, 'protocol', protocol);
+        }
+
+        const amount = this.toPositive(principal, 'principal');
+        const dailyFees = this.toNonNegative(dailyVolume, 'dailyVolume').times(protocolData.fee);
+        const userShare = amount.div(this.toPositive(poolTVL, 'poolTVL'));
+        const dailyEarnings = dailyFees.times(userShare);
+        const totalDaily = dailyEarnings.plus(dailyEarnings.times(protocolData.baseMultiplier));
+        const annualEarnings = totalDaily.times(365);
+
+        return {
+            principal: this.toNumber(amount),
+            dailyEarnings: this.toNumber(totalDaily),
+            monthlyEarnings: this.toNumber(totalDaily.times(30)),
+            annualEarnings: this.toNumber(annualEarnings),
+            apy: this.toNumber(annualEarnings.div(amount).times(100)),
+            protocol,
+            baseOptimized: true
+        };
+    }
+
+    /**
+     * Validate a tick range and resolve the current price
+     * @param {Object} params - tickLower, tickUpper, tick or sqrtPriceX96, tickSpacing
+     * @returns {Object} { tick, sqrtPrice, sqrtLower, sqrtUpper, inRange }
+     */
+    resolveTickRange(params) {
+        const { tickLower, tickUpper, tickSpacing } = params;
+        [['tickLower', tickLower], ['tickUpper', tickUpper]].forEach(([field, tick]) => {
+            if (!Number.isInteger(tick) || tick < MIN_TICK || tick > MAX_TICK) {
+                throw new ValidationError(`${field} must be an integer tick between ${MIN_TICK} and ${MAX_TICK}`, field, tick);
+            }
+            if (tickSpacing && tick % tickSpacing !== 0) {
+                throw new ValidationError(`${field} is not a multiple of tick spacing ${tickSpacing}`, field, tick);
+            }
+        });
+        if (tickLower >= tickUpper) {
+            throw new ValidationError('tickLower must be below tickUpper', 'tickLower', tickLower);
+        }
+
+        let sqrtPrice;
+        if (params.sqrtPriceX96 !== undefined && params.sqrtPriceX96 !== null) {
+            sqrtPrice = sqrtPriceX96ToSqrtPrice(this.Decimal, this.toPositive(params.sqrtPriceX96, 'sqrtPriceX96').toFixed(0));
+        } else if (Number.isInteger(params.tick)) {
+            sqrtPrice = tickToSqrtPrice(this.Decimal, params.tick);
+        } else {
+            throw new ValidationError('tick or sqrtPriceX96 is required', 'tick', params.tick);
+        }
+
+        const tick = Number.isInteger(params.tick) ? params.tick : sqrtPriceToTick(this.Decimal, sqrtPrice);
+        return {
+            tick,
+            sqrtPrice,
+            sqrtLower: tickToSqrtPrice(this.Decimal, tickLower),
+            sqrtUpper: tickToSqrtPrice(this.Decimal, tickUpper),
+            // Same rule as the pool: liquidity is active for tickLower <= tick < tickUpper
+            inRange: tick >= tickLower && tick < tickUpper
+        };
+    }
+
+    /**
+     * Calculate fee APR for a concentrated liquidity position (Uniswap V3, Aerodrome Slipstream)
+     * @param {Object} params - Position and pool data:
+     *   tickLower, tickUpper, tick or sqrtPriceX96 (slot0), poolLiquidity (active liquidity()),
+     *   fee (hundredths of a bip, e.g. 500 = 0.05%), volume24h (USD),
+     *   capital (USD) or amount0 and amount1 (token units), decimals0, decimals1,
+     *   token1PriceUsd (default 1), tickSpacing, positionInPool (poolLiquidity already includes the position),
+     *   volatility (annualized, e.g. 0.6) and days to estimate time in range
+     * @returns {Object} Liquidity, share of active liquidity, fee APRs (%) now, while in range and
+     *   weighted by time in range (%), and capital efficiency versus full range with the same capital
+     */
+    calculateConcentratedLPYield(params = {}) {
+        const { decimals0 = 18, decimals1 = 18, token1PriceUsd = 1, positionInPool = false } = params;
+        const range = this.resolveTickRange(params);
+        const { sqrtPrice, sqrtLower, sqrtUpper, inRange } = range;
+
+        const poolLiquidity = this.toNonNegative(params.poolLiquidity, 'poolLiquidity');
+        const feeRate = this.toNonNegative(params.fee, 'fee').div(1000000);
+        const volume = this.toNonNegative(params.volume24h, 'volume24h');
+        const usdPerToken1 = this.toPositive(token1PriceUsd, 'token1PriceUsd');
+        const unit0 = new this.Decimal(10).pow(decimals0);
+        const unit1 = new this.Decimal(10).pow(decimals1);
+        const rawPrice = sqrtPrice.pow(2);
+
+        let liquidity;
+        if (params.capital !== undefined) {
+            const value = this.toPositive(params.capital, 'capital').div(usdPerToken1).times(unit1);
+            liquidity = liquidityForValue(sqrtPrice, sqrtLower, sqrtUpper, value);
+        } else {
+            liquidity = liquidityForAmounts(
+                sqrtPrice, sqrtLower, sqrtUpper,
+                this.toNonNegative(params.amount0 ?? 0, 'amount0').times(unit0),
+                this.toNonNegative(params.amount1 ?? 0, 'amount1').times(unit1)
+            );
+            if (liquidity.isZero()) {
+                throw new ValidationError('capital or a token amount the range can use is required', 'capital', params.capital);
+            }
+        }
+
+        // Amounts actually deposited and their value
+        const perLiquidity = amountsPerLiquidity(sqrtPrice, sqrtLower, sqrtUpper);
+        const amount0 = perLiquidity.amount0.times(liquidity);
+        const amount1 = perLiquidity.amount1.times(liquidity);
+        const valueToken1 = amount0.times(rawPrice).plus(amount1);
+        const capitalUsd = valueToken1.div(unit1).times(usdPerToken1);
+
+        const shareOf = (positionLiquidity) => {
+            const active = positionInPool ? poolLiquidity : poolLiquidity.plus(positionLiquidity);
+            return active.isZero() ? new this.Decimal(0) : this.Decimal.min(positionLiquidity.div(active), 1);
+        };
+        const poolDailyFees = volume.times(feeRate);
+        const aprFor = (positionLiquidity) => poolDailyFees.times(shareOf(positionLiquidity)).times(365).div(capitalUsd).times(100);
+        const share = inRange ? shareOf(liquidity) : new this.Decimal(0);
+        // APR while the price is inside the range, at the current volume and active liquidity
+        const inRangeFeeAPR = aprFor(liquidity);
+        const feeAPR = inRange ? inRangeFeeAPR : new this.Decimal(0);
+
+        const fullRange = liquidityForValue(sqrtPrice, tickToSqrtPrice(this.Decimal, MIN_TICK), tickToSqrtPrice(this.Decimal, MAX_TICK), valueToken1);
+
+        let timeInRange = null;
+        let expectedFeeAPR = feeAPR;
+        if (params.volatility !== undefined) {
+            timeInRange = this.estimateTimeInRange({ ...params, tick: range.tick }).timeInRange;
+            expectedFeeAPR = inRangeFeeAPR.times(timeInRange).div(100);
+        }
+
+        const priceScale = unit0.div(unit1);
+        return {
+            liquidity: BigInt(liquidity.floor().toFixed(0)),
+            amount0: this.toNumber(amount0.div(unit0)),
+            amount1: this.toNumber(amount1.div(unit1)),
+            capitalUsd: this.toNumber(capitalUsd),
+            tick: range.tick,
+            price: this.toNumber(rawPrice.times(priceScale)),
+            priceLower: this.toNumber(sqrtLower.pow(2).times(priceScale)),
+            priceUpper: this.toNumber(sqrtUpper.pow(2).times(priceScale)),
+            inRange,
+            liquidityShare: this.toNumber(share.times(100)),
+            dailyFees: this.toNumber(poolDailyFees.times(share)),
+            feeAPR: this.toNumber(feeAPR),
+            inRangeFeeAPR: this.toNumber(inRangeFeeAPR),
+            timeInRange,
+            expectedFeeAPR: this.toNumber(expectedFeeAPR),
+            fullRangeFeeAPR: this.toNumber(aprFor(fullRange)),
+            capitalEfficiency: this.toNumber(liquidity.div(fullRange))
+        };
+    }
+
+    /**
+     * Estimate the share of time the price stays inside a tick range, assuming the log price
+     * follows a driftless random walk with the given annualized volatility
+     * @param {Object} params - tickLower, tickUpper, tick or sqrtPriceX96, volatility (e.g. 0.6 = 60%), days (default 30)
+     * @returns {Object} { timeInRange, probabilityInRangeAtEnd } as percentages, days, volatility
+     */
+    estimateTimeInRange(params = {}) {
+        const { days = 30 } = params;
+        const { sqrtPrice, sqrtLower, sqrtUpper, inRange } = this.resolveTickRange(params);
+        const volatility = this.toNonNegative(params.volatility, 'volatility');
+        const horizon = this.toPositive(days, 'days');
+
+        // Log distance to each bound: ln(P_bound / P) = 2 ln(sqrtP_bound / sqrtP)
+        const toLower = sqrtLower.div(sqrtPrice).ln().times(2);
+        const toUpper = sqrtUpper.div(sqrtPrice).ln().times(2);
+        const probabilityAt = (years) => {
+            if (volatility.isZero()) {
+                return new this.Decimal(inRange ? 1 : 0);
+            }
+            const deviation = volatility.times(years.sqrt());
+            return normalCdf(this.Decimal, toUpper.div(deviation)).minus(normalCdf(this.Decimal, toLower.div(deviation)));
+        };
+
+        // Average the in-range probability over daily midpoints
+        const steps = Math.min(Math.max(Math.ceil(horizon.toNumber()), 1), 365);
+        let total = new this.Decimal(0);
+        for (let i = 0; i < steps; i++) {
+            total = total.plus(probabilityAt(horizon.times(i + 0.5).div(steps).div(365)));
+        }
+
+        return {
+            timeInRange: this.toNumber(total.div(steps).times(100)),
+            probabilityInRangeAtEnd: this.toNumber(probabilityAt(horizon.div(365)).times(100)),
+            days: horizon.toNumber(),
+            volatility: volatility.toNumber()
+        };
+    }
+
+    /**
+     * Calculate optimal compound frequency
+     * @param {number} apr - Annual Percentage Rate (%)
+     * @param {number|Object} gasCost - Cost per compound transaction, or a Base fee estimate with USD values
+     * @param {number} principal - Principal amount
+     * @returns {Object} Optimal compounding strategy
+     */
+    calculateOptimalCompounding(apr, gasCost, principal) {
+        if (typeof gasCost === 'object' && gasCost !== null && !Decimal.isDecimal(gasCost) && !gasCost._isBigNumber) {
+            if (!gasCost.usd || gasCost.usd.totalFee === null || gasCost.usd.totalFee === undefined) {
+                throw new ValidationError('Fee estimate must include USD values (pass ethPriceUsd)', 'gasCost', gasCost);
+            }
+            gasCost = gasCost.usd.totalFee;
+        }
+
+        const rate = this.toNonNegative(apr, 'apr');
+        const cost = this.toNonNegative(gasCost, 'gasCost');
+        const amount = this.toNonNegative(principal, 'principal');
+
+        let optimalFrequency = 1;
+        let maxNetYield = new this.Decimal(0);
+        [1, 4, 12, 52, 365].forEach(frequency => {
+            const netYield = amount.times(this.compoundedAPY(rate, frequency).div(100)).minus(cost.times(frequency));
+            if (netYield.gt(maxNetYield)) {
+                maxNetYield = netYield;
+                optimalFrequency = frequency;
+            }
+        });
+
+        return {
+            optimalFrequency,
+            maxNetYield: this.toNumber(maxNetYield),
+            recommendedStrategy: this.getCompoundingStrategy(optimalFrequency)
+        };
+    }
+
+    /**
+     * Calculate liquidity pool yield with impermanent loss
+     * @param {Object} poolData - token0Amount, token1Amount, token0Price, token1Price, poolFees, tradingVolume, priceRatio
+     * @returns {Object} Pool yield analysis
+     */
+    calculatePoolYield(poolData) {
+        if (!poolData) {
+            throw new ValidationError('poolData is required', 'poolData', poolData);
+        }
+
+        const totalValue = this.toNonNegative(poolData.token0Amount, 'token0Amount')
+            .times(this.toNonNegative(poolData.token0Price, 'token0Price'))
+            .plus(this.toNonNegative(poolData.token1Amount, 'token1Amount')
+                .times(this.toNonNegative(poolData.token1Price, 'token1Price')));
+        if (totalValue.isZero()) {
+            throw new ValidationError('Pool value must be greater than zero', 'totalValue', 0);
+        }
+
+        const annualFees = this.toNonNegative(poolData.tradingVolume, 'tradingVolume')
+            .times(this.toNonNegative(poolData.poolFees, 'poolFees'));
+
+        return {
+            totalValue: this.toNumber(totalValue),
+            dailyFees: this.toNumber(annualFees.div(365)),
+            annualFees: this.toNumber(annualFees),
+            feeAPY: this.toNumber(annualFees.div(totalValue).times(100)),
+            estimatedImpermanentLoss: this.estimateImpermanentLoss(poolData)
+        };
+    }
+
+    /**
+     * Impermanent loss for a constant product pool after a price ratio change
+     * @param {Decimal} ratio - New price ratio over the initial one
+     * @returns {Decimal} Loss as a (negative) fraction
+     */
+    impermanentLossFraction(ratio) {
+        return ratio.sqrt().times(2).div(ratio.plus(1)).minus(1);
+    }
+
+    /**
+     * Estimate impermanent loss for a liquidity pool
+     * @param {Object} poolData - Pool data with priceRatio
+     * @returns {number} Estimated impermanent loss percentage
+     */
+    estimateImpermanentLoss(poolData = {}) {
+        if (!poolData.priceRatio) {
+            return 0;
+        }
+        const ratio = this.toPositive(poolData.priceRatio, 'priceRatio');
+        return this.toNumber(this.impermanentLossFraction(ratio).abs().times(100));
+    }
+
+    /**
+     * Calculate impermanent loss for LP positions
+     * @param {number} initialPrice - Initial token price ratio
+     * @param {number} currentPrice - Current token price ratio
+     * @returns {Object} Impermanent loss calculation
+     */
+    calculateImpermanentLoss(initialPrice, currentPrice) {
+        const priceRatio = this.toPositive(currentPrice, 'currentPrice').div(this.toPositive(initialPrice, 'initialPrice'));
+        const impermanentLoss = this.impermanentLossFraction(priceRatio).times(100);
+        const lossPercentage = impermanentLoss.abs();
+
+        return {
+            priceChange: this.toNumber(priceRatio.minus(1).times(100)),
+            impermanentLoss: this.toNumber(impermanentLoss),
+            lossPercentage: this.toNumber(lossPercentage),
+            recommendation: lossPercentage.gt(5) ? 'Consider rebalancing' : 'Position stable'
+        };
+    }
+
+    /**
+     * Optimize gas costs for Base L2 transactions
+     * Pass a fee estimate from L1FeeEstimator (or SmartContractUtils.estimateTransactionFee)
+     * to price transactions with the real L1 data fee instead of the flat multiplier
+     * @param {number} transactionCount - Number of transactions
+     * @param {number|Object} baseGasPrice - Base gas price in gwei, or a fee estimate
+     * @returns {Object} Gas optimization results
+     */
+    optimizeGasCosts(transactionCount, baseGasPrice = 0.1) {
+        if (typeof baseGasPrice === 'object' && baseGasPrice !== null && !Decimal.isDecimal(baseGasPrice)) {
+            return this.calculateGasCostsFromEstimate(transactionCount, baseGasPrice);
+        }
+
+        const gasPrice = this.toNonNegative(baseGasPrice, 'baseGasPrice');
+        const l1GasEquivalent = gasPrice.times(100); // L1 equivalent cost
+        const savingsPerTx = l1GasEquivalent.minus(gasPrice);
+
+        return {
+            baseGasPrice: this.toNumber(gasPrice),
+            l1Equivalent: this.toNumber(l1GasEquivalent),
+            savingsPerTx: this.toNumber(savingsPerTx),
+            totalSavings: this.toNumber(savingsPerTx.times(this.toNonNegative(transactionCount, 'transactionCount'))),
+            optimizationLevel: 'Base L2 Optimized'
+        };
+    }
+
+    /**
+     * Price a batch of transactions from a Base fee estimate
+     * @param {number} transactionCount - Number of transactions
+     * @param {Object} feeEstimate - Fee estimate with usd values
+     * @returns {Object} Gas cost breakdown
+     */
+    calculateGasCostsFromEstimate(transactionCount, feeEstimate) {
+        const { usd } = feeEstimate;
+        if (!usd || usd.totalFee === null || usd.totalFee === undefined) {
+            throw new ValidationError('Fee estimate must include USD values (pass ethPriceUsd)', 'feeEstimate', feeEstimate);
+        }
+
+        const totalFee = this.toNonNegative(usd.totalFee, 'usd.totalFee');
+        const l1DataFee = this.toNonNegative(usd.l1DataFee, 'usd.l1DataFee');
+        const l1DataShare = totalFee.gt(0) ? l1DataFee.div(totalFee) : new this.Decimal(0);
+
+        return {
+            baseGasPrice: this.toNumber(this.toNonNegative(feeEstimate.gasPrice, 'gasPrice').div(1e9)),
+            l2ExecutionCostPerTx: this.toNumber(this.toNonNegative(usd.l2ExecutionFee, 'usd.l2ExecutionFee')),
+            l1DataCostPerTx: this.toNumber(l1DataFee),
+            costPerTx: this.toNumber(totalFee),
+            totalCost: this.toNumber(totalFee.times(this.toNonNegative(transactionCount, 'transactionCount'))),
+            l1DataShare: this.toNumber(l1DataShare.times(100)),
+            optimizationLevel: 'Base L2 Optimized'
+        };
+    }
+
+    /**
+     * Calculate compound yield with auto-compounding
+     * @param {number} principal - Initial investment
+     * @param {number} apy - Annual percentage yield
+     * @param {number} compoundFrequency - Compounds per year
+     * @param {number} years - Investment period in years
+     * @returns {Object} Compound yield results
+     */
+    calculateCompoundYield(principal, apy, compoundFrequency = this.config.defaultCompoundFrequency, years = 1) {
+        const amount = this.toPositive(principal, 'principal');
+        const frequency = this.toPositive(compoundFrequency, 'compoundFrequency');
+        const compoundAmount = amount.times(
+            this.toNonNegative(apy, 'apy').div(100).div(frequency).plus(1)
+                .pow(frequency.times(this.toNonNegative(years, 'years')))
+        );
+
+        return {
+            principal: this.toNumber(amount),
+            finalAmount: this.toNumber(compoundAmount),
+            totalGain: this.toNumber(compoundAmount.minus(amount)),
+            effectiveAPY: this.toNumber(compoundAmount.div(amount).minus(1).times(100)),
+            compoundFrequency,
+            years
+        };
+    }
+
+    /**
+     * Generate comprehensive yield report
+     * @param {Object} params - principal, protocol, dailyVolume, poolTVL, stakingAPY, timeframe, feeEstimate
+     * @returns {Object} Complete yield analysis
+     */
+    generateYieldReport(params) {
+        const {
+            principal,
+            protocol,
+            dailyVolume,
+            poolTVL,
+            stakingAPY,
+            timeframe
+        } = params;
+
+        const lpYield = this.calculateLPYield(principal, dailyVolume, protocol, poolTVL);
+        const farmingYield = this.calculateStakingYield(principal, stakingAPY);
+        const gasOptimization = this.optimizeGasCosts(30, params.feeEstimate); // 30 transactions per month
+        const compoundYield = this.calculateCompoundYield(principal, lpYield.apy);
+
+        return {
+            summary: {
+                protocol,
+                principal,
+                timeframe,
+                totalProjectedYield: this.toNumber(new this.Decimal(lpYield.apy).plus(farmingYield.effectiveAPY))
+            },
+            liquidityProvision: lpYield,
+            yieldFarming: farmingYield,
+            gasOptimization,
+            compounding: compoundYield,
+            recommendations: this.generateRecommendations(lpYield, farmingYield),
+            timestamp: new Date().toISOString(),
+            baseEcosystemOptimized: true
+        };
+    }
+
+    /**
+     * Generate investment recommendations
+     * @param {Object} lpYield - LP yield data
+     * @param {Object} farmingYield - Farming yield data
+     * @returns {Array} Recommendations
+     */
+    generateRecommendations(lpYield, farmingYield) {
+        const recommendations = [];
+
+        if (Number(lpYield.apy) > 20) {
+            recommendations.push('High APY detected - consider impermanent loss risks');
+        }
+
+        if (Number(farmingYield.effectiveAPY) > 15) {
+            recommendations.push('Excellent farming opportunity - consider increasing stake');
+        }
+
+        recommendations.push('Base L2 provides significant gas savings for frequent transactions');
+        recommendations.push('Consider auto-compounding for maximum yield optimization');
+
+        return recommendations;
+    }
+
+    /**
+     * Get compounding strategy description
+     * @param {number} frequency - Compound frequency
+     * @returns {string} Strategy description
+     */
+    getCompoundingStrategy(frequency) {
+        return COMPOUNDING_STRATEGIES[frequency] || 'Custom frequency';
+    }
+
+    /**
+     * Calculate Value at Risk (VaR) for DeFi positions
+     * @param {Object} portfolio - Portfolio with positions { amount, price, volatility }
+     * @param {number} confidenceLevel - Confidence level (e.g., 0.95 for 95%)
+     * @param {number} timeHorizon - Time horizon in days
+     * @returns {Object} VaR analysis; portfolioVolatility is a percentage
+     */
+    calculateVaR(portfolio, confidenceLevel = 0.95, timeHorizon = 1) {
+        const values = (portfolio.positions || []).map((position, index) => ({
+            value: this.toNonNegative(position.amount, `positions[${index}].amount`)
+                .times(this.toNonNegative(position.price, `positions[${index}].price`)),
+            volatility: this.toNonNegative(position.volatility ?? 0.3, `positions[${index}].volatility`)
+        }));
+        const totalValue = values.reduce((sum, { value }) => sum.plus(value), new this.Decimal(0));
+        if (totalValue.isZero()) {
+            throw new ValidationError('Portfolio value must be greater than zero', 'portfolio', portfolio);
+        }
+
+        // Uncorrelated positions: variance is the sum of squared weighted volatilities
+        const portfolioVolatility = values
+            .reduce((sum, { value, volatility }) => sum.plus(volatility.times(value.div(totalValue)).pow(2)), new this.Decimal(0))
+            .sqrt();
+
+        // Z-score for confidence level
+        const zScore = confidenceLevel === 0.95 ? 1.645 : confidenceLevel === 0.99 ? 2.326 : 1.96;
+
+        const dailyVaR = totalValue.times(portfolioVolatility).times(zScore);
+        const periodVaR = dailyVaR.times(this.toNonNegative(timeHorizon, 'timeHorizon').sqrt());
+        const varShare = dailyVaR.div(totalValue);
+
+        return {
+            totalValue: this.toNumber(totalValue),
+            portfolioVolatility: this.toNumber(portfolioVolatility.times(100)),
+            dailyVaR: this.toNumber(dailyVaR),
+            periodVaR: this.toNumber(periodVaR),
+            confidenceLevel,
+            timeHorizon,
+            riskLevel: varShare.gt(0.05) ? 'High' : varShare.gt(0.02) ? 'Medium' : 'Low'
+        };
+    }
+
+    /**
+     * Calculate Sharpe Ratio for DeFi strategies
+     * @param {number} returns - Annual returns (%)
+     * @param {number} riskFreeRate - Risk-free rate (%)
+     * @param {number} volatility - Annual volatility (%)
+     * @returns {Object} Sharpe ratio analysis
+     */
+    calculateSharpeRatio(returns, riskFreeRate = 2, volatility) {
+        const excessReturn = this.toDecimal(returns, 'returns').minus(this.toDecimal(riskFreeRate, 'riskFreeRate'));
+        const annualVolatility = this.toPositive(volatility, 'volatility');
+        const sharpeRatio = excessReturn.div(annualVolatility);
+
+        let rating;
+        if (sharpeRatio.gt(2)) rating = 'Excellent';
+        else if (sharpeRatio.gt(1)) rating = 'Good';
+        else if (sharpeRatio.gt(0.5)) rating = 'Fair';
+        else rating = 'Poor';
+
+        return {
+            sharpeRatio: this.toNumber(sharpeRatio),
+            excessReturn: this.toNumber(excessReturn),
+            volatility: this.toNumber(annualVolatility),
+            rating,
+            interpretation: this.getSharpeInterpretation(sharpeRatio.toNumber())
+        };
+    }
+
+    /**
+     * Get Sharpe ratio interpretation
+     * @param {number} ratio - Sharpe ratio
+     * @returns {string} Interpretation
+     */
+    getSharpeInterpretation(ratio) {
+        if (ratio > 2) return 'Outstanding risk-adjusted returns';
+        if (ratio > 1) return 'Good risk-adjusted returns';
+        if (ratio > 0.5) return 'Acceptable risk-adjusted returns';
+        if (ratio > 0) return 'Below average risk-adjusted returns';
+        return 'Poor risk-adjusted returns - consider alternatives';
+    }
+
+    /**
+     * Calculate Maximum Drawdown for DeFi positions
+     * @param {Array} priceHistory - Historical price data
+     * @returns {Object} Drawdown analysis; maxDrawdown is a percentage
+     */
+    calculateMaxDrawdown(priceHistory) {
+        if (!priceHistory || priceHistory.length < 2) {
+            return { maxDrawdown: 0, drawdownPeriod: 0, recovery: 'N/A' };
+        }
+
+        const prices = priceHistory.map((price, index) => this.toPositive(price, `priceHistory[${index}]`));
+        let peak = prices[0];
+        let maxDrawdown = new this.Decimal(0);
+        let drawdownStart = 0;
+        let drawdownEnd = 0;
+        let currentDrawdownStart = 0;
+
+        for (let i = 1; i < prices.length; i++) {
+            if (prices[i].gt(peak)) {
+                peak = prices[i];
+                currentDrawdownStart = i;
+            } else {
+                const drawdown = peak.minus(prices[i]).div(peak);
+                if (drawdown.gt(maxDrawdown)) {
+                    maxDrawdown = drawdown;
+                    drawdownStart = currentDrawdownStart;
+                    drawdownEnd = i;
+                }
+            }
+        }
+
+        return {
+            maxDrawdown: this.toNumber(maxDrawdown.times(100)),
+            drawdownPeriod: drawdownEnd - drawdownStart,
+            peakValue: this.toNumber(peak),
+            troughValue: this.toNumber(prices[drawdownEnd]),
+            recovery: maxDrawdown.gt(0) ? 'Monitoring required' : 'No significant drawdown'
+        };
+    }
+
+    /**
+     * Advanced yield farming strategy optimizer
+     * @param {Array} strategies - Strategies { name, apy (%), risk (0-1), liquidity (0-100) }
+     * @param {Object} constraints - maxRisk, minYield, maxAllocationPerStrategy, totalCapital
+     * @returns {Object} Optimized allocation
+     */
+    optimizeYieldStrategy(strategies, constraints = {}) {
+        const {
+            maxRisk = 0.3,
+            minYield = 5,
+            maxAllocationPerStrategy = 0.4,
+            totalCapital = 100000
+        } = constraints;
+
+        // Filter strategies based on constraints
+        const validStrategies = strategies
+            .filter(strategy => strategy.apy >= minYield && strategy.risk <= maxRisk)
+            .map(strategy => {
+                // Risk-adjusted return (Sharpe-like metric)
+                const riskAdjustedReturn = this.toDecimal(strategy.apy, 'apy').div(strategy.risk || 0.1);
+                return {
+                    ...strategy,
+                    riskAdjustedReturn,
+                    score: riskAdjustedReturn.times(new this.Decimal(strategy.liquidity || 0).div(100).plus(1))
+                };
+            });
+
+        if (validStrategies.length === 0) {
+            return { error: 'No strategies meet the specified constraints' };
+        }
+
+        validStrategies.sort((a, b) => b.score.comparedTo(a.score));
+
+        const capital = this.toPositive(totalCapital, 'totalCapital');
+        const allocations = [];
+        let remainingCapital = capital;
+        let totalAllocatedRisk = new this.Decimal(0);
+        let expectedReturns = new this.Decimal(0);
+
+        for (const strategy of validStrategies) {
+            if (remainingCapital.lte(0)) break;
+
+            const maxAllocation = this.Decimal.min(
+                remainingCapital,
+                capital.times(maxAllocationPerStrategy),
+                capital.times(0.8) // Reserve 20% for diversification
+            );
+            const allocation = this.Decimal.min(maxAllocation, remainingCapital.times(0.3));
+
+            if (allocation.gt(1000)) { // Minimum allocation threshold
+                const expectedReturn = allocation.times(strategy.apy).div(100);
+                allocations.push({
+                    strategy: strategy.name,
+                    allocation: this.toNumber(allocation),
+                    percentage: this.toNumber(allocation.div(capital).times(100)),
+                    expectedReturn: this.toNumber(expectedReturn),
+                    risk: strategy.risk,
+                    apy: strategy.apy
+                });
+
+                remainingCapital = remainingCapital.minus(allocation);
+                totalAllocatedRisk = totalAllocatedRisk.plus(allocation.div(capital).times(strategy.risk));
+                expectedReturns = expectedReturns.plus(expectedReturn);
+            }
+        }
+
+        const totalAllocated = capital.minus(remainingCapital);
+        const weightedAPY = totalAllocated.gt(0) ? expectedReturns.div(totalAllocated).times(100) : new this.Decimal(0);
+        const portfolioRisk = totalAllocatedRisk.toNumber();
+
+        return {
+            allocations,
+            portfolioMetrics: {
+                totalAllocated: this.toNumber(totalAllocated),
+                remainingCash: this.toNumber(remainingCapital),
+                weightedAPY: this.toNumber(weightedAPY),
+                portfolioRisk: this.toNumber(totalAllocatedRisk.times(100)),
+                diversificationScore: allocations.length >= 3 ? 'Good' : 'Needs improvement',
+                riskLevel: portfolioRisk < 0.15 ? 'Conservative' : portfolioRisk < 0.25 ? 'Moderate' : 'Aggressive'
+            },
+            recommendations: this.generatePortfolioRecommendations(allocations, portfolioRisk)
+        };
+    }
+
+    /**
+     * Generate portfolio recommendations
+     * @param {Array} allocations - Current allocations
+     * @param {number} totalRisk - Total portfolio risk
+     * @returns {Array} Recommendations
+     */
+    generatePortfolioRecommendations(allocations, totalRisk) {
+        const recommendations = [];
+
+        if (allocations.length < 3) {
+            recommendations.push('Consider adding more strategies for better diversification');
+        }
+
+        if (totalRisk > 0.3) {
+            recommendations.push('Portfolio risk is high - consider reducing exposure to volatile strategies');
+        }
+
+        if (totalRisk < 0.1) {
+            recommendations.push('Portfolio is very conservative - consider adding moderate-risk strategies for higher returns');
+        }
+
+        const hasStablecoinStrategy = allocations.some(alloc =>
+            alloc.strategy.toLowerCase().includes('stable') ||
+            alloc.strategy.toLowerCase().includes('usdc') ||
+            alloc.strategy.toLowerCase().includes('usdt')
+        );
+
+        if (!hasStablecoinStrategy) {
+            recommendations.push('Consider adding stablecoin strategies for stability');
+        }
+
+        recommendations.push('Monitor gas costs and compound frequency for optimal returns');
+        recommendations.push('Review and rebalance portfolio monthly based on market conditions');
+
+        return recommendations;
+    }
+
+    /**
+     * Calculate impermanent loss with advanced scenarios
+     * @param {Object} poolData - token0Amount, token1Amount, token0Price, token1Price
+     * @param {Array} priceScenarios - Scenarios { name, token0Change, token1Change } as fractions
+     * @returns {Object} Comprehensive IL analysis; impermanentLoss values are percentages
+     */
+    calculateAdvancedImpermanentLoss(poolData, priceScenarios = []) {
+        const token0Amount = this.toPositive(poolData.token0Amount, 'token0Amount');
+        const token1Amount = this.toPositive(poolData.token1Amount, 'token1Amount');
+        const token0Price = this.toPositive(poolData.token0Price, 'token0Price');
+        const token1Price = this.toPositive(poolData.token1Price, 'token1Price');
+
+        const initialValue = token0Amount.times(token0Price).plus(token1Amount.times(token1Price));
+        const initialRatio = token0Price.div(token1Price);
+
+        const scenarios = priceScenarios.length > 0 ? priceScenarios : [
+            { name: 'Conservative', token0Change: 0.1, token1Change: -0.05 },
+            { name: 'Moderate', token0Change: 0.25, token1Change: -0.15 },
+            { name: 'Aggressive', token0Change: 0.5, token1Change: -0.3 },
+            { name: 'Extreme', token0Change: 1.0, token1Change: -0.5 }
+        ];
+
+        const results = scenarios.map(scenario => {
+            const newToken0Price = token0Price.times(this.toDecimal(scenario.token0Change, 'token0Change').plus(1));
+            const newToken1Price = token1Price.times(this.toDecimal(scenario.token1Change, 'token1Change').plus(1));
+            const newRatio = newToken0Price.div(newToken1Price);
+            const impermanentLoss = this.impermanentLossFraction(newRatio.div(initialRatio)).abs();
+
+            // Constant product rebalancing to the new price
+            const k = token0Amount.times(token1Amount);
+            const newToken0Amount = k.div(newRatio).sqrt();
+            const newToken1Amount = k.div(newToken0Amount);
+            const poolValue = newToken0Amount.times(newToken0Price).plus(newToken1Amount.times(newToken1Price));
+            const holdValue = token0Amount.times(newToken0Price).plus(token1Amount.times(newToken1Price));
+
+            return {
+                scenario: scenario.name,
+                impermanentLoss: this.toNumber(impermanentLoss.times(100)),
+                poolValue: this.toNumber(poolValue),
+                holdValue: this.toNumber(holdValue),
+                difference: this.toNumber(poolValue.minus(holdValue)),
+                token0Price: this.toNumber(newToken0Price),
+                token1Price: this.toNumber(newToken1Price),
+                severity: impermanentLoss.gt(0.2) ? 'High' : impermanentLoss.gt(0.1) ? 'Medium' : 'Low'
+            };
+        });
+
+        return {
+            initialValue: this.toNumber(initialValue),
+            scenarios: results,
+            riskAssessment: this.assessImpermanentLossRisk(results),
+            mitigation: [
+                'Monitor price correlation between tokens',
+                'Consider single-sided staking for volatile pairs',
+                'Use impermanent loss protection protocols',
+                'Diversify across multiple pools',
+                'Set stop-loss levels for extreme scenarios'
+            ]
+        };
+    }
+
+    /**
+     * Assess impermanent loss risk
+     * @param {Array} scenarios - IL scenarios
+     * @returns {Object} Risk assessment
+     */
+    assessImpermanentLossRisk(scenarios) {
+        const highRiskScenarios = scenarios.filter(s => s.severity === 'High').length;
+        const mediumRiskScenarios = scenarios.filter(s => s.severity === 'Medium').length;
+
+        let overallRisk;
+        if (highRiskScenarios >= 2) overallRisk = 'High';
+        else if (highRiskScenarios >= 1 || mediumRiskScenarios >= 2) overallRisk = 'Medium';
+        else overallRisk = 'Low';
+
+        return {
+            overallRisk,
+            highRiskScenarios,
+            mediumRiskScenarios,
+            recommendation: overallRisk === 'High' ?
+                'Consider alternative strategies or IL protection' :
+                overallRisk === 'Medium' ?
+                    'Monitor closely and consider hedging' :
+                    'Acceptable risk level for LP strategy'
+        };
+    }
+}
+
+module.exports = YieldCalculator;
+// Named exports; BaseYieldCalculator is the name the root module used
+module.exports.YieldCalculator = YieldCalculator;
+module.exports.BaseYieldCalculator = YieldCalculator;
+module.exports.ROUNDING_MODES = ROUNDING_MODES;
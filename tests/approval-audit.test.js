@@ -0,0 +1,174 @@
+/**
+ * Test Suite for the token approval audit
+ */
+
+const { ethers } = require('ethers');
+const SmartContractUtils = require('../SmartContractUtils');
+const { Multicall } = require('../src/contracts/multicall');
+const { ERC20_ABI } = require('../src/tokens/erc20');
+const { APPROVAL_TOPIC } = require('../src/tokens/approval-audit');
+
+const USDC = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const WETH = '0x4200000000000000000000000000000000000006';
+const AERO = '0x940181a94A35A4569E4529A3CDfB74e38FD98631';
+const NFT = '0x000000000000000000000000000000000000c0DE';
+const OWNER = ethers.getAddress('0x' + '11'.repeat(20));
+const ROUTER = ethers.getAddress('0x' + '22'.repeat(20));
+const UNKNOWN = ethers.getAddress('0x' + '33'.repeat(20));
+const EOA = ethers.getAddress('0x' + '44'.repeat(20));
+
+const erc20 = new ethers.Interface(ERC20_ABI);
+const topic = (address) => ethers.zeroPadValue(address, 32);
+
+function approvalLog(token, spender, value, blockNumber, index = 0) {
+    return {
+        address: token,
+        topics: [APPROVAL_TOPIC, topic(OWNER), topic(spender)],
+        data: ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [value]),
+        blockNumber,
+        blockHash: ethers.id(`block-${blockNumber}`),
+        transactionHash: ethers.id(`tx-${blockNumber}-${index}`),
+        index
+    };
+}
+
+function createChain() {
+    const multicallInterface = new Multicall(null).interface;
+    const allowances = {
+        [`${USDC}:${ROUTER}`]: ethers.MaxUint256,
+        [`${AERO}:${UNKNOWN}`]: 1000n * 10n ** 18n,
+        [`${WETH}:${EOA}`]: 5n,
+        [`${WETH}:${ROUTER}`]: 0n
+    };
+    const logs = [
+        approvalLog(USDC, ROUTER, 10n, 150),
+        approvalLog(USDC, ROUTER, ethers.MaxUint256, 180),
+        approvalLog(AERO, UNKNOWN, 1000n * 10n ** 18n, 181),
+        approvalLog(WETH, EOA, 5n, 182),
+        approvalLog(WETH, ROUTER, 10n ** 18n, 170),
+        // ERC-721 Approval: same topic, token id indexed
+        { ...approvalLog(NFT, EOA, 0n, 183), topics: [APPROVAL_TOPIC, topic(OWNER), topic(EOA), ethers.toBeHex(7, 32)], data: '0x' }
+    ];
+
+    const callToken = (to, data) => {
+        const { name, args } = erc20.parseTransaction({ data });
+        switch (name) {
+            case 'decimals':
+                return erc20.encodeFunctionResult('decimals', [to === USDC ? 6 : 18]);
+            case 'allowance':
+                return erc20.encodeFunctionResult('allowance', [allowances[`${to}:${args[1]}`] || 0n]);
+            default:
+                return erc20.encodeFunctionResult(name, ['TOKEN']);
+        }
+    };
+
+    const provider = {
+        allowances,
+        getBlockNumber: jest.fn(async () => 200),
+        getBlock: jest.fn(async (number) => ({ number, hash: ethers.id(`block-${number}`), timestamp: 1700000000 + number })),
+        getLogs: jest.fn(async (filter) => logs.filter(log =>
+            log.blockNumber >= filter.fromBlock && log.blockNumber <= filter.toBlock &&
+            (!filter.address || filter.address.toLowerCase() === log.address.toLowerCase()) &&
+            filter.topics.every((value, index) => value === null || value === undefined || value === log.topics[index]))),
+        getCode: jest.fn(async (address) => ([EOA, OWNER].includes(address) ? '0x' : '0x6080')),
+        call: jest.fn(async (tx) => {
+            const [calls] = multicallInterface.decodeFunctionData('aggregate3', tx.data);
+            const results = calls.map(([target, , callData]) => [true, callToken(ethers.getAddress(target), callData)]);
+            return multicallInterface.encodeFunctionResult('aggregate3', [results]);
+        })
+    };
+    // Registered token contracts use the mock as their runner's provider
+    provider.provider = provider;
+    return provider;
+}
+
+describe('Approval audit', () => {
+    let utils;
+    let provider;
+
+    beforeEach(() => {
+        provider = createChain();
+        utils = new SmartContractUtils({ verifiedSpenders: ['router'] });
+        utils.provider = provider;
+        utils.multicall = new Multicall(provider);
+        utils.eventIndexer.provider = provider;
+        utils.registerContract('router', ['function swap()'], ROUTER);
+    });
+
+    it('should report live approvals with risk flags', async () => {
+        const report = await utils.auditApprovals(OWNER, { fromBlock: 100 });
+
+        expect(report).toMatchObject({ owner: OWNER, chainId: 8453, fromBlock: 100, toBlock: 200 });
+        expect(report.approvals.map(approval => [approval.token, approval.spender, approval.risk])).toEqual([
+            [WETH, EOA, 'High'],
+            [USDC, ROUTER, 'Medium'],
+            [AERO, UNKNOWN, 'Medium']
+        ]);
+        expect(report.approvals[0]).toMatchObject({ allowance: 5n, isContract: false, verified: false, flags: ['not-contract', 'unverified'] });
+        expect(report.approvals[1]).toMatchObject({ unlimited: true, verified: true, formatted: 'unlimited', lastBlock: 180, flags: ['unlimited'] });
+        expect(report.approvals[2]).toMatchObject({ flags: ['unverified'], formatted: '1000.0' });
+        expect(report.summary).toEqual({ live: 3, unlimited: 1, notContract: 1, unverified: 2, high: 1, partialHistory: true });
+
+        // Allowances are read at the last scanned block
+        expect(provider.call.mock.calls.some(([tx]) => tx.blockTag === 200)).toBe(true);
+    });
+
+    it('should require fromBlock and scan the full history from block 0', async () => {
+        await expect(utils.auditApprovals(OWNER)).rejects.toThrow('fromBlock is required; pass 0 to scan the full history');
+        expect(provider.getLogs).not.toHaveBeenCalled();
+
+        const report = await utils.auditApprovals(OWNER, { fromBlock: 0 });
+
+        expect(report).toMatchObject({ fromBlock: 0, toBlock: 200 });
+        expect(report.summary).toMatchObject({ live: 3, partialHistory: false });
+        expect(provider.getLogs.mock.calls[0][0].fromBlock).toBe(0);
+    });
+
+    it('should scan listed tokens and check spenders without event history', async () => {
+        provider.allowances[`${WETH}:${ROUTER}`] = 3n;
+        const report = await utils.auditApprovals(OWNER, { fromBlock: 175, tokens: ['USDC', 'WETH'], spenders: [ROUTER] });
+
+        expect(report.approvals.map(approval => [approval.token, approval.spender, approval.lastBlock])).toEqual([
+            [WETH, EOA, 182],
+            [USDC, ROUTER, 180],
+            [WETH, ROUTER, null]
+        ]);
+        expect(provider.getLogs.mock.calls.map(([filter]) => filter.address)).toEqual([USDC, WETH]);
+    });
+
+    it('should use a verify hook for unknown spenders', async () => {
+        const verify = jest.fn(async (address) => address === UNKNOWN);
+        utils.approvalAuditor.config.verify = verify;
+        const report = await utils.auditApprovals(OWNER, { fromBlock: 100 });
+        expect(report.approvals.find(approval => approval.spender === UNKNOWN).risk).toBe('Low');
+        expect(verify).not.toHaveBeenCalledWith(ROUTER);
+    });
+
+    it('should build and send revoke transactions', async () => {
+        const report = await utils.auditApprovals(OWNER, { fromBlock: 100 });
+
+        const calls = utils.buildRevokeCalls(report);
+        expect(calls).toHaveLength(3);
+        expect(utils.encodeCall(calls[0])).toEqual({ to: WETH, value: 0n, data: erc20.encodeFunctionData('approve', [EOA, 0n]) });
+        expect(utils.buildRevokeCalls(report, { risk: 'High' })).toHaveLength(1);
+
+        utils.executeTransaction = jest.fn(async () => ({ status: 1 }));
+        const signer = { getAddress: async () => OWNER };
+        await utils.revokeApprovals(report, signer, { filter: approval => approval.unlimited, gasLimit: 80000 });
+        expect(utils.executeTransaction).toHaveBeenCalledTimes(1);
+        expect(utils.executeTransaction).toHaveBeenCalledWith(`erc20:${USDC.toLowerCase()}`, 'approve', [ROUTER, 0n], signer, { gasLimit: 80000 });
+    });
+
+    it('should export the report as JSON and CSV', async () => {
+        const report = await utils.auditApprovals(OWNER, { fromBlock: 100 });
+
+        const json = JSON.parse(await utils.exportApprovalReport(report));
+        expect(json.approvals[1].allowance).toBe(ethers.MaxUint256.toString());
+
+        const csv = (await utils.exportApprovalReport(report, { format: 'csv' })).trim().split('\n');
+        expect(csv).toHaveLength(4);
+        expect(csv[0]).toBe('token,symbol,spender,allowance,formatted,unlimited,isContract,verified,risk,flags,lastBlock,lastTransaction');
+        expect(csv[1]).toContain('High,not-contract;unverified,182');
+        expect(() => utils.approvalAuditor.exportReport(report, 'xml')).toThrow('Unsupported report format');
+    });
+});
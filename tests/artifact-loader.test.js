@@ -0,0 +1,150 @@
+/**
+ * Test Suite for loading ABIs from build artifacts and deployments
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SmartContractUtils = require('../SmartContractUtils');
+const ArtifactLoader = require('../src/contracts/artifact-loader');
+
+const VAULT_ABI = [{ type: 'function', name: 'totalAssets', inputs: [], outputs: [{ type: 'uint256', name: '' }], stateMutability: 'view' }];
+const OTHER_VAULT_ABI = [{ type: 'function', name: 'share', inputs: [], outputs: [{ type: 'uint256', name: '' }], stateMutability: 'view' }];
+const TOKEN_ABI = [{ type: 'function', name: 'decimals', inputs: [], outputs: [{ type: 'uint8', name: '' }], stateMutability: 'view' }];
+const VAULT_ADDRESS = '0x000000000000000000000000000000000000dEaD';
+
+function writeJson(root, file, data) {
+    const target = path.join(root, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, JSON.stringify(data));
+}
+
+describe('Artifact loader', () => {
+    let root;
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'artifacts-'));
+        writeJson(root, 'artifacts/contracts/Vault.sol/Vault.json', {
+            _format: 'hh-sol-artifact-1',
+            contractName: 'Vault',
+            sourceName: 'contracts/Vault.sol',
+            abi: VAULT_ABI,
+            bytecode: '0x6080'
+        });
+        writeJson(root, 'artifacts/contracts/Vault.sol/Vault.dbg.json', { buildInfo: '../../build-info/x.json' });
+        writeJson(root, 'out/Token.sol/Token.json', { abi: TOKEN_ABI, bytecode: { object: '0x6001' } });
+        writeJson(root, 'deployments/base/Vault.json', { address: VAULT_ADDRESS, abi: VAULT_ABI });
+        writeJson(root, 'deployments/base-sepolia/Vault.json', { address: '0x000000000000000000000000000000000000bEEF', abi: VAULT_ABI });
+    });
+
+    afterEach(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('should merge deployments for the selected network with artifact bytecode', async () => {
+        const { entries, collisions } = await new ArtifactLoader({ root, network: 'base' }).load();
+        const vault = entries.find(entry => entry.name === 'Vault');
+        const token = entries.find(entry => entry.name === 'Token');
+
+        expect(collisions).toEqual([]);
+        expect(vault).toMatchObject({ address: VAULT_ADDRESS, bytecode: '0x6080', source: 'hardhat-deploy' });
+        expect(token).toMatchObject({ address: null, bytecode: '0x6001', source: 'foundry', qualifiedName: 'Token.sol:Token' });
+    });
+
+    it('should keep colliding contracts under their fully qualified names', async () => {
+        writeJson(root, 'out/Vault.sol/Vault.json', { abi: OTHER_VAULT_ABI, bytecode: { object: '0x6002' } });
+        fs.rmSync(path.join(root, 'deployments'), { recursive: true });
+
+        const { entries, collisions } = await new ArtifactLoader({ root }).load();
+
+        expect(collisions).toHaveLength(1);
+        expect(collisions[0].qualifiedNames).toEqual(['contracts/Vault.sol:Vault', 'Vault.sol:Vault']);
+        expect(entries.map(entry => entry.qualifiedName).sort()).toEqual(['Token.sol:Token', 'Vault.sol:Vault', 'contracts/Vault.sol:Vault']);
+    });
+
+    it('should register deployed contracts and list the registry', async () => {
+        const utils = new SmartContractUtils({ rpcUrl: 'http://127.0.0.1:8545' });
+        const result = await utils.loadArtifacts({ root, network: 'base-sepolia' });
+
+        expect(result.loaded).toBe(2);
+        expect(utils.getContract('Vault').target).toBe('0x000000000000000000000000000000000000bEEF');
+        expect(() => utils.getContract('Token')).toThrow("Contract 'Token' not registered");
+        expect(utils.getInterface('Token').getFunction('decimals')).toBeTruthy();
+        expect(utils.listContracts()).toEqual([
+            { name: 'Token', address: null, source: 'foundry', path: path.join(root, 'out/Token.sol/Token.json'), hasBytecode: true, isProxy: false },
+            { name: 'Vault', address: '0x000000000000000000000000000000000000bEEF', source: 'hardhat-deploy', path: path.join(root, 'deployments/base-sepolia/Vault.json'), hasBytecode: true, isProxy: false }
+        ]);
+
+        fs.rmSync(path.join(root, 'out'), { recursive: true });
+        const reloaded = await utils.loadArtifacts({ root, network: 'base-sepolia' });
+        expect(reloaded.removed).toEqual(['Token']);
+
+        utils.providerPool.destroy();
+    });
+
+    it('should notice changes in nested and newly created directories', async () => {
+        const onChange = jest.fn();
+        const stop = new ArtifactLoader({ root }).watch(onChange, 20);
+        const waitForCalls = async (count) => {
+            const deadline = Date.now() + 3000;
+            while (onChange.mock.calls.length < count && Date.now() < deadline) {
+                await new Promise(resolve => setTimeout(resolve, 20));
+            }
+        };
+
+        try {
+            writeJson(root, 'artifacts/contracts/Vault.sol/Vault.json', { abi: OTHER_VAULT_ABI, bytecode: '0x6080' });
+            await waitForCalls(1);
+            expect(onChange).toHaveBeenCalledTimes(1);
+
+            // A new source file creates a directory; writes inside it must still be seen
+            fs.mkdirSync(path.join(root, 'out/Pool.sol'));
+            await waitForCalls(2);
+            writeJson(root, 'out/Pool.sol/Pool.json', { abi: TOKEN_ABI, bytecode: { object: '0x6003' } });
+            await waitForCalls(3);
+            expect(onChange).toHaveBeenCalledTimes(3);
+        } finally {
+            stop();
+        }
+    });
+
+    it('should keep watching roots that are missing at start or removed by a clean', async () => {
+        const onChange = jest.fn();
+        const stop = new ArtifactLoader({ root, network: 'anvil' }).watch(onChange, 20);
+        const waitForCalls = async (count) => {
+            const deadline = Date.now() + 3000;
+            while (onChange.mock.calls.length < count && Date.now() < deadline) {
+                await new Promise(resolve => setTimeout(resolve, 20));
+            }
+        };
+
+        try {
+            fs.rmSync(path.join(root, 'artifacts'), { recursive: true });
+            await waitForCalls(1);
+            expect(onChange).toHaveBeenCalledTimes(1);
+
+            // The next compile recreates the root; writes into it must be seen again
+            writeJson(root, 'artifacts/contracts/Vault.sol/Vault.json', { abi: OTHER_VAULT_ABI, bytecode: '0x6080' });
+            await waitForCalls(2);
+            const calls = onChange.mock.calls.length;
+            writeJson(root, 'artifacts/contracts/Vault.sol/Vault.json', { abi: VAULT_ABI, bytecode: '0x6080' });
+            await waitForCalls(calls + 1);
+            expect(onChange.mock.calls.length).toBe(calls + 1);
+
+            // deployments/anvil did not exist when watching started
+            writeJson(root, 'deployments/anvil/Vault.json', { address: VAULT_ADDRESS, abi: VAULT_ABI });
+            await waitForCalls(calls + 2);
+            expect(onChange.mock.calls.length).toBe(calls + 2);
+        } finally {
+            stop();
+        }
+    });
+
+    it('should reject collisions in strict mode', async () => {
+        writeJson(root, 'out/Vault.sol/Vault.json', { abi: OTHER_VAULT_ABI, bytecode: { object: '0x6002' } });
+        const utils = new SmartContractUtils({ rpcUrl: 'http://127.0.0.1:8545' });
+
+        await expect(utils.loadArtifacts({ root, strict: true })).rejects.toThrow('Artifact name collisions');
+        utils.providerPool.destroy();
+    });
+});
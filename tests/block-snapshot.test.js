@@ -0,0 +1,84 @@
+/**
+ * Test Suite for block-pinned snapshot reads
+ */
+
+const { ethers } = require('ethers');
+const SmartContractUtils = require('../SmartContractUtils');
+const EventIndexer = require('../src/contracts/event-indexer');
+const { Multicall } = require('../src/contracts/multicall');
+
+const POOL_ABI = [
+    'function liquidity() view returns (uint128)',
+    'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
+    'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)'
+];
+
+const POOL = '0xd0b53D9277642d899DF5C87A3966A349A798F224';
+
+describe('SmartContractUtils.snapshot', () => {
+    const poolInterface = new ethers.Interface(POOL_ABI);
+    let utils;
+    let provider;
+
+    beforeEach(() => {
+        provider = {
+            calls: [],
+            getBlock: jest.fn(async (tag) => (tag === 'latest' || tag === 500
+                ? { number: 500, hash: '0x' + '05'.repeat(32), timestamp: 1700001000 }
+                : null)),
+            // Head keeps moving while the snapshot is in use
+            getBlockNumber: jest.fn().mockResolvedValue(520),
+            // No Multicall3, so batchCalls falls back to one eth_call per entry
+            getCode: jest.fn().mockResolvedValue('0x'),
+            getStorage: jest.fn().mockResolvedValue('0x' + '00'.repeat(31) + '01'),
+            call: jest.fn(async function(tx) {
+                provider.calls.push(tx);
+                const { name } = poolInterface.parseTransaction({ data: tx.data });
+                return name === 'liquidity'
+                    ? poolInterface.encodeFunctionResult('liquidity', [tx.blockTag === 500 ? 7n : 9n])
+                    : poolInterface.encodeFunctionResult('slot0', [1n, -5, 0, 1, 1, 0, true]);
+            }),
+            getLogs: jest.fn().mockResolvedValue([])
+        };
+        utils = new SmartContractUtils();
+        utils.provider = provider;
+        utils.multicall = new Multicall(provider);
+        utils.eventIndexer = new EventIndexer(provider);
+        utils.registerContract('pool', POOL_ABI, POOL);
+    });
+
+    it('should pin every read to the resolved block number', async () => {
+        const snapshot = await utils.snapshot();
+
+        const liquidity = await snapshot.call('pool', 'liquidity');
+        const batch = await snapshot.batchCalls([
+            { contract: 'pool', method: 'slot0', params: [] },
+            { contract: 'pool', method: 'liquidity', params: [] }
+        ]);
+        const slot = await snapshot.getStorageAt(POOL, 0);
+
+        expect(liquidity).toEqual({ result: 7n, blockNumber: 500, blockHash: '0x' + '05'.repeat(32), timestamp: 1700001000 });
+        expect(batch.blockNumber).toBe(500);
+        expect(batch.result.map(entry => entry.success)).toEqual([true, true]);
+        expect(batch.result[1].result).toBe(7n);
+        expect(slot).toMatchObject({ result: '0x' + '00'.repeat(31) + '01', timestamp: 1700001000 });
+
+        expect(provider.calls.every(tx => tx.blockTag === 500)).toBe(true);
+        expect(provider.getStorage).toHaveBeenCalledWith(POOL, 0, 500);
+        expect(await utils.call('pool', 'liquidity')).toBe(9n);
+    });
+
+    it('should query events up to the pinned block, counting back from it', async () => {
+        const snapshot = await utils.snapshot(500);
+        const queryFilter = jest.spyOn(utils.getContract('pool'), 'queryFilter').mockResolvedValue([]);
+
+        const events = await snapshot.getEvents('pool', 'Swap', { fromBlock: -100 });
+
+        expect(queryFilter).toHaveBeenCalledWith(expect.anything(), 400, 500);
+        expect(events).toMatchObject({ result: [], blockNumber: 500 });
+    });
+
+    it('should fail for unknown blocks', async () => {
+        await expect(utils.snapshot(10)).rejects.toThrow('Snapshot failed: block 10 not found');
+    });
+});
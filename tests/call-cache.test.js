@@ -0,0 +1,169 @@
+/**
+ * Test Suite for the block-aware call cache
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const SmartContractUtils = require('../SmartContractUtils');
+const { CallCache, FileCacheStore } = require('../src/contracts/call-cache');
+
+const POOL_ABI = [
+    'function token0() view returns (address)',
+    'function fee() view returns (uint24)',
+    'function liquidity() view returns (uint128)',
+    'function observe(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulativeX128s)'
+];
+
+const POOL = '0xd0b53D9277642d899DF5C87A3966A349A798F224';
+const USDC = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+
+function createProvider() {
+    const iface = new ethers.Interface(POOL_ABI);
+    const provider = {
+        head: 100,
+        getBlockNumber: jest.fn(async () => provider.head),
+        call: jest.fn(async (tx) => {
+            const { name } = iface.parseTransaction({ data: tx.data });
+            switch (name) {
+                case 'token0':
+                    return iface.encodeFunctionResult('token0', [USDC]);
+                case 'fee':
+                    return iface.encodeFunctionResult('fee', [500]);
+                case 'liquidity':
+                    // Liquidity changes every block; unpinned reads see the head
+                    return iface.encodeFunctionResult('liquidity', [BigInt(typeof tx.blockTag === 'number' ? tx.blockTag : provider.head) * 10n]);
+                default:
+                    return iface.encodeFunctionResult('observe', [[1n, 2n], [3n, 4n]]);
+            }
+        })
+    };
+    return provider;
+}
+
+describe('Call cache', () => {
+    let utils;
+    let provider;
+
+    const setup = (config = {}) => {
+        utils = new SmartContractUtils({ cache: true, ...config });
+        provider = createProvider();
+        utils.provider = provider;
+        // headMaxAge 0: ask for the head on every read so tests control block changes
+        utils.callCache = new CallCache(provider, { headMaxAge: 0, store: utils.callCache.store, policies: config.cachePolicies });
+        utils.registerContract('pool', POOL_ABI, POOL);
+    };
+
+    it('should keep immutable getters and cache state reads for one block', async () => {
+        setup();
+
+        expect(await utils.call('pool', 'token0')).toBe(USDC);
+        expect(await utils.call('pool', 'token0')).toBe(USDC);
+        expect(await utils.call('pool', 'liquidity')).toBe(1000n);
+        expect(await utils.call('pool', 'liquidity')).toBe(1000n);
+
+        provider.head = 101;
+        expect(await utils.call('pool', 'liquidity')).toBe(1010n);
+        expect(await utils.call('pool', 'token0')).toBe(USDC);
+
+        const stats = utils.getCacheStats();
+        expect(stats).toMatchObject({ hits: 3, misses: 3, invalidations: 1, hitRate: 0.5 });
+        expect(stats.methods['pool.token0']).toEqual({ hits: 2, misses: 1, bypasses: 0 });
+        expect(stats.methods['pool.liquidity']).toEqual({ hits: 1, misses: 2, bypasses: 0 });
+        expect(provider.call).toHaveBeenCalledTimes(3);
+    });
+
+    it('should treat fee() as a state read because Slipstream fees can change', async () => {
+        setup();
+
+        await utils.call('pool', 'fee');
+        await utils.call('pool', 'fee');
+        provider.head = 101;
+        await utils.call('pool', 'fee');
+
+        expect(utils.callCache.getPolicy('pool', 'fee')).toBe('block');
+        expect(utils.getCacheStats().methods['pool.fee']).toEqual({ hits: 1, misses: 2, bypasses: 0 });
+    });
+
+    it('should decode multi-value results and key by calldata', async () => {
+        setup();
+
+        const [tickCumulatives] = await utils.call('pool', 'observe', [[0, 60]]);
+        await utils.call('pool', 'observe', [[0, 60]]);
+        await utils.call('pool', 'observe', [[0, 120]]);
+
+        expect(Array.from(tickCumulatives)).toEqual([1n, 2n]);
+        expect(utils.getCacheStats().methods['pool.observe']).toEqual({ hits: 1, misses: 2, bypasses: 0 });
+    });
+
+    it('should apply per-method policies and cache pinned block reads', async () => {
+        setup({ cachePolicies: { 'pool.fee': 'none', liquidity: 60000 } });
+
+        await utils.call('pool', 'fee');
+        await utils.call('pool', 'fee');
+        await utils.call('pool', 'liquidity');
+        provider.head = 105;
+        expect(await utils.call('pool', 'liquidity')).toBe(1000n);
+
+        expect(await utils.call('pool', 'liquidity', [], { blockTag: 90 })).toBe(900n);
+        expect(await utils.call('pool', 'liquidity', [], { blockTag: 90 })).toBe(900n);
+        await utils.call('pool', 'liquidity', [], { blockTag: 'pending' });
+
+        expect(utils.getCacheStats()).toMatchObject({ hits: 2, misses: 2, bypasses: 3 });
+        expect(() => utils.callCache.setPolicy('fee', 'forever')).toThrow('Invalid cache policy');
+    });
+
+    it('should persist entries to a file store', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'call-cache-'));
+        const file = path.join(dir, 'cache.json');
+        try {
+            setup({ cacheFile: file });
+            expect(utils.callCache.store).toBeInstanceOf(FileCacheStore);
+            await utils.call('pool', 'token0');
+
+            setup({ cacheFile: file });
+            expect(await utils.call('pool', 'token0')).toBe(USDC);
+            expect(provider.call).not.toHaveBeenCalled();
+            expect(utils.getCacheStats()).toMatchObject({ hits: 1, misses: 0 });
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('should evict least recently used entries from a file store', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'call-cache-'));
+        const file = path.join(dir, 'cache.json');
+        try {
+            const store = new FileCacheStore(file, { maxEntries: 2 });
+            await store.set('8453:a@1', { data: '0x01' });
+            await store.set('8453:a@2', { data: '0x02' });
+            await store.get('8453:a@1');
+            await store.set('8453:a@3', { data: '0x03' });
+
+            expect(await store.get('8453:a@2')).toBeNull();
+            expect(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8')))).toEqual(['8453:a@1', '8453:a@3']);
+            expect(await new FileCacheStore(file).get('8453:a@1')).toEqual({ data: '0x01' });
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('should keep writes made while the file is first loading', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'call-cache-'));
+        const file = path.join(dir, 'cache.json');
+        try {
+            fs.writeFileSync(file, JSON.stringify({ existing: { data: '0x00' } }));
+            const store = new FileCacheStore(file);
+            await Promise.all([store.set('first', { data: '0x01' }), store.set('second', { data: '0x02' })]);
+
+            expect(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8'))).sort()).toEqual(['existing', 'first', 'second']);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('should leave call uncached by default', () => {
+        expect(new SmartContractUtils().getCacheStats()).toBeNull();
+    });
+});
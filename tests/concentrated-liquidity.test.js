@@ -0,0 +1,147 @@
+/**
+ * Test Suite for concentrated liquidity fee APR and time-in-range estimates
+ */
+
+const Decimal = require('decimal.js');
+const YieldCalculator = require('../src/yield-calculator');
+const {
+    MAX_TICK,
+    tickToSqrtPrice,
+    sqrtPriceToTick,
+    liquidityForAmounts,
+    normalCdf
+} = require('../src/concentrated-liquidity');
+
+// WETH/USDC at ~3000 USDC per WETH: raw price = 3000 * 10^(6 - 18)
+const WETH_USDC = {
+    tick: -196257,
+    tickLower: -197260,
+    tickUpper: -195260,
+    tickSpacing: 10,
+    poolLiquidity: 5000000000000000000n,
+    fee: 500,
+    volume24h: 50000000,
+    decimals0: 18,
+    decimals1: 6
+};
+
+describe('Concentrated liquidity', () => {
+    const calculator = new YieldCalculator({ precision: 6 });
+
+    it('should convert between ticks and sqrt prices', () => {
+        const D = Decimal.clone({ precision: 40 });
+        expect(tickToSqrtPrice(D, 0).toNumber()).toBe(1);
+        expect(tickToSqrtPrice(D, 20000).pow(2).toNumber()).toBeCloseTo(7.3883, 4);
+        expect(sqrtPriceToTick(D, tickToSqrtPrice(D, -196257))).toBe(-196257);
+        expect(sqrtPriceToTick(D, tickToSqrtPrice(D, 1234).plus('1e-30'))).toBe(1234);
+
+        // Liquidity is limited by the scarcer side of the deposit
+        const [lower, upper] = [tickToSqrtPrice(D, -600), tickToSqrtPrice(D, 600)];
+        const one = new D(1);
+        expect(liquidityForAmounts(one, lower, upper, new D(100), new D(500)).toNumber())
+            .toBeCloseTo(liquidityForAmounts(one, lower, upper, new D(100), new D(100)).toNumber(), 6);
+
+        expect(normalCdf(D, new D(0)).toNumber()).toBeCloseTo(0.5, 7);
+        expect(normalCdf(D, new D(1.96)).toNumber()).toBeCloseTo(0.975, 4);
+        expect(normalCdf(D, new D(-1)).toNumber()).toBeCloseTo(0.158655, 5);
+    });
+
+    it('should compute position liquidity, share and fee APR from capital', () => {
+        const result = calculator.calculateConcentratedLPYield({ ...WETH_USDC, capital: 10000 });
+
+        expect(result).toMatchObject({
+            liquidity: 1871918482737111n,
+            capitalUsd: 10000,
+            tick: -196257,
+            inRange: true,
+            timeInRange: null
+        });
+        expect(result.price).toBeCloseTo(2999.8, 1);
+        expect(result.priceLower).toBeLessThan(result.price);
+        expect(result.priceUpper).toBeGreaterThan(result.price);
+        expect(result.amount0 * result.price + result.amount1).toBeCloseTo(10000, 3);
+
+        // share = L / (pool + L); fees = volume * 0.05% * share
+        const share = 1871918482737111 / (5e18 + 1871918482737111);
+        expect(result.liquidityShare).toBeCloseTo(share * 100, 6);
+        expect(result.dailyFees).toBeCloseTo(50000000 * 0.0005 * share, 4);
+        expect(result.feeAPR).toBeCloseTo(result.dailyFees * 365 / 100, 4);
+        expect(result.expectedFeeAPR).toBe(result.feeAPR);
+    });
+
+    it('should compare capital efficiency with a full-range position', () => {
+        const result = calculator.calculateConcentratedLPYield({ ...WETH_USDC, tick: -196260, capital: 10000 });
+        // Symmetric range of ±1000 ticks: 1 / (1 - (pa/pb)^(1/4))
+        expect(result.capitalEfficiency).toBeCloseTo(1 / (1 - Math.pow(1.0001, -500)), 3);
+        expect(result.feeAPR / result.fullRangeFeeAPR).toBeCloseTo(result.capitalEfficiency, 0);
+
+        const fullRange = calculator.calculateConcentratedLPYield({
+            tickLower: -MAX_TICK + 2, tickUpper: MAX_TICK - 2, tick: 0,
+            poolLiquidity: 1000000, fee: 3000, volume24h: 1000, capital: 1000, decimals0: 6, decimals1: 6
+        });
+        expect(fullRange.capitalEfficiency).toBeCloseTo(1, 6);
+    });
+
+    it('should accept token amounts and sqrtPriceX96', () => {
+        const result = calculator.calculateConcentratedLPYield({
+            tickLower: -600,
+            tickUpper: 600,
+            sqrtPriceX96: 2n ** 96n,
+            poolLiquidity: 0,
+            fee: 3000,
+            volume24h: 1000,
+            amount0: 100,
+            amount1: 500,
+            decimals0: 6,
+            decimals1: 6
+        });
+
+        expect(result).toMatchObject({ tick: 0, price: 1, amount0: 100, amount1: 100, capitalUsd: 200, liquidityShare: 100, dailyFees: 3 });
+        expect(result.feeAPR).toBe(547.5);
+    });
+
+    it('should earn nothing while out of range but keep an expected APR', () => {
+        const result = calculator.calculateConcentratedLPYield({ ...WETH_USDC, tick: -195000, capital: 10000, volatility: 0.6, days: 30 });
+
+        expect(result.inRange).toBe(false);
+        expect(result.amount0).toBe(0); // price above the range: all token1
+        expect(result.feeAPR).toBe(0);
+        expect(result.liquidityShare).toBe(0);
+        expect(result.timeInRange).toBeGreaterThan(0);
+        expect(result.expectedFeeAPR).toBeCloseTo(result.inRangeFeeAPR * result.timeInRange / 100, 4);
+    });
+
+    it('should estimate time in range from volatility', () => {
+        const range = { tickLower: -1000, tickUpper: 1000, tick: 0 };
+        const calm = calculator.estimateTimeInRange({ ...range, volatility: 0.2, days: 30 });
+        const volatile = calculator.estimateTimeInRange({ ...range, volatility: 1.2, days: 30 });
+        const longer = calculator.estimateTimeInRange({ ...range, volatility: 0.2, days: 180 });
+
+        expect(calm.timeInRange).toBeGreaterThan(volatile.timeInRange);
+        expect(calm.timeInRange).toBeGreaterThan(longer.timeInRange);
+        expect(calm.probabilityInRangeAtEnd).toBeLessThan(calm.timeInRange);
+        expect(calculator.estimateTimeInRange({ ...range, volatility: 0 }).timeInRange).toBe(100);
+
+        // One day at 20% volatility: sigma = 0.2 * sqrt(1/365), bounds at ln(1.0001^±1000)
+        const oneDay = calculator.estimateTimeInRange({ ...range, volatility: 0.2, days: 1 });
+        const z = 1000 * Math.log(1.0001) / (0.2 * Math.sqrt(1 / 365));
+        expect(oneDay.probabilityInRangeAtEnd / 100).toBeCloseTo(1 - 2 * (1 - 0.5 * (1 + erfApprox(z / Math.SQRT2))), 5);
+    });
+
+    it('should validate tick ranges', () => {
+        expect(() => calculator.estimateTimeInRange({ tickLower: 100, tickUpper: -100, tick: 0, volatility: 0.5 }))
+            .toThrow('tickLower must be below tickUpper');
+        expect(() => calculator.calculateConcentratedLPYield({ ...WETH_USDC, tickLower: -197265, capital: 1 }))
+            .toThrow('not a multiple of tick spacing 10');
+        expect(() => calculator.calculateConcentratedLPYield({ ...WETH_USDC, tick: undefined, capital: 1 }))
+            .toThrow('tick or sqrtPriceX96 is required');
+        expect(() => calculator.calculateConcentratedLPYield({ ...WETH_USDC, tickUpper: 900000, capital: 1 }))
+            .toThrow(expect.objectContaining({ name: 'ValidationError' }));
+    });
+});
+
+function erfApprox(x) {
+    const t = 1 / (1 + 0.3275911 * x);
+    const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+    return y;
+}
@@ -0,0 +1,109 @@
+/**
+ * Test Suite for contract deployment
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const SmartContractUtils = require('../SmartContractUtils');
+const { computeCreate2Address, toSalt, buildInitCode, DETERMINISTIC_DEPLOYER_ADDRESS } = require('../src/contracts/deployer');
+
+const VAULT_ABI = ['constructor(address asset, uint256 cap)', 'function cap() view returns (uint256)'];
+const VAULT_BYTECODE = '0x6080604052348015600f57600080fd5b50';
+const ASSET = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const CREATED = '0x000000000000000000000000000000000000c0DE';
+
+describe('Contract deployment', () => {
+    let dir;
+    let utils;
+    let code;
+    let signer;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deploy-'));
+        utils = new SmartContractUtils({ manageNonces: false, deploymentManifest: path.join(dir, 'manifest.json') });
+        code = new Map([[DETERMINISTIC_DEPLOYER_ADDRESS.toLowerCase(), '0x60']]);
+        utils.provider.getCode = jest.fn(async (address) => code.get(address.toLowerCase()) || '0x');
+
+        signer = {
+            getAddress: async () => '0x000000000000000000000000000000000000dEaD',
+            sendTransaction: jest.fn(async (request) => {
+                const address = request.to ? computeCreate2Address(ethers.dataSlice(request.data, 32), ethers.dataSlice(request.data, 0, 32)) : CREATED;
+                code.set(address.toLowerCase(), '0x6001');
+                return {
+                    hash: '0x' + '0a'.repeat(32),
+                    from: '0x000000000000000000000000000000000000dEaD',
+                    nonce: 0,
+                    wait: async () => ({ status: 1, contractAddress: request.to ? null : CREATED, blockNumber: 5, gasUsed: 21000n })
+                };
+            })
+        };
+    });
+
+    afterEach(() => {
+        utils.providerPool.destroy();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should deploy with constructor args, register and record the deployment', async () => {
+        const result = await utils.deployContract({ name: 'Vault', abi: VAULT_ABI, bytecode: VAULT_BYTECODE, args: [ASSET, 10n] }, signer);
+
+        expect(result).toMatchObject({ name: 'Vault', address: CREATED, method: 'create', reused: false, status: 1 });
+        expect(signer.sendTransaction.mock.calls[0][0].data).toBe(buildInitCode(VAULT_ABI, VAULT_BYTECODE, [ASSET, 10n]));
+        expect(utils.getContract('Vault').target).toBe(CREATED);
+
+        const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8'));
+        expect(manifest).toMatchObject({ network: 'base', chainId: 8453 });
+        expect(manifest.contracts.Vault).toMatchObject({ address: CREATED, args: [ASSET, '10'], method: 'create', blockNumber: 5 });
+
+        const rerun = await utils.deployContract({ name: 'Vault', abi: VAULT_ABI, bytecode: VAULT_BYTECODE, args: [ASSET, 10n] }, signer);
+        expect(rerun).toMatchObject({ address: CREATED, reused: true });
+        expect(signer.sendTransaction).toHaveBeenCalledTimes(1);
+    });
+
+    it('should deploy through the deterministic deployer at the precomputed address', async () => {
+        const contractData = { name: 'Vault', abi: VAULT_ABI, bytecode: VAULT_BYTECODE, args: [ASSET, 1n] };
+        const predicted = utils.predictDeploymentAddress(contractData, { salt: 'vault-v1' });
+
+        const result = await utils.deployContract(contractData, signer, { salt: 'vault-v1' });
+
+        expect(result).toMatchObject({ address: predicted, method: 'create2', salt: toSalt('vault-v1') });
+        expect(signer.sendTransaction.mock.calls[0][0].to).toBe(DETERMINISTIC_DEPLOYER_ADDRESS);
+
+        // Changed args produce new init code and a new address
+        const other = await utils.deployContract({ ...contractData, args: [ASSET, 2n] }, signer, { salt: 'vault-v1' });
+        expect(other.address).not.toBe(predicted);
+        expect(signer.sendTransaction).toHaveBeenCalledTimes(2);
+    });
+
+    it('should only reuse a recorded deployment made with the same method and salt', async () => {
+        const contractData = { name: 'Vault', abi: VAULT_ABI, bytecode: VAULT_BYTECODE, args: [ASSET, 1n] };
+
+        const first = await utils.deployContract(contractData, signer, { salt: 1 });
+        const second = await utils.deployContract(contractData, signer, { salt: 2 });
+        expect(second).toMatchObject({ address: utils.predictDeploymentAddress(contractData, { salt: 2 }), salt: toSalt(2), reused: false });
+        expect(second.address).not.toBe(first.address);
+
+        expect(await utils.deployContract(contractData, signer, { salt: 2 })).toMatchObject({ address: second.address, reused: true });
+
+        // A plain CREATE of the same init code is a different deployment
+        const created = await utils.deployContract(contractData, signer);
+        expect(created).toMatchObject({ address: CREATED, method: 'create', salt: null, reused: false });
+        expect(await utils.deployContract(contractData, signer, { salt: 2 })).toMatchObject({ address: second.address, reused: false });
+        expect(signer.sendTransaction).toHaveBeenCalledTimes(3);
+    });
+
+    it('should fail when no code ends up at the address', async () => {
+        signer.sendTransaction.mockImplementationOnce(async () => ({
+            hash: '0x' + '0b'.repeat(32),
+            from: '0x000000000000000000000000000000000000dEaD',
+            nonce: 0,
+            wait: async () => ({ status: 1, contractAddress: '0x000000000000000000000000000000000000bEEF' })
+        }));
+
+        await expect(utils.deployContract({ name: 'Vault', abi: VAULT_ABI, bytecode: VAULT_BYTECODE, args: [ASSET, 1n] }, signer))
+            .rejects.toThrow('Deployment failed: no code at 0x000000000000000000000000000000000000bEEF');
+        expect(fs.existsSync(path.join(dir, 'manifest.json'))).toBe(false);
+    });
+});
@@ -0,0 +1,156 @@
+/**
+ * Test Suite for the chunked, resumable event indexer
+ */
+
+const EventIndexer = require('../src/contracts/event-indexer');
+const SmartContractUtils = require('../SmartContractUtils');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryCheckpointStore, FileCheckpointStore } = require('../src/contracts/checkpoint-store');
+
+function createChain(head) {
+    const hashes = new Map();
+    const hashOf = (number) => hashes.get(number) || `0xhash${number}`;
+
+    return {
+        head,
+        reorg: (number) => hashes.set(number, `0xreorged${number}`),
+        provider: {
+            getBlockNumber: async function() { return this.chain.head; },
+            getBlock: async (number) => ({ number, hash: hashOf(number), timestamp: 1700000000 + number * 2 })
+        },
+        hashOf
+    };
+}
+
+function createContract(chain, { maxRange = Infinity } = {}) {
+    const contract = {
+        queries: [],
+        filters: { Transfer: () => ({ topics: [] }) },
+        queryFilter: async (filter, from, to) => {
+            contract.queries.push([from, to]);
+            if (to - from + 1 > maxRange) {
+                throw new Error('eth_getLogs block range is too large, max is 500');
+            }
+            const logs = [];
+            for (let block = from; block <= to; block++) {
+                if (block % 100 === 0) {
+                    logs.push({
+                        blockNumber: block,
+                        blockHash: chain.hashOf(block),
+                        transactionHash: `0xtx${block}`,
+                        index: 0,
+                        args: ['0xfrom', '0xto', 1n],
+                        eventName: 'Transfer',
+                        address: '0xtoken'
+                    });
+                }
+            }
+            return logs;
+        }
+    };
+    return contract;
+}
+
+describe('EventIndexer', () => {
+    it('should shrink the block range when the RPC rejects it', async () => {
+        const chain = createChain(2999);
+        chain.provider.chain = chain;
+        const contract = createContract(chain, { maxRange: 500 });
+        const indexer = new EventIndexer(chain.provider, { maxBlockRange: 2000 });
+
+        const { events } = await indexer.index(contract, 'Transfer', { fromBlock: 1000, toBlock: 2999 });
+
+        expect(events).toHaveLength(20);
+        expect(contract.queries.every(([from, to]) => to - from + 1 <= 2000)).toBe(true);
+        expect(events[0]).toMatchObject({
+            blockNumber: 1000,
+            transactionHash: '0xtx1000',
+            logIndex: 0,
+            address: '0xtoken',
+            timestamp: 1700002000
+        });
+    });
+
+    it('should resume from the stored checkpoint', async () => {
+        const chain = createChain(1999);
+        chain.provider.chain = chain;
+        const store = new MemoryCheckpointStore();
+        const indexer = new EventIndexer(chain.provider, { store });
+
+        await indexer.index(createContract(chain), 'Transfer', { fromBlock: 1000, checkpointKey: 'usdc:Transfer' });
+        chain.head = 2499;
+        const contract = createContract(chain);
+        const result = await indexer.index(contract, 'Transfer', { fromBlock: 1000, checkpointKey: 'usdc:Transfer' });
+
+        expect(result.fromBlock).toBe(2000);
+        expect(result.events.map(event => event.blockNumber)).toEqual([2000, 2100, 2200, 2300, 2400]);
+        expect((await store.get('usdc:Transfer')).lastBlock).toBe(2499);
+    });
+
+    it('should resume from a checkpoint file written by another store', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoints-'));
+        const file = path.join(dir, 'nested', 'checkpoints.json');
+        try {
+            const chain = createChain(1999);
+            chain.provider.chain = chain;
+            await new EventIndexer(chain.provider, { store: new FileCheckpointStore(file) })
+                .index(createContract(chain), 'Transfer', { fromBlock: 1000, checkpointKey: 'usdc:Transfer' });
+
+            expect(JSON.parse(fs.readFileSync(file, 'utf8'))['usdc:Transfer'].lastBlock).toBe(1999);
+            expect(fs.existsSync(`${file}.tmp`)).toBe(false);
+
+            chain.head = 2199;
+            const result = await new EventIndexer(chain.provider, { store: new FileCheckpointStore(file) })
+                .index(createContract(chain), 'Transfer', { fromBlock: 1000, checkpointKey: 'usdc:Transfer' });
+            expect(result.fromBlock).toBe(2000);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('should rewind a full window when the checkpoint block was reorged', async () => {
+        const chain = createChain(1999);
+        chain.provider.chain = chain;
+        const indexer = new EventIndexer(chain.provider, { reorgDepth: 12 });
+
+        await indexer.index(createContract(chain), 'Transfer', { fromBlock: 1000, checkpointKey: 'key' });
+        chain.reorg(1999);
+        const result = await indexer.index(createContract(chain), 'Transfer', { fromBlock: 1000, checkpointKey: 'key' });
+
+        expect(result.reorg).toMatchObject({ fromBlock: 1987 });
+        expect(result.fromBlock).toBe(1987);
+    });
+});
+
+describe('SmartContractUtils resumable getEvents', () => {
+    const TOKEN = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+    const ALICE = '0x00000000000000000000000000000000000000a1';
+    const BOB = '0x00000000000000000000000000000000000000b2';
+    let utils;
+
+    beforeEach(() => {
+        utils = new SmartContractUtils();
+        utils.registerContract('USDC', ['event Transfer(address indexed from, address indexed to, uint256 value)'], TOKEN);
+        utils.eventIndexer.index = jest.fn(async () => ({ events: [] }));
+    });
+
+    afterEach(() => {
+        utils.providerPool.destroy();
+    });
+
+    it('should keep a separate checkpoint per filter', async () => {
+        await utils.getEvents('USDC', 'Transfer', { resume: true });
+        await utils.getEvents('USDC', 'Transfer', { resume: true, filterArgs: [ALICE] });
+        await utils.getEvents('USDC', 'Transfer', { resume: true, filterArgs: [null, BOB] });
+        await utils.getEvents('USDC', 'Transfer', { resume: true, filterArgs: [null, null] });
+
+        const keys = utils.eventIndexer.index.mock.calls.map(([, , options]) => options.checkpointKey);
+        const base = `8453:${TOKEN.toLowerCase()}:Transfer`;
+        expect(keys[0]).toBe(base);
+        expect(keys[1]).toBe(`${base}:0x${ALICE.slice(2).padStart(64, '0')}`);
+        expect(keys[2]).toBe(`${base}:*,0x${BOB.slice(2).padStart(64, '0')}`);
+        expect(keys[3]).toBe(base);
+    });
+});
@@ -0,0 +1,182 @@
+/**
+ * Test Suite for confirmed, reorg-aware event subscriptions
+ */
+
+const { ethers } = require('ethers');
+const EventIndexer = require('../src/contracts/event-indexer');
+const EventSubscription = require('../src/contracts/event-subscription');
+const { MemoryCheckpointStore } = require('../src/contracts/checkpoint-store');
+const SmartContractUtils = require('../SmartContractUtils');
+
+const TRANSFER = new ethers.Interface([
+    'event Transfer(address indexed from, address indexed to, uint256 value)'
+]).getEvent('Transfer');
+const FROM = '0x00000000000000000000000000000000000000a1';
+const TO = '0x00000000000000000000000000000000000000b2';
+
+function createChain(head) {
+    const hashes = new Map();
+    const chain = {
+        head,
+        logs: [],
+        hashOf: (number) => hashes.get(number) || `0xhash${number}`,
+        reorg: (number) => hashes.set(number, `0xreorged${number}`)
+    };
+
+    chain.provider = {
+        getBlockNumber: async () => chain.head,
+        getBlock: async (number) => ({ number, hash: chain.hashOf(number), timestamp: 1700000000 + number * 2 })
+    };
+    chain.contract = {
+        filters: { Transfer: () => ({ topics: [] }) },
+        queryFilter: async (filter, from, to) => chain.logs
+            .filter(block => block >= from && block <= to)
+            .map(block => ({
+                blockNumber: block,
+                blockHash: chain.hashOf(block),
+                transactionHash: `0xtx${block}`,
+                index: 0,
+                fragment: TRANSFER,
+                args: [FROM, TO, BigInt(block)],
+                eventName: 'Transfer',
+                address: '0xtoken'
+            }))
+    };
+    return chain;
+}
+
+async function waitFor(condition, timeout = 2000) {
+    const deadline = Date.now() + timeout;
+    while (!condition() && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+describe('EventSubscription', () => {
+    let chain;
+    let store;
+    let received;
+
+    const subscribe = (options = {}, callback = async (event) => received.push(event)) => {
+        const indexer = new EventIndexer(chain.provider, { store, reorgDepth: 12 });
+        return new EventSubscription(indexer, chain.contract, 'Transfer', callback, { checkpointKey: 'sub', ...options });
+    };
+
+    beforeEach(() => {
+        chain = createChain(1000);
+        store = new MemoryCheckpointStore();
+        received = [];
+    });
+
+    it('should wait for the requested confirmation depth', async () => {
+        chain.logs = [990, 997];
+        const subscription = subscribe({ fromBlock: 980, confirmations: 5 });
+
+        await subscription.poll();
+        expect(received.map(event => event.blockNumber)).toEqual([990]);
+
+        chain.head = 1002;
+        await subscription.poll();
+        expect(received.map(event => event.blockNumber)).toEqual([990, 997]);
+        expect((await store.get('sub')).lastBlock).toBe(997);
+    });
+
+    it('should deliver plain-object args with removed: false', async () => {
+        chain.logs = [995];
+        await subscribe({ fromBlock: 990 }).poll();
+
+        expect(received).toHaveLength(1);
+        expect(received[0]).toMatchObject({
+            blockNumber: 995,
+            transactionHash: '0xtx995',
+            event: 'Transfer',
+            removed: false,
+            args: { from: FROM, to: TO, value: 995n }
+        });
+        expect(Array.isArray(received[0].args)).toBe(false);
+    });
+
+    it('should report logs dropped by a reorg with removed: true', async () => {
+        chain.logs = [990, 995];
+        const subscription = subscribe({ fromBlock: 980 });
+        await subscription.poll();
+
+        // Block 995 is replaced; its log comes back under the new block hash
+        chain.reorg(995);
+        await subscription.poll();
+
+        const removed = received.filter(event => event.removed);
+        expect(removed).toHaveLength(1);
+        expect(removed[0]).toMatchObject({ blockNumber: 995, blockHash: '0xhash995' });
+        expect(received.filter(event => !event.removed).map(event => event.blockHash))
+            .toEqual(['0xhash990', '0xhash995', '0xreorged995']);
+    });
+
+    it('should backfill from a stored checkpoint before going live', async () => {
+        chain.logs = [850, 950, 980, 1005];
+        await store.set('sub', { lastBlock: 900, blocks: [], updatedAt: new Date().toISOString() });
+
+        const subscription = subscribe({ pollInterval: 10 });
+        subscription.start();
+        await waitFor(() => received.length >= 2);
+        expect(received.map(event => event.blockNumber)).toEqual([950, 980]);
+
+        chain.head = 1010;
+        await waitFor(() => received.length >= 3);
+        subscription.stop();
+        expect(received.map(event => event.blockNumber)).toEqual([950, 980, 1005]);
+    });
+
+    it('should retry a log whose handler threw', async () => {
+        chain.logs = [990, 995];
+        let failures = 1;
+        const errors = [];
+        const subscription = subscribe({ fromBlock: 980, onError: error => errors.push(error) }, async (event) => {
+            if (event.blockNumber === 995 && failures-- > 0) throw new Error('handler down');
+            received.push(event);
+        });
+
+        await subscription.poll();
+        expect(errors.map(error => error.message)).toEqual(['handler down']);
+        expect(received.map(event => event.blockNumber)).toEqual([990]);
+        expect(await store.get('sub')).toBeNull();
+
+        chain.head = 1001;
+        await subscription.poll();
+        expect(received.map(event => event.blockNumber)).toEqual([990, 995]);
+        expect((await store.get('sub')).lastBlock).toBe(1001);
+    });
+});
+
+describe('SmartContractUtils monitorEvents', () => {
+    const TOKEN = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+    let utils;
+    let started;
+
+    beforeEach(() => {
+        started = [];
+        jest.spyOn(EventSubscription.prototype, 'start').mockImplementation(function() { started.push(this); });
+        utils = new SmartContractUtils();
+        utils.registerContract('USDC', [TRANSFER.format('full')], TOKEN);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        utils.providerPool.destroy();
+    });
+
+    it('should keep one checkpoint per filter for persistent monitors', () => {
+        const stops = [
+            utils.monitorEvents('USDC', 'Transfer', () => {}, { from: FROM }, { resume: true }),
+            utils.monitorEvents('USDC', 'Transfer', () => {}, { from: TO }, { resume: true }),
+            utils.monitorEvents('USDC', 'Transfer', () => {}, {}, { resume: true })
+        ];
+        stops.forEach(stop => stop());
+
+        const keys = started.map(subscription => subscription.checkpointKey);
+        expect(new Set(keys).size).toBe(3);
+        expect(keys[0]).toBe(`${utils.getCheckpointKey('USDC', 'Transfer', [FROM])}:monitor`);
+        expect(keys[2]).toBe(`8453:${TOKEN.toLowerCase()}:Transfer:monitor`);
+        expect(started[1].options.filterArgs).toEqual([TO]);
+    });
+});
@@ -0,0 +1,88 @@
+/**
+ * Test Suite for the Base L1 data fee estimator
+ */
+
+const { ethers } = require('ethers');
+const SmartContractUtils = require('../SmartContractUtils');
+const { L1FeeEstimator, GAS_PRICE_ORACLE_ABI } = require('../src/base/l1-fee-estimator');
+
+const GWEI = 1000000000n;
+
+function createMockProvider() {
+    const oracle = new ethers.Interface(GAS_PRICE_ORACLE_ABI);
+    const values = {
+        getL1Fee: 40000000000000n,
+        l1BaseFee: 20n * GWEI,
+        blobBaseFee: 1n,
+        baseFeeScalar: 2269,
+        blobBaseFeeScalar: 1055762
+    };
+
+    return {
+        calls: [],
+        call: async function(tx) {
+            const parsed = oracle.parseTransaction({ data: tx.data });
+            this.calls.push(parsed);
+            return oracle.encodeFunctionResult(parsed.name, [values[parsed.name]]);
+        },
+        estimateGas: async () => 100000n,
+        getFeeData: async () => ({ gasPrice: GWEI / 100n, maxFeePerGas: GWEI / 50n, maxPriorityFeePerGas: 1000n })
+    };
+}
+
+describe('L1FeeEstimator', () => {
+    it('should read oracle pricing parameters', async () => {
+        const estimator = new L1FeeEstimator(createMockProvider());
+        const params = await estimator.getOracleParams();
+
+        expect(params.l1BaseFee).toBe(20n * GWEI);
+        expect(params.baseFeeScalar).toBe(2269n);
+        expect(params.blobBaseFeeScalar).toBe(1055762n);
+    });
+
+    it('should split the total fee into L2 execution and L1 data', async () => {
+        const provider = createMockProvider();
+        const estimator = new L1FeeEstimator(provider, { ethPriceUsd: 2500 });
+        const estimate = await estimator.estimate({ to: ethers.ZeroAddress, data: '0x1234' });
+
+        expect(estimate.gasLimit).toBe(100000n);
+        expect(estimate.l2ExecutionFee).toBe(1000000000000n);
+        expect(estimate.l1DataFee).toBe(40000000000000n);
+        expect(estimate.totalFee).toBe(41000000000000n);
+        expect(estimate.usd.totalFee).toBeCloseTo(0.1025, 6);
+
+        const serialized = provider.calls.find(call => call.name === 'getL1Fee').args[0];
+        expect(ethers.Transaction.from(serialized).data).toBe('0x1234');
+    });
+
+    it('should price L2 execution at gasUsed when the gas limit is padded', async () => {
+        const estimator = new L1FeeEstimator(createMockProvider());
+        const estimate = await estimator.estimate({ to: ethers.ZeroAddress, gasLimit: 120000n }, { gasUsed: 100000n });
+
+        expect(estimate.gasLimit).toBe(120000n);
+        expect(estimate.gasUsed).toBe(100000n);
+        expect(estimate.l2ExecutionFee).toBe(1000000000000n);
+    });
+
+    it('should estimate contract transactions without the gas buffer in the fee', async () => {
+        const provider = { ...createMockProvider(), estimateGas: async () => 50000n };
+        const utils = new SmartContractUtils();
+        utils.providerPool.destroy();
+        utils.provider = provider;
+        utils.feeEstimator = new L1FeeEstimator(provider, { ethPriceUsd: 2500 });
+        utils.registerContract('token', ['function approve(address spender, uint256 amount) returns (bool)'], ethers.ZeroAddress);
+
+        const estimate = await utils.estimateTransactionFee('token', 'approve', [ethers.ZeroAddress, 1n]);
+
+        expect(estimate.gasUsed).toBe(50000n);
+        expect(estimate.gasLimit).toBe(60000n);
+        expect(estimate.l2ExecutionFee).toBe(50000n * (GWEI / 100n));
+    });
+
+    it('should leave USD values empty without an ETH price', async () => {
+        const estimator = new L1FeeEstimator(createMockProvider());
+        const estimate = await estimator.estimate({ to: ethers.ZeroAddress, gasLimit: 21000n });
+
+        expect(estimate.usd.totalFee).toBeNull();
+    });
+});
@@ -0,0 +1,105 @@
+/**
+ * Test Suite for Multicall3-backed batchCalls
+ */
+
+const { ethers } = require('ethers');
+const SmartContractUtils = require('../SmartContractUtils');
+const { Multicall, MULTICALL3_ABI } = require('../src/contracts/multicall');
+
+const ERC20_ABI = [
+    'function decimals() view returns (uint8)',
+    'function balanceOf(address owner) view returns (uint256)'
+];
+
+const TOKEN = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const OWNER = '0x000000000000000000000000000000000000dEaD';
+
+function createMockProvider({ code = '0x6001', revertBalance = false } = {}) {
+    const multicallIface = new ethers.Interface(MULTICALL3_ABI);
+    const tokenIface = new ethers.Interface(ERC20_ABI);
+
+    return {
+        calls: [],
+        getCode: async () => code,
+        getBlockNumber: async () => 1234,
+        call: async function(tx) {
+            this.calls.push(tx);
+            const [calls] = multicallIface.decodeFunctionData('aggregate3', tx.data);
+            const results = calls.map(([, , callData]) => {
+                const fragment = tokenIface.parseTransaction({ data: callData });
+                if (fragment.name === 'decimals') {
+                    return [true, tokenIface.encodeFunctionResult('decimals', [6])];
+                }
+                if (revertBalance) {
+                    return [false, '0x'];
+                }
+                return [true, tokenIface.encodeFunctionResult('balanceOf', [1000000n])];
+            });
+            return multicallIface.encodeFunctionResult('aggregate3', [results]);
+        }
+    };
+}
+
+describe('SmartContractUtils.batchCalls', () => {
+    let utils;
+    let provider;
+
+    beforeEach(() => {
+        utils = new SmartContractUtils({ multicallChunkSize: 2 });
+        utils.registerContract('usdc', ERC20_ABI, TOKEN);
+        provider = createMockProvider();
+        utils.provider = provider;
+        utils.multicall = new Multicall(provider);
+    });
+
+    it('should aggregate calls and decode results with the registered ABI', async () => {
+        const results = await utils.batchCalls([
+            { contract: 'usdc', method: 'decimals', params: [] },
+            { contract: 'usdc', method: 'balanceOf', params: [OWNER] }
+        ]);
+
+        expect(provider.calls).toHaveLength(1);
+        expect(results[0]).toMatchObject({ success: true, result: 6n });
+        expect(results[1]).toMatchObject({ success: true, result: 1000000n });
+        expect(results[1].call.method).toBe('balanceOf');
+    });
+
+    it('should split calls into chunks pinned to one block', async () => {
+        const calls = Array.from({ length: 5 }, () => ({ contract: 'usdc', method: 'decimals', params: [] }));
+        const results = await utils.batchCalls(calls);
+
+        expect(provider.calls).toHaveLength(3);
+        expect(provider.calls.every(tx => tx.blockTag === 1234)).toBe(true);
+        expect(results).toHaveLength(5);
+    });
+
+    it('should report failed calls without failing the batch', async () => {
+        provider = createMockProvider({ revertBalance: true });
+        utils.provider = provider;
+        utils.multicall = new Multicall(provider);
+
+        const results = await utils.batchCalls([
+            { contract: 'usdc', method: 'decimals', params: [] },
+            { contract: 'usdc', method: 'balanceOf', params: [OWNER] },
+            { contract: 'unknown', method: 'decimals', params: [] }
+        ]);
+
+        expect(results[0].success).toBe(true);
+        expect(results[1]).toMatchObject({ success: false, error: 'Call reverted' });
+        expect(results[2].success).toBe(false);
+        expect(results[2].error).toContain("Contract 'unknown' not registered");
+    });
+
+    it('should fall back to individual calls when Multicall3 is not deployed', async () => {
+        provider = createMockProvider({ code: '0x' });
+        utils.provider = provider;
+        utils.multicall = new Multicall(provider);
+        utils.call = jest.fn().mockResolvedValue(18n);
+
+        const results = await utils.batchCalls([{ contract: 'usdc', method: 'decimals', params: [] }]);
+
+        expect(utils.call).toHaveBeenCalledWith('usdc', 'decimals', []);
+        expect(results[0]).toMatchObject({ success: true, result: 18n });
+        expect(provider.calls).toHaveLength(0);
+    });
+});
@@ -0,0 +1,89 @@
+/**
+ * Test Suite for network profiles
+ */
+
+const SmartContractUtils = require('../SmartContractUtils');
+const BaseYieldCalculator = require('../yield-calculator');
+const { PermitBuilder } = require('../src/contracts/permits');
+const { SafeTransactionBuilder } = require('../src/contracts/safe');
+const { ethers } = require('ethers');
+const { getNetwork, networkConfig, verifyChainId } = require('../src/base/networks');
+
+const SAFE = '0x000000000000000000000000000000000000c0DE';
+
+describe('Network profiles', () => {
+    it('should resolve profiles by name, alias and chain id', () => {
+        expect(getNetwork('base')).toMatchObject({ chainId: 8453, rpcUrls: ['https://mainnet.base.org'] });
+        expect(getNetwork('sepolia').name).toBe('base-sepolia');
+        expect(getNetwork(84532).addresses.usdc).toBe('0x036CbD53842c5426634e7929541eC2318f3dCF7e');
+        expect(getNetwork('hardhat').chainId).toBe(31337);
+        expect(() => getNetwork('optimism')).toThrow('Unknown network: optimism');
+        expect(() => getNetwork(10)).toThrow('No network profile for chain 10');
+    });
+
+    it('should extend a known profile with custom endpoints and addresses', () => {
+        const profile = getNetwork({
+            name: 'base',
+            rpcUrls: ['https://rpc.example'],
+            addresses: { vault: '0x000000000000000000000000000000000000beef' },
+            fees: { maxFeePerGas: '5000000000' }
+        });
+
+        expect(profile.chainId).toBe(8453);
+        expect(profile.addresses.usdc).toBe('0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913');
+        expect(profile.addresses.vault).toBe('0x000000000000000000000000000000000000bEEF');
+        expect(profile.fees).toEqual({ maxFeePerGas: 5000000000n, maxPriorityFeePerGas: 1000000000n });
+        expect(() => getNetwork({ name: 'devnet', chainId: 1337 })).toThrow('at least one RPC URL');
+    });
+
+    it('should configure SmartContractUtils and its modules from one profile', () => {
+        const utils = new SmartContractUtils({ network: 'base-sepolia' });
+
+        expect(utils.config).toMatchObject({ chainId: 84532, network: 'base-sepolia', rpcUrl: 'https://sepolia.base.org' });
+        expect(utils.permits.config.chainId).toBe(84532);
+        expect(utils.userOperations.config.chainId).toBe(84532);
+        expect(utils.feeEstimator.config.chainId).toBe(84532);
+        expect(utils.providerPool.config.chainId).toBe(84532);
+        expect(utils.getSafe(SAFE).config.chainId).toBe(84532);
+        expect(new SmartContractUtils({ chainId: 31337 }).config.network).toBe('anvil');
+        expect(() => new SmartContractUtils({ network: 'base', chainId: 84532 })).toThrow('does not match network base');
+    });
+
+    it('should let standalone modules take the same profile', () => {
+        expect(new PermitBuilder(null, { network: 'base-sepolia' }).config.chainId).toBe(84532);
+        expect(new SafeTransactionBuilder(null, SAFE, { network: 'anvil' }).config.chainId).toBe(31337);
+        expect(new BaseYieldCalculator({ network: 'base-sepolia' }).baseRpcUrl).toBe('https://sepolia.base.org');
+        expect(networkConfig(undefined)).toEqual({});
+    });
+
+    it('should reject a provider on a different chain', async () => {
+        const provider = { getNetwork: jest.fn().mockResolvedValue({ chainId: 8453n }) };
+
+        await expect(verifyChainId(provider, 'base')).resolves.toMatchObject({ name: 'base' });
+        await expect(verifyChainId(provider, 'base-sepolia')).rejects.toThrow('Provider is on chain 8453, but network base-sepolia expects 84532');
+
+        const utils = new SmartContractUtils({ network: 'anvil' });
+        utils.provider = provider;
+        await expect(utils.verifyNetwork()).rejects.toThrow('expects 31337');
+    });
+
+    it('should ask every pooled endpoint for its chain id', async () => {
+        const endpoint = (url, chainId) => {
+            const provider = new ethers.JsonRpcProvider(url, 8453, { staticNetwork: true });
+            provider.send = jest.fn(async (method) => (method === 'eth_chainId' ? ethers.toQuantity(chainId) : null));
+            return { url, provider };
+        };
+        const config = (chainIds) => ({
+            rpcUrls: chainIds.map((chainId, index) => endpoint(`http://rpc-${index}`, chainId)),
+            providerPool: { healthCheckInterval: 0 }
+        });
+
+        const utils = await SmartContractUtils.connect(config([8453, 8453]));
+        utils.providerPool.endpoints.forEach(({ provider }) => expect(provider.send).toHaveBeenCalledWith('eth_chainId', []));
+        utils.providerPool.destroy();
+
+        // The pool's own provider would report 8453 for both
+        await expect(SmartContractUtils.connect(config([8453, 84532])))
+            .rejects.toThrow('http://rpc-1 is on chain 84532, but network base expects 8453');
+    });
+});
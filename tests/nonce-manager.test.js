@@ -0,0 +1,75 @@
+/**
+ * Test Suite for the per-signer Nonce Manager
+ */
+
+const NonceManager = require('../src/contracts/nonce-manager');
+const SmartContractUtils = require('../SmartContractUtils');
+
+const SIGNER = '0x000000000000000000000000000000000000dEaD';
+
+describe('NonceManager', () => {
+    let provider;
+    let manager;
+
+    beforeEach(() => {
+        provider = { getTransactionCount: jest.fn().mockResolvedValue(7) };
+        manager = new NonceManager(provider);
+    });
+
+    it('should hand out sequential nonces to concurrent senders', async () => {
+        const send = async (nonce) => ({ hash: `0x${nonce}`, nonce });
+        const txs = await Promise.all([
+            manager.enqueue(SIGNER, send),
+            manager.enqueue(SIGNER, send),
+            manager.enqueue(SIGNER, send)
+        ]);
+
+        expect(txs.map(tx => tx.nonce)).toEqual([7, 8, 9]);
+        expect(provider.getTransactionCount).toHaveBeenCalledTimes(1);
+        expect(provider.getTransactionCount).toHaveBeenCalledWith(SIGNER, 'pending');
+    });
+
+    it('should resync from the pending count after a failed broadcast', async () => {
+        await manager.enqueue(SIGNER, async (nonce) => ({ hash: '0x1', nonce }));
+        provider.getTransactionCount.mockResolvedValue(12);
+
+        await expect(manager.enqueue(SIGNER, async () => {
+            throw new Error('nonce too low');
+        })).rejects.toThrow('nonce too low');
+
+        const tx = await manager.enqueue(SIGNER, async (nonce) => ({ hash: '0x2', nonce }));
+        expect(tx.nonce).toBe(12);
+    });
+
+    it('should expose queue state and clear confirmed nonces', async () => {
+        await manager.enqueue(SIGNER, async (nonce) => ({ hash: '0xabc', nonce }));
+
+        let state = manager.getQueueState(SIGNER);
+        expect(state).toMatchObject({ nextNonce: 8, queued: 0, resyncCount: 1 });
+        expect(state.inFlight).toEqual([{ nonce: 7, hash: '0xabc' }]);
+
+        manager.confirm(SIGNER, 7);
+        state = manager.getQueueState(SIGNER);
+        expect(state.inFlight).toEqual([]);
+        expect(manager.getQueueState()).toHaveLength(1);
+    });
+
+    it('should release the nonce of a mined but reverted transaction', async () => {
+        const utils = new SmartContractUtils();
+        utils.providerPool.destroy();
+        utils.nonceManager = manager;
+        const reverted = Object.assign(new Error('transaction execution reverted'), { receipt: { status: 0 } });
+        const dropped = new Error('timeout');
+
+        await manager.enqueue(SIGNER, async (nonce) => ({ hash: '0x1', nonce }));
+        await manager.enqueue(SIGNER, async (nonce) => ({ hash: '0x2', nonce }));
+
+        await expect(utils.waitForReceipt({ from: SIGNER, nonce: 7, wait: async () => { throw reverted; } }))
+            .rejects.toBe(reverted);
+        // No receipt: the nonce may still mine, so it stays in flight
+        await expect(utils.waitForReceipt({ from: SIGNER, nonce: 8, wait: async () => { throw dropped; } }))
+            .rejects.toBe(dropped);
+
+        expect(manager.getQueueState(SIGNER).inFlight).toEqual([{ nonce: 8, hash: '0x2' }]);
+    });
+});
@@ -0,0 +1,87 @@
+/**
+ * Test Suite for EIP-712 permit builders
+ */
+
+const { ethers } = require('ethers');
+const SmartContractUtils = require('../SmartContractUtils');
+const { PermitBuilder, PERMIT_TOKEN_ABI, PERMIT2_ABI, PERMIT2_ADDRESS } = require('../src/contracts/permits');
+
+const TOKEN = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const ROUTER = '0x000000000000000000000000000000000000bEEF';
+
+describe('Permits', () => {
+    const wallet = new ethers.Wallet('0x' + '11'.repeat(32));
+    const tokenInterface = new ethers.Interface(PERMIT_TOKEN_ABI);
+    const permit2Interface = new ethers.Interface(PERMIT2_ABI);
+    const usdcDomain = { name: 'USD Coin', version: '2', chainId: 8453, verifyingContract: TOKEN };
+
+    // USDC-style token: no version() or eip712Domain(), domain version '2'
+    const provider = {
+        call: jest.fn(async (tx) => {
+            const selector = tx.data.slice(0, 10);
+            if (tx.to.toLowerCase() === PERMIT2_ADDRESS.toLowerCase()) {
+                if (selector === permit2Interface.getFunction('allowance').selector) {
+                    return permit2Interface.encodeFunctionResult('allowance', [0n, 0n, 4n]);
+                }
+                // Bits 0 and 1 of word 0 are used
+                return permit2Interface.encodeFunctionResult('nonceBitmap', [3n]);
+            }
+            if (selector === tokenInterface.getFunction('name').selector) {
+                return tokenInterface.encodeFunctionResult('name', ['USD Coin']);
+            }
+            if (selector === tokenInterface.getFunction('nonces').selector) {
+                return tokenInterface.encodeFunctionResult('nonces', [7n]);
+            }
+            if (selector === tokenInterface.getFunction('DOMAIN_SEPARATOR').selector) {
+                return ethers.TypedDataEncoder.hashDomain(usdcDomain);
+            }
+            throw Object.assign(new Error('execution reverted'), { data: '0x' });
+        }),
+        getCode: jest.fn().mockResolvedValue('0x')
+    };
+
+    it('should build an EIP-2612 permit from the token nonce and domain separator', async () => {
+        const builder = new PermitBuilder(provider);
+        const payload = await builder.buildPermit({ token: TOKEN, owner: wallet.address, spender: ROUTER, value: 1000n, deadline: 100 });
+
+        expect(payload.domain).toEqual(usdcDomain);
+        expect(payload.message).toEqual({ owner: wallet.address, spender: ROUTER, value: 1000n, nonce: 7n, deadline: 100n });
+
+        const signed = await builder.sign(wallet, payload);
+        expect(await builder.verify(payload, signed.signature, wallet.address)).toEqual({ valid: true, signer: wallet.address, method: 'ecdsa' });
+        expect((await builder.verify(payload, signed.signature, ROUTER)).valid).toBe(false);
+    });
+
+    it('should build Permit2 allowance and signature-transfer permits', async () => {
+        const builder = new PermitBuilder(provider);
+        const single = await builder.buildPermit2Single({ token: TOKEN, owner: wallet.address, spender: ROUTER, amount: 5n, expiration: 10, sigDeadline: 20 });
+        const transfer = await builder.buildPermit2Transfer({
+            permitted: [{ token: TOKEN, amount: 5n }],
+            owner: wallet.address,
+            spender: ROUTER,
+            deadline: 20
+        });
+
+        expect(single.domain).toEqual({ name: 'Permit2', chainId: 8453, verifyingContract: PERMIT2_ADDRESS });
+        expect(single.message.details).toEqual({ token: TOKEN, amount: 5n, expiration: 10n, nonce: 4n });
+        expect(transfer.primaryType).toBe('PermitBatchTransferFrom');
+        expect(transfer.message.nonce).toBe(2n);
+
+        const signed = await builder.sign(wallet, single);
+        expect(ethers.verifyTypedData(single.domain, single.types, single.message, signed.signature)).toBe(wallet.address);
+    });
+
+    it('should append a signed permit to executeTransaction params', async () => {
+        const utils = new SmartContractUtils();
+        utils.permits = new PermitBuilder(provider);
+        utils.registerContract('router', ['function swapWithPermit(uint256 amountIn, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)'], ROUTER);
+
+        const { params, signedPermit } = await utils.attachPermit('router', [1000n], wallet, { token: TOKEN, value: 1000n, deadline: 100 });
+
+        expect(signedPermit.message.spender).toBe(ROUTER);
+        expect(params).toEqual([1000n, 1000n, 100n, signedPermit.v, signedPermit.r, signedPermit.s]);
+
+        const custom = await utils.attachPermit('router', (permit) => [permit.signature], wallet, signedPermit);
+        expect(custom.params).toEqual([signedPermit.signature]);
+    });
+});
@@ -0,0 +1,169 @@
+/**
+ * Test Suite for the RPC Provider Pool
+ */
+
+const { ethers } = require('ethers');
+const ProviderPool = require('../src/contracts/provider-pool');
+const SmartContractUtils = require('../SmartContractUtils');
+
+const ACCOUNT = '0x000000000000000000000000000000000000dEaD';
+
+const TOKEN = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const TOKEN_ABI = ['function balanceOf(address) view returns (uint256)'];
+const tokenInterface = new ethers.Interface(TOKEN_ABI);
+
+/**
+ * In-memory endpoint: answers getBlockNumber, getBalance and balanceOf calls, or fails everything when down
+ */
+class StubProvider extends ethers.AbstractProvider {
+    constructor({ blockNumber = 100, balance = 1n, down = false } = {}) {
+        // No request cache, so back-to-back health checks see the new head
+        super(ethers.Network.from(8453), { cacheTimeout: -1 });
+        this.blockNumber = blockNumber;
+        this.balance = balance;
+        this.down = down;
+        this.requests = [];
+    }
+
+    async _detectNetwork() {
+        return ethers.Network.from(8453);
+    }
+
+    async _perform(req) {
+        this.requests.push(req.method);
+        if (this.down) throw new Error('connection refused');
+        if (req.method === 'getBlockNumber') return this.blockNumber;
+        if (req.method === 'getBalance') return this.balance;
+        if (req.method === 'call') return tokenInterface.encodeFunctionResult('balanceOf', [this.balance]);
+        throw new Error(`unsupported ${req.method}`);
+    }
+}
+
+describe('ProviderPool', () => {
+    const pools = [];
+    const createPool = (stubs, config = {}) => {
+        const pool = new ProviderPool(
+            stubs.map((provider, index) => ({ url: `http://rpc-${index}`, provider, stallTimeout: 50 })),
+            { healthCheckInterval: 0, ...config }
+        );
+        pools.push(pool);
+        return pool;
+    };
+
+    afterEach(() => {
+        pools.splice(0).forEach(pool => pool.destroy());
+    });
+
+    it('should fail over to the next endpoint when the primary is down', async () => {
+        const primary = new StubProvider({ down: true, balance: 1n });
+        const backup = new StubProvider({ balance: 2n });
+        const pool = createPool([primary, backup]);
+
+        expect(await pool.provider.getBalance(ACCOUNT)).toBe(2n);
+        expect(backup.requests).toContain('getBalance');
+        expect(primary.requests).not.toContain('getBalance');
+    });
+
+    it('should demote endpoints that fail health checks and restore them on recovery', async () => {
+        // The primary answers but lags far behind the chain head
+        const primary = new StubProvider({ blockNumber: 80, balance: 1n });
+        const backup = new StubProvider({ blockNumber: 100, balance: 2n });
+        const pool = createPool([primary, backup]);
+
+        // Distinct block tags keep the provider's short request cache out of the way
+        expect(await pool.provider.getBalance(ACCOUNT, 1)).toBe(1n);
+
+        await pool.checkHealth();
+        expect(pool.getHealth().map(health => health.healthy)).toEqual([false, true]);
+        expect(await pool.provider.getBalance(ACCOUNT, 2)).toBe(2n);
+
+        primary.blockNumber = 100;
+        await pool.checkHealth();
+        expect(await pool.provider.getBalance(ACCOUNT, 3)).toBe(1n);
+    });
+
+    it('should report latency, lag and failures from getHealth()', async () => {
+        const pool = createPool([
+            new StubProvider({ blockNumber: 100 }),
+            new StubProvider({ blockNumber: 98 }),
+            new StubProvider({ down: true })
+        ], { maxBlockLag: 5 });
+
+        const health = await pool.checkHealth();
+
+        expect(health).toHaveLength(3);
+        expect(health[0]).toMatchObject({ url: 'http://rpc-0', priority: 1, healthy: true, blockNumber: 100, blockLag: 0, consecutiveFailures: 0 });
+        expect(health[1]).toMatchObject({ priority: 2, healthy: true, blockLag: 2 });
+        expect(health[2]).toMatchObject({ healthy: false, consecutiveFailures: 1, lastError: 'connection refused' });
+        expect(typeof health[0].latencyMs).toBe('number');
+        expect(health[0].lastCheckedAt).toEqual(expect.any(String));
+    });
+
+    it('should resolve quorum reads only when enough endpoints agree', async () => {
+        const agreeing = createPool([
+            new StubProvider({ balance: 5n }),
+            new StubProvider({ balance: 5n }),
+            new StubProvider({ balance: 9n })
+        ]);
+        expect(await agreeing.quorumRead(provider => provider.getBalance(ACCOUNT))).toBe(5n);
+
+        const split = createPool([
+            new StubProvider({ balance: 5n }),
+            new StubProvider({ balance: 6n }),
+            new StubProvider({ balance: 7n })
+        ]);
+        await expect(split.quorumRead(provider => provider.getBalance(ACCOUNT)))
+            .rejects.toThrow('Quorum of 2 not reached');
+        expect(() => split.getQuorumProvider(4)).toThrow('exceeds total provider weight of 3');
+    });
+
+    it('should start health checks automatically for multi-endpoint pools', () => {
+        const single = new ProviderPool([{ url: 'http://rpc', provider: new StubProvider() }]);
+        const multi = new ProviderPool([
+            { url: 'http://rpc-0', provider: new StubProvider() },
+            { url: 'http://rpc-1', provider: new StubProvider() }
+        ]);
+        pools.push(single, multi);
+
+        expect(single.healthTimer).toBeNull();
+        expect(multi.healthTimer).not.toBeNull();
+        multi.destroy();
+        expect(multi.healthTimer).toBeNull();
+    });
+});
+
+describe('SmartContractUtils quorum reads', () => {
+    let utils;
+
+    const createUtils = (stubs, config = {}) => {
+        utils = new SmartContractUtils({
+            rpcUrls: stubs.map((provider, index) => ({ url: `http://rpc-${index}`, provider })),
+            providerPool: { healthCheckInterval: 0 },
+            ...config
+        });
+        utils.registerContract('USDC', TOKEN_ABI, TOKEN);
+        return utils;
+    };
+
+    afterEach(() => {
+        utils.providerPool.destroy();
+    });
+
+    it('should keep the default quorum of 2 when none is configured', async () => {
+        createUtils([new StubProvider({ balance: 5n }), new StubProvider({ balance: 6n })]);
+
+        expect(utils.providerPool.config.quorum).toBe(2);
+        await expect(utils.quorumCall('USDC', 'balanceOf', [ACCOUNT]))
+            .rejects.toThrow('Quorum call failed: Quorum of 2 not reached');
+    });
+
+    it('should resolve once both endpoints agree', async () => {
+        createUtils([new StubProvider({ balance: 5n }), new StubProvider({ balance: 5n })]);
+        expect(await utils.quorumCall('USDC', 'balanceOf', [ACCOUNT])).toBe(5n);
+    });
+
+    it('should honour a configured quorum', () => {
+        createUtils([new StubProvider(), new StubProvider(), new StubProvider()], { quorum: 3 });
+        expect(utils.providerPool.config.quorum).toBe(3);
+    });
+});
@@ -0,0 +1,209 @@
+/**
+ * Test Suite for proxy detection, ABI merging and upgrade tracking
+ */
+
+const { ethers } = require('ethers');
+const SmartContractUtils = require('../SmartContractUtils');
+const { ProxyResolver, pushesSelector, PROXY_SLOTS, PROXY_ABI } = require('../src/contracts/proxy-resolver');
+
+const PROXY = ethers.getAddress('0x' + '11'.repeat(20));
+const IMPLEMENTATION = ethers.getAddress('0x' + '22'.repeat(20));
+const NEXT_IMPLEMENTATION = ethers.getAddress('0x' + '23'.repeat(20));
+const BEACON = ethers.getAddress('0x' + '33'.repeat(20));
+const ADMIN = ethers.getAddress('0x' + '44'.repeat(20));
+
+// GnosisSafeProxy 1.3.0 runtime code (metadata trimmed)
+const SAFE_PROXY_CODE = '0x608060405273ffffffffffffffffffffffffffffffffffffffff600054167fa619486e0000000000000000000000000000000000000000000000000000000060003514156050578060005260206000f35b3660008037600080366000845af43d6000803e60008114156070573d6000fd5b3d6000f3fe';
+
+const proxyInterface = new ethers.Interface(PROXY_ABI);
+const word = (address) => ethers.zeroPadValue(address, 32);
+
+/**
+ * Chain stub: code and storage per address, plus getter results keyed by address and method
+ */
+function createProvider({ code = {}, storage = {}, getters = {}, logs = [] } = {}) {
+    const provider = {
+        code,
+        storage,
+        getCode: jest.fn(async (address) => code[ethers.getAddress(address)] || '0x'),
+        getStorage: jest.fn(async (address, slot) => (storage[ethers.getAddress(address)] || {})[slot] || ethers.ZeroHash),
+        call: jest.fn(async (tx) => {
+            const method = proxyInterface.parseTransaction({ data: tx.data }).name;
+            const value = (getters[ethers.getAddress(tx.to)] || {})[method];
+            if (value === undefined) throw new Error('execution reverted');
+            return proxyInterface.encodeFunctionResult(method, [value]);
+        }),
+        getBlockNumber: jest.fn(async () => 300),
+        getBlock: jest.fn(async (number) => ({ number, hash: ethers.id(`block-${number}`), timestamp: 1700000000 + number })),
+        getLogs: jest.fn(async (filter) => logs.filter(log =>
+            log.blockNumber >= filter.fromBlock && log.blockNumber <= filter.toBlock &&
+            log.topics[0] === filter.topics[0]))
+    };
+    // Contracts built on the stub use it as their runner's provider
+    provider.provider = provider;
+    return provider;
+}
+
+function eip1967Storage(implementation, extra = {}) {
+    return { [PROXY]: { [PROXY_SLOTS.implementation]: word(implementation), [PROXY_SLOTS.admin]: word(ADMIN), ...extra } };
+}
+
+describe('ProxyResolver', () => {
+    it('should resolve EIP-1967 implementation and admin slots', async () => {
+        const provider = createProvider({ code: { [PROXY]: '0x6080' }, storage: eip1967Storage(IMPLEMENTATION) });
+
+        expect(await new ProxyResolver(provider).resolve(PROXY)).toEqual({
+            address: PROXY,
+            isProxy: true,
+            type: 'eip1967',
+            implementation: IMPLEMENTATION,
+            beacon: null,
+            admin: ADMIN
+        });
+    });
+
+    it('should recognise UUPS implementations by proxiableUUID', async () => {
+        const provider = createProvider({
+            code: { [PROXY]: '0x6080' },
+            storage: eip1967Storage(IMPLEMENTATION),
+            getters: { [IMPLEMENTATION]: { proxiableUUID: PROXY_SLOTS.implementation } }
+        });
+
+        expect(await new ProxyResolver(provider).resolve(PROXY)).toMatchObject({ type: 'uups', implementation: IMPLEMENTATION });
+    });
+
+    it('should follow beacon proxies to the beacon implementation', async () => {
+        const provider = createProvider({
+            code: { [PROXY]: '0x6080' },
+            storage: { [PROXY]: { [PROXY_SLOTS.beacon]: word(BEACON) } },
+            getters: { [BEACON]: { implementation: IMPLEMENTATION } }
+        });
+
+        expect(await new ProxyResolver(provider).resolve(PROXY)).toMatchObject({
+            isProxy: true,
+            type: 'eip1967-beacon',
+            implementation: IMPLEMENTATION,
+            beacon: BEACON
+        });
+    });
+
+    it('should read the target of EIP-1167 minimal proxies from bytecode', async () => {
+        const clone = `0x363d3d373d3d3d363d73${IMPLEMENTATION.slice(2).toLowerCase()}5af43d82803e903d91602b57fd5bf3`;
+        const provider = createProvider({ code: { [PROXY]: clone } });
+
+        expect(await new ProxyResolver(provider).resolve(PROXY)).toMatchObject({ isProxy: true, type: 'eip1167', implementation: IMPLEMENTATION });
+        expect(provider.getStorage).not.toHaveBeenCalled();
+    });
+
+    it('should detect Safe proxies and confirm the singleton through masterCopy()', async () => {
+        const storage = { [PROXY]: { '0x0': word(IMPLEMENTATION) } };
+        const safe = createProvider({ code: { [PROXY]: SAFE_PROXY_CODE }, storage, getters: { [PROXY]: { masterCopy: IMPLEMENTATION } } });
+        expect(await new ProxyResolver(safe).resolve(PROXY)).toMatchObject({ isProxy: true, type: 'safe', implementation: IMPLEMENTATION });
+
+        // Slot 0 holding an address is not enough without a matching masterCopy()
+        const mismatch = createProvider({ code: { [PROXY]: SAFE_PROXY_CODE }, storage, getters: { [PROXY]: { masterCopy: ADMIN } } });
+        expect(await new ProxyResolver(mismatch).resolve(PROXY)).toMatchObject({ isProxy: false, type: null });
+    });
+
+    it('should only match the Safe selector as a pushed operand', async () => {
+        expect(pushesSelector(SAFE_PROXY_CODE, 'a619486e')).toBe(true);
+        expect(pushesSelector('0x63a619486e14', 'a619486e')).toBe(true);
+        // Odd nibble offset, and selector bytes inside a longer PUSH operand
+        expect(pushesSelector('0x630a619486e0', 'a619486e')).toBe(false);
+        expect(pushesSelector('0x6500a619486e00', 'a619486e')).toBe(false);
+
+        const decoy = '0x630a619486e0';
+        const provider = createProvider({
+            code: { [PROXY]: decoy },
+            storage: { [PROXY]: { '0x0': word(IMPLEMENTATION) } }
+        });
+        expect(await new ProxyResolver(provider).resolve(PROXY)).toMatchObject({ isProxy: false });
+        expect(provider.call).not.toHaveBeenCalled();
+    });
+
+    it('should report plain contracts and empty accounts as non-proxies', async () => {
+        const provider = createProvider({ code: { [PROXY]: '0x6080' } });
+        const resolver = new ProxyResolver(provider);
+
+        expect(await resolver.resolve(PROXY)).toMatchObject({ isProxy: false, implementation: null });
+        expect(await resolver.resolve(ADMIN)).toMatchObject({ isProxy: false });
+    });
+});
+
+describe('SmartContractUtils proxy support', () => {
+    const proxyAbi = ['function upgradeTo(address)', 'function owner() view returns (address)'];
+    const implementationAbi = ['function owner() view returns (address)', 'function deposit(uint256)'];
+    let utils;
+    let provider;
+
+    beforeEach(() => {
+        provider = createProvider({ code: { [PROXY]: '0x6080' }, storage: eip1967Storage(IMPLEMENTATION) });
+        utils = new SmartContractUtils();
+        utils.provider = provider;
+        utils.proxyResolver.provider = provider;
+        utils.eventIndexer.provider = provider;
+    });
+
+    afterEach(() => {
+        utils.providerPool.destroy();
+    });
+
+    it('should merge the implementation ABI into a registered proxy', async () => {
+        utils.registerContract('VaultImpl', implementationAbi, IMPLEMENTATION);
+        const contract = await utils.registerProxyContract('Vault', proxyAbi, PROXY);
+
+        const names = contract.interface.fragments.filter(fragment => fragment.type === 'function').map(fragment => fragment.name);
+        expect(names.sort()).toEqual(['deposit', 'owner', 'upgradeTo']);
+        expect(utils.proxies.get('Vault')).toMatchObject({ type: 'eip1967', implementation: IMPLEMENTATION });
+
+        const direct = utils.registerContract('Direct', proxyAbi, PROXY, { implementationAbi });
+        expect(direct.interface.getFunction('deposit')).not.toBeNull();
+    });
+
+    it('should fall back to the abiResolver for unknown implementations', async () => {
+        utils.config.abiResolver = jest.fn(async () => implementationAbi);
+        const contract = await utils.registerProxyContract('Vault', proxyAbi, PROXY);
+
+        expect(utils.config.abiResolver).toHaveBeenCalledWith(IMPLEMENTATION);
+        expect(contract.interface.getFunction('deposit')).not.toBeNull();
+    });
+
+    it('should detect upgrades and admin changes', async () => {
+        await utils.registerProxyContract('Vault', proxyAbi, PROXY, { implementationAbi });
+        expect((await utils.checkProxyUpgrade('Vault')).upgraded).toBe(false);
+
+        provider.storage[PROXY][PROXY_SLOTS.implementation] = word(NEXT_IMPLEMENTATION);
+        const check = await utils.checkProxyUpgrade('Vault');
+
+        expect(check).toMatchObject({ upgraded: true, adminChanged: false });
+        expect(check.previous.implementation).toBe(IMPLEMENTATION);
+        expect(check.current.implementation).toBe(NEXT_IMPLEMENTATION);
+    });
+
+    it('should list Upgraded and AdminChanged events in block order', async () => {
+        const upgraded = proxyInterface.getEvent('Upgraded');
+        const adminChanged = proxyInterface.getEvent('AdminChanged');
+        const log = (fragment, topics, data, blockNumber) => ({
+            address: PROXY,
+            topics: [fragment.topicHash, ...topics],
+            data,
+            blockNumber,
+            blockHash: ethers.id(`block-${blockNumber}`),
+            transactionHash: ethers.id(`tx-${blockNumber}`),
+            index: 0,
+            transactionIndex: 0,
+            removed: false
+        });
+        provider.getLogs.mockImplementation(async (filter) => [
+            log(upgraded, [word(NEXT_IMPLEMENTATION)], '0x', 250),
+            log(adminChanged, [], ethers.AbiCoder.defaultAbiCoder().encode(['address', 'address'], [ADMIN, BEACON]), 120)
+        ].filter(entry => entry.topics[0] === filter.topics[0]));
+        utils.registerContract('Vault', proxyAbi, PROXY);
+
+        const events = await utils.getProxyUpgrades('Vault', { fromBlock: 0 });
+
+        expect(events.map(event => [event.event, event.blockNumber])).toEqual([['AdminChanged', 120], ['Upgraded', 250]]);
+        expect(events[0].args).toEqual({ previousAdmin: ADMIN, newAdmin: BEACON });
+        expect(events[1].args).toEqual({ implementation: NEXT_IMPLEMENTATION });
+    });
+});
@@ -0,0 +1,76 @@
+/**
+ * Test Suite for revert data decoding
+ */
+
+const { ethers } = require('ethers');
+const SmartContractUtils = require('../SmartContractUtils');
+const { decodeRevertData, extractRevertData } = require('../src/contracts/revert-decoder');
+
+const ROUTER_ABI = [
+    'error InsufficientOutputAmount(uint256 amountOut, uint256 amountOutMin)',
+    'function swap(uint256 amountIn) returns (uint256)'
+];
+
+describe('Revert decoding', () => {
+    let utils;
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+
+    beforeEach(() => {
+        utils = new SmartContractUtils();
+        utils.registerContract('router', ROUTER_ABI, '0x0000000000000000000000000000000000000001');
+    });
+
+    it('should decode Error(string) reasons', () => {
+        const data = '0x08c379a0' + coder.encode(['string'], ['STF']).slice(2);
+        expect(utils.decodeRevert(data)).toMatchObject({
+            kind: 'error',
+            name: 'Error',
+            args: { reason: 'STF' },
+            contract: null,
+            message: 'STF'
+        });
+    });
+
+    it('should map Panic(uint256) codes to readable causes', () => {
+        const data = '0x4e487b71' + coder.encode(['uint256'], [0x11]).slice(2);
+        const revert = utils.decodeRevert(data);
+
+        expect(revert).toMatchObject({ kind: 'panic', name: 'Panic', args: { code: 17n } });
+        expect(revert.message).toBe('Arithmetic overflow or underflow');
+    });
+
+    it('should decode custom errors with named args against registered ABIs', () => {
+        const iface = new ethers.Interface(ROUTER_ABI);
+        const data = iface.encodeErrorResult('InsufficientOutputAmount', [90n, 100n]);
+        const revert = utils.decodeRevert(data);
+
+        expect(revert).toMatchObject({
+            kind: 'custom',
+            name: 'InsufficientOutputAmount',
+            args: { amountOut: 90n, amountOutMin: 100n },
+            contract: 'router'
+        });
+        expect(revert.message).toBe('InsufficientOutputAmount(amountOut: 90, amountOutMin: 100)');
+    });
+
+    it('should report unknown selectors and empty reverts', () => {
+        expect(utils.decodeRevert('0xdeadbeef')).toMatchObject({ kind: 'unknown', selector: '0xdeadbeef' });
+        expect(utils.decodeRevert('0x')).toMatchObject({ kind: 'empty' });
+    });
+
+    it('should report revert data shorter than a selector as unknown', () => {
+        expect(decodeRevertData('0x12')).toEqual({
+            kind: 'unknown', name: null, args: {}, contract: null, selector: null, message: 'Unknown error data 0x12'
+        });
+
+        const error = utils.createRevertError('Transaction simulation failed', { message: 'execution reverted', data: '0x123456' });
+        expect(error.message).toBe('Transaction simulation failed: Unknown error data 0x123456');
+        expect(error.revert).toMatchObject({ kind: 'unknown', selector: null });
+    });
+
+    it('should find revert data nested in provider errors', () => {
+        expect(extractRevertData({ info: { error: { data: '0x1234' } } })).toBe('0x1234');
+        expect(extractRevertData({ error: { data: { data: '0xabcd' } } })).toBe('0xabcd');
+        expect(extractRevertData(new Error('timeout'))).toBeNull();
+    });
+});
@@ -0,0 +1,138 @@
+/**
+ * Test Suite for Safe multisig transactions
+ */
+
+const { ethers } = require('ethers');
+const SmartContractUtils = require('../SmartContractUtils');
+const { SafeTransactionBuilder, SAFE_ABI, OPERATION, MULTI_SEND_CALL_ONLY_ADDRESS } = require('../src/contracts/safe');
+
+const SAFE = '0x000000000000000000000000000000000000c0DE';
+const USDC = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const RECIPIENT = '0x000000000000000000000000000000000000dEaD';
+
+const ERC20_ABI = [
+    'function transfer(address to, uint256 value) returns (bool)',
+    'function approve(address spender, uint256 value) returns (bool)'
+];
+
+describe('Safe transactions', () => {
+    const owners = [1, 2, 3].map(n => new ethers.Wallet('0x' + String(n).repeat(64)));
+    const outsider = new ethers.Wallet('0x' + '9'.repeat(64));
+    const safeInterface = new ethers.Interface(SAFE_ABI);
+
+    // 2-of-3 Safe v1.4.1 at nonce 5
+    const provider = {
+        call: jest.fn(async (tx) => {
+            const { name } = safeInterface.parseTransaction({ data: tx.data });
+            const results = {
+                VERSION: ['1.4.1'],
+                nonce: [5n],
+                getThreshold: [2n],
+                getOwners: [owners.map(owner => owner.address)]
+            };
+            return safeInterface.encodeFunctionResult(name, results[name]);
+        })
+    };
+
+    let utils;
+
+    beforeEach(() => {
+        utils = new SmartContractUtils();
+        utils.provider = provider;
+        utils.registerContract('usdc', ERC20_ABI, USDC);
+    });
+
+    it('should batch several calls through MultiSend and expand them again', async () => {
+        const safeTx = await utils.createSafeTransaction(SAFE, [
+            { contractName: 'usdc', methodName: 'approve', params: [RECIPIENT, 10n] },
+            { to: RECIPIENT, value: 1n }
+        ]);
+
+        expect(safeTx).toMatchObject({ to: MULTI_SEND_CALL_ONLY_ADDRESS, value: 0n, operation: OPERATION.DELEGATE_CALL, nonce: 5n });
+        expect(safeTx.safeTxHash).toBe(utils.getSafe(SAFE).getTransactionHash(safeTx));
+
+        const calls = utils.getSafe(SAFE).getCalls(safeTx);
+        expect(calls).toEqual([
+            { operation: 0, to: USDC, value: 0n, data: new ethers.Interface(ERC20_ABI).encodeFunctionData('approve', [RECIPIENT, 10n]) },
+            { operation: 0, to: RECIPIENT, value: 1n, data: '0x' }
+        ]);
+    });
+
+    it('should collect owner signatures and reject signatures from others', async () => {
+        let safeTx = await utils.createSafeTransaction(SAFE, [{ contractName: 'usdc', methodName: 'transfer', params: [RECIPIENT, 1n] }]);
+        expect(safeTx.to).toBe(USDC);
+
+        safeTx = await utils.signSafeTransaction(SAFE, safeTx, owners[0]);
+        const builder = utils.getSafe(SAFE);
+        const { signature } = await builder.sign(safeTx, owners[1]);
+        safeTx = utils.addSafeSignature(SAFE, safeTx, signature, owners[1].address);
+
+        expect(Object.keys(safeTx.signatures)).toEqual([owners[0].address, owners[1].address]);
+        expect(builder.getDomain()).toEqual({ chainId: 8453, verifyingContract: SAFE });
+
+        // eth_sign signatures carry v + 4
+        const ethSign = ethers.Signature.from(await owners[2].signMessage(ethers.getBytes(safeTx.safeTxHash)));
+        const adjusted = ethers.concat([ethSign.r, ethSign.s, ethers.toBeHex(ethSign.v + 4)]);
+        expect(builder.recoverSigner(safeTx, adjusted)).toBe(owners[2].address);
+
+        expect(() => utils.addSafeSignature(SAFE, safeTx, signature, owners[0].address)).toThrow('not');
+    });
+
+    it('should execute once the threshold is met, counting an executing owner', async () => {
+        let safeTx = await utils.createSafeTransaction(SAFE, [{ to: RECIPIENT, value: 1n }]);
+        safeTx = await utils.signSafeTransaction(SAFE, safeTx, owners[2]);
+        // Signatures from non-owners are ignored
+        safeTx = await utils.signSafeTransaction(SAFE, safeTx, outsider);
+
+        await expect(utils.executeSafeTransaction(SAFE, safeTx, outsider)).rejects.toThrow('1 of 2 required owner signatures');
+
+        const execTransaction = jest.fn(async () => ({
+            hash: '0x' + 'ab'.repeat(32),
+            from: owners[0].address,
+            nonce: 0,
+            wait: async () => ({
+                status: 1,
+                gasUsed: 21000n,
+                effectiveGasPrice: 1n,
+                logs: [{ address: SAFE, ...safeInterface.encodeEventLog('ExecutionSuccess', [safeTx.safeTxHash, 0n]) }]
+            })
+        }));
+        jest.spyOn(utils.getSafe(SAFE).contract, 'connect').mockReturnValue({ execTransaction });
+        utils.sendWithNonce = jest.fn((signer, options, send) => send(options));
+
+        const result = await utils.executeSafeTransaction(SAFE, safeTx, owners[0]);
+
+        expect(result).toMatchObject({ status: 1, success: true, safeTxHash: safeTx.safeTxHash });
+        const signatures = execTransaction.mock.calls[0][9];
+        // Sorted by owner: the executor's pre-validated signature and owner 3's ECDSA signature
+        const expected = SafeTransactionBuilder.combineSignatures({
+            [owners[0].address]: SafeTransactionBuilder.approvedHashSignature(owners[0].address),
+            [owners[2].address]: safeTx.signatures[owners[2].address]
+        });
+        expect(signatures).toBe(expected);
+        expect(ethers.dataLength(signatures)).toBe(130);
+    });
+
+    it('should round-trip Transaction Builder batches and detect tampering', () => {
+        const batch = utils.exportSafeBatch(SAFE, [
+            { contractName: 'usdc', methodName: 'transfer', params: [RECIPIENT, 25n] },
+            { to: RECIPIENT, value: 3n }
+        ], { name: 'Payroll', createdAt: 1700000000000 });
+
+        expect(batch.chainId).toBe('8453');
+        expect(batch.transactions[0].contractInputsValues).toEqual({ to: RECIPIENT, value: '25' });
+
+        const calls = utils.importSafeBatch(SAFE, JSON.stringify(batch));
+        expect(calls[0].data).toBe(new ethers.Interface(ERC20_ABI).encodeFunctionData('transfer', [RECIPIENT, 25n]));
+        expect(calls[1]).toEqual({ to: RECIPIENT, value: 3n, data: '0x' });
+
+        // Transaction Builder leaves data empty and encodes from the method inputs
+        const fromInputs = { ...batch, transactions: [{ ...batch.transactions[0], data: null }] };
+        fromInputs.meta = { ...batch.meta, checksum: undefined };
+        expect(utils.importSafeBatch(SAFE, fromInputs)[0].data).toBe(calls[0].data);
+
+        const tampered = { ...batch, transactions: [{ ...batch.transactions[1], value: '300' }] };
+        expect(() => utils.importSafeBatch(SAFE, tampered)).toThrow('checksum');
+        expect(() => utils.importSafeBatch(SAFE, { ...batch, chainId: '1' })).toThrow('chain 1');
+    });
+});
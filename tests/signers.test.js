@@ -0,0 +1,141 @@
+/**
+ * Test Suite for the signer factory and spending policies
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const util = require('util');
+const { ethers } = require('ethers');
+const SmartContractUtils = require('../SmartContractUtils');
+const { SignerFactory } = require('../src/contracts/signers');
+
+const PHRASE = 'test test test test test test test test test test test junk';
+const KEY = '0x' + '11'.repeat(32);
+const USDC = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const OTHER = '0x000000000000000000000000000000000000dEaD';
+
+const baseTx = { chainId: 8453, nonce: 0, gasLimit: 21000, maxFeePerGas: 2n, maxPriorityFeePerGas: 1n, type: 2 };
+
+/**
+ * JSON-RPC signing service stand-in backed by a local wallet
+ */
+function startSigningService(wallet) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', async () => {
+            const { id, method, params } = JSON.parse(body);
+            requests.push(method);
+            let result = null;
+
+            if (method === 'eth_accounts') {
+                result = [wallet.address.toLowerCase()];
+            } else if (method === 'eth_signTransaction') {
+                const { from, gas, ...tx } = params[0];
+                result = await wallet.signTransaction({ ...tx, gasLimit: gas });
+            } else if (method === 'personal_sign') {
+                result = await wallet.signMessage(ethers.getBytes(params[0]));
+            } else if (method === 'eth_signTypedData_v4') {
+                const { domain, types, message } = JSON.parse(params[1]);
+                delete types.EIP712Domain;
+                result = await wallet.signTypedData(domain, types, message);
+            }
+
+            res.setHeader('content-type', 'application/json');
+            res.end(JSON.stringify({ jsonrpc: '2.0', id, result }));
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` }));
+    });
+}
+
+describe('Signers', () => {
+    it('should load keystores, mnemonics and environment keys', async () => {
+        const wallet = new ethers.Wallet(KEY);
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'signers-'));
+        const keystore = path.join(dir, 'deployer.json');
+        fs.writeFileSync(keystore, await ethers.encryptKeystoreJson(wallet, 'hunter22', { scrypt: { N: 1024 } }));
+
+        const factory = new SignerFactory(null, { env: { KEYSTORE_PASSWORD: 'hunter22', DEPLOYER_KEY: '11'.repeat(32), PHRASE } });
+        try {
+            const fromKeystore = await factory.create({ type: 'keystore', path: keystore, passwordEnv: 'KEYSTORE_PASSWORD' });
+            const fromMnemonic = await factory.create({ type: 'mnemonic', phraseEnv: 'PHRASE', index: 1 });
+            const fromEnv = await factory.create({ type: 'env', name: 'DEPLOYER_KEY' });
+
+            expect(await fromKeystore.getAddress()).toBe(wallet.address);
+            expect(await fromMnemonic.getAddress()).toBe('0x70997970C51812dc3A010C7d01b50e0d17dc79C8');
+            expect(fromMnemonic.source).toBe("mnemonic:m/44'/60'/0'/0/1");
+            expect(await fromEnv.getAddress()).toBe(wallet.address);
+
+            await expect(factory.create({ type: 'keystore', path: keystore, password: 'wrong' })).rejects.toThrow('Signer creation failed');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('should keep key material out of logs and errors', async () => {
+        const factory = new SignerFactory(null, { env: { DEPLOYER_KEY: '11'.repeat(32), BAD_PHRASE: 'correct horse battery staple' } });
+        const signer = await factory.create({ type: 'env', name: 'DEPLOYER_KEY' });
+
+        const logged = util.inspect(signer) + JSON.stringify(signer);
+        expect(logged).toContain('env:DEPLOYER_KEY');
+        expect(logged).not.toContain('11'.repeat(32));
+        expect(factory.redact(`loaded ${'11'.repeat(32)}`)).toBe('loaded [REDACTED]');
+
+        await expect(factory.create({ type: 'mnemonic', phraseEnv: 'BAD_PHRASE' })).rejects.toThrow(expect.objectContaining({
+            message: expect.not.stringContaining('correct horse')
+        }));
+        await expect(factory.create({ type: 'env', name: 'MISSING_KEY' })).rejects.toThrow('MISSING_KEY is not set');
+    });
+
+    it('should enforce spending policies before signing', async () => {
+        const utils = new SmartContractUtils();
+        utils.registerContract('usdc', ['function transfer(address to, uint256 value)'], USDC);
+        const signer = await utils.createSigner({
+            type: 'privateKey',
+            key: KEY,
+            policy: { maxValue: 10n, allowedContracts: ['usdc'] }
+        });
+
+        const signed = await signer.signTransaction({ ...baseTx, to: USDC, value: 10n });
+        expect(ethers.Transaction.from(signed).from).toBe(await signer.getAddress());
+
+        await expect(signer.signTransaction({ ...baseTx, to: USDC, value: 11n })).rejects.toThrow('exceeds the maximum of 10');
+        await expect(signer.signTransaction({ ...baseTx, to: OTHER })).rejects.toThrow(`${OTHER} is not an allowed contract`);
+        await expect(signer.sendTransaction({ ...baseTx, data: '0x6000' })).rejects.toThrow('deployments are not allowed');
+    });
+
+    it('should sign through a remote JSON-RPC signer', async () => {
+        const wallet = new ethers.Wallet(KEY);
+        const { server, requests, url } = await startSigningService(wallet);
+        const factory = new SignerFactory(null);
+        const signer = await factory.create({ type: 'remote', url, policy: { maxValue: 0 } });
+
+        try {
+            expect(await signer.getAddress()).toBe(wallet.address);
+
+            const raw = await signer.signTransaction({ ...baseTx, to: USDC, data: '0x1234' });
+            expect(ethers.Transaction.from(raw)).toMatchObject({ from: wallet.address, to: USDC, data: '0x1234', chainId: 8453n });
+
+            const message = await signer.signMessage('hello');
+            expect(ethers.verifyMessage('hello', message)).toBe(wallet.address);
+
+            const domain = { name: 'Test', chainId: 8453, verifyingContract: USDC };
+            const types = { Mail: [{ name: 'to', type: 'address' }, { name: 'amount', type: 'uint256' }] };
+            const typed = await signer.signTypedData(domain, types, { to: OTHER, amount: 5n });
+            expect(ethers.verifyTypedData(domain, types, { to: OTHER, amount: 5n }, typed)).toBe(wallet.address);
+
+            const before = requests.length;
+            await expect(signer.signTransaction({ ...baseTx, to: USDC, value: 1n })).rejects.toThrow('exceeds the maximum');
+            expect(requests.length).toBe(before);
+        } finally {
+            signer.signer.destroy();
+            server.close();
+        }
+    });
+});
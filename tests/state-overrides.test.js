@@ -0,0 +1,117 @@
+/**
+ * Test Suite for state-override simulation helpers
+ */
+
+const { ethers } = require('ethers');
+const SmartContractUtils = require('../SmartContractUtils');
+const {
+    getTokenSlots,
+    formatStateOverrides,
+    mergeStateOverrides,
+    buildTokenOverrides
+} = require('../src/contracts/state-overrides');
+
+const HOLDER = '0x000000000000000000000000000000000000dEaD';
+const SPENDER = '0x000000000000000000000000000000000000bEEF';
+const TOKEN = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+
+describe('State overrides', () => {
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+
+    it('should compute Solidity mapping slots for balances and allowances', () => {
+        const slots = getTokenSlots('fiattoken', { holder: HOLDER, spender: SPENDER });
+        const ownerSlot = ethers.keccak256(coder.encode(['address', 'uint256'], [HOLDER, 10]));
+
+        expect(slots.balanceSlot).toBe(ethers.keccak256(coder.encode(['address', 'uint256'], [HOLDER, 9])));
+        expect(slots.allowanceSlot).toBe(ethers.keccak256(coder.encode(['address', 'bytes32'], [SPENDER, ownerSlot])));
+    });
+
+    it('should hash Vyper mappings with the slot first', () => {
+        const { balanceSlot } = getTokenSlots('vyper', { holder: HOLDER });
+        expect(balanceSlot).toBe(ethers.keccak256(coder.encode(['uint256', 'address'], [0, HOLDER])));
+    });
+
+    it('should format overrides as eth_call quantities and 32-byte words', () => {
+        const formatted = formatStateOverrides({
+            [HOLDER.toLowerCase()]: { balance: ethers.parseEther('1'), nonce: 3, stateDiff: { 0: 5n } }
+        });
+
+        expect(formatted[HOLDER]).toEqual({
+            balance: '0xde0b6b3a7640000',
+            nonce: '0x3',
+            stateDiff: { [ethers.toBeHex(0, 32)]: ethers.toBeHex(5, 32) }
+        });
+    });
+
+    it('should merge storage diffs for the same token', () => {
+        const merged = mergeStateOverrides(
+            buildTokenOverrides(TOKEN, { holder: HOLDER, balance: 100n }),
+            buildTokenOverrides(TOKEN, { holder: HOLDER, spender: SPENDER, allowance: 50n }),
+            { [HOLDER]: { balance: 1n } }
+        );
+
+        expect(Object.keys(merged[TOKEN].stateDiff)).toHaveLength(2);
+        expect(merged[HOLDER]).toEqual({ balance: 1n });
+    });
+
+    it('should simulate with overrides and decode the return value', async () => {
+        const utils = new SmartContractUtils();
+        const abi = ['function balanceOf(address owner) view returns (uint256 balance)'];
+        utils.registerContract('usdc', abi, TOKEN);
+        const iface = new ethers.Interface(abi);
+        utils.providerPool.send = jest.fn(async (method) => (method === 'eth_call'
+            ? iface.encodeFunctionResult('balanceOf', [100n])
+            : '0x5208'));
+
+        const overrides = buildTokenOverrides(TOKEN, { holder: HOLDER, balance: 100n, layout: 'fiattoken' });
+        const result = await utils.simulateTransaction(
+            { to: TOKEN, data: iface.encodeFunctionData('balanceOf', [HOLDER]) },
+            { stateOverrides: overrides }
+        );
+
+        expect(result).toMatchObject({ success: true, gasUsed: 21000n });
+        expect(result.decoded).toEqual({ contract: 'usdc', method: 'balanceOf', result: { balance: 100n } });
+        expect(utils.providerPool.send.mock.calls[0][1][2][TOKEN].stateDiff).toBeDefined();
+    });
+
+    it('should estimate gas at the simulated block', async () => {
+        const utils = new SmartContractUtils();
+        const abi = ['function balanceOf(address owner) view returns (uint256 balance)'];
+        utils.registerContract('usdc', abi, TOKEN);
+        const iface = new ethers.Interface(abi);
+        const returnData = iface.encodeFunctionResult('balanceOf', [7n]);
+        const transaction = { to: TOKEN, data: iface.encodeFunctionData('balanceOf', [HOLDER]) };
+        utils.providerPool.send = jest.fn(async (method) => (method === 'eth_call' ? returnData : '0x5208'));
+        utils.provider.call = jest.fn(async () => returnData);
+        utils.provider.estimateGas = jest.fn(async () => 1n);
+
+        const overridden = await utils.simulateTransaction(transaction, { stateOverrides: { [HOLDER]: { balance: 1n } }, blockTag: 123 });
+        expect(overridden.gasUsed).toBe(21000n);
+        expect(utils.providerPool.send.mock.calls.map(([method, params]) => [method, params[1]]))
+            .toEqual([['eth_call', '0x7b'], ['eth_estimateGas', '0x7b']]);
+
+        utils.providerPool.send.mockClear();
+        const pinned = await utils.simulateTransaction(transaction, { blockTag: 123 });
+        expect(pinned).toMatchObject({ success: true, gasUsed: 21000n });
+        expect(utils.provider.call).toHaveBeenCalledWith({ ...transaction, blockTag: 123 });
+        expect(utils.providerPool.send).toHaveBeenCalledWith('eth_estimateGas', [expect.objectContaining({ to: TOKEN.toLowerCase() }), '0x7b']);
+        expect(utils.provider.estimateGas).not.toHaveBeenCalled();
+
+        utils.providerPool.destroy();
+    });
+
+    it('should keep a successful simulation when the calldata cannot be decoded', async () => {
+        const utils = new SmartContractUtils();
+        const abi = ['function balanceOf(address owner) view returns (uint256 balance)'];
+        utils.registerContract('usdc', abi, TOKEN);
+        utils.provider.call = jest.fn(async () => '0x');
+        utils.provider.estimateGas = jest.fn(async () => 30000n);
+
+        // Right selector, truncated argument
+        const data = new ethers.Interface(abi).getFunction('balanceOf').selector + '00';
+        const result = await utils.simulateTransaction({ to: TOKEN, data });
+
+        expect(result).toMatchObject({ success: true, decoded: null, gasUsed: 30000n });
+        utils.providerPool.destroy();
+    });
+});
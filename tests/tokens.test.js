@@ -0,0 +1,196 @@
+/**
+ * Test Suite for the ERC-20 toolkit and token registry
+ */
+
+const { ethers } = require('ethers');
+const SmartContractUtils = require('../SmartContractUtils');
+const { Multicall } = require('../src/contracts/multicall');
+const { ERC20_ABI, decodeText } = require('../src/tokens/erc20');
+const { TokenRegistry } = require('../src/tokens/token-registry');
+
+const USDC = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const WETH = '0x4200000000000000000000000000000000000006';
+const OLD = '0x000000000000000000000000000000000000c0DE';
+const OWNER = '0x000000000000000000000000000000000000dEaD';
+const SPENDER = '0x000000000000000000000000000000000000bEEF';
+
+const erc20 = new ethers.Interface([
+    ...ERC20_ABI.filter(fragment => !fragment.includes('approve') && !fragment.includes('transfer(')),
+    'function approve(address spender, uint256 value) returns (bool)',
+    'function transfer(address to, uint256 value) returns (bool)'
+]);
+
+/**
+ * Chain stand-in with a bytes32-symbol token that needs allowances reset to zero (USDT-style)
+ */
+function createChain({ multicall = true } = {}) {
+    const multicallInterface = new Multicall(null).interface;
+    const chain = {
+        balances: { [`${USDC}:${OWNER}`]: 2500000n, [`${OLD}:${OWNER}`]: 10n ** 18n },
+        allowances: { [`${OLD}:${OWNER}:${SPENDER}`]: 5n },
+        ethBalances: { [OWNER]: 3n * 10n ** 17n }
+    };
+
+    const callToken = (to, from, data) => {
+        const { name, args } = erc20.parseTransaction({ data });
+        switch (name) {
+            case 'decimals':
+                return erc20.encodeFunctionResult('decimals', [to === USDC ? 6 : 18]);
+            case 'symbol':
+                return to === OLD
+                    ? ethers.encodeBytes32String('OLD')
+                    : erc20.encodeFunctionResult('symbol', ['USDC']);
+            case 'name':
+                return to === OLD
+                    ? ethers.encodeBytes32String('Old Token')
+                    : erc20.encodeFunctionResult('name', ['USD Coin']);
+            case 'balanceOf':
+                return erc20.encodeFunctionResult('balanceOf', [chain.balances[`${to}:${args[0]}`] || 0n]);
+            case 'allowance':
+                return erc20.encodeFunctionResult('allowance', [chain.allowances[`${to}:${args[0]}:${args[1]}`] || 0n]);
+            case 'approve':
+                if (to === OLD && args[1] > 0n && (chain.allowances[`${to}:${from}:${args[0]}`] || 0n) > 0n) {
+                    throw new Error('execution reverted');
+                }
+                return to === OLD ? '0x' : erc20.encodeFunctionResult('approve', [true]);
+            default:
+                return erc20.encodeFunctionResult('transfer', [(chain.balances[`${to}:${from}`] || 0n) >= args[1]]);
+        }
+    };
+
+    chain.provider = {
+        getCode: jest.fn(async () => (multicall ? '0x6080' : '0x')),
+        getBalance: jest.fn(async (address) => chain.ethBalances[address] || 0n),
+        getBlockNumber: jest.fn(async () => 100),
+        call: jest.fn(async (tx) => {
+            const to = ethers.getAddress(tx.to);
+            if (to !== ethers.getAddress('0xcA11bde05977b3631167028862bE2a173976CA11')) {
+                return callToken(to, tx.from, tx.data);
+            }
+            const [calls] = multicallInterface.decodeFunctionData('aggregate3', tx.data);
+            const results = calls.map(([target, , callData]) => {
+                if (callData.startsWith(multicallInterface.getFunction('getEthBalance').selector)) {
+                    const [owner] = multicallInterface.decodeFunctionData('getEthBalance', callData);
+                    return [true, ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [chain.ethBalances[owner] || 0n])];
+                }
+                try {
+                    return [true, callToken(target, tx.from, callData)];
+                } catch (error) {
+                    return [false, '0x'];
+                }
+            });
+            return multicallInterface.encodeFunctionResult('aggregate3', [results]);
+        })
+    };
+    return chain;
+}
+
+describe('Tokens', () => {
+    let utils;
+    let chain;
+
+    const setup = (options) => {
+        chain = createChain(options);
+        utils = new SmartContractUtils();
+        utils.provider = chain.provider;
+        utils.multicall = new Multicall(chain.provider);
+        utils.executeTransaction = jest.fn(async (name, method, params, signer) => {
+            const token = utils.contracts.get(name).target;
+            const owner = await signer.getAddress();
+            if (method === 'approve') {
+                chain.allowances[`${token}:${owner}:${params[0]}`] = params[1];
+            }
+            return { hash: `0x${utils.executeTransaction.mock.calls.length}`, status: 1 };
+        });
+    };
+
+    it('should seed the registry from the Base token list', () => {
+        const base = TokenRegistry.forChain(8453);
+        expect(base.get('usdc')).toMatchObject({ address: USDC, decimals: 6, symbol: 'USDC' });
+        expect(base.resolve('AERO')).toBe('0x940181a94A35A4569E4529A3CDfB74e38FD98631');
+        expect(base.get('cbETH').decimals).toBe(18);
+
+        const sepolia = TokenRegistry.forChain(84532);
+        expect(sepolia.resolve('USDC')).toBe('0x036CbD53842c5426634e7929541eC2318f3dCF7e');
+        expect(() => sepolia.resolve('AERO')).toThrow('Unknown token: AERO');
+
+        // A later token cannot take over a listed symbol
+        base.add({ address: OLD, symbol: 'USDC', decimals: 6 });
+        expect(base.resolve('USDC')).toBe(USDC);
+    });
+
+    it('should fetch and cache metadata including bytes32 symbols', async () => {
+        setup();
+        const metadata = await utils.tokens.getMetadata(OLD);
+        expect(metadata).toMatchObject({ address: OLD, symbol: 'OLD', name: 'Old Token', decimals: 18, chainId: 8453 });
+
+        const calls = chain.provider.call.mock.calls.length;
+        await utils.tokens.getMetadata('OLD');
+        await utils.tokens.getMetadata('WETH');
+        expect(chain.provider.call.mock.calls.length).toBe(calls);
+
+        expect(decodeText(erc20.encodeFunctionResult('symbol', ['AERO']))).toBe('AERO');
+        expect(decodeText('0x1234')).toBeNull();
+    });
+
+    it('should format and parse amounts with token decimals', async () => {
+        setup();
+        expect(await utils.tokens.format('USDC', 2500000n)).toBe('2.5');
+        expect(await utils.tokens.parse('USDC', '1.25')).toBe(1250000n);
+        expect(await utils.tokens.parse(WETH, '0.1')).toBe(10n ** 17n);
+        expect(await utils.tokens.format('ETH', 10n ** 18n)).toBe('1.0');
+    });
+
+    it('should read balances and allowances in bulk', async () => {
+        setup();
+        const balances = await utils.tokens.getBalances([OWNER, SPENDER], ['USDC', OLD, 'ETH']);
+
+        expect(balances).toHaveLength(6);
+        expect(balances[0]).toMatchObject({ owner: OWNER, symbol: 'USDC', balance: 2500000n, formatted: '2.5' });
+        expect(balances[1]).toMatchObject({ symbol: 'OLD', balance: 10n ** 18n, formatted: '1.0' });
+        expect(balances[2]).toMatchObject({ symbol: 'ETH', token: ethers.ZeroAddress, balance: 3n * 10n ** 17n });
+        expect(balances[3].balance).toBe(0n);
+
+        const allowances = await utils.tokens.getAllowances([
+            { token: OLD, owner: OWNER, spender: SPENDER },
+            { token: 'USDC', owner: OWNER, spender: SPENDER }
+        ]);
+        expect(allowances.map(entry => entry.allowance)).toEqual([5n, 0n]);
+    });
+
+    it('should fall back to individual calls without Multicall3', async () => {
+        setup({ multicall: false });
+        const balances = await utils.tokens.getBalances([OWNER], ['USDC', 'ETH']);
+        expect(balances.map(entry => entry.balance)).toEqual([2500000n, 3n * 10n ** 17n]);
+        expect(chain.provider.getBalance).toHaveBeenCalledWith(OWNER, undefined);
+    });
+
+    it('should reset allowances to zero first only when the token needs it', async () => {
+        setup();
+        const signer = { getAddress: async () => OWNER };
+
+        const reset = await utils.tokens.approve(OLD, SPENDER, 100n, signer);
+        expect(reset.transactions).toHaveLength(2);
+        expect(utils.executeTransaction.mock.calls.map(call => call[2][1])).toEqual([0n, 100n]);
+        expect(chain.allowances[`${OLD}:${OWNER}:${SPENDER}`]).toBe(100n);
+
+        const unchanged = await utils.tokens.approve(OLD, SPENDER, 100n, signer);
+        expect(unchanged.transactions).toHaveLength(0);
+
+        chain.allowances[`${USDC}:${OWNER}:${SPENDER}`] = 7n;
+        const direct = await utils.tokens.approve('USDC', SPENDER, 9n, signer);
+        expect(direct.transactions).toHaveLength(1);
+        expect(utils.executeTransaction).toHaveBeenLastCalledWith(`erc20:${USDC.toLowerCase()}`, 'approve', [SPENDER, 9n], signer, {});
+    });
+
+    it('should refuse transfers the token reports as failed', async () => {
+        setup();
+        const signer = { getAddress: async () => OWNER };
+
+        await utils.tokens.transfer('USDC', SPENDER, 1000000n, signer);
+        expect(utils.executeTransaction).toHaveBeenCalledWith(`erc20:${USDC.toLowerCase()}`, 'transfer', [SPENDER, 1000000n], signer, {});
+
+        await expect(utils.tokens.transfer('USDC', SPENDER, 10n ** 9n, signer)).rejects.toThrow('returned false from transfer');
+        expect(utils.executeTransaction).toHaveBeenCalledTimes(1);
+    });
+});
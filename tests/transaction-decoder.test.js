@@ -0,0 +1,102 @@
+/**
+ * Test Suite for receipt and nested calldata decoding
+ */
+
+const { ethers } = require('ethers');
+const SmartContractUtils = require('../SmartContractUtils');
+const { decodeV3Path, WRAPPER_ABI } = require('../src/contracts/transaction-decoder');
+
+const ERC20_ABI = [
+    'event Transfer(address indexed from, address indexed to, uint256 value)',
+    'function transfer(address to, uint256 value) returns (bool)'
+];
+const ERC721_ABI = [
+    'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)'
+];
+const POOL_ABI = [
+    'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)'
+];
+
+const USDC = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const WETH = '0x4200000000000000000000000000000000000006';
+const POOL = '0xd0b53D9277642d899DF5C87A3966A349A798F224';
+const NFT = '0x03c4738Ee98aE44591e1A4A4F3CaB6641d95DD9a';
+const USER = '0x000000000000000000000000000000000000dEaD';
+
+describe('Transaction decoding', () => {
+    let utils;
+
+    beforeEach(() => {
+        utils = new SmartContractUtils();
+        utils.registerContract('usdc', ERC20_ABI, USDC);
+        utils.registerContract('nft', ERC721_ABI, NFT);
+        utils.registerContract('pool', POOL_ABI, POOL);
+    });
+
+    it('should decode receipt logs by address first, then by topic', () => {
+        const erc20 = new ethers.Interface(ERC20_ABI);
+        const erc721 = new ethers.Interface(ERC721_ABI);
+        const pool = new ethers.Interface(POOL_ABI);
+        const log = (address, iface, name, args, index) => ({ address, index, ...iface.encodeEventLog(name, args) });
+
+        const decoded = utils.decodeReceipt({
+            hash: '0x' + '01'.repeat(32),
+            blockNumber: 10,
+            status: 1,
+            logs: [
+                log(USDC, erc20, 'Transfer', [USER, POOL, 5n], 0),
+                log(POOL, pool, 'Swap', [USER, USER, -5n, 7n, 1n, 2n, -3], 1),
+                // Same topic0 as ERC-20 Transfer, only the ERC-721 layout fits
+                log(NFT, erc721, 'Transfer', [USER, POOL, 42n], 2),
+                // Unregistered WETH uses the ERC-20 ABI by topic
+                log(WETH, erc20, 'Transfer', [POOL, USER, 9n], 3),
+                { address: WETH, index: 4, topics: ['0x' + 'ff'.repeat(32)], data: '0x' }
+            ]
+        });
+
+        expect(decoded.transactionHash).toBe('0x' + '01'.repeat(32));
+        expect(decoded.logs.map(entry => [entry.contract, entry.event, entry.matchedBy])).toEqual([
+            ['usdc', 'Transfer', 'address'],
+            ['pool', 'Swap', 'address'],
+            ['nft', 'Transfer', 'address'],
+            ['usdc', 'Transfer', 'topic'],
+            [null, null, null]
+        ]);
+        expect(decoded.logs[1].args).toMatchObject({ amount0: -5n, amount1: 7n, tick: -3n });
+        expect(decoded.logs[2].args.tokenId).toBe(42n);
+        expect(decoded.logs[4].decoded).toBe(false);
+    });
+
+    it('should unwrap Multicall3 and account batches into nested calls', () => {
+        const wrappers = new ethers.Interface(WRAPPER_ABI);
+        const transfer = new ethers.Interface(ERC20_ABI).encodeFunctionData('transfer', [USER, 1n]);
+        const multicall = wrappers.encodeFunctionData('aggregate3', [[[USDC, false, transfer]]]);
+        const batch = wrappers.encodeFunctionData('executeBatch', [[ethers.ZeroAddress, USDC], [0n, 0n], [multicall, transfer]]);
+
+        const call = utils.decodeCalldata(batch, USER);
+
+        expect(call.name).toBe('executeBatch');
+        expect(call.calls).toHaveLength(2);
+        expect(call.calls[0]).toMatchObject({ name: 'aggregate3', to: ethers.ZeroAddress });
+        expect(call.calls[0].calls[0]).toMatchObject({ contract: 'usdc', name: 'transfer', matchedBy: 'address', args: { to: USER, value: 1n } });
+        expect(call.calls[1]).toMatchObject({ contract: 'usdc', name: 'transfer' });
+    });
+
+    it('should decode Universal Router commands and V3 paths', () => {
+        const coder = ethers.AbiCoder.defaultAbiCoder();
+        const path = ethers.solidityPacked(['address', 'uint24', 'address'], [USDC, 500, WETH]);
+        const swap = coder.encode(['address', 'uint256', 'uint256', 'bytes', 'bool'], [USER, 100n, 90n, path, true]);
+        const unwrap = coder.encode(['address', 'uint256'], [USER, 90n]);
+        const data = new ethers.Interface(WRAPPER_ABI).encodeFunctionData(
+            'execute(bytes,bytes[],uint256)',
+            ['0x000c', [swap, unwrap], 1700000000n]
+        );
+
+        const call = utils.decodeCalldata(data, '0x6fF5693b99212Da76ad316178A184AB56D299b43');
+
+        expect(call.calls.map(command => command.name)).toEqual(['V3_SWAP_EXACT_IN', 'UNWRAP_WETH']);
+        expect(call.calls[0].args).toMatchObject({ recipient: USER, amountIn: 100n, amountOutMin: 90n, payerIsUser: true });
+        expect(call.calls[0].path).toEqual({ tokens: [USDC, WETH], fees: [500] });
+        expect(decodeV3Path('0x1234')).toBeNull();
+    });
+});
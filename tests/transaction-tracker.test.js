@@ -0,0 +1,138 @@
+/**
+ * Test Suite for tracked transactions (speed-up, cancel, auto-bump)
+ */
+
+const { TrackedTransaction } = require('../src/contracts/transaction-tracker');
+const NonceManager = require('../src/contracts/nonce-manager');
+const SmartContractUtils = require('../SmartContractUtils');
+
+const FROM = '0x000000000000000000000000000000000000dEaD';
+const GWEI = 1000000000n;
+
+function createMockSigner() {
+    const receipts = new Map();
+    const signer = {
+        sent: [],
+        provider: {
+            getTransactionReceipt: async (hash) => receipts.get(hash) || null,
+            getTransactionCount: async () => 5
+        },
+        sendTransaction: async (tx) => {
+            signer.sent.push(tx);
+            return { hash: `0x${signer.sent.length}`, nonce: tx.nonce, from: FROM };
+        },
+        mine: (hash) => receipts.set(hash, { hash, status: 1, gasUsed: 21000n, gasPrice: GWEI })
+    };
+    return signer;
+}
+
+function track(signer, options = {}) {
+    const request = { to: FROM, data: '0x1234', nonce: 5, chainId: 8453n, maxFeePerGas: 2n * GWEI, maxPriorityFeePerGas: GWEI };
+    return new TrackedTransaction(signer, request, { hash: '0x0', nonce: 5, from: FROM }, { pollInterval: 5, ...options });
+}
+
+describe('TrackedTransaction', () => {
+    it('should bump fees by at least the replacement minimum', async () => {
+        const signer = createMockSigner();
+        const tracked = track(signer);
+
+        await tracked.speedUp({ bumpPercent: 5 });
+
+        expect(signer.sent[0]).toMatchObject({ nonce: 5, data: '0x1234' });
+        expect(signer.sent[0].maxFeePerGas).toBe(2200000000n);
+        expect(signer.sent[0].maxPriorityFeePerGas).toBe(1100000000n);
+    });
+
+    it('should refuse replacements above the fee ceiling', () => {
+        const tracked = track(createMockSigner());
+        expect(() => tracked.getReplacementFees({ feeCeiling: 2100000000n })).toThrow('ceiling');
+        expect(tracked.getReplacementFees({ feeCeiling: 2300000000n }).maxFeePerGas).toBe(2250000000n);
+    });
+
+    it('should report a mined cancellation', async () => {
+        const signer = createMockSigner();
+        const tracked = track(signer);
+
+        const response = await tracked.cancel();
+        signer.mine(response.hash);
+        const result = await tracked.wait();
+
+        expect(signer.sent[0]).toMatchObject({ to: FROM, value: 0n, nonce: 5, gasLimit: 21000n });
+        expect(result).toMatchObject({ hash: '0x1', replaced: true, cancelled: true });
+        expect(result.minedAttempt).toEqual({ index: 1, kind: 'cancel', hash: '0x1' });
+    });
+
+    it('should auto-bump until a replacement mines', async () => {
+        const signer = createMockSigner();
+        const tracked = track(signer);
+        const originalSend = signer.sendTransaction;
+        signer.sendTransaction = async (tx) => {
+            const response = await originalSend(tx);
+            if (signer.sent.length === 2) signer.mine(response.hash);
+            return response;
+        };
+
+        const result = await tracked.autoBump({ interval: 10 });
+
+        expect(result.minedAttempt).toMatchObject({ index: 2, kind: 'speedup' });
+        expect(result.attempts).toHaveLength(3);
+        expect(result.cancelled).toBe(false);
+    });
+
+    it('should give up on a dropped transaction after the timeout', async () => {
+        const signer = createMockSigner();
+        const tracked = track(signer);
+
+        const error = await tracked.autoBump({ interval: 10, maxBumps: 1, timeout: 60 }).catch(caught => caught);
+
+        expect(error.message).toBe('Nonce 5 not mined within 60ms; attempts: 0x0, 0x1');
+        expect(error).toMatchObject({ code: 'TIMEOUT', hashes: ['0x0', '0x1'] });
+        expect(signer.sent).toHaveLength(1);
+    });
+
+    it('should release the nonce when an untracked transaction consumes it', async () => {
+        const signer = createMockSigner();
+        signer.provider.getTransactionCount = async () => 6;
+        const manager = new NonceManager({ getTransactionCount: async () => 5 });
+        await manager.enqueue(FROM, async (nonce) => ({ hash: '0x0', nonce }));
+
+        const onConsumed = jest.fn(() => manager.confirm(FROM, 5));
+        await expect(track(signer, { onConsumed }).wait())
+            .rejects.toThrow('Nonce 5 was consumed by an untracked transaction');
+
+        expect(onConsumed).toHaveBeenCalledTimes(1);
+        expect(manager.getQueueState(FROM).inFlight).toEqual([]);
+    });
+});
+
+describe('executeTransaction with autoBump', () => {
+    let utils;
+
+    const settle = (result) => {
+        utils.sendTransaction = jest.fn(async () => ({ autoBump: async () => result }));
+        return utils.executeTransaction('Vault', 'deposit', [1n], {}, { autoBump: true });
+    };
+
+    beforeEach(() => {
+        utils = new SmartContractUtils();
+    });
+
+    afterEach(() => {
+        utils.providerPool.destroy();
+    });
+
+    it('should throw for a reverted receipt like the plain path', async () => {
+        await expect(settle({ hash: '0xabc', nonce: 5, status: 0, cancelled: false, receipt: { status: 0 } }))
+            .rejects.toThrow('Transaction failed: transaction 0xabc reverted');
+    });
+
+    it('should throw when the mined attempt was a cancellation', async () => {
+        await expect(settle({ hash: '0xdef', nonce: 5, status: 1, cancelled: true, receipt: { status: 1 } }))
+            .rejects.toThrow('Transaction failed: nonce 5 was cancelled by 0xdef');
+    });
+
+    it('should return the result of a successful attempt', async () => {
+        expect(await settle({ hash: '0x123', nonce: 5, status: 1, cancelled: false, receipt: { status: 1 } }))
+            .toMatchObject({ hash: '0x123', status: 1, cancelled: false });
+    });
+});
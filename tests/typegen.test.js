@@ -0,0 +1,77 @@
+/**
+ * Test Suite for typed binding generation
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const SmartContractUtils = require('../SmartContractUtils');
+const { generateContractBindings, toClassName } = require('../src/contracts/typegen');
+
+const POOL_ABI = [
+    'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, bool unlocked)',
+    'function swap(address recipient, int256 amountSpecified) returns (int256 amount0, int256 amount1)',
+    'function safeTransferFrom(address from, address to, uint256 id)',
+    'function safeTransferFrom(address from, address to, uint256 id, bytes data)',
+    'event Swap(address indexed sender, int256 amount0, string indexed tag)',
+    'error Unauthorized(address caller)'
+];
+const POOL_ADDRESS = '0x000000000000000000000000000000000000dEaD';
+
+describe('Typed bindings', () => {
+    it('should declare typed reads, writes, overloads, events and errors', () => {
+        const { className, dts } = generateContractBindings('pool', POOL_ABI);
+
+        expect(className).toBe('PoolContract');
+        expect(dts).toContain('slot0(): Promise<[bigint, bigint, boolean] & { sqrtPriceX96: bigint; tick: bigint; unlocked: boolean; }>;');
+        expect(dts).toContain('swap(recipient: string, amountSpecified: BigNumberish, signer: Signer, options?: TransactionOptions): Promise<TransactionResult>;');
+        expect(dts).toContain("'safeTransferFrom(address,address,uint256,bytes)'(from: string, to: string, id: BigNumberish, data: string, signer: Signer");
+        expect(dts).toContain('Swap: { sender: string; amount0: bigint; tag: Indexed; };');
+        expect(dts).toContain("| { name: 'Unauthorized'; args: { caller: string; } }");
+    });
+
+    it('should derive class names from qualified registry names', () => {
+        expect(toClassName('contracts/Vault.sol:Vault')).toBe('ContractsVaultSolVaultContract');
+        expect(toClassName('1inch-router')).toBe('_1inchRouterContract');
+    });
+
+    it('should write wrappers that route through SmartContractUtils', async () => {
+        const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bindings-'));
+        const utils = new SmartContractUtils({ rpcUrl: 'http://127.0.0.1:8545' });
+        utils.registerContract('pool', POOL_ABI, POOL_ADDRESS);
+
+        try {
+            const files = await utils.generateBindings(outDir);
+            expect(files.map(file => path.basename(file))).toEqual(['common.d.ts', 'Pool.js', 'Pool.d.ts', 'index.js', 'index.d.ts']);
+
+            const { createBindings } = require(path.join(outDir, 'index.js'));
+            utils.call = jest.fn().mockResolvedValue('result');
+            utils.executeTransaction = jest.fn().mockResolvedValue({ status: 1 });
+            const { pool } = createBindings(utils);
+
+            await pool.slot0();
+            await pool['safeTransferFrom(address,address,uint256)'](POOL_ADDRESS, POOL_ADDRESS, 1n, 'signer');
+
+            expect(utils.call).toHaveBeenCalledWith('pool', 'slot0', []);
+            expect(utils.executeTransaction).toHaveBeenCalledWith(
+                'pool', 'safeTransferFrom(address,address,uint256)', [POOL_ADDRESS, POOL_ADDRESS, 1n], 'signer', {}
+            );
+
+            const data = utils.getInterface('pool').encodeErrorResult('Unauthorized', [POOL_ADDRESS]);
+            const decoded = pool.decodeError(data);
+            expect(decoded.name).toBe('Unauthorized');
+            expect(decoded.args.caller).toBe(ethers.getAddress(POOL_ADDRESS));
+        } finally {
+            utils.providerPool.destroy();
+            fs.rmSync(outDir, { recursive: true, force: true });
+        }
+    });
+
+    it('should reject unknown contract names', async () => {
+        const utils = new SmartContractUtils({ rpcUrl: 'http://127.0.0.1:8545' });
+        await expect(utils.generateBindings(os.tmpdir(), { names: ['missing'] }))
+            .rejects.toThrow("Binding generation failed: ABI for contract 'missing' not found");
+        utils.providerPool.destroy();
+    });
+});
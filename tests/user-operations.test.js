@@ -0,0 +1,148 @@
+/**
+ * Test Suite for ERC-4337 user operations
+ */
+
+const http = require('http');
+const { ethers } = require('ethers');
+const SmartContractUtils = require('../SmartContractUtils');
+const {
+    UserOperationBuilder,
+    packUserOperation,
+    getUserOperationHash,
+    SIMPLE_ACCOUNT_ABI,
+    DUMMY_SIGNATURE,
+    ENTRY_POINT_V07_ADDRESS
+} = require('../src/contracts/user-operations');
+
+const ACCOUNT = '0x000000000000000000000000000000000000dEaD';
+const TOKEN = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const PAYMASTER = '0x000000000000000000000000000000000000bEEF';
+
+/**
+ * Minimal bundler JSON-RPC stand-in; the receipt appears on the second poll
+ */
+function startBundler() {
+    const requests = [];
+    let receiptPolls = 0;
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const { id, method, params } = JSON.parse(body);
+            requests.push({ method, params });
+            let result = null;
+
+            if (method === 'eth_estimateUserOperationGas') {
+                result = { preVerificationGas: '0xc350', verificationGasLimit: '0x186a0', callGasLimit: '0x7530' };
+            } else if (method === 'eth_sendUserOperation') {
+                result = '0x' + 'ab'.repeat(32);
+            } else if (method === 'eth_getUserOperationReceipt') {
+                receiptPolls++;
+                result = receiptPolls < 2 ? null : {
+                    userOpHash: params[0],
+                    success: true,
+                    actualGasUsed: '0x186a0',
+                    actualGasCost: '0x5af3107a4000',
+                    receipt: { transactionHash: '0x' + 'cd'.repeat(32) }
+                };
+            }
+
+            res.setHeader('content-type', 'application/json');
+            res.end(JSON.stringify({ jsonrpc: '2.0', id, result }));
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` }));
+    });
+}
+
+describe('User operations', () => {
+    const wallet = new ethers.Wallet('0x' + '22'.repeat(32));
+
+    it('should pack v0.7 gas limits, fees and paymaster data', () => {
+        const packed = packUserOperation({
+            sender: ACCOUNT,
+            nonce: 1n,
+            callData: '0x',
+            callGasLimit: 2n,
+            verificationGasLimit: 3n,
+            preVerificationGas: 4n,
+            maxFeePerGas: 5n,
+            maxPriorityFeePerGas: 6n,
+            paymaster: PAYMASTER,
+            paymasterVerificationGasLimit: 7n,
+            paymasterPostOpGasLimit: 8n,
+            paymasterData: '0x1234'
+        });
+
+        expect(packed.accountGasLimits).toBe(ethers.toBeHex((3n << 128n) | 2n, 32));
+        expect(packed.gasFees).toBe(ethers.toBeHex((6n << 128n) | 5n, 32));
+        expect(packed.paymasterAndData).toBe(
+            PAYMASTER.toLowerCase() + '00000000000000000000000000000007' + '00000000000000000000000000000008' + '1234'
+        );
+        expect(packed.initCode).toBe('0x');
+        expect(ethers.dataLength(DUMMY_SIGNATURE)).toBe(65);
+    });
+
+    it('should batch calls, estimate, sign and return an executeTransaction-shaped result', async () => {
+        const bundler = await startBundler();
+        const utils = new SmartContractUtils({ bundlerUrl: bundler.url, pollInterval: 10 });
+        utils.registerContract('usdc', ['function approve(address spender, uint256 amount) returns (bool)'], TOKEN);
+        utils.provider.getTransactionReceipt = jest.fn().mockResolvedValue({ status: 1 });
+
+        try {
+            const result = await utils.executeUserOperation([
+                { contractName: 'usdc', methodName: 'approve', params: [PAYMASTER, 10n] },
+                { to: PAYMASTER, value: 1n, data: '0x' }
+            ], wallet, { sender: ACCOUNT, nonce: 0n, maxFeePerGas: 100n, maxPriorityFeePerGas: 1n });
+
+            expect(result).toMatchObject({
+                hash: '0x' + 'cd'.repeat(32),
+                receipt: { status: 1 },
+                gasUsed: 100000n,
+                effectiveGasPrice: 1000000000n,
+                status: 1,
+                userOpHash: '0x' + 'ab'.repeat(32),
+                success: true
+            });
+
+            const sent = bundler.requests.find(request => request.method === 'eth_sendUserOperation');
+            const [userOp, entryPoint] = sent.params;
+            expect(entryPoint).toBe(ENTRY_POINT_V07_ADDRESS);
+            expect(userOp).toMatchObject({ callGasLimit: '0x7530', verificationGasLimit: '0x186a0', preVerificationGas: '0xc350', maxFeePerGas: '0x64' });
+
+            const call = new ethers.Interface(SIMPLE_ACCOUNT_ABI).parseTransaction({ data: userOp.callData });
+            expect(call.name).toBe('executeBatch');
+            expect(call.args.dest).toEqual([TOKEN, PAYMASTER]);
+
+            const hash = getUserOperationHash(userOp, ENTRY_POINT_V07_ADDRESS, 8453);
+            expect(ethers.verifyMessage(ethers.getBytes(hash), userOp.signature)).toBe(wallet.address);
+        } finally {
+            utils.userOperations.bundler.destroy();
+            utils.providerPool.destroy();
+            bundler.server.close();
+        }
+    });
+
+    it('should fill a missing fee override from fee data', async () => {
+        const provider = { getFeeData: jest.fn().mockResolvedValue({ maxFeePerGas: 40n, maxPriorityFeePerGas: 2n }) };
+        const builder = new UserOperationBuilder(provider, null);
+        const base = { sender: ACCOUNT, calls: [{ to: TOKEN }], nonce: 0n };
+
+        expect(await builder.build({ ...base, maxFeePerGas: 5n })).toMatchObject({ maxFeePerGas: 5n, maxPriorityFeePerGas: 2n });
+        expect(await builder.build({ ...base, maxPriorityFeePerGas: 1n })).toMatchObject({ maxFeePerGas: 40n, maxPriorityFeePerGas: 1n });
+        expect(provider.getFeeData).toHaveBeenCalledTimes(2);
+
+        expect(await builder.build({ ...base, maxFeePerGas: 5n, maxPriorityFeePerGas: 1n })).toMatchObject({ maxFeePerGas: 5n, maxPriorityFeePerGas: 1n });
+        expect(provider.getFeeData).toHaveBeenCalledTimes(2);
+    });
+
+    it('should require a sender and a bundler', async () => {
+        const utils = new SmartContractUtils();
+        await expect(utils.buildUserOperation([{ to: TOKEN }], {})).rejects.toThrow('sender smart account address is required');
+        await expect(utils.userOperations.send({})).rejects.toThrow('No bundler configured');
+        utils.providerPool.destroy();
+    });
+});
@@ -0,0 +1,94 @@
+/**
+ * Test Suite for the unified yield calculator: decimal math, rounding and both call signatures
+ */
+
+const YieldCalculator = require('../src/yield-calculator');
+const RootCalculator = require('../yield-calculator');
+const entry = require('../src/index');
+
+describe('YieldCalculator compatibility', () => {
+    it('should be the one calculator behind every entry point', () => {
+        expect(RootCalculator).toBe(YieldCalculator);
+        expect(entry.YieldCalculator).toBe(YieldCalculator);
+        expect(entry.BaseYieldCalculator).toBe(YieldCalculator);
+        expect(entry.createYieldCalculator({ precision: 2 })).toBeInstanceOf(YieldCalculator);
+        expect(YieldCalculator.BaseYieldCalculator).toBe(YieldCalculator);
+    });
+
+    it('should do exact decimal math with configurable precision and rounding', () => {
+        const calculator = new YieldCalculator();
+        // 0.1 + 0.2 style float error does not leak into results
+        expect(calculator.calculateStakingYield(0.3, 10, 1).baseReward).toBe(0.03);
+        expect(calculator.calculateSharpeRatio(0.3, 0.1, 0.2).sharpeRatio).toBe(1);
+
+        const rounded = new YieldCalculator({ precision: 2 });
+        expect(rounded.calculateAPY(12, 365)).toBe(12.75);
+        const down = new YieldCalculator({ precision: 2, rounding: 'down' });
+        expect(down.calculateAPY(12, 365)).toBe(12.74);
+        expect(() => new YieldCalculator({ rounding: 'sideways' })).toThrow('Unknown rounding mode');
+    });
+
+    it('should accept the object farming signature', () => {
+        const calculator = new YieldCalculator({ precision: 6 });
+        const result = calculator.calculateFarmingYield({ principal: 10000, apr: 12, duration: 365, compoundFrequency: 12, fees: 50 });
+
+        expect(result).toEqual({
+            principal: 10000,
+            grossYield: 1268.250301,
+            netYield: 1218.250301,
+            finalAmount: 11268.250301,
+            effectiveAPY: 12.682503,
+            fees: 50,
+            impermanentLoss: 0,
+            duration: 365
+        });
+    });
+
+    it('should accept the positional signatures with numeric fields', () => {
+        const calculator = new YieldCalculator({ precision: 4 });
+
+        expect(calculator.calculateFarmingYield(1000, 20)).toEqual({
+            stakedAmount: 1000,
+            baseReward: 200,
+            bonusReward: 20,
+            totalAnnualReward: 220,
+            effectiveAPY: 22,
+            dailyReward: 0.6027,
+            monthlyReward: 18.3333
+        });
+        expect(calculator.calculateLPYield(10000, 500000, 'aerodrome', 2000000)).toMatchObject({
+            dailyEarnings: 12.5,
+            annualEarnings: 4562.5,
+            apy: 45.625
+        });
+        expect(calculator.calculateImpermanentLoss(1, 4)).toMatchObject({ priceChange: 300, impermanentLoss: -20, lossPercentage: 20 });
+        expect(calculator.calculateCompoundYield(1000, 10, 1, 2)).toMatchObject({ finalAmount: 1210, totalGain: 210, effectiveAPY: 21 });
+
+        const report = calculator.generateYieldReport({
+            principal: 10000,
+            protocol: 'aerodrome',
+            dailyVolume: 500000,
+            poolTVL: 2000000,
+            stakingAPY: 25,
+            timeframe: '1 year'
+        });
+        expect(report.summary.totalProjectedYield).toBe(73.125);
+        expect(typeof report.gasOptimization.totalSavings).toBe('number');
+    });
+
+    it('should price gas from a Base fee estimate', () => {
+        const calculator = new YieldCalculator({ precision: 4 });
+        const estimate = { gasPrice: 2000000n, usd: { l2ExecutionFee: 0.01, l1DataFee: 0.03, totalFee: 0.04 } };
+
+        expect(calculator.optimizeGasCosts(30, estimate)).toMatchObject({ costPerTx: 0.04, totalCost: 1.2, l1DataShare: 75, baseGasPrice: 0.002 });
+        expect(calculator.calculateOptimalCompounding(20, estimate, 5000).optimalFrequency).toBe(52);
+        expect(() => calculator.calculateOptimalCompounding(20, { usd: null }, 5000)).toThrow('Fee estimate must include USD values');
+    });
+
+    it('should reject invalid inputs with validation errors', () => {
+        const calculator = new YieldCalculator();
+        expect(() => calculator.calculateAPY(-1)).toThrow('apr must not be negative');
+        expect(() => calculator.calculateFarmingYield({ principal: 100, apr: 'abc', duration: 1 })).toThrow('apr must be a number');
+        expect(() => calculator.calculateLPYield(100, 1, 'unknown', 10)).toThrow(expect.objectContaining({ name: 'ValidationError' }));
+    });
+});